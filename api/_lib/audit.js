@@ -0,0 +1,20 @@
+import { clientIp } from './guard.js';
+
+// One JSON line per security-relevant event (sign-ins, key changes, chat
+// requests), attributed to the caller, so the platform's log search can
+// answer "who used what".
+
+export function audit(req, principal, event, fields = {}) {
+  const line = {
+    type: 'audit',
+    at: new Date().toISOString(),
+    event,
+    user: principal ? principal.id : null,
+    via: principal ? principal.via : null,
+    keyId: principal ? principal.keyId : null,
+    ip: clientIp(req),
+    requestId: req.log ? req.log.id : null,
+    ...fields
+  };
+  console.log(JSON.stringify(line));
+}
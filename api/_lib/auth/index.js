@@ -0,0 +1,69 @@
+import { findUser } from './users.js';
+import { verifyPassword, signSession, verifySession } from './secrets.js';
+import { verifyKey, isApiKey } from './keys.js';
+
+// Authentication is off until AUTH_SECRET is set. Then every proxy route
+// wants "Authorization: Bearer <token>", where the token is either a
+// session from POST /api/auth or an API key from /api/keys.
+//
+// A principal describes who is calling:
+//   { id, role: 'admin' | 'user' | 'anonymous', via: 'session' | 'key' | 'none', keyId, models }
+// `id` is what quotas and audit lines are attributed to; `models` (null for
+// all) limits which models an API key may use.
+
+const DEFAULT_SESSION_TTL = 7 * 24 * 3600;
+const ANONYMOUS = Object.freeze({ id: null, role: 'anonymous', via: 'none', keyId: null, models: null });
+
+// Verifying against this when the user does not exist keeps a wrong user
+// name as slow as a wrong password.
+const DUMMY_HASH = 'scrypt:AAAAAAAAAAAAAAAAAAAAAA:AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA';
+
+export function authEnabled() {
+  return !!process.env.AUTH_SECRET;
+}
+
+function sessionTtl() {
+  const ttl = parseInt(process.env.AUTH_SESSION_TTL || '', 10);
+  return ttl > 0 ? ttl : DEFAULT_SESSION_TTL;
+}
+
+function bearerToken(req) {
+  const header = String(req.headers.authorization || '');
+  const m = /^Bearer\s+(\S+)$/i.exec(header);
+  return m ? m[1] : null;
+}
+
+// Resolves to { principal } or { status, error }.
+export async function authenticate(req) {
+  if (!authEnabled()) return { principal: ANONYMOUS };
+  const token = bearerToken(req);
+  if (!token) return { status: 401, error: 'Sign-in required' };
+
+  if (isApiKey(token)) {
+    const key = await verifyKey(token);
+    if (!key) return { status: 401, error: 'Invalid or revoked API key' };
+    return { principal: { id: key.user, role: 'user', via: 'key', keyId: key.id, models: key.models || null } };
+  }
+
+  const claims = verifySession(token, process.env.AUTH_SECRET);
+  const user = claims && findUser(claims.sub);
+  if (!user) return { status: 401, error: 'Session expired or invalid; please sign in again' };
+  return { principal: { id: user.id, role: user.role, via: 'session', keyId: null, models: null } };
+}
+
+export async function checkPassword(id, password) {
+  const user = findUser(String(id || ''));
+  const ok = await verifyPassword(String(password || ''), user ? user.password : DUMMY_HASH);
+  return ok && user ? user : null;
+}
+
+export function issueSession(user) {
+  const iat = Math.floor(Date.now() / 1000);
+  const exp = iat + sessionTtl();
+  return { token: signSession({ sub: user.id, iat, exp }, process.env.AUTH_SECRET), expiresAt: exp * 1000 };
+}
+
+export function canUseModel(principal, model) {
+  if (!principal.models) return true;
+  return principal.models.includes(`${model.provider}:${model.id}`) || principal.models.includes(model.id);
+}
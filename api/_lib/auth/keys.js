@@ -0,0 +1,146 @@
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { createRedisClient } from '../redis.js';
+import { hashKeySecret, keySecretMatches, randomToken } from './secrets.js';
+import { log } from '../log.js';
+
+// Team-issued API keys. A key is shown once, as "ck_<id>_<secret>"; only a
+// hash of the secret is stored, next to
+//   { id, name, user, models, createdAt, createdBy, revokedAt }
+// where `user` is who the key's requests are attributed to and `models`
+// (null for all) lists the models it may use, as "provider:id" or a bare id.
+//
+// Records live in a store chosen by AUTH_STORE: "file" (AUTH_KEYS_FILE,
+// default .data/keys.json), "redis" (AUTH_REDIS_URL or REDIS_URL) or
+// "memory", which forgets every key on restart.
+
+const KEY_FORMAT = /^ck_([0-9a-f]{16})_([\w-]{43})$/;
+
+function createMemoryKeyStore() {
+  const records = new Map();
+  return {
+    async get(id) { return records.get(id) || null; },
+    async put(record) { records.set(record.id, record); },
+    async list() { return [...records.values()]; }
+  };
+}
+
+function createFileKeyStore(path) {
+  let writing = Promise.resolve();
+
+  async function read() {
+    try {
+      const data = JSON.parse(await readFile(path, 'utf8'));
+      return data && typeof data === 'object' ? data : {};
+    } catch (err) {
+      if (err.code === 'ENOENT') return {};
+      throw err;
+    }
+  }
+
+  return {
+    async get(id) { return (await read())[id] || null; },
+    async list() { return Object.values(await read()); },
+    put(record) {
+      writing = writing.catch(() => {}).then(async () => {
+        const data = await read();
+        data[record.id] = record;
+        await mkdir(dirname(path), { recursive: true });
+        const tmp = `${path}.${process.pid}.tmp`;
+        await writeFile(tmp, JSON.stringify(data, null, 2));
+        await rename(tmp, path);
+      });
+      return writing;
+    }
+  };
+}
+
+function createRedisKeyStore(url, hash = 'celebra:keys') {
+  const client = createRedisClient(url);
+  return {
+    async get(id) {
+      const json = await client.command('HGET', hash, id);
+      return json ? JSON.parse(json) : null;
+    },
+    async put(record) {
+      await client.command('HSET', hash, record.id, JSON.stringify(record));
+    },
+    async list() {
+      const flat = await client.command('HGETALL', hash);
+      const out = [];
+      for (let i = 1; i < flat.length; i += 2) out.push(JSON.parse(flat[i]));
+      return out;
+    }
+  };
+}
+
+let store = null;
+let storeKind = null;
+
+function keyStore() {
+  const kind = (process.env.AUTH_STORE || 'file').toLowerCase();
+  if (store && storeKind === kind) return store;
+  if (kind === 'redis') {
+    const url = process.env.AUTH_REDIS_URL || process.env.REDIS_URL;
+    if (!url) throw new Error('AUTH_STORE=redis needs AUTH_REDIS_URL or REDIS_URL');
+    store = createRedisKeyStore(url);
+  } else if (kind === 'memory') {
+    store = createMemoryKeyStore();
+  } else {
+    if (kind !== 'file') log.warn('unknown AUTH_STORE; using file', { store: kind });
+    store = createFileKeyStore(process.env.AUTH_KEYS_FILE || '.data/keys.json');
+  }
+  storeKind = kind;
+  return store;
+}
+
+export function publicKey(record) {
+  const { hash, ...rest } = record;
+  return { ...rest, prefix: `ck_${record.id}` };
+}
+
+export async function createKey({ name, user, models = null, createdBy }) {
+  const id = randomBytes(8).toString('hex');
+  const secret = randomToken(32);
+  const record = {
+    id,
+    name,
+    user,
+    models,
+    hash: hashKeySecret(secret),
+    createdAt: new Date().toISOString(),
+    createdBy,
+    revokedAt: null
+  };
+  await keyStore().put(record);
+  return { key: `ck_${id}_${secret}`, record: publicKey(record) };
+}
+
+export async function revokeKey(id) {
+  const record = await keyStore().get(id);
+  if (!record) return null;
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    await keyStore().put(record);
+  }
+  return publicKey(record);
+}
+
+export async function listKeys() {
+  const records = await keyStore().list();
+  return records.map(publicKey).sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+}
+
+// Returns the key's record when `token` is a live key, otherwise null.
+export async function verifyKey(token) {
+  const m = KEY_FORMAT.exec(String(token || ''));
+  if (!m) return null;
+  const record = await keyStore().get(m[1]);
+  if (!record || record.revokedAt || !keySecretMatches(m[2], record.hash)) return null;
+  return record;
+}
+
+export function isApiKey(token) {
+  return String(token || '').startsWith('ck_');
+}
@@ -0,0 +1,70 @@
+import { scrypt, randomBytes, createHmac, createHash, timingSafeEqual } from 'node:crypto';
+
+// Password hashes, session tokens and API key hashes.
+
+const SCRYPT_KEYLEN = 32;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+function scryptAsync(password, salt) {
+  return new Promise((resolve, reject) => {
+    scrypt(password, salt, SCRYPT_KEYLEN, SCRYPT_PARAMS, (err, key) => err ? reject(err) : resolve(key));
+  });
+}
+
+function safeEqual(a, b) {
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+// Stored as "scrypt:<salt>:<hash>", both base64url.
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const key = await scryptAsync(String(password), salt);
+  return `scrypt:${salt.toString('base64url')}:${key.toString('base64url')}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const key = await scryptAsync(String(password), Buffer.from(salt, 'base64url'));
+  return safeEqual(key, Buffer.from(hash, 'base64url'));
+}
+
+// API keys carry 32 random bytes, so a plain SHA-256 is enough to store
+// them; a slow hash only matters for guessable secrets like passwords.
+export function hashKeySecret(secret) {
+  return createHash('sha256').update(String(secret)).digest('base64url');
+}
+
+export function keySecretMatches(secret, storedHash) {
+  return safeEqual(Buffer.from(hashKeySecret(secret)), Buffer.from(String(storedHash || '')));
+}
+
+export function randomToken(bytes = 32) {
+  return randomBytes(bytes).toString('base64url');
+}
+
+// Session tokens are "<payload>.<signature>": the payload is base64url
+// JSON { sub, iat, exp } and the signature an HMAC-SHA256 of it under
+// AUTH_SECRET. They are not encrypted, so they hold nothing secret.
+function sign(payload, secret) {
+  return createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+export function signSession(claims, secret) {
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+export function verifySession(token, secret, now = Date.now()) {
+  const [payload, signature, extra] = String(token || '').split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+  if (!safeEqual(Buffer.from(signature), Buffer.from(sign(payload, secret)))) return null;
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+  if (!claims || typeof claims.sub !== 'string' || !(claims.exp > now / 1000)) return null;
+  return claims;
+}
@@ -0,0 +1,37 @@
+import { readFileSync } from 'node:fs';
+import { log } from '../log.js';
+
+// Accounts for the sign-in form. They come from AUTH_USERS (inline JSON) or
+// AUTH_USERS_FILE (a path to a JSON file), as an array of
+//   { "id": "alice", "password": "scrypt:...", "role": "admin" | "user" }
+// Password hashes are made with scripts/hash-password.mjs.
+
+const USER_ID = /^[\w.@-]{1,64}$/;
+
+let cached = null;
+
+function readUsers() {
+  if (process.env.AUTH_USERS) return JSON.parse(process.env.AUTH_USERS);
+  if (process.env.AUTH_USERS_FILE) return JSON.parse(readFileSync(process.env.AUTH_USERS_FILE, 'utf8'));
+  return [];
+}
+
+export function listUsers() {
+  const source = process.env.AUTH_USERS || process.env.AUTH_USERS_FILE || '';
+  if (cached && cached.source === source) return cached.users;
+  const users = [];
+  const raw = readUsers();
+  for (const u of Array.isArray(raw) ? raw : []) {
+    if (!u || !USER_ID.test(String(u.id || '')) || typeof u.password !== 'string') {
+      log.warn('skipping invalid AUTH_USERS entry', { id: u && u.id });
+      continue;
+    }
+    users.push({ id: u.id, password: u.password, role: u.role === 'admin' ? 'admin' : 'user' });
+  }
+  cached = { source, users };
+  return users;
+}
+
+export function findUser(id) {
+  return listUsers().find(u => u.id === id) || null;
+}
@@ -0,0 +1,79 @@
+import { readFile } from 'node:fs/promises';
+import { DEFAULT_MODEL, normalizeModelEntry, withFallbackGraph } from '../../shared/models.js';
+import { normalizeRetryPolicy } from '../../shared/retry.js';
+import { getProvider, listConfiguredProviders } from './providers/index.js';
+import { log } from './log.js';
+
+// The model catalog is the allowlist for every proxy route: a model that is
+// not listed here is rejected before any provider is called.
+//
+// It is read from MODEL_CATALOG (inline JSON) or MODEL_CATALOG_FILE (a path
+// to a JSON file). Either holds an array of entries in the format described
+// in shared/models.js, or { "default": "<id>", "models": [...], "retry":
+// {...} } where retry overrides DEFAULT_RETRY_POLICY (shared/retry.js). Without
+// either, the catalog is built from the models each configured provider
+// lists. Entries for providers that are not configured are left out.
+
+export const MODEL_ID = /^[\w.:/-]{1,128}$/;
+
+const CACHE_TTL_MS = 60 * 1000;
+
+let cached = null;
+
+async function readConfig() {
+  if (process.env.MODEL_CATALOG) return JSON.parse(process.env.MODEL_CATALOG);
+  if (process.env.MODEL_CATALOG_FILE) return JSON.parse(await readFile(process.env.MODEL_CATALOG_FILE, 'utf8'));
+  return null;
+}
+
+async function fromProviders() {
+  const entries = [];
+  for (const provider of listConfiguredProviders()) {
+    const ids = await provider.listModels();
+    ids.forEach((id, i) => entries.push({ id, provider: provider.id, fallbackOrder: i }));
+  }
+  return entries;
+}
+
+async function buildCatalog() {
+  const config = await readConfig();
+  const list = config === null ? await fromProviders() : Array.isArray(config) ? config : config && config.models;
+  if (!Array.isArray(list)) throw new Error('Model catalog must be an array or { models: [...] }');
+
+  const models = [];
+  list.forEach((raw, i) => {
+    const entry = normalizeModelEntry(raw, i);
+    if (!entry || !MODEL_ID.test(entry.id)) {
+      log.warn('skipping invalid model catalog entry', { entry: raw });
+      return;
+    }
+    const provider = getProvider(entry.provider);
+    if (!provider) {
+      log.warn('skipping model with unknown provider', { model: entry.id, provider: entry.provider });
+      return;
+    }
+    if (!provider.isConfigured()) return;
+    if (models.some(m => m.provider === entry.provider && m.id === entry.id)) return;
+    models.push({ ...entry, providerLabel: provider.label });
+  });
+
+  const wanted = process.env.DEFAULT_MODEL || (config && !Array.isArray(config) && config.default) || DEFAULT_MODEL;
+  const fallback = models.find(m => m.id === wanted) || models[0] || null;
+  return {
+    models: withFallbackGraph(models),
+    default: fallback ? { provider: fallback.provider, id: fallback.id } : null,
+    retry: normalizeRetryPolicy(config && !Array.isArray(config) ? config.retry : null)
+  };
+}
+
+export async function loadCatalog() {
+  if (cached && Date.now() - cached.at < CACHE_TTL_MS) return cached.catalog;
+  const catalog = await buildCatalog();
+  cached = { at: Date.now(), catalog };
+  return catalog;
+}
+
+export async function findModel(providerId, modelId) {
+  const { models } = await loadCatalog();
+  return models.find(m => m.provider === providerId && m.id === modelId) || null;
+}
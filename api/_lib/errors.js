@@ -0,0 +1,86 @@
+import { errorInfo, upstreamErrorCode } from '../../shared/errors.js';
+import { redact } from './log.js';
+import { writeSSE } from './sse.js';
+
+// Builds and sends error responses in the contract described in
+// shared/errors.js. Upstream error text never reaches the browser unless
+// EXPOSE_UPSTREAM_ERRORS=true, and even then it is redacted like a log line.
+
+// Codes for the { status, error } results of the proxy's own request checks.
+const REQUEST_STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  405: 'METHOD_NOT_ALLOWED',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA',
+  429: 'QUOTA_EXCEEDED',
+  503: 'NOT_CONFIGURED'
+};
+
+export function codeForStatus(status) {
+  return REQUEST_STATUS_CODES[status] || (status >= 500 ? 'INTERNAL' : 'BAD_REQUEST');
+}
+
+export function exposeUpstreamErrors() {
+  return String(process.env.EXPOSE_UPSTREAM_ERRORS || 'false') === 'true';
+}
+
+// The body for `code`, plus its HTTP status. `error` defaults to the code's
+// user message; any other option (provider, scope, ...) is added as is.
+export function errorPayload(res, code, { error, userMessage, retryAfter = null, detail, status, ...extra } = {}) {
+  const info = errorInfo(code);
+  const body = {
+    error: error || info.userMessage,
+    code,
+    userMessage: userMessage || info.userMessage,
+    retryable: info.retryable,
+    retryAfter,
+    requestId: res.getHeader('X-Request-Id') || null,
+    ...extra
+  };
+  if (detail !== undefined && detail !== null && exposeUpstreamErrors()) body.detail = redact(detail);
+  return { status: status || info.status, body };
+}
+
+export function sendError(res, code, options = {}) {
+  const { status, body } = errorPayload(res, code, options);
+  if (body.retryAfter !== null) res.setHeader('Retry-After', String(body.retryAfter));
+  return res.status(status).json(body);
+}
+
+// Once a stream has started the status line is gone, so the error is sent
+// as an SSE "error" event carrying the status instead, and the stream ends.
+// Returns the status for the usage meter.
+export function sendStreamError(res, code, options = {}) {
+  const { status, body } = errorPayload(res, code, options);
+  writeSSE(res, { ...body, status }, 'error');
+  res.end();
+  return status;
+}
+
+// For the { status, error } results of _lib/validate.js and similar checks.
+export function sendInvalid(res, { status, error }) {
+  return sendError(res, codeForStatus(status), { error, status });
+}
+
+// The contract options for a ProviderError (see _lib/providers/http.js).
+// The summary names the provider and its status but leaves its message,
+// which can quote the request, to `detail`.
+export function providerErrorOptions(err) {
+  const code = upstreamErrorCode(err.code, err.status);
+  const upstream = [err.status ? `HTTP ${err.status}` : null, err.code].filter(Boolean).join(' ');
+  return {
+    code,
+    error: `${err.provider || 'Upstream'} request failed${upstream ? ` (${upstream})` : ''}`,
+    retryAfter: err.retryAfterMs !== null && err.retryAfterMs !== undefined ? Math.ceil(err.retryAfterMs / 1000) : null,
+    detail: err.message,
+    provider: err.provider
+  };
+}
+
+export function sendProviderError(res, err) {
+  const { code, ...options } = providerErrorOptions(err);
+  return sendError(res, code, options);
+}
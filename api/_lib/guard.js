@@ -0,0 +1,92 @@
+import { consume, quotasFor } from './ratelimit/index.js';
+import { authenticate } from './auth/index.js';
+import { log } from './log.js';
+import { sendError } from './errors.js';
+
+// Checks every proxy route runs before it spends an API key. Each returns
+// (or resolves to) true when the request may continue, or sends the error response itself
+// and returns false.
+
+// Headers the app reads, exposed for cross-origin callers.
+const EXPOSED_HEADERS = 'X-Request-Id, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After';
+
+export function checkOrigin(req, res) {
+  const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS;
+  const origin = req.headers.origin;
+  if (ALLOWED_ORIGINS) {
+    const allowed = ALLOWED_ORIGINS.split(',').map(s => s.trim()).filter(Boolean);
+    if (!allowed.includes(origin)) {
+      (req.log || log).warn('blocked origin', { origin });
+      sendError(res, 'ORIGIN_NOT_ALLOWED', { error: 'Origin not allowed' });
+      return false;
+    }
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Expose-Headers', EXPOSED_HEADERS);
+  }
+  return true;
+}
+
+// Resolves to the caller's principal (see _lib/auth), or to null after
+// sending 401 when authentication is on and the request has no valid token.
+export async function requireAuth(req, res) {
+  let result;
+  try {
+    result = await authenticate(req);
+  } catch (err) {
+    (req.log || log).error('authentication failed', { err });
+    sendError(res, 'INTERNAL', { error: 'Authentication is unavailable' });
+    return null;
+  }
+  if (result.principal) return result.principal;
+  res.setHeader('WWW-Authenticate', 'Bearer');
+  sendError(res, 'UNAUTHENTICATED', { error: result.error, status: result.status });
+  return null;
+}
+
+// The client's address. X-Forwarded-For is only trusted for the last
+// TRUST_PROXY hops (the proxies in front of this server append to it, so
+// entries further left are whatever the client chose to send). On Vercel
+// the platform's edge is one trusted hop.
+export function clientIp(req) {
+  const hops = parseInt(process.env.TRUST_PROXY || (process.env.VERCEL ? '1' : '0'), 10) || 0;
+  const socketIp = (req.socket && req.socket.remoteAddress) || 'unknown';
+  if (hops <= 0) return socketIp;
+  const chain = String(req.headers['x-forwarded-for'] || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (!chain.length) return socketIp;
+  return chain[Math.max(0, chain.length - hops)];
+}
+
+// Applies the per-IP, per-user and per-model quotas (see _lib/ratelimit).
+// `model` is the catalog entry the request is for and `user` the signed-in
+// user's id, when there is one. The RateLimit-* headers describe the quota
+// closest to running out. If the counter store is unreachable the request
+// is let through rather than taking the whole app down with it.
+export async function checkRateLimit(req, res, { model = null, user = null } = {}) {
+  let outcome;
+  try {
+    outcome = await consume(quotasFor({ ip: clientIp(req), user, model }));
+  } catch (err) {
+    (req.log || log).error('rate limit store error; request allowed', { err });
+    return true;
+  }
+  const { allowed, results } = outcome;
+  if (!results.length) return true;
+  const tightest = (allowed ? results : results.filter(r => !r.allowed))
+    .reduce((a, b) => (b.remaining < a.remaining || (b.remaining === a.remaining && b.resetMs > a.resetMs)) ? b : a);
+  const reset = Math.ceil(tightest.resetMs / 1000);
+  res.setHeader('RateLimit-Limit', String(tightest.limit));
+  res.setHeader('RateLimit-Remaining', String(tightest.remaining));
+  res.setHeader('RateLimit-Reset', String(reset));
+  res.setHeader('RateLimit-Policy', results.map(r => `${r.limit};w=${r.window}`).join(', '));
+  if (allowed) return true;
+
+  const busy = tightest.scope === 'model';
+  const message = busy ? `${model.label} is busy on this server. Try another model or wait ${reset} s.` : 'Rate limit exceeded';
+  sendError(res, busy ? 'MODEL_QUOTA_EXCEEDED' : 'QUOTA_EXCEEDED', {
+    error: message,
+    userMessage: busy ? message : undefined,
+    scope: tightest.scope,
+    retryAfter: reset
+  });
+  return false;
+}
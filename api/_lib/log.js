@@ -0,0 +1,140 @@
+import { randomUUID } from 'node:crypto';
+import { performance } from 'node:perf_hooks';
+
+// Structured logging for the proxy. Every line is one JSON object:
+//   { level, at, msg, requestId?, route?, ...fields }
+// Lines below LOG_LEVEL (debug | info | warn | error | silent; default
+// info) are dropped. Fields are redacted before they are written: anything
+// under a key that holds prompt content or credentials is replaced by its
+// length, and strings are scrubbed of API keys and bearer tokens, so a log
+// line can be shared without leaking a conversation or a secret.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const CONTENT_KEYS = /^(text|data|inlineData|prompt|contents?|parts|messages|system|systemInstruction|password|token|secret|apiKey|authorization|cookie|x-goog-api-key)$/i;
+
+const SECRET_PATTERNS = [
+  /\bAIza[\w-]{35}\b/g,
+  /\bck_[0-9a-f]{16}_[\w-]{43}\b/g,
+  /\bsk-[\w-]{20,}\b/g,
+  /\bBearer\s+[\w.~+/=-]+/gi,
+  /([?&](?:key|token)=)[^&\s"]+/gi
+];
+
+const MAX_STRING = 2000;
+const MAX_DEPTH = 6;
+
+function scrub(text) {
+  let out = text.length > MAX_STRING ? `${text.slice(0, MAX_STRING)}…` : text;
+  for (const pattern of SECRET_PATTERNS) {
+    out = out.replace(pattern, (match, prefix) => (typeof prefix === 'string' ? prefix : '') + '[redacted]');
+  }
+  return out;
+}
+
+function placeholder(value) {
+  if (typeof value === 'string') return `[redacted ${value.length} chars]`;
+  if (Array.isArray(value)) return `[redacted ${value.length} items]`;
+  return '[redacted]';
+}
+
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') return scrub(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[nested]';
+  if (value instanceof Error) {
+    const out = { name: value.name, message: scrub(String(value.message || '')) };
+    if (value.code) out.code = value.code;
+    if (value.status) out.status = value.status;
+    if (value.stack && threshold() <= LEVELS.debug) out.stack = scrub(value.stack);
+    if (value.cause) out.cause = redact(value.cause, depth + 1);
+    return out;
+  }
+  if (Array.isArray(value)) return value.map(v => redact(v, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = CONTENT_KEYS.test(k) && v !== null && v !== undefined ? placeholder(v) : redact(v, depth + 1);
+  }
+  return out;
+}
+
+// Upstream bodies are logged parsed when they are JSON, so redaction can
+// see the keys inside them.
+export function jsonOrText(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return String(text);
+  }
+}
+
+function threshold() {
+  const level = String(process.env.LOG_LEVEL || 'info').toLowerCase();
+  return level in LEVELS ? LEVELS[level] : LEVELS.info;
+}
+
+function write(level, context, msg, fields) {
+  if (LEVELS[level] < threshold()) return;
+  const line = JSON.stringify({ level, at: new Date().toISOString(), msg: scrub(String(msg)), ...context, ...redact(fields || {}) });
+  if (LEVELS[level] >= LEVELS.warn) console.error(line);
+  else console.log(line);
+}
+
+export function createLogger(context = {}) {
+  return {
+    debug: (msg, fields) => write('debug', context, msg, fields),
+    info: (msg, fields) => write('info', context, msg, fields),
+    warn: (msg, fields) => write('warn', context, msg, fields),
+    error: (msg, fields) => write('error', context, msg, fields),
+    child: (more) => createLogger({ ...context, ...more })
+  };
+}
+
+// For code that runs outside a request, such as loading the catalog.
+export const log = createLogger();
+
+const REQUEST_ID = /^[\w.:-]{8,128}$/;
+
+// Starts the log for one request. The id comes from an X-Request-Id set by
+// a proxy in front of us, or is made up, and is echoed back in the
+// response's X-Request-Id so a user's report can be matched to its lines.
+// When the response closes, one "request" line sums it up: status, total
+// duration, the spans timed with span(name) and whatever annotate() added.
+// The logger is also left on req.log for the shared helpers in _lib.
+export function startRequest(req, res, route) {
+  const incoming = String(req.headers['x-request-id'] || '');
+  const requestId = REQUEST_ID.test(incoming) ? incoming : randomUUID();
+  res.setHeader('X-Request-Id', requestId);
+
+  const logger = createLogger({ requestId, route });
+  const started = performance.now();
+  const spans = {};
+  const summary = {};
+  res.once('close', () => {
+    const status = res.statusCode;
+    logger[status >= 500 ? 'error' : 'info']('request', {
+      method: req.method,
+      status,
+      durationMs: Math.round(performance.now() - started),
+      aborted: !res.writableFinished,
+      spans,
+      ...summary
+    });
+  });
+
+  req.log = {
+    ...logger,
+    id: requestId,
+    // Returns a function that ends the span; repeated spans add up.
+    span(name) {
+      const t0 = performance.now();
+      return () => {
+        spans[name] = Math.round((spans[name] || 0) + performance.now() - t0);
+      };
+    },
+    annotate(fields) {
+      Object.assign(summary, fields);
+    }
+  };
+  return req.log;
+}
@@ -0,0 +1,134 @@
+import { toGeminiBody, fromGeminiResponse, normalizeSafetySettings, mergeCitations } from '../../../shared/gemini-format.js';
+import { postJSON } from './http.js';
+import { sseData } from '../sse.js';
+import { log } from '../log.js';
+
+const DEFAULT_BASE = 'https://generativelanguage.googleapis.com/v1beta';
+const DEFAULT_MODELS = ['gemini-2.5-pro', 'gemini-2.5-flash', 'gemini-2.5-flash-lite', 'gemini-2.0-flash', 'gemini-2.0-flash-lite'];
+
+// GEMINI_API_ENDPOINT predates the adapters and holds a full
+// generateContent URL; its base is still honoured.
+function baseUrl() {
+  if (process.env.GEMINI_API_BASE) return process.env.GEMINI_API_BASE.replace(/\/+$/, '');
+  const endpoint = process.env.GEMINI_API_ENDPOINT;
+  if (endpoint && /\/models\/[^/]+$/.test(endpoint)) return endpoint.replace(/\/models\/[^/]+$/, '');
+  return DEFAULT_BASE;
+}
+
+function methodUrl(model, method) {
+  return `${baseUrl()}/models/${encodeURIComponent(model)}:${method}`;
+}
+
+function headers() {
+  return { 'x-goog-api-key': process.env.GEMINI_API_KEY };
+}
+
+// The safety thresholds the server sends: GEMINI_SAFETY_SETTINGS (JSON in
+// either format normalizeSafetySettings accepts) for every Gemini model,
+// overridden per category by the model's catalog entry. Null leaves
+// Google's defaults in place.
+export function safetySettingsFor(modelSettings) {
+  let configured = null;
+  if (process.env.GEMINI_SAFETY_SETTINGS) {
+    try {
+      configured = normalizeSafetySettings(JSON.parse(process.env.GEMINI_SAFETY_SETTINGS));
+    } catch (err) {
+      log.warn('ignoring invalid GEMINI_SAFETY_SETTINGS', { err });
+    }
+  }
+  const merged = [...(modelSettings || [])];
+  for (const s of configured || []) {
+    if (!merged.some(m => m.category === s.category)) merged.push(s);
+  }
+  return merged.length ? merged : null;
+}
+
+// The knowledge base's embeddings (api/embed.js). Smaller vectors than the
+// model's default keep the chunks stored in the browser small.
+const DEFAULT_EMBEDDING_MODEL = 'gemini-embedding-001';
+const DEFAULT_EMBEDDING_DIMENSIONS = 768;
+
+export function embeddingModel() {
+  return process.env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL;
+}
+
+function embeddingDimensions() {
+  const n = parseInt(process.env.EMBEDDING_DIMENSIONS || '', 10);
+  return n > 0 ? n : DEFAULT_EMBEDDING_DIMENSIONS;
+}
+
+function requestBody(request) {
+  return toGeminiBody({ ...request, safetySettings: safetySettingsFor(request.safetySettings) });
+}
+
+export const geminiProvider = {
+  id: 'gemini',
+  label: 'Gemini',
+
+  isConfigured() {
+    return !!process.env.GEMINI_API_KEY;
+  },
+
+  async listModels() {
+    const configured = (process.env.GEMINI_MODELS || '').split(',').map(s => s.trim()).filter(Boolean);
+    return configured.length ? configured : DEFAULT_MODELS;
+  },
+
+  async generate(request, { signal } = {}) {
+    const r = await postJSON('gemini', methodUrl(request.model, 'generateContent'), {
+      headers: headers(), body: requestBody(request), signal
+    });
+    return fromGeminiResponse(await r.json());
+  },
+
+  async *stream(request, { signal } = {}) {
+    const r = await postJSON('gemini', methodUrl(request.model, 'streamGenerateContent') + '?alt=sse', {
+      headers: headers(), body: requestBody(request), signal
+    });
+    let finishReason = null;
+    let usage = null;
+    let safety = null;
+    const citations = [];
+    const functionCalls = [];
+    for await (const data of sseData(r.body)) {
+      let chunk;
+      try { chunk = JSON.parse(data); } catch (e) { continue; }
+      const parsed = fromGeminiResponse(chunk);
+      if (parsed.text) yield { text: parsed.text };
+      if (parsed.finishReason) finishReason = parsed.finishReason;
+      if (parsed.usage) usage = parsed.usage;
+      if (parsed.safety) safety = parsed.safety;
+      mergeCitations(citations, parsed.citations);
+      functionCalls.push(...parsed.functionCalls);
+    }
+    return { finishReason, usage, safety, citations, functionCalls };
+  },
+
+  // Resolves to { model, embeddings }, one vector per text. `task` is
+  // Gemini's taskType: RETRIEVAL_DOCUMENT for chunks, RETRIEVAL_QUERY for
+  // the message they are searched with.
+  async embed(texts, { task = 'RETRIEVAL_DOCUMENT', signal } = {}) {
+    const model = embeddingModel();
+    const outputDimensionality = embeddingDimensions();
+    const r = await postJSON('gemini', methodUrl(model, 'batchEmbedContents'), {
+      headers: headers(),
+      body: {
+        requests: texts.map(text => ({ model: `models/${model}`, content: { parts: [{ text }] }, taskType: task, outputDimensionality }))
+      },
+      signal
+    });
+    const json = await r.json();
+    return { model, embeddings: (json.embeddings || []).map(e => e.values || []) };
+  },
+
+  async countTokens(request, { signal } = {}) {
+    const body = toGeminiBody(request);
+    const r = await postJSON('gemini', methodUrl(request.model, 'countTokens'), {
+      headers: headers(),
+      body: { generateContentRequest: { model: `models/${request.model}`, ...body } },
+      signal
+    });
+    const json = await r.json();
+    return typeof json.totalTokens === 'number' ? json.totalTokens : null;
+  }
+};
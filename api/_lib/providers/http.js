@@ -0,0 +1,73 @@
+import { parseRetryAfter, geminiRetryDelay } from '../../../shared/retry.js';
+import { log, jsonOrText } from '../log.js';
+
+// Upstream HTTP plumbing shared by the provider adapters.
+
+// `code` is the upstream's own error code when it sends one (Gemini's
+// RESOURCE_EXHAUSTED, OpenAI's rate_limit_exceeded); `retryAfterMs` is how
+// long the upstream asked us to wait.
+export class ProviderError extends Error {
+  constructor(message, { status = 502, provider = null, body = null, code = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.provider = provider;
+    this.body = body;
+    this.code = code;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Reads an upstream error body. Gemini uses { error: { status, message,
+// details } }, OpenAI-compatible servers { error: { code, type, message } }
+// and Ollama { error }.
+function upstreamError(text) {
+  try {
+    const parsed = JSON.parse(text);
+    const err = parsed && parsed.error;
+    if (err && typeof err.message === 'string') {
+      const code = typeof err.status === 'string' ? err.status
+        : typeof err.code === 'string' ? err.code
+        : typeof err.type === 'string' ? err.type : null;
+      return {
+        message: err.status ? `${err.status}: ${err.message}` : err.message,
+        code,
+        retryAfterMs: geminiRetryDelay(err)
+      };
+    }
+    if (typeof err === 'string') return { message: err, code: null, retryAfterMs: null };
+  } catch (e) {}
+  return { message: String(text || '').slice(0, 500), code: null, retryAfterMs: null };
+}
+
+export async function postJSON(provider, url, { headers = {}, body, signal }) {
+  let r;
+  try {
+    r = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal
+    });
+  } catch (err) {
+    if (signal && signal.aborted) throw err;
+    throw new ProviderError(`Could not reach ${provider}: ${err.message}`, { status: 502, provider });
+  }
+  if (!r.ok) {
+    const text = await r.text();
+    log.debug('upstream error body', { provider, status: r.status, body: jsonOrText(text) });
+    const { message, code, retryAfterMs } = upstreamError(text);
+    throw new ProviderError(message || `HTTP ${r.status}`, {
+      status: r.status,
+      provider,
+      body: text,
+      code,
+      retryAfterMs: parseRetryAfter(r.headers.get('retry-after')) ?? retryAfterMs
+    });
+  }
+  return r;
+}
+
+export function decodeBase64Text(data) {
+  return Buffer.from(String(data || ''), 'base64').toString('utf8');
+}
@@ -0,0 +1,27 @@
+import { geminiProvider } from './gemini.js';
+import { openaiProvider } from './openai.js';
+import { ollamaProvider } from './ollama.js';
+
+export { ProviderError } from './http.js';
+
+// Every adapter implements the same interface:
+//   id, label
+//   isConfigured()                 -> boolean, from environment variables
+//   listModels()                   -> Promise<string[]>
+//   generate(request, { signal })  -> Promise<{ text, finishReason, usage }>
+//   stream(request, { signal })    -> async generator yielding { text } deltas
+//                                     and returning { finishReason, usage }
+//   countTokens(request, { signal }) (optional) -> Promise<number | null>
+// `request` is the provider-neutral format described in shared/gemini-format.js.
+
+const PROVIDERS = [geminiProvider, openaiProvider, ollamaProvider];
+
+export const DEFAULT_PROVIDER = 'gemini';
+
+export function getProvider(id) {
+  return PROVIDERS.find(p => p.id === id) || null;
+}
+
+export function listConfiguredProviders() {
+  return PROVIDERS.filter(p => p.isConfigured());
+}
@@ -0,0 +1,91 @@
+import { postJSON, decodeBase64Text } from './http.js';
+import { ndjsonLines } from '../sse.js';
+import { log } from '../log.js';
+
+// A local Ollama server (https://ollama.com), for offline development or
+// when conversations must not leave the machine.
+
+const PDF_NOTE = '[A PDF was attached here, but this model cannot read PDFs.]';
+const TAGS_TIMEOUT_MS = 2000;
+
+function baseUrl() {
+  return (process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/+$/, '');
+}
+
+function toOllamaMessage(m) {
+  const texts = [];
+  const images = [];
+  for (const p of m.parts || []) {
+    if (typeof p.text === 'string') texts.push(p.text);
+    else if (p.inlineData && p.inlineData.mimeType.startsWith('image/')) images.push(p.inlineData.data);
+    else if (p.inlineData && p.inlineData.mimeType === 'text/plain') texts.push(decodeBase64Text(p.inlineData.data));
+    else if (p.inlineData) texts.push(PDF_NOTE);
+  }
+  const out = { role: m.role === 'assistant' ? 'assistant' : 'user', content: texts.join('\n\n') };
+  if (images.length) out.images = images;
+  return out;
+}
+
+function toOllamaBody(request, stream) {
+  const messages = [];
+  if (request.system) messages.push({ role: 'system', content: request.system });
+  for (const m of request.messages) messages.push(toOllamaMessage(m));
+  const config = request.generationConfig || {};
+  const options = {};
+  if (config.temperature !== undefined) options.temperature = config.temperature;
+  if (config.topP !== undefined) options.top_p = config.topP;
+  if (config.topK !== undefined) options.top_k = config.topK;
+  if (config.maxOutputTokens !== undefined) options.num_predict = config.maxOutputTokens;
+  return { model: request.model, messages, stream, options };
+}
+
+function toResult(json) {
+  return {
+    finishReason: json.done_reason === 'length' ? 'length' : json.done ? 'stop' : null,
+    usage: json.done ? { inputTokens: json.prompt_eval_count || 0, outputTokens: json.eval_count || 0 } : null
+  };
+}
+
+export const ollamaProvider = {
+  id: 'ollama',
+  label: 'Ollama (local)',
+
+  isConfigured() {
+    return !!(process.env.OLLAMA_BASE_URL || process.env.OLLAMA_MODELS);
+  },
+
+  // Without OLLAMA_MODELS, offer whatever models the server has pulled.
+  async listModels() {
+    const configured = (process.env.OLLAMA_MODELS || '').split(',').map(s => s.trim()).filter(Boolean);
+    if (configured.length) return configured;
+    try {
+      const r = await fetch(`${baseUrl()}/api/tags`, { signal: AbortSignal.timeout(TAGS_TIMEOUT_MS) });
+      if (!r.ok) return [];
+      const json = await r.json();
+      return Array.isArray(json.models) ? json.models.map(m => m.name).filter(Boolean) : [];
+    } catch (e) {
+      log.warn('could not list Ollama models', { err: e });
+      return [];
+    }
+  },
+
+  async generate(request, { signal } = {}) {
+    const r = await postJSON('ollama', `${baseUrl()}/api/chat`, { body: toOllamaBody(request, false), signal });
+    const json = await r.json();
+    return { text: (json.message && json.message.content) || '', ...toResult(json) };
+  },
+
+  async *stream(request, { signal } = {}) {
+    const r = await postJSON('ollama', `${baseUrl()}/api/chat`, { body: toOllamaBody(request, true), signal });
+    let result = { finishReason: null, usage: null };
+    for await (const line of ndjsonLines(r.body)) {
+      let chunk;
+      try { chunk = JSON.parse(line); } catch (e) { continue; }
+      if (chunk.error) throw new Error(String(chunk.error));
+      const delta = chunk.message && chunk.message.content;
+      if (delta) yield { text: delta };
+      if (chunk.done) result = toResult(chunk);
+    }
+    return result;
+  }
+};
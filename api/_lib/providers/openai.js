@@ -0,0 +1,104 @@
+import { postJSON, decodeBase64Text } from './http.js';
+import { sseData } from '../sse.js';
+
+// Any server speaking the OpenAI Chat Completions API: OpenAI itself, or
+// self-hosted gateways such as vLLM, LM Studio or LiteLLM.
+
+const FINISH_REASONS = { stop: 'stop', length: 'length', content_filter: 'safety' };
+const PDF_NOTE = '[A PDF was attached here, but this model cannot read PDFs.]';
+
+function baseUrl() {
+  return (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+}
+
+function headers() {
+  return process.env.OPENAI_API_KEY ? { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` } : {};
+}
+
+function toContent(parts) {
+  const out = [];
+  for (const p of parts || []) {
+    if (typeof p.text === 'string') {
+      out.push({ type: 'text', text: p.text });
+    } else if (p.inlineData && p.inlineData.mimeType.startsWith('image/')) {
+      out.push({ type: 'image_url', image_url: { url: `data:${p.inlineData.mimeType};base64,${p.inlineData.data}` } });
+    } else if (p.inlineData && p.inlineData.mimeType === 'text/plain') {
+      out.push({ type: 'text', text: decodeBase64Text(p.inlineData.data) });
+    } else if (p.inlineData) {
+      out.push({ type: 'text', text: PDF_NOTE });
+    }
+  }
+  // Plain strings are the most widely supported form, so only use the
+  // array form when the message actually carries an image.
+  if (out.every(c => c.type === 'text')) return out.map(c => c.text).join('\n\n');
+  return out;
+}
+
+function toOpenAIBody(request, stream) {
+  const messages = [];
+  if (request.system) messages.push({ role: 'system', content: request.system });
+  for (const m of request.messages) {
+    messages.push({ role: m.role === 'assistant' ? 'assistant' : 'user', content: toContent(m.parts) });
+  }
+  const body = { model: request.model, messages, stream };
+  const config = request.generationConfig || {};
+  if (config.temperature !== undefined) body.temperature = config.temperature;
+  if (config.topP !== undefined) body.top_p = config.topP;
+  if (config.maxOutputTokens !== undefined) body.max_tokens = config.maxOutputTokens;
+  if (stream) body.stream_options = { include_usage: true };
+  return body;
+}
+
+function toUsage(usage) {
+  return usage ? { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 } : null;
+}
+
+function toFinishReason(reason) {
+  return reason ? (FINISH_REASONS[reason] || 'other') : null;
+}
+
+export const openaiProvider = {
+  id: 'openai',
+  label: process.env.OPENAI_LABEL || 'OpenAI-compatible',
+
+  isConfigured() {
+    return !!(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL);
+  },
+
+  async listModels() {
+    return (process.env.OPENAI_MODELS || '').split(',').map(s => s.trim()).filter(Boolean);
+  },
+
+  async generate(request, { signal } = {}) {
+    const r = await postJSON('openai', `${baseUrl()}/chat/completions`, {
+      headers: headers(), body: toOpenAIBody(request, false), signal
+    });
+    const json = await r.json();
+    const choice = json && Array.isArray(json.choices) ? json.choices[0] : null;
+    const content = choice && choice.message ? choice.message.content : '';
+    return {
+      text: typeof content === 'string' ? content : '',
+      finishReason: toFinishReason(choice && choice.finish_reason),
+      usage: toUsage(json && json.usage)
+    };
+  },
+
+  async *stream(request, { signal } = {}) {
+    const r = await postJSON('openai', `${baseUrl()}/chat/completions`, {
+      headers: headers(), body: toOpenAIBody(request, true), signal
+    });
+    let finishReason = null;
+    let usage = null;
+    for await (const data of sseData(r.body)) {
+      if (data.trim() === '[DONE]') break;
+      let chunk;
+      try { chunk = JSON.parse(data); } catch (e) { continue; }
+      const choice = Array.isArray(chunk.choices) ? chunk.choices[0] : null;
+      const delta = choice && choice.delta && choice.delta.content;
+      if (typeof delta === 'string' && delta) yield { text: delta };
+      if (choice && choice.finish_reason) finishReason = toFinishReason(choice.finish_reason);
+      if (chunk.usage) usage = toUsage(chunk.usage);
+    }
+    return { finishReason, usage };
+  }
+};
@@ -0,0 +1,78 @@
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { log } from '../log.js';
+
+// Counters kept in a JSON file, for a single self-hosted server process.
+// Reads are served from memory; changes are written back at most once per
+// FLUSH_DELAY_MS through a temporary file and a rename, so a crash never
+// leaves a half-written file behind.
+
+const FLUSH_DELAY_MS = 1000;
+
+export function createFileStore(path) {
+  let counters = null;
+  let loading = null;
+  let flushTimer = null;
+  let writing = Promise.resolve();
+
+  async function load() {
+    if (counters) return counters;
+    if (!loading) {
+      loading = readFile(path, 'utf8')
+        .then(text => JSON.parse(text))
+        .catch(err => {
+          if (err.code !== 'ENOENT') log.warn('could not read rate limit file; starting empty', { path, err });
+          return {};
+        })
+        .then(data => {
+          counters = new Map(Object.entries(data && typeof data === 'object' ? data : {}));
+          return counters;
+        });
+    }
+    return loading;
+  }
+
+  function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      writing = writing.then(flush).catch(err => log.error('could not write rate limit file', { path, err }));
+    }, FLUSH_DELAY_MS);
+    if (typeof flushTimer.unref === 'function') flushTimer.unref();
+  }
+
+  async function flush() {
+    const now = Date.now();
+    const data = {};
+    for (const [key, entry] of counters) {
+      if (entry.expiresAt > now) data[key] = entry;
+      else counters.delete(key);
+    }
+    await mkdir(dirname(path), { recursive: true });
+    const tmp = `${path}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify(data));
+    await rename(tmp, path);
+  }
+
+  return {
+    async get(keys) {
+      const map = await load();
+      const now = Date.now();
+      return keys.map(k => {
+        const entry = map.get(k);
+        return entry && entry.expiresAt > now ? entry.count : 0;
+      });
+    },
+
+    async incr(key, ttlMs) {
+      const map = await load();
+      const now = Date.now();
+      let entry = map.get(key);
+      if (!entry || entry.expiresAt <= now) entry = { count: 0, expiresAt: now + ttlMs };
+      entry.count++;
+      map.set(key, entry);
+      scheduleFlush();
+      return entry.count;
+    }
+  };
+}
@@ -0,0 +1,106 @@
+import { createMemoryStore } from './memory.js';
+import { createFileStore } from './file.js';
+import { createRedisStore } from './redis.js';
+import { log } from '../log.js';
+
+// Sliding-window rate limiting over a pluggable counter store.
+//
+// A store implements two calls:
+//   get(keys)          -> Promise<number[]>, 0 for missing or expired keys
+//   incr(key, ttlMs)   -> Promise<number>, creating the key with that TTL
+// Memory, a JSON file and Redis are built in (RATE_LIMIT_STORE).
+//
+// Each quota counts requests in fixed windows and estimates the sliding
+// window as the current count plus the previous window's count weighted by
+// how much of it still overlaps. That needs two counters per key and no
+// atomic scripts, so any of the stores can back it.
+
+let store = null;
+let storeKind = null;
+
+function storeFromEnv() {
+  const kind = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+  if (store && storeKind === kind) return store;
+  if (kind === 'file') {
+    store = createFileStore(process.env.RATE_LIMIT_FILE || '.data/ratelimit.json');
+  } else if (kind === 'redis') {
+    const url = process.env.RATE_LIMIT_REDIS_URL || process.env.REDIS_URL;
+    if (!url) throw new Error('RATE_LIMIT_STORE=redis needs RATE_LIMIT_REDIS_URL or REDIS_URL');
+    store = createRedisStore(url);
+  } else {
+    if (kind !== 'memory') log.warn('unknown RATE_LIMIT_STORE; using memory', { store: kind });
+    store = createMemoryStore();
+  }
+  storeKind = kind;
+  return store;
+}
+
+export function setRateLimitStore(custom) {
+  store = custom;
+  storeKind = custom ? (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase() : null;
+}
+
+function envQuota(maxVar, windowVar, fallbackMax, fallbackWindow) {
+  const max = parseInt(process.env[maxVar] || String(fallbackMax), 10);
+  const window = parseInt(process.env[windowVar] || String(fallbackWindow), 10);
+  return max > 0 && window > 0 ? { max, window } : null;
+}
+
+// The quotas that apply to one request. A model's own `rateLimit` in the
+// catalog takes precedence over RATE_LIMIT_MODEL_*.
+export function quotasFor({ ip, user, model }) {
+  const quotas = [];
+  const ipQuota = envQuota('RATE_LIMIT_MAX', 'RATE_LIMIT_WINDOW', 60, 3600);
+  if (ip && ipQuota) quotas.push({ scope: 'ip', key: `ip:${ip}`, ...ipQuota });
+  const userQuota = envQuota('RATE_LIMIT_USER_MAX', 'RATE_LIMIT_USER_WINDOW',
+    process.env.RATE_LIMIT_MAX || 60, process.env.RATE_LIMIT_WINDOW || 3600);
+  if (user && userQuota) quotas.push({ scope: 'user', key: `user:${user}`, ...userQuota });
+  if (model) {
+    const modelQuota = model.rateLimit || envQuota('RATE_LIMIT_MODEL_MAX', 'RATE_LIMIT_MODEL_WINDOW', 0, 60);
+    if (modelQuota) quotas.push({ scope: 'model', key: `model:${model.provider}:${model.id}`, ...modelQuota });
+  }
+  return quotas;
+}
+
+// How long until one more request fits, given the counts of the previous
+// and current window and how far into the current window we are.
+function waitMs(prev, cur, max, elapsed, windowMs) {
+  if (cur + 1 <= max && prev > 0) {
+    const fraction = 1 - elapsed - (max - 1 - cur) / prev;
+    return Math.max(0, Math.ceil(fraction * windowMs));
+  }
+  const rest = (1 - elapsed) * windowMs;
+  if (cur === 0) return Math.ceil(rest);
+  return Math.ceil(rest + Math.max(0, 1 - (max - 1) / cur) * windowMs);
+}
+
+// Checks every quota and, only when all of them allow the request, counts
+// it against each. Returns { allowed, results } where each result is
+// { scope, limit, window, remaining, resetMs }.
+export async function consume(quotas, now = Date.now()) {
+  if (!quotas.length) return { allowed: true, results: [] };
+  const s = storeFromEnv();
+  const slots = quotas.map(q => {
+    const windowMs = q.window * 1000;
+    const index = Math.floor(now / windowMs);
+    return { q, windowMs, elapsed: (now % windowMs) / windowMs, current: `${q.key}:${index}`, previous: `${q.key}:${index - 1}` };
+  });
+  const counts = await s.get(slots.flatMap(sl => [sl.current, sl.previous]));
+  const results = slots.map((sl, i) => {
+    const cur = counts[i * 2];
+    const prev = counts[i * 2 + 1];
+    const estimate = prev * (1 - sl.elapsed) + cur;
+    const allowed = estimate + 1 <= sl.q.max;
+    return {
+      scope: sl.q.scope,
+      limit: sl.q.max,
+      window: sl.q.window,
+      allowed,
+      remaining: Math.max(0, Math.floor(sl.q.max - estimate - (allowed ? 1 : 0))),
+      resetMs: allowed ? Math.ceil((1 - sl.elapsed) * sl.windowMs) : waitMs(prev, cur, sl.q.max, sl.elapsed, sl.windowMs)
+    };
+  });
+  const allowed = results.every(r => r.allowed);
+  if (allowed) await Promise.all(slots.map(sl => s.incr(sl.current, sl.windowMs * 2)));
+  return { allowed, results };
+}
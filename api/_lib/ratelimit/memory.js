@@ -0,0 +1,35 @@
+// Counters in this process's memory. They reset on every cold start and are
+// not shared between serverless instances, so this is only a floor; use the
+// file or Redis store where limits must hold.
+
+export function createMemoryStore() {
+  const counters = new Map();
+
+  function live(key, now) {
+    const entry = counters.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now) {
+      counters.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  return {
+    async get(keys) {
+      const now = Date.now();
+      return keys.map(k => {
+        const entry = live(k, now);
+        return entry ? entry.count : 0;
+      });
+    },
+
+    async incr(key, ttlMs) {
+      const now = Date.now();
+      const entry = live(key, now) || { count: 0, expiresAt: now + ttlMs };
+      entry.count++;
+      counters.set(key, entry);
+      return entry.count;
+    }
+  };
+}
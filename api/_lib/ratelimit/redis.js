@@ -0,0 +1,21 @@
+import { createRedisClient } from '../redis.js';
+
+// Counters in Redis. Only MGET, INCR and PEXPIRE are used, so any
+// Redis-compatible server will do.
+
+export function createRedisStore(url, { prefix = 'celebra:rl:' } = {}) {
+  const client = createRedisClient(url);
+  return {
+    async get(keys) {
+      if (!keys.length) return [];
+      const values = await client.command('MGET', ...keys.map(k => prefix + k));
+      return values.map(v => parseInt(v, 10) || 0);
+    },
+
+    async incr(key, ttlMs) {
+      const count = await client.command('INCR', prefix + key);
+      if (count === 1) await client.command('PEXPIRE', prefix + key, ttlMs);
+      return count;
+    }
+  };
+}
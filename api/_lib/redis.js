@@ -0,0 +1,154 @@
+import net from 'node:net';
+import tls from 'node:tls';
+
+// A minimal client for Redis or anything that speaks its protocol (Valkey,
+// KeyDB, Upstash's Redis endpoint, or a local stand-in in tests). It is a
+// RESP2 implementation over one connection, so the proxy needs no extra
+// dependency; AUTH and SELECT are sent from the URL on connect. Replies
+// arrive in command order, which is what lets a plain FIFO queue match them
+// to their callers.
+
+const CONNECT_TIMEOUT_MS = 2000;
+const COMMAND_TIMEOUT_MS = 1000;
+
+function encode(args) {
+  let out = `*${args.length}\r\n`;
+  for (const a of args) {
+    const s = String(a);
+    out += `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+  }
+  return out;
+}
+
+// Parses one reply starting at `offset`; returns null when the buffer does
+// not hold all of it yet.
+function parseReply(buf, offset) {
+  const lineEnd = buf.indexOf('\r\n', offset);
+  if (lineEnd < 0) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+  if (type === '+') return { value: line, next };
+  if (type === '-') return { value: new Error(line), next };
+  if (type === ':') return { value: parseInt(line, 10), next };
+  if (type === '$') {
+    const len = parseInt(line, 10);
+    if (len < 0) return { value: null, next };
+    if (buf.length < next + len + 2) return null;
+    return { value: buf.toString('utf8', next, next + len), next: next + len + 2 };
+  }
+  if (type === '*') {
+    const count = parseInt(line, 10);
+    if (count < 0) return { value: null, next };
+    const items = [];
+    let pos = next;
+    for (let i = 0; i < count; i++) {
+      const item = parseReply(buf, pos);
+      if (!item) return null;
+      items.push(item.value);
+      pos = item.next;
+    }
+    return { value: items, next: pos };
+  }
+  throw new Error(`Unexpected RESP reply type "${type}"`);
+}
+
+export function createRedisClient(url) {
+  const target = new URL(url);
+  let socket = null;
+  let ready = null;
+  let buffer = Buffer.alloc(0);
+  let pending = [];
+
+  function fail(err) {
+    const waiting = pending;
+    pending = [];
+    socket = null;
+    ready = null;
+    buffer = Buffer.alloc(0);
+    for (const p of waiting) p.reject(err);
+  }
+
+  function onData(chunk) {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    let offset = 0;
+    while (offset < buffer.length && pending.length) {
+      let reply;
+      try {
+        reply = parseReply(buffer, offset);
+      } catch (err) {
+        socket.destroy(err);
+        return;
+      }
+      if (!reply) break;
+      offset = reply.next;
+      const p = pending.shift();
+      if (reply.value instanceof Error) p.reject(reply.value);
+      else p.resolve(reply.value);
+    }
+    buffer = buffer.subarray(offset);
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        if (socket) socket.destroy(new Error(`Redis command timed out: ${args[0]}`));
+      }, COMMAND_TIMEOUT_MS);
+      pending.push({
+        resolve: (v) => { clearTimeout(timer); resolve(v); },
+        reject: (e) => { clearTimeout(timer); reject(e); }
+      });
+      socket.write(encode(args));
+    });
+  }
+
+  function connect() {
+    if (ready) return ready;
+    ready = new Promise((resolve, reject) => {
+      const port = Number(target.port) || 6379;
+      const host = target.hostname || '127.0.0.1';
+      const s = target.protocol === 'rediss:'
+        ? tls.connect({ host, port, servername: host })
+        : net.connect({ host, port });
+      socket = s;
+      s.setNoDelay(true);
+      s.setTimeout(CONNECT_TIMEOUT_MS, () => s.destroy(new Error('Redis connection timed out')));
+      s.on('data', onData);
+      // A socket that has been replaced must not fail the commands waiting
+      // on the one that replaced it.
+      s.on('error', (err) => {
+        reject(err);
+        if (socket === s) fail(err);
+      });
+      s.on('close', () => { if (socket === s) fail(new Error('Redis connection closed')); });
+      s.once(target.protocol === 'rediss:' ? 'secureConnect' : 'connect', async () => {
+        s.setTimeout(0);
+        try {
+          const password = decodeURIComponent(target.password || '');
+          const username = decodeURIComponent(target.username || '');
+          if (password) await send(username ? ['AUTH', username, password] : ['AUTH', password]);
+          const db = target.pathname.replace(/^\//, '');
+          if (db) await send(['SELECT', db]);
+          resolve();
+        } catch (err) {
+          s.destroy(err);
+          reject(err);
+        }
+      });
+    });
+    return ready;
+  }
+
+  return {
+    async command(...args) {
+      await connect();
+      return send(args);
+    },
+
+    close() {
+      if (socket) socket.end();
+      socket = null;
+      ready = null;
+    }
+  };
+}
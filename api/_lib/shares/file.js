@@ -0,0 +1,61 @@
+import { readFile, writeFile, rename, mkdir, readdir, unlink } from 'node:fs/promises';
+import { join } from 'node:path';
+import { log } from '../log.js';
+
+// One JSON file per share in a directory, for a self-hosted server. Share
+// ids are checked by the route before they get here, so they are safe as
+// file names. Expired shares are deleted when they are opened and by a
+// sweep at most once per SWEEP_INTERVAL_MS when a share is added.
+
+const SWEEP_INTERVAL_MS = 3600 * 1000;
+
+export function createFileShareStore(dir) {
+  let lastSweep = 0;
+
+  const fileFor = (id) => join(dir, `${id}.json`);
+
+  async function removeFile(path) {
+    try {
+      await unlink(path);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+
+  async function sweep(now) {
+    lastSweep = now;
+    for (const name of await readdir(dir)) {
+      if (!name.endsWith('.json')) continue;
+      try {
+        const record = JSON.parse(await readFile(join(dir, name), 'utf8'));
+        if (record.expiresAt !== null && record.expiresAt <= now) await removeFile(join(dir, name));
+      } catch (err) {
+        log.warn('could not check shared conversation for expiry', { file: name, err });
+      }
+    }
+  }
+
+  return {
+    async get(id) {
+      try {
+        return JSON.parse(await readFile(fileFor(id), 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async put(record) {
+      await mkdir(dir, { recursive: true });
+      const tmp = `${fileFor(record.id)}.${process.pid}.tmp`;
+      await writeFile(tmp, JSON.stringify(record));
+      await rename(tmp, fileFor(record.id));
+      const now = Date.now();
+      if (now - lastSweep > SWEEP_INTERVAL_MS) sweep(now).catch(err => log.warn('share sweep failed', { dir, err }));
+    },
+
+    remove(id) {
+      return removeFile(fileFor(id));
+    }
+  };
+}
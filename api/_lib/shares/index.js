@@ -0,0 +1,107 @@
+import { createMemoryShareStore } from './memory.js';
+import { createFileShareStore } from './file.js';
+import { createSqliteShareStore } from './sqlite.js';
+import { createRedisShareStore } from './redis.js';
+import { hashKeySecret, keySecretMatches, randomToken } from '../auth/secrets.js';
+import { log } from '../log.js';
+
+// Read-only snapshots of conversations behind unguessable links. A share is
+//   { id, title, messages, attachments, createdAt, expiresAt, owner, tokenHash }
+// where `id` (22 random base64url characters) is the only thing a link
+// holds, `expiresAt` is a timestamp in ms or null, `owner` the principal
+// that shared it and `tokenHash` the hash of the revoke token, which is
+// only shown to whoever created the share.
+//
+// A store implements three calls:
+//   get(id)        -> Promise<record | null>
+//   put(record)    -> Promise
+//   remove(id)     -> Promise
+// "file" (SHARE_DIR, default .data/shares; the default), "sqlite"
+// (SHARE_SQLITE_FILE), "redis" (SHARE_REDIS_URL or REDIS_URL) and "memory"
+// are built in (SHARE_STORE); "off" disables sharing.
+
+export const SHARE_ID = /^[\w-]{22}$/;
+
+let store = null;
+let storeKind = null;
+
+function storeFromEnv() {
+  const kind = (process.env.SHARE_STORE || 'file').toLowerCase();
+  if (storeKind === kind) return store;
+  if (kind === 'off') {
+    store = null;
+  } else if (kind === 'sqlite') {
+    store = createSqliteShareStore(process.env.SHARE_SQLITE_FILE || '.data/shares.sqlite');
+  } else if (kind === 'redis') {
+    const url = process.env.SHARE_REDIS_URL || process.env.REDIS_URL;
+    if (!url) throw new Error('SHARE_STORE=redis needs SHARE_REDIS_URL or REDIS_URL');
+    store = createRedisShareStore(url);
+  } else if (kind === 'memory') {
+    store = createMemoryShareStore();
+  } else {
+    if (kind !== 'file') log.warn('unknown SHARE_STORE; using file', { store: kind });
+    store = createFileShareStore(process.env.SHARE_DIR || '.data/shares');
+  }
+  storeKind = kind;
+  return store;
+}
+
+export function setShareStore(custom) {
+  store = custom;
+  storeKind = custom ? (process.env.SHARE_STORE || 'file').toLowerCase() : null;
+}
+
+export function sharingEnabled() {
+  return (process.env.SHARE_STORE || '').toLowerCase() !== 'off';
+}
+
+function publicShare(record) {
+  const { owner, tokenHash, ...rest } = record;
+  return rest;
+}
+
+// Stores a snapshot and returns { share, revokeToken }.
+export async function createShare({ title, messages, attachments, expiresAt, owner }) {
+  const revokeToken = randomToken(32);
+  const record = {
+    id: randomToken(16),
+    title,
+    messages,
+    attachments,
+    createdAt: Date.now(),
+    expiresAt,
+    owner,
+    tokenHash: hashKeySecret(revokeToken)
+  };
+  await storeFromEnv().put(record);
+  return { share: publicShare(record), revokeToken };
+}
+
+async function liveRecord(id) {
+  const record = await storeFromEnv().get(id);
+  if (!record) return null;
+  if (record.expiresAt !== null && record.expiresAt <= Date.now()) {
+    await storeFromEnv().remove(id);
+    return null;
+  }
+  return record;
+}
+
+// The share as anyone with the link sees it, or null once it has expired
+// or been revoked.
+export async function getShare(id) {
+  const record = await liveRecord(id);
+  return record ? publicShare(record) : null;
+}
+
+// Deletes the share when `revokeToken` is its token or `principal` owns it
+// (or is an admin). Resolves to 'revoked', 'forbidden' or 'missing'.
+export async function revokeShare(id, { revokeToken, principal }) {
+  const record = await liveRecord(id);
+  if (!record) return 'missing';
+  const byToken = !!revokeToken && keySecretMatches(revokeToken, record.tokenHash);
+  const byOwner = !!principal && principal.id !== null && (principal.id === record.owner || principal.role === 'admin');
+  if (!byToken && !byOwner) return 'forbidden';
+  await storeFromEnv().remove(id);
+  return 'revoked';
+}
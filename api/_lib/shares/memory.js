@@ -0,0 +1,22 @@
+// Shares in this process's memory. They are lost on every cold start and
+// are not seen by other serverless instances, so this is only for trying
+// the feature out.
+
+export function createMemoryShareStore() {
+  const records = new Map();
+
+  function sweep(now) {
+    for (const [id, record] of records) {
+      if (record.expiresAt !== null && record.expiresAt <= now) records.delete(id);
+    }
+  }
+
+  return {
+    async get(id) { return records.get(id) || null; },
+    async put(record) {
+      sweep(Date.now());
+      records.set(record.id, record);
+    },
+    async remove(id) { records.delete(id); }
+  };
+}
@@ -0,0 +1,22 @@
+import { createRedisClient } from '../redis.js';
+
+// Shares in Redis, one key each. Redis drops a share by itself when it
+// expires, and every serverless instance sees the same shares.
+
+export function createRedisShareStore(url, prefix = 'celebra:share:') {
+  const client = createRedisClient(url);
+  return {
+    async get(id) {
+      const json = await client.command('GET', prefix + id);
+      return json ? JSON.parse(json) : null;
+    },
+    async put(record) {
+      const args = ['SET', prefix + record.id, JSON.stringify(record)];
+      if (record.expiresAt !== null) args.push('PX', String(Math.max(1, record.expiresAt - Date.now())));
+      await client.command(...args);
+    },
+    async remove(id) {
+      await client.command('DEL', prefix + id);
+    }
+  };
+}
@@ -0,0 +1,50 @@
+import { mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+// Shares in a SQLite database through Node's built-in node:sqlite (Node
+// 22.13 or later), so no native module has to be installed. The database
+// is opened on first use; expired rows are deleted whenever a share is
+// added.
+
+export function createSqliteShareStore(path) {
+  let opening = null;
+
+  function open() {
+    if (!opening) {
+      opening = (async () => {
+        let sqlite;
+        try {
+          sqlite = await import('node:sqlite');
+        } catch (err) {
+          throw new Error('SHARE_STORE=sqlite needs Node.js 22.13 or later (node:sqlite)');
+        }
+        await mkdir(dirname(path), { recursive: true });
+        const db = new sqlite.DatabaseSync(path);
+        db.exec('CREATE TABLE IF NOT EXISTS shares (id TEXT PRIMARY KEY, record TEXT NOT NULL, expires_at INTEGER)');
+        return {
+          get: db.prepare('SELECT record FROM shares WHERE id = ?'),
+          put: db.prepare('INSERT OR REPLACE INTO shares (id, record, expires_at) VALUES (?, ?, ?)'),
+          sweep: db.prepare('DELETE FROM shares WHERE expires_at IS NOT NULL AND expires_at <= ?'),
+          remove: db.prepare('DELETE FROM shares WHERE id = ?')
+        };
+      })();
+      opening.catch(() => { opening = null; });
+    }
+    return opening;
+  }
+
+  return {
+    async get(id) {
+      const row = (await open()).get.get(id);
+      return row ? JSON.parse(row.record) : null;
+    },
+    async put(record) {
+      const statements = await open();
+      statements.sweep.run(Date.now());
+      statements.put.run(record.id, JSON.stringify(record), record.expiresAt);
+    },
+    async remove(id) {
+      (await open()).remove.run(id);
+    }
+  };
+}
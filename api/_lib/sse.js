@@ -0,0 +1,63 @@
+// Server-Sent Events helpers shared by the proxy routes and the provider
+// adapters that read streamed upstream responses.
+
+export function readSSEData(block) {
+  const data = [];
+  for (const line of block.split(/\r?\n/)) {
+    if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+  }
+  return data.length ? data.join('\n') : null;
+}
+
+export function writeSSE(res, data, event) {
+  if (event) res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+export function startSSE(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  if (typeof res.flushHeaders === 'function') res.flushHeaders();
+}
+
+// Splits a fetch() response body into chunks ending at `separator`,
+// yielding each chunk without it. The remainder is yielded at the end.
+async function* splitBody(body, separator) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      let match;
+      while ((match = separator.exec(buffer))) {
+        yield buffer.slice(0, match.index);
+        buffer = buffer.slice(match.index + match[0].length);
+      }
+    }
+    buffer += decoder.decode();
+    if (buffer.trim()) yield buffer;
+  } finally {
+    try { reader.releaseLock(); } catch (e) {}
+  }
+}
+
+// Yields the data payload of each event in an upstream SSE stream.
+export async function* sseData(body) {
+  for await (const block of splitBody(body, /\r?\n\r?\n/)) {
+    const data = readSSEData(block);
+    if (data !== null) yield data;
+  }
+}
+
+// Yields each non-empty line of a newline-delimited JSON stream.
+export async function* ndjsonLines(body) {
+  for await (const line of splitBody(body, /\r?\n/)) {
+    if (line.trim()) yield line;
+  }
+}
@@ -0,0 +1,75 @@
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { log } from '../log.js';
+
+// Usage counters in a JSON file ({ day: { bucket: { counter: n } } }), for
+// a single self-hosted server process. Like the rate limit file store, it
+// serves reads from memory and writes back at most once per FLUSH_DELAY_MS
+// through a temporary file and a rename.
+
+const FLUSH_DELAY_MS = 2000;
+
+export function createFileUsageStore(path, { retentionDays }) {
+  let data = null;
+  let loading = null;
+  let flushTimer = null;
+  let writing = Promise.resolve();
+
+  async function load() {
+    if (data) return data;
+    if (!loading) {
+      loading = readFile(path, 'utf8')
+        .then(text => JSON.parse(text))
+        .catch(err => {
+          if (err.code !== 'ENOENT') log.warn('could not read usage file; starting empty', { path, err });
+          return {};
+        })
+        .then(parsed => {
+          data = parsed && typeof parsed === 'object' ? parsed : {};
+          return data;
+        });
+    }
+    return loading;
+  }
+
+  function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      writing = writing.then(flush).catch(err => log.error('could not write usage file', { path, err }));
+    }, FLUSH_DELAY_MS);
+    if (typeof flushTimer.unref === 'function') flushTimer.unref();
+  }
+
+  async function flush() {
+    await mkdir(dirname(path), { recursive: true });
+    const tmp = `${path}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify(data));
+    await rename(tmp, path);
+  }
+
+  return {
+    async add(day, bucket, fields) {
+      const all = await load();
+      if (!all[day]) {
+        all[day] = {};
+        const oldest = new Date(Date.parse(day) - (retentionDays - 1) * 86400000).toISOString().slice(0, 10);
+        for (const d of Object.keys(all)) {
+          if (d < oldest) delete all[d];
+        }
+      }
+      const counters = all[day][bucket] || (all[day][bucket] = {});
+      for (const [name, n] of Object.entries(fields)) counters[name] = (counters[name] || 0) + n;
+      scheduleFlush();
+    },
+
+    async read(dayList) {
+      const all = await load();
+      const rows = [];
+      for (const day of dayList) {
+        for (const [bucket, fields] of Object.entries(all[day] || {})) rows.push({ day, bucket, fields: { ...fields } });
+      }
+      return rows;
+    }
+  };
+}
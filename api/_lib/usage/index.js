@@ -0,0 +1,180 @@
+import { createMemoryUsageStore } from './memory.js';
+import { createFileUsageStore } from './file.js';
+import { createRedisUsageStore } from './redis.js';
+import { log } from '../log.js';
+
+// Usage metering. Every generation request through the proxy is recorded as
+// counters per UTC day and bucket, where a bucket is one provider, model and
+// user. Counters are added, never overwritten, so concurrent instances can
+// share a store. Compare-mode picks are counters in the same buckets:
+// "compared:<task>" for every model in a comparison and "wins:<task>" for
+// the one picked.
+//
+// A store implements two calls:
+//   add(day, bucket, fields)  -> Promise, adding each { counter: n } to the bucket
+//   read(days)                -> Promise<[{ day, bucket, fields }]>
+// Memory, a JSON file and Redis are built in (USAGE_STORE); "off" disables
+// metering. Days older than USAGE_RETENTION_DAYS are dropped.
+
+const DEFAULT_RETENTION_DAYS = 90;
+
+let store = null;
+let storeKind = null;
+
+export function retentionDays() {
+  const days = parseInt(process.env.USAGE_RETENTION_DAYS || '', 10);
+  return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+function storeFromEnv() {
+  const kind = (process.env.USAGE_STORE || 'memory').toLowerCase();
+  if (storeKind === kind) return store;
+  const options = { retentionDays: retentionDays() };
+  if (kind === 'off') {
+    store = null;
+  } else if (kind === 'file') {
+    store = createFileUsageStore(process.env.USAGE_FILE || '.data/usage.json', options);
+  } else if (kind === 'redis') {
+    const url = process.env.USAGE_REDIS_URL || process.env.REDIS_URL;
+    if (!url) throw new Error('USAGE_STORE=redis needs USAGE_REDIS_URL or REDIS_URL');
+    store = createRedisUsageStore(url, options);
+  } else {
+    if (kind !== 'memory') log.warn('unknown USAGE_STORE; using memory', { store: kind });
+    store = createMemoryUsageStore(options);
+  }
+  storeKind = kind;
+  return store;
+}
+
+export function setUsageStore(custom) {
+  store = custom;
+  storeKind = custom ? (process.env.USAGE_STORE || 'memory').toLowerCase() : null;
+}
+
+export function dayKey(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+// Gemini's usageMetadata in the counters' terms. Thinking tokens are billed
+// as output, so they count as output here too.
+export function fromUsageMetadata(meta) {
+  if (!meta || typeof meta !== 'object') return null;
+  const inputTokens = meta.promptTokenCount || 0;
+  const outputTokens = (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0);
+  return { inputTokens, outputTokens, totalTokens: meta.totalTokenCount || inputTokens + outputTokens };
+}
+
+// Records one request. `usage` is { inputTokens, outputTokens, totalTokens? }
+// or null when the provider reported none (errors, aborted streams). A
+// failing store is logged and otherwise ignored.
+export async function recordUsage({ provider, model, user, status, latencyMs, usage, fallbackFrom, at = Date.now() }) {
+  const fields = { requests: 1, latencyMs: Math.max(0, Math.round(latencyMs || 0)) };
+  fields[`status:${status}`] = 1;
+  if (status >= 400) fields.errors = 1;
+  if (fallbackFrom) fields.fallbacks = 1;
+  if (usage) {
+    const input = Math.round(usage.inputTokens || 0);
+    const output = Math.round(usage.outputTokens || 0);
+    fields.inputTokens = input;
+    fields.outputTokens = output;
+    fields.totalTokens = Math.round(usage.totalTokens || input + output);
+  }
+  try {
+    const s = storeFromEnv();
+    if (s) await s.add(dayKey(at), [provider, model, user || ''].join('|'), fields);
+  } catch (err) {
+    log.error('could not record usage', { err });
+  }
+}
+
+// Records a compare-mode pick: `winner` and each of `candidates` are
+// { provider, id }. Resolves to false when metering is off.
+export async function recordPick({ task, winner, candidates, user, at = Date.now() }) {
+  try {
+    const s = storeFromEnv();
+    if (!s) return false;
+    await Promise.all(candidates.map(c => {
+      const fields = { [`compared:${task}`]: 1 };
+      if (c.provider === winner.provider && c.id === winner.id) fields[`wins:${task}`] = 1;
+      return s.add(dayKey(at), [c.provider, c.id, user || ''].join('|'), fields);
+    }));
+    return true;
+  } catch (err) {
+    log.error('could not record pick', { err });
+    return false;
+  }
+}
+
+function emptyTotals() {
+  return { requests: 0, errors: 0, fallbacks: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, latencyMs: 0, statuses: {}, cost: null };
+}
+
+function addInto(totals, fields, cost) {
+  for (const [name, n] of Object.entries(fields)) {
+    if (name.startsWith('status:')) {
+      const code = name.slice(7);
+      totals.statuses[code] = (totals.statuses[code] || 0) + n;
+    } else if (name in totals) {
+      totals[name] += n;
+    }
+  }
+  if (cost !== null) totals.cost = (totals.cost || 0) + cost;
+}
+
+function finish(totals) {
+  const { latencyMs, ...rest } = totals;
+  return { ...rest, avgLatencyMs: totals.requests ? Math.round(latencyMs / totals.requests) : null };
+}
+
+// Aggregates the last `days` days (today included) by day, model and user,
+// and the compare-mode picks by task and model. `priceOf(provider, model)`
+// returns { input, output } per million tokens or null; models without a
+// price have a null cost. Pass `user` to see only that user's requests.
+export async function usageReport({ days, user, priceOf = () => null, now = Date.now() }) {
+  const dayList = [];
+  for (let i = days - 1; i >= 0; i--) dayList.push(dayKey(now - i * 86400000));
+  const s = storeFromEnv();
+  const rows = s ? await s.read(dayList) : [];
+
+  const totals = emptyTotals();
+  const byDay = new Map(dayList.map(d => [d, emptyTotals()]));
+  const byModel = new Map();
+  const byUser = new Map();
+  const picks = new Map();
+  for (const row of rows) {
+    const [provider, model, rowUser] = row.bucket.split('|');
+    if (user !== undefined && rowUser !== (user || '')) continue;
+    for (const [name, n] of Object.entries(row.fields)) {
+      const [counter, task] = name.split(':');
+      if (counter !== 'compared' && counter !== 'wins') continue;
+      const key = `${task}|${provider}|${model}`;
+      if (!picks.has(key)) picks.set(key, { task, provider, model, compared: 0, wins: 0 });
+      picks.get(key)[counter] += n;
+    }
+    // A bucket that only holds picks has no requests to add up.
+    if (!row.fields.requests) continue;
+    const price = priceOf(provider, model);
+    const cost = price
+      ? ((row.fields.inputTokens || 0) * price.input + (row.fields.outputTokens || 0) * price.output) / 1e6
+      : null;
+    addInto(totals, row.fields, cost);
+    addInto(byDay.get(row.day), row.fields, cost);
+    const modelKey = `${provider}|${model}`;
+    if (!byModel.has(modelKey)) byModel.set(modelKey, { provider, model, ...emptyTotals() });
+    addInto(byModel.get(modelKey), row.fields, cost);
+    if (!byUser.has(rowUser)) byUser.set(rowUser, { user: rowUser || null, ...emptyTotals() });
+    addInto(byUser.get(rowUser), row.fields, cost);
+  }
+
+  const byTokens = (a, b) => b.totalTokens - a.totalTokens || b.requests - a.requests;
+  return {
+    from: dayList[0],
+    to: dayList[dayList.length - 1],
+    metering: !!s,
+    totals: finish(totals),
+    byDay: [...byDay].map(([day, t]) => ({ day, ...finish(t) })),
+    byModel: [...byModel.values()].map(finish).sort(byTokens),
+    byUser: [...byUser.values()].map(finish).sort(byTokens),
+    picks: [...picks.values()].sort((a, b) => a.task.localeCompare(b.task) || b.wins - a.wins || b.compared - a.compared)
+  };
+}
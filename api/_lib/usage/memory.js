@@ -0,0 +1,31 @@
+// Usage counters kept in this process only; they reset on a cold start and
+// are not shared between serverless instances.
+
+export function createMemoryUsageStore({ retentionDays }) {
+  const days = new Map();
+
+  return {
+    async add(day, bucket, fields) {
+      let buckets = days.get(day);
+      if (!buckets) {
+        buckets = new Map();
+        days.set(day, buckets);
+        const oldest = new Date(Date.parse(day) - (retentionDays - 1) * 86400000).toISOString().slice(0, 10);
+        for (const d of days.keys()) {
+          if (d < oldest) days.delete(d);
+        }
+      }
+      const counters = buckets.get(bucket) || {};
+      for (const [name, n] of Object.entries(fields)) counters[name] = (counters[name] || 0) + n;
+      buckets.set(bucket, counters);
+    },
+
+    async read(dayList) {
+      const rows = [];
+      for (const day of dayList) {
+        for (const [bucket, fields] of days.get(day) || []) rows.push({ day, bucket, fields: { ...fields } });
+      }
+      return rows;
+    }
+  };
+}
@@ -0,0 +1,34 @@
+import { createRedisClient } from '../redis.js';
+
+// Usage counters in Redis: one hash per day, with a field per bucket and
+// counter ("<bucket>|<counter>"). Only HINCRBY, EXPIRE and HGETALL are
+// used; each day's hash expires after the retention period.
+
+export function createRedisUsageStore(url, { retentionDays, prefix = 'celebra:usage:' }) {
+  const client = createRedisClient(url);
+  const ttlSeconds = retentionDays * 86400 + 86400;
+
+  return {
+    async add(day, bucket, fields) {
+      const key = prefix + day;
+      await Promise.all(Object.entries(fields).map(([name, n]) => client.command('HINCRBY', key, `${bucket}|${name}`, n)));
+      await client.command('EXPIRE', key, ttlSeconds);
+    },
+
+    async read(dayList) {
+      const rows = [];
+      for (const day of dayList) {
+        const flat = await client.command('HGETALL', prefix + day);
+        const buckets = new Map();
+        for (let i = 0; i + 1 < (flat || []).length; i += 2) {
+          const cut = flat[i].lastIndexOf('|');
+          const bucket = flat[i].slice(0, cut);
+          if (!buckets.has(bucket)) buckets.set(bucket, {});
+          buckets.get(bucket)[flat[i].slice(cut + 1)] = parseInt(flat[i + 1], 10) || 0;
+        }
+        for (const [bucket, fields] of buckets) rows.push({ day, bucket, fields });
+      }
+      return rows;
+    }
+  };
+}
@@ -0,0 +1,151 @@
+import {
+  MAX_CONTENTS, MAX_PART_CHARS, MAX_SYSTEM_INSTRUCTION_CHARS,
+  MAX_INLINE_PARTS, MAX_INLINE_DATA_BYTES, INLINE_DATA_MIME_TYPES, base64Bytes,
+  MAX_TOOLS, MAX_TOOL_DECLARATIONS_CHARS, TOOL_NAME
+} from '../../shared/limits.js';
+
+// Request validation shared by /api/gemini and /api/chat. The check
+// functions return null when the input is acceptable, or { status, error }
+// for the route to send back.
+
+function plainObject(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+}
+
+export function normalizePart(p) {
+  if (!p) return null;
+  if (typeof p.text === 'string') return { text: String(p.text) };
+  if (typeof p === 'string') return { text: p };
+  if (p.inlineData && typeof p.inlineData === 'object') {
+    return { inlineData: { mimeType: String(p.inlineData.mimeType || ''), data: String(p.inlineData.data || '') } };
+  }
+  if (p.functionCall && typeof p.functionCall === 'object') {
+    const part = { functionCall: { name: String(p.functionCall.name || ''), args: plainObject(p.functionCall.args) } };
+    if (typeof p.thoughtSignature === 'string') part.thoughtSignature = p.thoughtSignature;
+    return part;
+  }
+  if (p.functionResponse && typeof p.functionResponse === 'object') {
+    return { functionResponse: { name: String(p.functionResponse.name || ''), response: plainObject(p.functionResponse.response) } };
+  }
+  return null;
+}
+
+export function hasFunctionParts(messages) {
+  return messages.some(m => m && Array.isArray(m.parts) && m.parts.some(p => p.functionCall || p.functionResponse));
+}
+
+// Function declarations from a chat request, reduced to the fields Gemini
+// takes. Anything unusable is returned as it came, for checkTools.
+export function normalizeTools(tools) {
+  if (!Array.isArray(tools)) return tools;
+  return tools.map(t => {
+    if (!t || typeof t !== 'object') return t;
+    const tool = { name: t.name, description: t.description };
+    if (t.parameters !== undefined) tool.parameters = t.parameters;
+    return tool;
+  });
+}
+
+// The `contents` of an /api/gemini body in Gemini's { role, parts } form.
+// Entries may also be { role, text }; a body without usable contents falls
+// back to `prompt`, then to its other string fields joined together, as
+// older clients sent them. Anything unusable is returned as it came, for
+// checkMessages to reject.
+export function normalizeContents(body) {
+  if (!Array.isArray(body.contents)) {
+    if (typeof body.prompt === 'string' && body.prompt.trim()) return [{ role: 'user', parts: [{ text: body.prompt }] }];
+    return body.contents;
+  }
+  const contents = [];
+  for (const c of body.contents) {
+    if (!c || typeof c !== 'object') continue;
+    const role = String(c.role || '').toLowerCase() === 'model' ? 'model' : 'user';
+    if (Array.isArray(c.parts)) {
+      const parts = c.parts.map(normalizePart).filter(Boolean);
+      if (parts.length) contents.push({ role, parts });
+    } else if (typeof c.text === 'string' && c.text.trim()) {
+      contents.push({ role, parts: [{ text: c.text }] });
+    }
+  }
+  if (!contents.length) {
+    if (typeof body.prompt === 'string' && body.prompt.trim()) {
+      contents.push({ role: 'user', parts: [{ text: body.prompt }] });
+    } else {
+      const collected = Object.values(body).filter(v => typeof v === 'string' && v.trim()).map(v => v.trim());
+      if (collected.length) contents.push({ role: 'user', parts: [{ text: collected.join('\n\n') }] });
+    }
+  }
+  return contents.length ? contents : body.contents;
+}
+
+export function checkMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0 || messages.length > MAX_CONTENTS) {
+    return { status: 400, error: 'Bad request: invalid contents' };
+  }
+  let inlineParts = 0;
+  let inlineBytes = 0;
+  for (const m of messages) {
+    if (!m || !Array.isArray(m.parts)) continue;
+    for (const p of m.parts) {
+      if (p.inlineData) {
+        if (!INLINE_DATA_MIME_TYPES.includes(p.inlineData.mimeType)) {
+          return { status: 415, error: `Unsupported attachment type: ${p.inlineData.mimeType || 'unknown'}` };
+        }
+        if (!p.inlineData.data || !/^[A-Za-z0-9+/]+={0,2}$/.test(p.inlineData.data)) {
+          return { status: 400, error: 'Bad request: attachment data must be base64' };
+        }
+        inlineParts++;
+        inlineBytes += base64Bytes(p.inlineData.data);
+        continue;
+      }
+      const call = p.functionCall || p.functionResponse;
+      if (call) {
+        if (!TOOL_NAME.test(call.name)) return { status: 400, error: 'Bad request: invalid function name' };
+        if (JSON.stringify(call.args || call.response).length > MAX_PART_CHARS) {
+          return { status: 400, error: 'Bad request: function call too long' };
+        }
+        continue;
+      }
+      if (String(p.text || '').length > MAX_PART_CHARS) {
+        return { status: 400, error: 'Bad request: message too long' };
+      }
+    }
+  }
+  if (inlineParts > MAX_INLINE_PARTS) {
+    return { status: 400, error: `Bad request: at most ${MAX_INLINE_PARTS} attachments per request` };
+  }
+  if (inlineBytes > MAX_INLINE_DATA_BYTES) {
+    return { status: 413, error: `Attachments too large: at most ${MAX_INLINE_DATA_BYTES} bytes per request` };
+  }
+  return null;
+}
+
+export function checkTools(tools) {
+  if (!Array.isArray(tools) || tools.length > MAX_TOOLS) {
+    return { status: 400, error: `Bad request: tools must be a list of at most ${MAX_TOOLS} function declarations` };
+  }
+  const names = new Set();
+  for (const t of tools) {
+    if (!t || typeof t !== 'object' || typeof t.name !== 'string' || !TOOL_NAME.test(t.name) || names.has(t.name)) {
+      return { status: 400, error: 'Bad request: every tool needs a unique, valid name' };
+    }
+    names.add(t.name);
+    if (typeof t.description !== 'string' || !t.description.trim()) {
+      return { status: 400, error: `Bad request: tool "${t.name}" needs a description` };
+    }
+    if (t.parameters !== undefined && (!t.parameters || typeof t.parameters !== 'object' || Array.isArray(t.parameters))) {
+      return { status: 400, error: `Bad request: the parameters of tool "${t.name}" must be a JSON schema object` };
+    }
+  }
+  if (JSON.stringify(tools).length > MAX_TOOL_DECLARATIONS_CHARS) {
+    return { status: 400, error: 'Bad request: tool declarations too long' };
+  }
+  return null;
+}
+
+export function checkSystemText(text) {
+  if (text.length > MAX_SYSTEM_INSTRUCTION_CHARS) {
+    return { status: 400, error: 'Bad request: system instruction too long' };
+  }
+  return null;
+}
@@ -0,0 +1,48 @@
+import { checkOrigin, checkRateLimit } from './_lib/guard.js';
+import { authEnabled, authenticate, checkPassword, issueSession } from './_lib/auth/index.js';
+import { audit } from './_lib/audit.js';
+import { startRequest } from './_lib/log.js';
+import { sendError } from './_lib/errors.js';
+
+// GET  -> { enabled, user } where user is { id, role, via } for a valid
+//         token and null otherwise.
+// POST { username, password } -> { token, expiresAt, user } for the
+//         sign-in form. Attempts count against the caller's IP quota.
+
+export default async function handler(req, res) {
+  const trace = startRequest(req, res, 'auth');
+  if (!checkOrigin(req, res)) return;
+
+  if (req.method === 'GET') {
+    if (!authEnabled()) return res.status(200).json({ enabled: false, user: null });
+    try {
+      const { principal } = await authenticate(req);
+      const user = principal ? { id: principal.id, role: principal.role, via: principal.via } : null;
+      return res.status(200).json({ enabled: true, user });
+    } catch (err) {
+      trace.error('authentication failed', { err });
+      return sendError(res, 'INTERNAL', { error: 'Authentication is unavailable' });
+    }
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST');
+    return sendError(res, 'METHOD_NOT_ALLOWED', { error: 'Method not allowed' });
+  }
+  if (!authEnabled()) return sendError(res, 'NOT_FOUND', { error: 'Authentication is not enabled on this server' });
+  if (!(await checkRateLimit(req, res))) return;
+
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const username = typeof body.username === 'string' ? body.username.trim() : '';
+  const password = typeof body.password === 'string' ? body.password : '';
+  if (!username || !password) return sendError(res, 'BAD_REQUEST', { error: 'Bad request: username and password are required', userMessage: 'Enter a username and password.' });
+
+  const user = await checkPassword(username, password);
+  if (!user) {
+    audit(req, null, 'login_failed', { username });
+    return sendError(res, 'UNAUTHENTICATED', { error: 'Wrong username or password', userMessage: 'Wrong username or password.' });
+  }
+  const session = issueSession(user);
+  audit(req, { id: user.id, via: 'session', keyId: null }, 'login');
+  return res.status(200).json({ ...session, user: { id: user.id, role: user.role, via: 'session' } });
+}
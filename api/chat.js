@@ -0,0 +1,217 @@
+import { validateGenerationConfig } from '../shared/presets.js';
+import { writeSSE, startSSE } from './_lib/sse.js';
+import { checkOrigin, checkRateLimit, requireAuth } from './_lib/guard.js';
+import { canUseModel } from './_lib/auth/index.js';
+import { audit } from './_lib/audit.js';
+import { recordUsage } from './_lib/usage/index.js';
+import { startRequest } from './_lib/log.js';
+import { sendError, sendInvalid, sendProviderError, sendStreamError, providerErrorOptions } from './_lib/errors.js';
+import { normalizePart, normalizeTools, hasFunctionParts, checkMessages, checkTools, checkSystemText } from './_lib/validate.js';
+import { getProvider, DEFAULT_PROVIDER, ProviderError } from './_lib/providers/index.js';
+import { MODEL_ID, findModel } from './_lib/catalog.js';
+
+// Provider-neutral chat endpoint. The request and response formats are
+// described in shared/gemini-format.js; the adapters in _lib/providers map
+// them to Gemini, OpenAI-compatible servers and Ollama. Only models in the
+// catalog (see _lib/catalog.js and /api/models) are accepted.
+
+async function parseChatRequest(body) {
+  if (!body || typeof body !== 'object') return { status: 400, error: 'Bad request: missing JSON body' };
+  const providerId = typeof body.provider === 'string' ? body.provider : DEFAULT_PROVIDER;
+  const provider = getProvider(providerId);
+  if (!provider) return { status: 400, error: `Bad request: unknown provider "${providerId}"` };
+  if (!provider.isConfigured()) return { status: 503, error: `Provider "${providerId}" is not configured on this server` };
+  if (typeof body.model !== 'string' || !MODEL_ID.test(body.model)) return { status: 400, error: 'Bad request: invalid model' };
+  const model = await findModel(provider.id, body.model);
+  if (!model) return { status: 400, error: `Bad request: model "${body.model}" is not available` };
+
+  const messages = [];
+  for (const m of Array.isArray(body.messages) ? body.messages : []) {
+    if (!m || typeof m !== 'object' || !Array.isArray(m.parts)) continue;
+    const parts = m.parts.map(normalizePart).filter(Boolean);
+    if (parts.length) messages.push({ role: m.role === 'assistant' ? 'assistant' : 'user', parts });
+  }
+  const invalid = checkMessages(messages);
+  if (invalid) return invalid;
+  if (!model.multimodal && messages.some(m => m.parts.some(p => p.inlineData && p.inlineData.mimeType !== 'text/plain'))) {
+    return { status: 415, error: `${model.label} cannot read images or PDFs` };
+  }
+
+  const tools = body.tools === undefined ? [] : normalizeTools(body.tools);
+  const invalidTools = checkTools(tools);
+  if (invalidTools) return invalidTools;
+  if (!model.tools && (tools.length || hasFunctionParts(messages))) {
+    return { status: 400, error: `${model.label} cannot call tools` };
+  }
+
+  const system = typeof body.system === 'string' ? body.system.trim() : '';
+  const invalidSystem = checkSystemText(system);
+  if (invalidSystem) return invalidSystem;
+
+  const { config, error } = validateGenerationConfig(body.generationConfig);
+  if (error) return { status: 400, error: `Bad request: ${error}` };
+
+  return {
+    provider,
+    model,
+    request: {
+      provider: provider.id, model: body.model, system, messages, ...(tools.length ? { tools } : {}),
+      generationConfig: config, safetySettings: model.safetySettings
+    },
+    stream: body.stream === true,
+    countTokens: body.countTokens === true,
+    // Set by the client when it fell back from the user's chosen model.
+    fallbackFrom: typeof body.fallbackFrom === 'string' && MODEL_ID.test(body.fallbackFrom) ? body.fallbackFrom : null
+  };
+}
+
+// Resolves to { status, usage } for the usage meter; 499 means the client
+// went away before the reply was complete. The "upstream" span runs until
+// the first chunk arrives and "response" covers relaying the rest.
+async function relayStream(res, provider, request, trace) {
+  const upstreamController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) upstreamController.abort();
+  });
+
+  const chunks = provider.stream(request, { signal: upstreamController.signal });
+  const endUpstream = trace.span('upstream');
+  let step;
+  try {
+    // Wait for the first chunk so upstream HTTP errors still reach the
+    // client as a regular status code rather than an SSE error event.
+    step = await chunks.next();
+  } catch (err) {
+    if (upstreamController.signal.aborted) return { status: 499, usage: null };
+    throw err;
+  } finally {
+    endUpstream();
+  }
+
+  const endResponse = trace.span('response');
+  startSSE(res);
+  let sentText = false;
+  try {
+    while (!step.done) {
+      if (step.value && step.value.text) {
+        writeSSE(res, { text: step.value.text });
+        sentText = true;
+      }
+      step = await chunks.next();
+    }
+    const result = step.value || {};
+    trace.annotate({ finishReason: result.finishReason || null });
+    if (!sentText && result.finishReason === 'safety') {
+      const status = sendStreamError(res, 'SAFETY_BLOCKED', { error: 'Blocked by safety filters', safety: result.safety || null });
+      return { status, usage: result.usage || null };
+    }
+    writeSSE(res, {
+      finishReason: result.finishReason || null,
+      usage: result.usage || null,
+      safety: result.safety || null,
+      citations: result.citations || [],
+      functionCalls: result.functionCalls || []
+    }, 'done');
+    res.end();
+    return { status: 200, usage: result.usage || null };
+  } catch (err) {
+    if (upstreamController.signal.aborted) return { status: 499, usage: null };
+    trace.error('stream relay failed', { err });
+    const { code, ...options } = err instanceof ProviderError
+      ? providerErrorOptions(err)
+      : { code: 'UPSTREAM_ERROR', error: 'Upstream stream interrupted' };
+    return { status: sendStreamError(res, code, options), usage: null };
+  } finally {
+    endResponse();
+  }
+}
+
+export default async function handler(req, res) {
+  const trace = startRequest(req, res, 'chat');
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return sendError(res, 'METHOD_NOT_ALLOWED', { error: 'Method not allowed' });
+  }
+
+  if (!checkOrigin(req, res)) return;
+  const principal = await requireAuth(req, res);
+  if (!principal) return;
+  trace.annotate({ user: principal.id });
+
+  const endValidate = trace.span('validate');
+  let parsed;
+  try {
+    parsed = await parseChatRequest(req.body);
+  } catch (err) {
+    trace.error('model catalog could not be loaded', { err });
+    return sendError(res, 'INTERNAL', { error: 'Model catalog could not be loaded' });
+  } finally {
+    endValidate();
+  }
+  if (parsed.error) {
+    trace.annotate({ rejected: parsed.error });
+    return sendInvalid(res, parsed);
+  }
+  const { provider, request } = parsed;
+  trace.annotate({ provider: provider.id, model: request.model, stream: parsed.stream, countTokens: parsed.countTokens, fallbackFrom: parsed.fallbackFrom });
+  if (!canUseModel(principal, parsed.model)) {
+    return sendError(res, 'MODEL_NOT_ALLOWED', { error: `This API key may not use ${parsed.model.label}` });
+  }
+  if (!(await checkRateLimit(req, res, { model: parsed.model, user: principal.id }))) return;
+  if (!parsed.countTokens) {
+    audit(req, principal, 'chat', { provider: provider.id, model: request.model, stream: parsed.stream, fallbackFrom: parsed.fallbackFrom });
+  }
+
+  const started = Date.now();
+  const meter = (status, usage = null) => {
+    if (usage) trace.annotate({ inputTokens: usage.inputTokens, outputTokens: usage.outputTokens });
+    return recordUsage({
+      provider: provider.id, model: request.model, user: principal.id, fallbackFrom: parsed.fallbackFrom,
+      status, usage, latencyMs: Date.now() - started
+    });
+  };
+
+  try {
+    if (parsed.countTokens) {
+      const endUpstream = trace.span('upstream');
+      const totalTokens = provider.countTokens ? await provider.countTokens(request) : null;
+      endUpstream();
+      return res.status(200).json({ totalTokens });
+    }
+    if (parsed.stream) {
+      const outcome = await relayStream(res, provider, request, trace);
+      return await meter(outcome.status, outcome.usage);
+    }
+    const endUpstream = trace.span('upstream');
+    let result;
+    try {
+      result = await provider.generate(request);
+    } finally {
+      endUpstream();
+    }
+    trace.annotate({ finishReason: result.finishReason || null });
+    // A reply the safety filters withheld entirely is an error, not an
+    // empty answer.
+    if (!result.text && result.finishReason === 'safety') {
+      sendError(res, 'SAFETY_BLOCKED', { error: 'Blocked by safety filters', safety: result.safety || null });
+      return await meter(res.statusCode, result.usage);
+    }
+    const endResponse = trace.span('response');
+    res.status(200).json({ provider: provider.id, model: request.model, ...result });
+    endResponse();
+    return await meter(200, result.usage);
+  } catch (err) {
+    if (err instanceof ProviderError && !res.headersSent) {
+      trace.warn('upstream error', { provider: err.provider, status: err.status, code: err.code, message: err.message });
+      sendProviderError(res, err);
+    } else {
+      trace.error('chat proxy failed', { err });
+      if (res.headersSent) {
+        try { sendStreamError(res, 'INTERNAL', { error: 'Proxy request failed' }); } catch (e) {}
+      } else {
+        sendError(res, 'INTERNAL', { error: 'Proxy request failed' });
+      }
+    }
+    if (!parsed.countTokens) await meter(err instanceof ProviderError ? res.statusCode : 500);
+  }
+}
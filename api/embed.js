@@ -0,0 +1,83 @@
+import { checkOrigin, checkRateLimit, requireAuth } from './_lib/guard.js';
+import { audit } from './_lib/audit.js';
+import { recordUsage } from './_lib/usage/index.js';
+import { startRequest } from './_lib/log.js';
+import { sendError, sendInvalid, sendProviderError } from './_lib/errors.js';
+import { getProvider, ProviderError } from './_lib/providers/index.js';
+import { embeddingModel } from './_lib/providers/gemini.js';
+import { MAX_EMBED_TEXTS, MAX_PART_CHARS } from '../shared/limits.js';
+
+// Embeddings for the local knowledge base (js/knowledge.js).
+// POST { texts: [string], task: 'document' | 'query' }
+//   -> 200 { model, embeddings: [[number]] }, one vector per text.
+// Always Gemini's EMBEDDING_MODEL (default gemini-embedding-001) at
+// EMBEDDING_DIMENSIONS (default 768). Without a Gemini key the route answers
+// 503 and the app searches documents by keyword only.
+
+const TASK_TYPES = { document: 'RETRIEVAL_DOCUMENT', query: 'RETRIEVAL_QUERY' };
+
+// Returns { texts, task } or { status, error }.
+function parseEmbedRequest(body) {
+  if (!body || typeof body !== 'object') return { status: 400, error: 'Bad request: missing JSON body' };
+  const task = body.task === undefined ? 'document' : body.task;
+  if (!TASK_TYPES[task]) return { status: 400, error: `Bad request: task must be one of ${Object.keys(TASK_TYPES).join(', ')}` };
+  const texts = Array.isArray(body.texts) ? body.texts : [];
+  if (!texts.length || texts.length > MAX_EMBED_TEXTS) {
+    return { status: 400, error: `Bad request: texts must be a list of 1 to ${MAX_EMBED_TEXTS} strings` };
+  }
+  for (const text of texts) {
+    if (typeof text !== 'string' || !text.trim()) return { status: 400, error: 'Bad request: every text must be a non-empty string' };
+    if (text.length > MAX_PART_CHARS) return { status: 400, error: `Bad request: a text can be at most ${MAX_PART_CHARS} characters` };
+  }
+  return { texts, task };
+}
+
+export default async function handler(req, res) {
+  const trace = startRequest(req, res, 'embed');
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return sendError(res, 'METHOD_NOT_ALLOWED', { error: 'Method not allowed' });
+  }
+
+  if (!checkOrigin(req, res)) return;
+  const principal = await requireAuth(req, res);
+  if (!principal) return;
+  trace.annotate({ user: principal.id });
+
+  const provider = getProvider('gemini');
+  if (!provider.isConfigured()) return sendInvalid(res, { status: 503, error: 'Embeddings need a Gemini API key on this server' });
+  const parsed = parseEmbedRequest(req.body);
+  if (parsed.error) {
+    trace.annotate({ rejected: parsed.error });
+    return sendInvalid(res, parsed);
+  }
+  if (!(await checkRateLimit(req, res, { user: principal.id }))) return;
+  audit(req, principal, 'embed', { task: parsed.task, texts: parsed.texts.length });
+
+  const model = embeddingModel();
+  trace.annotate({ model, texts: parsed.texts.length });
+  const started = Date.now();
+  const meter = (status) => recordUsage({ provider: 'gemini', model, user: principal.id, status, latencyMs: Date.now() - started });
+
+  try {
+    const endUpstream = trace.span('upstream');
+    let result;
+    try {
+      result = await provider.embed(parsed.texts, { task: TASK_TYPES[parsed.task] });
+    } finally {
+      endUpstream();
+    }
+    if (result.embeddings.length !== parsed.texts.length) throw new Error('Upstream returned the wrong number of embeddings');
+    res.status(200).json(result);
+    return await meter(200);
+  } catch (err) {
+    if (err instanceof ProviderError) {
+      trace.warn('upstream error', { provider: err.provider, status: err.status, code: err.code, message: err.message });
+      sendProviderError(res, err);
+    } else {
+      trace.error('embedding failed', { err });
+      sendError(res, 'INTERNAL', { error: 'Embedding failed' });
+    }
+    await meter(res.statusCode);
+  }
+}
@@ -1,125 +1,260 @@
+import { validateGenerationConfig } from '../shared/presets.js';
+import { writeSSE, startSSE, sseData } from './_lib/sse.js';
+import { checkOrigin, checkRateLimit, requireAuth } from './_lib/guard.js';
+import { canUseModel } from './_lib/auth/index.js';
+import { audit } from './_lib/audit.js';
+import { normalizeContents, checkMessages, checkSystemText } from './_lib/validate.js';
+import { findModel, MODEL_ID } from './_lib/catalog.js';
+import { recordUsage, fromUsageMetadata } from './_lib/usage/index.js';
+import { startRequest, jsonOrText } from './_lib/log.js';
+import { sendError, sendInvalid, sendStreamError } from './_lib/errors.js';
+import { upstreamErrorCode } from '../shared/errors.js';
+import { parseRetryAfter, geminiRetryDelay } from '../shared/retry.js';
+import { safetySettingsFor } from './_lib/providers/gemini.js';
+
+function withMethod(url, method) {
+  return url.replace(/:generateContent\b/, `:${method}`);
+}
+
+function toStreamUrl(url) {
+  const streamUrl = withMethod(url, 'streamGenerateContent');
+  return streamUrl + (streamUrl.includes('?') ? '&' : '?') + 'alt=sse';
+}
+
+function modelFromUrl(url) {
+  const m = /\/models\/([^/:?]+):/.exec(url);
+  return m ? decodeURIComponent(m[1]) : null;
+}
+
+// Maps a Gemini error response to the error contract. Google's own body is
+// only passed on as `detail`, which needs EXPOSE_UPSTREAM_ERRORS=true.
+function sendUpstreamError(res, trace, upstream, text) {
+  const body = jsonOrText(text);
+  const err = body && typeof body.error === 'object' ? body.error : {};
+  const upstreamCode = typeof err.status === 'string' ? err.status : null;
+  trace.warn('upstream error', { provider: 'gemini', status: upstream.status, code: upstreamCode, message: err.message });
+  trace.debug('upstream error body', { provider: 'gemini', status: upstream.status, body });
+
+  const retryAfterMs = parseRetryAfter(upstream.headers.get('retry-after')) ?? geminiRetryDelay(err);
+  return sendError(res, upstreamErrorCode(upstreamCode, upstream.status), {
+    error: `gemini request failed (HTTP ${upstream.status}${upstreamCode ? ` ${upstreamCode}` : ''})`,
+    retryAfter: retryAfterMs === null ? null : Math.ceil(retryAfterMs / 1000),
+    detail: body,
+    provider: 'gemini'
+  });
+}
+
+async function countTokens(res, trace, url, apiKey, outgoing) {
+  const model = modelFromUrl(url);
+  const body = (outgoing.systemInstruction && model)
+    ? { generateContentRequest: { model: `models/${model}`, contents: outgoing.contents, systemInstruction: outgoing.systemInstruction } }
+    : { contents: outgoing.contents };
+  const endUpstream = trace.span('upstream');
+  const r = await fetch(withMethod(url, 'countTokens'), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-goog-api-key': apiKey
+    },
+    body: JSON.stringify(body)
+  });
+  const text = await r.text();
+  endUpstream();
+  if (!r.ok) return sendUpstreamError(res, trace, r, text);
+  return res.status(200).setHeader('Content-Type', r.headers.get('content-type') || 'application/json').send(text);
+}
+
+// Resolves to { status, usage } for the usage meter. Gemini repeats the
+// running usageMetadata on each chunk, so the last one holds the totals.
+async function relayStream(res, trace, url, apiKey, outgoing) {
+  const upstreamController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) upstreamController.abort();
+  });
+
+  const endUpstream = trace.span('upstream');
+  let r;
+  try {
+    r = await fetch(toStreamUrl(url), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': apiKey
+      },
+      body: JSON.stringify(outgoing),
+      signal: upstreamController.signal
+    });
+  } catch (err) {
+    if (upstreamController.signal.aborted) return { status: 499, usage: null };
+    throw err;
+  } finally {
+    endUpstream();
+  }
+
+  if (!r.ok) {
+    sendUpstreamError(res, trace, r, await r.text());
+    return { status: res.statusCode, usage: null };
+  }
+  if (!r.body) {
+    sendError(res, 'UPSTREAM_ERROR', { error: 'Upstream sent an empty stream', provider: 'gemini' });
+    return { status: res.statusCode, usage: null };
+  }
+
+  const endResponse = trace.span('response');
+  startSSE(res);
+  let usage = null;
+  try {
+    for await (const data of sseData(r.body)) {
+      let chunk;
+      try {
+        chunk = JSON.parse(data);
+      } catch (e) {
+        trace.warn('skipping malformed upstream SSE chunk');
+        continue;
+      }
+      if (chunk && chunk.usageMetadata) usage = fromUsageMetadata(chunk.usageMetadata);
+      writeSSE(res, chunk);
+    }
+    writeSSE(res, {}, 'done');
+    res.end();
+    return { status: 200, usage };
+  } catch (err) {
+    if (upstreamController.signal.aborted) return { status: 499, usage };
+    trace.error('stream relay failed', { err });
+    return { status: sendStreamError(res, 'UPSTREAM_ERROR', { error: 'Upstream stream interrupted', provider: 'gemini' }), usage };
+  } finally {
+    endResponse();
+  }
+}
+
 export default async function handler(req, res) {
+  const trace = startRequest(req, res, 'gemini');
   if (req.method !== 'POST') {
     res.setHeader('Allow', 'POST');
-    return res.status(405).json({ error: 'Method not allowed' });
+    return sendError(res, 'METHOD_NOT_ALLOWED', { error: 'Method not allowed' });
   }
 
   const apiKey = process.env.GEMINI_API_KEY;
   if (!apiKey) {
-    return res.status(500).json({ error: 'Server missing GEMINI_API_KEY environment variable' });
+    return sendError(res, 'NOT_CONFIGURED', { error: 'Server missing GEMINI_API_KEY environment variable', status: 500 });
   }
 
   const defaultGoogleUrl = process.env.GEMINI_API_ENDPOINT || 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent';
   let googleUrl = defaultGoogleUrl;
-  try{
-    const requestedModel = req.body && req.body.metadata && req.body.metadata.model;
-    if(requestedModel && typeof requestedModel === 'string'){
-      googleUrl = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(requestedModel)}:generateContent`;
+  const wantsStream = !!(req.body && req.body.metadata && req.body.metadata.stream === true);
+  const wantsTokenCount = !!(req.body && req.body.metadata && req.body.metadata.countTokens === true);
+  const requestedModel = req.body && req.body.metadata && req.body.metadata.model;
+  const fallbackFrom = req.body && req.body.metadata && req.body.metadata.fallbackFrom;
+
+  if (!checkOrigin(req, res)) return;
+  const principal = await requireAuth(req, res);
+  if (!principal) return;
+  trace.annotate({ user: principal.id, stream: wantsStream, countTokens: wantsTokenCount });
+
+  // Only Gemini models from the catalog may be named; anything else would
+  // end up in the upstream URL.
+  let catalogEntry = null;
+  if (requestedModel !== undefined && requestedModel !== null) {
+    let allowed = null;
+    try {
+      allowed = typeof requestedModel === 'string' ? await findModel('gemini', requestedModel) : null;
+    } catch (err) {
+      trace.error('model catalog could not be loaded', { err });
+      return sendError(res, 'INTERNAL', { error: 'Model catalog could not be loaded' });
+    }
+    if (!allowed) {
+      return sendError(res, 'BAD_REQUEST', { error: 'Bad request: model is not available' });
     }
-  }catch(e){}
-
-  const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS;
-  const origin = req.headers.origin;
-  if (ALLOWED_ORIGINS) {
-    const allowed = ALLOWED_ORIGINS.split(',').map(s => s.trim()).filter(Boolean);
-    if (!allowed.includes(origin)) {
-      console.warn(`Blocked origin: ${origin}`);
-      return res.status(403).json({ error: 'Origin not allowed' });
+    if (!canUseModel(principal, allowed)) {
+      return sendError(res, 'MODEL_NOT_ALLOWED', { error: `This API key may not use ${allowed.id}` });
     }
-    res.setHeader('Access-Control-Allow-Origin', origin);
+    catalogEntry = allowed;
+    googleUrl = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(allowed.id)}:generateContent`;
+    if (!(await checkRateLimit(req, res, { model: allowed, user: principal.id }))) return;
+  } else if (principal.models) {
+    return sendError(res, 'MODEL_NOT_ALLOWED', { error: 'This API key must name a model in metadata.model' });
+  } else if (!(await checkRateLimit(req, res, { user: principal.id }))) {
+    return;
   }
+  trace.annotate({ provider: 'gemini', model: modelFromUrl(googleUrl) });
+  audit(req, principal, 'gemini', { model: modelFromUrl(googleUrl), stream: wantsStream, countTokens: wantsTokenCount });
 
-  const RATE_LIMIT_MAX = parseInt(process.env.RATE_LIMIT_MAX || '60', 10);
-  const RATE_LIMIT_WINDOW = parseInt(process.env.RATE_LIMIT_WINDOW || '3600', 10);
-  const now = Math.floor(Date.now() / 1000);
-  const map = global.__celebraRateLimitMap = global.__celebraRateLimitMap || new Map();
-  const ip = (req.headers['x-forwarded-for'] || req.socket.remoteAddress || '').split(',')[0].trim() || 'unknown';
-  let entry = map.get(ip);
-  if (!entry || now > entry.reset) {
-    entry = { count: 0, reset: now + RATE_LIMIT_WINDOW };
-  }
-  entry.count++;
-  map.set(ip, entry);
-  if (entry.count > RATE_LIMIT_MAX) {
-    const retryAfter = entry.reset - now;
-    res.setHeader('Retry-After', String(retryAfter));
-    return res.status(429).json({ error: 'Rate limit exceeded', retry_after_seconds: retryAfter });
-  }
+  const started = Date.now();
+  const meter = (status, usage = null) => {
+    if (usage) trace.annotate({ inputTokens: usage.inputTokens, outputTokens: usage.outputTokens });
+    return recordUsage({
+      provider: 'gemini',
+      model: modelFromUrl(googleUrl),
+      user: principal.id,
+      fallbackFrom: typeof fallbackFrom === 'string' && MODEL_ID.test(fallbackFrom) ? fallbackFrom : null,
+      status,
+      usage,
+      latencyMs: Date.now() - started
+    });
+  };
 
+  const endValidate = trace.span('validate');
   try {
     const outgoing = JSON.parse(JSON.stringify(req.body || {}));
 
-    
-
-    const isImageRequest = false;
-
-    try{
-      if(outgoing && Array.isArray(outgoing.contents)){
-        const normContents = [];
-        for(const c of outgoing.contents){
-          if(!c || typeof c !== 'object') continue;
-          const role = (String(c.role || '').toLowerCase() === 'model') ? 'model' : 'user';
-          if(Array.isArray(c.parts)){
-            const parts = c.parts.map(p=>{
-              if(!p) return null;
-              if(typeof p.text === 'string') return { text: String(p.text) };
-              if(typeof p === 'string') return { text: p };
-              return null;
-            }).filter(Boolean);
-            if(parts.length) normContents.push({ role, parts });
-            continue;
-          }
-          if(typeof c.text === 'string' && c.text.trim()){
-            normContents.push({ role, parts: [{ text: c.text }] });
-            continue;
-          }
-        }
-        if(normContents.length === 0){
-          if(typeof outgoing.prompt === 'string' && outgoing.prompt.trim()){
-            normContents.push({ role: 'user', parts: [{ text: outgoing.prompt }] });
-          } else {
-            const collected = [];
-            for(const k of Object.keys(outgoing)){
-              const v = outgoing[k];
-              if(typeof v === 'string' && v.trim()) collected.push(v.trim());
-            }
-            if(collected.length) normContents.push({ role: 'user', parts: [{ text: collected.join('\n\n') }] });
-          }
-        }
-        if(normContents.length) outgoing.contents = normContents;
-      } else if(!Array.isArray(outgoing.contents) && (typeof outgoing.prompt === 'string' && outgoing.prompt.trim())){
-        outgoing.contents = [{ role: 'user', parts: [{ text: outgoing.prompt }] }];
-      }
-    }catch(e){
-      console.warn('Could not normalize outgoing contents', e);
+    try {
+      if (outgoing && typeof outgoing === 'object') outgoing.contents = normalizeContents(outgoing);
+    } catch (e) {
+      trace.warn('could not normalize outgoing contents', { err: e });
     }
 
     try {
       if (!outgoing || typeof outgoing !== 'object') {
-        return res.status(400).json({ error: 'Bad request: missing JSON body' });
+        return sendError(res, 'BAD_REQUEST', { error: 'Bad request: missing JSON body' });
+      }
+      const invalidContents = checkMessages(outgoing.contents);
+      if (invalidContents) {
+        return sendInvalid(res, invalidContents);
       }
-      if (!isImageRequest) {
-        const contents = outgoing.contents;
-        if (!Array.isArray(contents) || contents.length === 0 || contents.length > 10) {
-          return res.status(400).json({ error: 'Bad request: invalid contents' });
+      if (outgoing.systemInstruction !== undefined) {
+        const si = outgoing.systemInstruction;
+        const siText = typeof si === 'string' ? si
+          : (si && Array.isArray(si.parts)) ? si.parts.map(p => (p && typeof p.text === 'string') ? p.text : '').join('\n') : '';
+        const invalid = checkSystemText(siText);
+        if (!siText.trim()) {
+          delete outgoing.systemInstruction;
+        } else if (invalid) {
+          return sendInvalid(res, invalid);
+        } else {
+          outgoing.systemInstruction = { parts: [{ text: siText }] };
         }
-        for (const c of contents) {
-          if (!c.parts || !Array.isArray(c.parts)) continue;
-          for (const p of c.parts) {
-            if (String(p.text || '').length > 8000) {
-              return res.status(400).json({ error: 'Bad request: message too long' });
-            }
-          }
+      }
+      if (outgoing.generationConfig !== undefined) {
+        const { config, error } = validateGenerationConfig(outgoing.generationConfig);
+        if (error) {
+          return sendError(res, 'BAD_REQUEST', { error: `Bad request: ${error}` });
         }
+        if (Object.keys(config).length) outgoing.generationConfig = config;
+        else delete outgoing.generationConfig;
       }
     } catch (e) {
-      console.warn('Validation error', e);
-      return res.status(400).json({ error: 'Bad request' });
+      trace.warn('validation failed', { err: e });
+      return sendError(res, 'BAD_REQUEST', { error: 'Bad request' });
     }
 
     if(outgoing && typeof outgoing === 'object' && outgoing.metadata) delete outgoing.metadata;
-    if(outgoing && typeof outgoing === 'object' && outgoing.metadata && outgoing.metadata.model) delete outgoing.metadata.model;
 
+    // Safety thresholds set by the server's admin replace the caller's.
+    const safetySettings = safetySettingsFor(catalogEntry && catalogEntry.safetySettings);
+    if (safetySettings) outgoing.safetySettings = safetySettings;
+
+    endValidate();
+
+    if (wantsTokenCount) {
+      return await countTokens(res, trace, googleUrl, apiKey, outgoing);
+    }
+
+    if (wantsStream) {
+      const outcome = await relayStream(res, trace, googleUrl, apiKey, outgoing);
+      return await meter(outcome.status, outcome.usage);
+    }
+
+    const endUpstream = trace.span('upstream');
     const r = await fetch(googleUrl, {
       method: 'POST',
       headers: {
@@ -130,29 +265,26 @@ export default async function handler(req, res) {
     });
 
     const text = await r.text();
+    endUpstream();
     const contentType = r.headers.get('content-type') || 'application/json';
     if (r.ok) {
+      const endResponse = trace.span('response');
       res.status(r.status).setHeader('Content-Type', contentType).send(text);
+      endResponse();
+      let usage = null;
+      try { usage = fromUsageMetadata(JSON.parse(text).usageMetadata); } catch (e) {}
+      return await meter(r.status, usage);
     } else {
-      try{
-        console.warn('Upstream error from Google API', { status: r.status, body: String(text).slice(0, 2000) });
-      }catch(e){ console.warn('Upstream error (could not stringify body)'); }
-
-      const EXPOSE_UPSTREAM = (process.env.EXPOSE_UPSTREAM_ERRORS === undefined) ? 'true' : String(process.env.EXPOSE_UPSTREAM_ERRORS);
-      if (EXPOSE_UPSTREAM === 'true'){
-        try{
-          const parsed = JSON.parse(text);
-          return res.status(r.status).setHeader('Content-Type', 'application/json').json(parsed);
-        }catch(e){
-          res.setHeader('Content-Type', contentType);
-          return res.status(r.status).send(text);
-        }
-      }
-
-      return res.status(r.status).json({ error: 'Upstream API error' });
+      sendUpstreamError(res, trace, r, text);
+      return await meter(res.statusCode);
     }
   } catch (err) {
-    console.error('Proxy error:', err);
-    res.status(500).json({ error: 'Proxy request failed' });
+    trace.error('gemini proxy failed', { err });
+    if (res.headersSent) {
+      try { sendStreamError(res, 'INTERNAL', { error: 'Proxy request failed' }); } catch (e) {}
+    } else {
+      sendError(res, 'INTERNAL', { error: 'Proxy request failed' });
+    }
+    if (!wantsTokenCount) await meter(500);
   }
 }
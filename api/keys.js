@@ -0,0 +1,66 @@
+import { checkOrigin, requireAuth } from './_lib/guard.js';
+import { MODEL_ID } from './_lib/catalog.js';
+import { createKey, revokeKey, listKeys } from './_lib/auth/keys.js';
+import { audit } from './_lib/audit.js';
+import { startRequest } from './_lib/log.js';
+import { sendError } from './_lib/errors.js';
+
+// API key administration, for signed-in admins only.
+// GET                                  -> { keys }
+// POST { name, user?, models? }        -> 201 { key, ...record }; the key is only shown here
+// DELETE ?id=<id>                      -> the revoked record
+
+const USER_ID = /^[\w.@-]{1,64}$/;
+const MAX_NAME_CHARS = 80;
+
+function parseNewKey(body, principal) {
+  if (!body || typeof body !== 'object') return { error: 'Bad request: missing JSON body' };
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > MAX_NAME_CHARS) return { error: `Bad request: name must be 1 to ${MAX_NAME_CHARS} characters` };
+  const user = body.user === undefined ? principal.id : body.user;
+  if (typeof user !== 'string' || !USER_ID.test(user)) return { error: 'Bad request: invalid user' };
+  let models = null;
+  if (body.models !== undefined && body.models !== null) {
+    if (!Array.isArray(body.models) || !body.models.length || !body.models.every(m => typeof m === 'string' && MODEL_ID.test(m))) {
+      return { error: 'Bad request: models must be a non-empty list of model ids' };
+    }
+    models = [...new Set(body.models)];
+  }
+  return { name, user, models };
+}
+
+export default async function handler(req, res) {
+  const trace = startRequest(req, res, 'keys');
+  if (!checkOrigin(req, res)) return;
+  const principal = await requireAuth(req, res);
+  if (!principal) return;
+  if (principal.role !== 'admin') {
+    return sendError(res, 'FORBIDDEN', { error: 'Only admins can manage API keys' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      return res.status(200).json({ keys: await listKeys() });
+    }
+    if (req.method === 'POST') {
+      const parsed = parseNewKey(req.body, principal);
+      if (parsed.error) return sendError(res, 'BAD_REQUEST', { error: parsed.error });
+      const { key, record } = await createKey({ ...parsed, createdBy: principal.id });
+      audit(req, principal, 'key_created', { key: record.id, for: record.user, models: record.models });
+      return res.status(201).json({ key, ...record });
+    }
+    if (req.method === 'DELETE') {
+      const id = String((req.query && req.query.id) || (req.body && req.body.id) || '');
+      const record = id ? await revokeKey(id) : null;
+      if (!record) return sendError(res, 'NOT_FOUND', { error: 'No such key' });
+      audit(req, principal, 'key_revoked', { key: record.id, for: record.user });
+      return res.status(200).json(record);
+    }
+  } catch (err) {
+    trace.error('API key store error', { err });
+    return sendError(res, 'INTERNAL', { error: 'API key store is unavailable' });
+  }
+
+  res.setHeader('Allow', 'GET, POST, DELETE');
+  return sendError(res, 'METHOD_NOT_ALLOWED', { error: 'Method not allowed' });
+}
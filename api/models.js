@@ -0,0 +1,37 @@
+import { checkOrigin, requireAuth } from './_lib/guard.js';
+import { loadCatalog } from './_lib/catalog.js';
+import { canUseModel } from './_lib/auth/index.js';
+import { startRequest } from './_lib/log.js';
+import { sendError } from './_lib/errors.js';
+
+// Lists the models this server accepts, with their capabilities. The client
+// builds its model picker and fallback chain from this response. Callers
+// using a scoped API key only see the models that key may use.
+
+export default async function handler(req, res) {
+  const trace = startRequest(req, res, 'models');
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return sendError(res, 'METHOD_NOT_ALLOWED', { error: 'Method not allowed' });
+  }
+
+  if (!checkOrigin(req, res)) return;
+  const principal = await requireAuth(req, res);
+  if (!principal) return;
+
+  try {
+    const catalog = await loadCatalog();
+    const models = catalog.models.filter(m => canUseModel(principal, m));
+    const isDefault = (m) => catalog.default && m.provider === catalog.default.provider && m.id === catalog.default.id;
+    const first = models.find(isDefault) || models[0] || null;
+    res.setHeader('Cache-Control', 'private, max-age=60');
+    return res.status(200).json({
+      ...catalog,
+      models,
+      default: first ? { provider: first.provider, id: first.id } : null
+    });
+  } catch (err) {
+    trace.error('model catalog could not be loaded', { err });
+    return sendError(res, 'INTERNAL', { error: 'Model catalog could not be loaded' });
+  }
+}
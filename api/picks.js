@@ -0,0 +1,67 @@
+import { checkOrigin, checkRateLimit, requireAuth } from './_lib/guard.js';
+import { MODEL_ID, findModel } from './_lib/catalog.js';
+import { recordPick } from './_lib/usage/index.js';
+import { startRequest } from './_lib/log.js';
+import { sendError } from './_lib/errors.js';
+import { MIN_COMPARE_MODELS, MAX_COMPARE_MODELS } from '../shared/limits.js';
+import { TASK_IDS } from '../shared/tasks.js';
+
+// Compare mode: which of the replies to one message the user picked.
+// POST { task, winner: { provider, id }, candidates: [{ provider, id }, ...] }
+//   -> 200 { recorded }
+// Picks are counted per day, model, user and task kind next to the usage
+// counters, and come back in the "picks" of /api/usage. `recorded` is false
+// when metering is off (USAGE_STORE=off).
+
+function readModelRef(ref) {
+  if (!ref || typeof ref !== 'object') return null;
+  if (typeof ref.provider !== 'string' || typeof ref.id !== 'string' || !MODEL_ID.test(ref.id)) return null;
+  return { provider: ref.provider, id: ref.id };
+}
+
+// Returns { task, winner, candidates } or { error }.
+async function parsePick(body) {
+  if (!body || typeof body !== 'object') return { error: 'Bad request: missing JSON body' };
+  if (!TASK_IDS.includes(body.task)) return { error: `Bad request: task must be one of ${TASK_IDS.join(', ')}` };
+  const list = Array.isArray(body.candidates) ? body.candidates : [];
+  if (list.length < MIN_COMPARE_MODELS || list.length > MAX_COMPARE_MODELS) {
+    return { error: `Bad request: a comparison has ${MIN_COMPARE_MODELS} to ${MAX_COMPARE_MODELS} candidates` };
+  }
+  const candidates = [];
+  for (const item of list) {
+    const ref = readModelRef(item);
+    if (!ref) return { error: 'Bad request: invalid candidate' };
+    if (candidates.some(c => c.provider === ref.provider && c.id === ref.id)) return { error: 'Bad request: duplicate candidate' };
+    if (!(await findModel(ref.provider, ref.id))) return { error: `Bad request: model "${ref.id}" is not available` };
+    candidates.push(ref);
+  }
+  const winner = readModelRef(body.winner);
+  if (!winner || !candidates.some(c => c.provider === winner.provider && c.id === winner.id)) {
+    return { error: 'Bad request: the winner must be one of the candidates' };
+  }
+  return { task: body.task, winner, candidates };
+}
+
+export default async function handler(req, res) {
+  const trace = startRequest(req, res, 'picks');
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return sendError(res, 'METHOD_NOT_ALLOWED', { error: 'Method not allowed' });
+  }
+
+  if (!checkOrigin(req, res)) return;
+  const principal = await requireAuth(req, res);
+  if (!principal) return;
+  if (!(await checkRateLimit(req, res, { user: principal.id }))) return;
+
+  try {
+    const parsed = await parsePick(req.body);
+    if (parsed.error) return sendError(res, 'BAD_REQUEST', { error: parsed.error });
+    const recorded = await recordPick({ ...parsed, user: principal.id });
+    trace.annotate({ task: parsed.task, winner: parsed.winner.id });
+    return res.status(200).json({ recorded });
+  } catch (err) {
+    trace.error('pick could not be recorded', { err });
+    return sendError(res, 'INTERNAL', { error: 'Pick could not be recorded' });
+  }
+}
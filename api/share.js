@@ -0,0 +1,164 @@
+import { checkOrigin, checkRateLimit, requireAuth } from './_lib/guard.js';
+import { INLINE_DATA_MIME_TYPES, MAX_PART_CHARS } from '../shared/limits.js';
+import { SHARE_ID, sharingEnabled, createShare, getShare, revokeShare } from './_lib/shares/index.js';
+import { audit } from './_lib/audit.js';
+import { startRequest } from './_lib/log.js';
+import { sendError } from './_lib/errors.js';
+
+// Read-only links to a snapshot of a conversation, opened at
+// /share.html#<id>.
+// POST { title, messages, expiresIn?, includeAttachments? }
+//                      -> 201 { id, url, expiresAt, revokeToken }
+// GET ?id=<id>         -> { id, title, messages, attachments, createdAt, expiresAt }
+// DELETE ?id=<id>      -> { id, revoked: true }, with the revoke token in
+//                         X-Share-Token, or by the owner or an admin
+// Reading needs nothing but the id, which is what makes the link shareable;
+// creating and revoking go through the usual origin and sign-in checks.
+//
+// Messages are { role, text, ts?, model?, finishReason?, citations?,
+// toolCalls?, sources?, attachments? }, where `model` is the label of the
+// model that replied, toolCalls are { name, label, args, response, status }
+// and sources the document excerpts { n, title, text } a reply cites as [n].
+// Without includeAttachments, attachments keep their names but not data.
+
+const MAX_SHARE_MESSAGES = 500;
+const MAX_TITLE_CHARS = 120;
+const MAX_SHARE_BYTES = 4 * 1024 * 1024;
+const MAX_EXPIRY_SECONDS = 365 * 24 * 3600;
+const BASE64 = /^[A-Za-z0-9+/]*={0,2}$/;
+const TOOL_STATUSES = ['done', 'error', 'skipped'];
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+function readAttachment(a, includeAttachments) {
+  if (!a || typeof a.name !== 'string' || !INLINE_DATA_MIME_TYPES.includes(a.mimeType)) return null;
+  const out = { name: a.name.slice(0, 200), mimeType: a.mimeType, size: Number.isFinite(a.size) ? a.size : 0 };
+  if (includeAttachments) {
+    if (typeof a.data !== 'string' || !BASE64.test(a.data)) return null;
+    out.data = a.data;
+  }
+  return out;
+}
+
+function readMessage(m, includeAttachments) {
+  if (!m || (m.role !== 'user' && m.role !== 'assistant') || typeof m.text !== 'string') return null;
+  const attachments = [];
+  for (const a of Array.isArray(m.attachments) ? m.attachments : []) {
+    const attachment = readAttachment(a, includeAttachments);
+    if (!attachment) return null;
+    attachments.push(attachment);
+  }
+  return {
+    role: m.role,
+    text: m.text,
+    ts: Number.isFinite(m.ts) ? m.ts : null,
+    model: typeof m.model === 'string' ? m.model.slice(0, 80) : null,
+    finishReason: typeof m.finishReason === 'string' ? m.finishReason : null,
+    citations: (Array.isArray(m.citations) ? m.citations : [])
+      .filter(c => c && typeof c.uri === 'string' && /^https?:\/\//i.test(c.uri))
+      .map(c => ({ uri: c.uri, title: typeof c.title === 'string' ? c.title : null })),
+    toolCalls: (Array.isArray(m.toolCalls) ? m.toolCalls : [])
+      .filter(t => t && typeof t.name === 'string' && TOOL_STATUSES.includes(t.status))
+      .map(t => ({
+        name: t.name.slice(0, 64),
+        label: typeof t.label === 'string' ? t.label.slice(0, 80) : null,
+        args: isObject(t.args) ? t.args : {},
+        response: isObject(t.response) ? t.response : null,
+        status: t.status
+      })),
+    sources: (Array.isArray(m.sources) ? m.sources : [])
+      .filter(s => s && Number.isInteger(s.n) && s.n > 0 && typeof s.title === 'string' && typeof s.text === 'string')
+      .map(s => ({ n: s.n, title: s.title.slice(0, 300), text: s.text.slice(0, MAX_PART_CHARS) })),
+    attachments
+  };
+}
+
+function parseShare(body) {
+  if (!body || typeof body !== 'object') return { error: 'Bad request: missing JSON body' };
+  const title = typeof body.title === 'string' ? body.title.trim().slice(0, MAX_TITLE_CHARS) : '';
+  if (!Array.isArray(body.messages) || !body.messages.length || body.messages.length > MAX_SHARE_MESSAGES) {
+    return { error: `Bad request: messages must be a list of 1 to ${MAX_SHARE_MESSAGES} messages` };
+  }
+  const includeAttachments = body.includeAttachments === true;
+  const messages = [];
+  for (const m of body.messages) {
+    const message = readMessage(m, includeAttachments);
+    if (!message) return { error: 'Bad request: invalid message' };
+    messages.push(message);
+  }
+  let expiresAt = null;
+  if (body.expiresIn !== undefined && body.expiresIn !== null) {
+    const seconds = Number(body.expiresIn);
+    if (!Number.isInteger(seconds) || seconds < 60 || seconds > MAX_EXPIRY_SECONDS) {
+      return { error: `Bad request: expiresIn must be between 60 and ${MAX_EXPIRY_SECONDS} seconds` };
+    }
+    expiresAt = Date.now() + seconds * 1000;
+  }
+  if (JSON.stringify(messages).length > MAX_SHARE_BYTES) return { status: 413 };
+  return { title: title || 'Shared chat', messages, attachments: includeAttachments, expiresAt };
+}
+
+// SHARE_BASE_URL wins; otherwise the link points at the host the request
+// came to, as the platform's proxy reports it.
+function shareUrl(req, id) {
+  let base = process.env.SHARE_BASE_URL;
+  if (!base) {
+    const direct = req.socket && req.socket.encrypted ? 'https' : 'http';
+    const proto = String(req.headers['x-forwarded-proto'] || direct).split(',')[0].trim();
+    base = `${proto}://${req.headers['x-forwarded-host'] || req.headers.host}`;
+  }
+  return `${base.replace(/\/+$/, '')}/share.html#${id}`;
+}
+
+function shareId(req) {
+  const id = String((req.query && req.query.id) || '');
+  return SHARE_ID.test(id) ? id : null;
+}
+
+export default async function handler(req, res) {
+  const trace = startRequest(req, res, 'share');
+  if (!sharingEnabled()) {
+    return sendError(res, 'NOT_CONFIGURED', { error: 'Sharing is disabled (SHARE_STORE=off)', userMessage: 'Sharing is turned off on this server.' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      res.setHeader('Cache-Control', 'no-store');
+      res.setHeader('X-Robots-Tag', 'noindex');
+      const id = shareId(req);
+      const share = id ? await getShare(id) : null;
+      if (!share) return sendError(res, 'NOT_FOUND', { error: 'No such share', userMessage: 'This link has expired or was revoked.' });
+      return res.status(200).json(share);
+    }
+
+    if (req.method === 'POST' || req.method === 'DELETE') {
+      if (!checkOrigin(req, res)) return;
+      const principal = await requireAuth(req, res);
+      if (!principal) return;
+      if (!(await checkRateLimit(req, res, { user: principal.id }))) return;
+
+      if (req.method === 'POST') {
+        const parsed = parseShare(req.body);
+        if (parsed.status === 413) return sendError(res, 'PAYLOAD_TOO_LARGE', { error: 'Shared conversation is too large' });
+        if (parsed.error) return sendError(res, 'BAD_REQUEST', { error: parsed.error });
+        const { share, revokeToken } = await createShare({ ...parsed, owner: principal.id });
+        audit(req, principal, 'share_created', { share: share.id, messages: share.messages.length, attachments: share.attachments, expiresAt: share.expiresAt });
+        return res.status(201).json({ id: share.id, url: shareUrl(req, share.id), expiresAt: share.expiresAt, revokeToken });
+      }
+
+      const id = shareId(req);
+      const revokeToken = String(req.headers['x-share-token'] || '');
+      const result = id ? await revokeShare(id, { revokeToken, principal }) : 'missing';
+      if (result === 'missing') return sendError(res, 'NOT_FOUND', { error: 'No such share', userMessage: 'This link has already expired or was revoked.' });
+      if (result === 'forbidden') return sendError(res, 'FORBIDDEN', { error: 'Not allowed to revoke this share' });
+      audit(req, principal, 'share_revoked', { share: id });
+      return res.status(200).json({ id, revoked: true });
+    }
+  } catch (err) {
+    trace.error('share store error', { err });
+    return sendError(res, 'INTERNAL', { error: 'Share store is unavailable' });
+  }
+
+  res.setHeader('Allow', 'GET, POST, DELETE');
+  return sendError(res, 'METHOD_NOT_ALLOWED', { error: 'Method not allowed' });
+}
@@ -0,0 +1,55 @@
+import { checkOrigin, requireAuth } from './_lib/guard.js';
+import { loadCatalog } from './_lib/catalog.js';
+import { authEnabled } from './_lib/auth/index.js';
+import { usageReport, retentionDays } from './_lib/usage/index.js';
+import { startRequest } from './_lib/log.js';
+import { sendError } from './_lib/errors.js';
+
+// Aggregated usage for the dashboard: GET /api/usage?days=30&user=<id>.
+// With authentication on, admins see everyone and may filter by user;
+// everyone else only sees their own requests.
+
+const DEFAULT_DAYS = 30;
+
+export default async function handler(req, res) {
+  const trace = startRequest(req, res, 'usage');
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return sendError(res, 'METHOD_NOT_ALLOWED', { error: 'Method not allowed' });
+  }
+
+  if (!checkOrigin(req, res)) return;
+  const principal = await requireAuth(req, res);
+  if (!principal) return;
+
+  const query = req.query || {};
+  const days = query.days === undefined ? DEFAULT_DAYS : parseInt(query.days, 10);
+  if (!(days > 0) || days > retentionDays()) {
+    return sendError(res, 'BAD_REQUEST', { error: `Bad request: days must be between 1 and ${retentionDays()}` });
+  }
+  let user;
+  if (authEnabled() && principal.role !== 'admin') user = principal.id;
+  else if (typeof query.user === 'string' && query.user) user = query.user;
+
+  try {
+    const catalog = await loadCatalog();
+    const find = (provider, id) => catalog.models.find(m => m.provider === provider && m.id === id);
+    const report = await usageReport({
+      days,
+      user,
+      priceOf: (provider, id) => {
+        const m = find(provider, id);
+        return m ? m.price : null;
+      }
+    });
+    for (const row of [...report.byModel, ...report.picks]) {
+      const m = find(row.provider, row.model);
+      row.label = m ? m.label : row.model;
+    }
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ ...report, user: user === undefined ? null : user });
+  } catch (err) {
+    trace.error('usage report failed', { err });
+    return sendError(res, 'INTERNAL', { error: 'Usage could not be loaded' });
+  }
+}
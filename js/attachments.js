@@ -0,0 +1,155 @@
+import { INLINE_DATA_MIME_TYPES, MAX_INLINE_DATA_BYTES } from '../shared/limits.js';
+
+// Files picked, pasted or dropped into the composer become attachments:
+// { id, name, mimeType, size, data } with base64 data, ready to be sent as a
+// Gemini inlineData part and stored with the message.
+
+const TEXT_EXTENSIONS = new Set(('txt md markdown csv tsv log json jsonc yaml yml toml ini cfg conf env xml html htm css scss less '
+  + 'js mjs cjs jsx ts tsx py rb go rs java kt kts swift c h cc cpp hpp cs php sh bash zsh ps1 sql r lua pl dart scala vue svelte '
+  + 'gradle properties dockerfile makefile tex bib').split(' '));
+const TEXT_MIME_TYPES = new Set(['application/json', 'application/xml', 'application/javascript', 'application/x-javascript',
+  'application/x-sh', 'application/x-yaml', 'application/sql', 'application/x-httpd-php', 'application/toml']);
+
+// Large photos are scaled down before upload so a few of them fit the
+// per-request inline data limit.
+const IMAGE_MAX_EDGE = 1600;
+const IMAGE_RESIZE_OVER_BYTES = 1024 * 1024;
+// Text is billed per token, unlike images, so text files get a lower cap.
+const MAX_TEXT_BYTES = 100 * 1024;
+
+function makeId(){
+  try{ if(crypto && crypto.randomUUID) return crypto.randomUUID(); }catch(e){}
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+}
+
+function extensionOf(name){
+  const base = String(name || '').toLowerCase().split('/').pop();
+  if(!base.includes('.')) return base;
+  return base.slice(base.lastIndexOf('.') + 1);
+}
+
+function isTextFile(file){
+  const type = String(file.type || '').toLowerCase();
+  if(type.startsWith('text/') || TEXT_MIME_TYPES.has(type)) return true;
+  return TEXT_EXTENSIONS.has(extensionOf(file.name));
+}
+
+// The MIME type the file is sent as. Text and source files all go as
+// text/plain, which every Gemini model accepts; the name keeps the context.
+function sendMimeType(file){
+  const type = String(file.type || '').toLowerCase();
+  if(INLINE_DATA_MIME_TYPES.includes(type)) return type;
+  if(type === 'image/jpg') return 'image/jpeg';
+  if(isTextFile(file)) return 'text/plain';
+  return null;
+}
+
+export function attachmentKind(attachment){
+  const type = attachment && attachment.mimeType;
+  if(!type) return 'file';
+  if(type.startsWith('image/')) return 'image';
+  if(type === 'application/pdf') return 'pdf';
+  return 'text';
+}
+
+export function formatBytes(n){
+  if(n < 1024) return `${n} B`;
+  if(n < 1024 * 1024) return `${Math.round(n / 1024)} KB`;
+  return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function blobToBase64(blob){
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const url = String(reader.result || '');
+      resolve(url.slice(url.indexOf(',') + 1));
+    };
+    reader.onerror = () => reject(reader.error || new Error('Could not read file'));
+    reader.readAsDataURL(blob);
+  });
+}
+
+// A file's text, decoded as UTF-8.
+export function readFileText(file){
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result || ''));
+    reader.onerror = () => reject(reader.error || new Error('Could not read file'));
+    reader.readAsText(file);
+  });
+}
+
+async function shrinkImage(file){
+  if(typeof createImageBitmap !== 'function' || typeof document === 'undefined') return null;
+  try{
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, IMAGE_MAX_EDGE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    const ctx = canvas.getContext('2d');
+    if(!ctx) return null;
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    if(bitmap.close) bitmap.close();
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+    return blob && blob.size < file.size ? blob : null;
+  }catch(e){
+    console.warn('Could not resize image; sending the original', e);
+    return null;
+  }
+}
+
+// Resolves to { attachment } or { error } with a message for the user.
+export async function readAttachment(file){
+  const name = String(file.name || 'pasted file');
+  let mimeType = sendMimeType(file);
+  if(!mimeType) return { error: `${name}: only images, PDFs and text or code files can be attached.` };
+  let blob = file;
+  if(mimeType.startsWith('image/') && file.size > IMAGE_RESIZE_OVER_BYTES){
+    const smaller = await shrinkImage(file);
+    if(smaller){
+      blob = smaller;
+      mimeType = 'image/jpeg';
+    }
+  }
+  const limit = mimeType === 'text/plain' ? MAX_TEXT_BYTES : MAX_INLINE_DATA_BYTES;
+  if(blob.size > limit){
+    return { error: `${name} is too large (${formatBytes(blob.size)}; the limit is ${formatBytes(limit)}).` };
+  }
+  try{
+    const data = await blobToBase64(blob);
+    return { attachment: { id: makeId(), name, mimeType, size: blob.size, data } };
+  }catch(e){
+    return { error: `${name} could not be read.` };
+  }
+}
+
+export function totalAttachmentBytes(attachments){
+  return (attachments || []).reduce((sum, a) => sum + (a.size || 0), 0);
+}
+
+// A thumbnail for images, otherwise a chip with the file name. Attachments
+// shared without their data (see api/share.js) are always chips.
+export function createAttachmentPreview(att){
+  const kind = attachmentKind(att);
+  if(kind === 'image' && att.data && /^image\/(png|jpeg|webp)$/.test(att.mimeType)){
+    const img = document.createElement('img');
+    img.className = 'attachment-thumb';
+    img.src = `data:${att.mimeType};base64,${att.data}`;
+    img.alt = att.name;
+    img.title = `${att.name} (${formatBytes(att.size)})`;
+    return img;
+  }
+  const chip = document.createElement('span');
+  chip.className = 'attachment-chip';
+  chip.title = `${att.name} (${formatBytes(att.size)})`;
+  const icon = document.createElement('span');
+  icon.className = 'attachment-icon';
+  icon.textContent = kind === 'pdf' ? 'PDF' : kind === 'image' ? 'IMG' : 'TXT';
+  const name = document.createElement('span');
+  name.className = 'attachment-name';
+  name.textContent = att.name;
+  chip.append(icon, name);
+  return chip;
+}
@@ -0,0 +1,78 @@
+// Sign-in state for proxies that require authentication (AUTH_SECRET set on
+// the server). The token is either a session from POST /api/auth or an API
+// key pasted by the user; it is kept in localStorage and sent as a bearer
+// token with every proxy request.
+
+const STORAGE_KEY = 'celebra_auth';
+
+function readStored(){
+  try{
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if(saved && typeof saved.token === 'string' && !(saved.expiresAt && saved.expiresAt <= Date.now())) return saved;
+  }catch(_){ }
+  return null;
+}
+
+let current = readStored();
+
+function save(next){
+  current = next;
+  try{
+    if(next) localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    else localStorage.removeItem(STORAGE_KEY);
+  }catch(_){ }
+}
+
+export function authHeaders(){
+  return current ? { 'Authorization': `Bearer ${current.token}` } : {};
+}
+
+export function currentUser(){
+  return current ? current.user : null;
+}
+
+export function signOut(){
+  save(null);
+}
+
+async function readJson(resp){
+  try{ return await resp.json(); }catch(_){ return null; }
+}
+
+// Resolves to { enabled, user }. A server without /api/auth (or one that
+// cannot be reached) is treated as having authentication turned off; the
+// chat requests will report the real problem.
+export async function fetchAuthStatus(endpoint){
+  try{
+    const resp = await fetch(endpoint, { headers: { 'Accept': 'application/json', ...authHeaders() } });
+    if(!resp.ok) return { enabled: false, user: null };
+    const status = await readJson(resp);
+    if(!status || !status.enabled) return { enabled: false, user: null };
+    if(!status.user) save(null);
+    else if(current) save({ ...current, user: status.user });
+    return { enabled: true, user: status.user || null };
+  }catch(_){
+    return { enabled: false, user: null };
+  }
+}
+
+export async function signInWithPassword(endpoint, username, password){
+  const resp = await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  const json = await readJson(resp);
+  if(!resp.ok || !json || !json.token) throw new Error((json && (json.userMessage || json.error)) || `Sign-in failed (HTTP ${resp.status})`);
+  save({ token: json.token, expiresAt: json.expiresAt || null, user: json.user || null });
+  return currentUser();
+}
+
+// API keys are checked by asking the server who they belong to.
+export async function signInWithKey(endpoint, key){
+  const resp = await fetch(endpoint, { headers: { 'Accept': 'application/json', 'Authorization': `Bearer ${key}` } });
+  const json = await readJson(resp);
+  if(!resp.ok || !json || !json.user) throw new Error('That API key was not accepted.');
+  save({ token: key, expiresAt: null, user: json.user });
+  return currentUser();
+}
@@ -0,0 +1,108 @@
+// Compare mode: one message sent to two or three models at once, their
+// replies side by side in one bubble, each with how long it took and how
+// many tokens it used. The user picks the reply the chat continues from,
+// and files the pick under a kind of task (shared/tasks.js).
+
+import { createMarkdownView } from './markdown.js';
+import { TASK_KINDS } from '../shared/tasks.js';
+import { MIN_COMPARE_MODELS, MAX_COMPARE_MODELS } from '../shared/limits.js';
+
+const SETTINGS_KEY = 'compareSettings';
+
+function el(tag, className, text){
+  const node = document.createElement(tag);
+  if(className) node.className = className;
+  if(text !== undefined) node.textContent = text;
+  return node;
+}
+
+// { enabled, models }, `models` being the picked models' "provider:id" keys.
+export function loadCompareSettings(){
+  let saved = {};
+  try{ saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') || {}; }catch(_){ }
+  const models = Array.isArray(saved.models) ? saved.models.filter(k => typeof k === 'string').slice(0, MAX_COMPARE_MODELS) : [];
+  return { enabled: saved.enabled === true && models.length >= MIN_COMPARE_MODELS, models };
+}
+
+export function saveCompareSettings(settings){
+  try{ localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings)); }catch(_){ }
+}
+
+function formatLatency(ms){
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${Math.round(ms)} ms`;
+}
+
+// "2.4 s · 812 in / 390 out tokens", or only the time when the provider
+// reported no usage.
+export function formatStats({ latencyMs, usage }){
+  const bits = [formatLatency(latencyMs)];
+  if(usage) bits.push(`${Number(usage.inputTokens || 0).toLocaleString('en-US')} in / ${Number(usage.outputTokens || 0).toLocaleString('en-US')} out tokens`);
+  return bits.join(' · ');
+}
+
+// Builds the comparison bubble for `choices` with `task` preselected and
+// returns { element, columns, task() }. Each column has update(text) while
+// its reply streams in, finish(stats) and fail(message) when it ends, and
+// offerPick(onPick) to show its Pick button.
+export function createComparison(choices, { task }){
+  const element = el('div', 'bubble bot compare');
+  const head = el('div', 'compare-head');
+  const taskSelect = el('select', 'compare-task');
+  taskSelect.setAttribute('aria-label', 'Kind of task');
+  for(const kind of TASK_KINDS){
+    const opt = el('option', '', kind.label);
+    opt.value = kind.id;
+    taskSelect.appendChild(opt);
+  }
+  taskSelect.value = task;
+  const taskLabel = el('label', 'compare-task-label', 'Task ');
+  taskLabel.appendChild(taskSelect);
+  head.append(el('span', '', `Comparing ${choices.length} models`), taskLabel);
+
+  const grid = el('div', 'compare-columns');
+  const columns = choices.map(choice => {
+    const column = el('section', 'compare-column');
+    const stats = el('span', 'compare-stats', 'waiting…');
+    const header = el('header', 'compare-column-head');
+    header.append(el('strong', '', choice.label), stats);
+    const content = el('div', 'compare-content');
+    const dots = el('div', 'typing-dots');
+    dots.innerHTML = '<span></span><span></span><span></span>';
+    content.appendChild(dots);
+    column.append(header, content);
+    grid.appendChild(column);
+
+    let view = null;
+    const show = (text) => {
+      if(!view){
+        content.replaceChildren();
+        view = createMarkdownView(content);
+      }
+      view.update(text);
+    };
+    return {
+      choice,
+      element: column,
+      update: show,
+      finish(result){
+        show(result.text);
+        stats.textContent = formatStats(result);
+        column.dataset.state = 'done';
+      },
+      fail(message){
+        content.replaceChildren(el('p', 'bubble-note', `⚠️ ${message}`));
+        stats.textContent = 'failed';
+        column.dataset.state = 'failed';
+      },
+      offerPick(onPick){
+        const btn = el('button', 'btn compare-pick', 'Pick this reply');
+        btn.type = 'button';
+        btn.addEventListener('click', () => onPick());
+        column.appendChild(btn);
+      }
+    };
+  });
+
+  element.append(head, grid);
+  return { element, columns, task: () => taskSelect.value };
+}
@@ -0,0 +1,208 @@
+import {
+  MAX_CONTENTS,
+  MAX_PART_CHARS,
+  MAX_SYSTEM_INSTRUCTION_CHARS,
+  MAX_INLINE_PARTS,
+  MAX_INLINE_DATA_BYTES,
+  DEFAULT_CHARS_PER_TOKEN,
+  SUMMARY_MODEL,
+  tokenBudgetFor
+} from '../shared/limits.js';
+
+// How much of a conversation is sent to the model. This is independent of
+// storage: the full transcript is always kept in IndexedDB. Older turns that
+// no longer fit the model's token budget are folded into a rolling summary.
+// `history` is one path through the conversation's message tree (see
+// js/conversations.js); a summary written on another branch is ignored.
+
+const EXACT_COUNT_THRESHOLD = 0.8;
+const FOLD_TARGET = 0.5;
+const SUMMARY_MAX_CHARS = 4000;
+const MAX_FOLD_ROUNDS = 3;
+const TRUNCATION_MARKER = '\n\n[…truncated]';
+
+// Rough token costs used for estimates until countTokens gives an exact
+// figure: Gemini bills an image as 258 tokens and a PDF as 258 per page.
+const IMAGE_TOKENS = 258;
+const PDF_BYTES_PER_PAGE = 60 * 1024;
+
+const charsPerTokenByModel = new Map();
+
+export function clipText(text, max = MAX_PART_CHARS){
+  const s = String(text || '');
+  if(s.length <= max) return s;
+  return s.slice(0, max - TRUNCATION_MARKER.length) + TRUNCATION_MARKER;
+}
+
+function attachmentNote(m){
+  const lines = [];
+  if(m.attachments && m.attachments.length) lines.push(`[Attached: ${m.attachments.map(a => a.name).join(', ')}]`);
+  if(m.omitted && m.omitted.length) lines.push(`[Earlier attachments not resent: ${m.omitted.join(', ')}]`);
+  return lines.join('\n');
+}
+
+// `context` is text sent ahead of a message but not part of it: the
+// excerpts from the user's documents (js/knowledge.js).
+export function toChatMessages(messages){
+  return messages.map(m => {
+    const parts = (m.attachments || []).map(a => ({ inlineData: { mimeType: a.mimeType, data: a.data } }));
+    if(m.context) parts.push({ text: clipText(m.context) });
+    const text = [attachmentNote(m), m.text].filter(Boolean).join('\n\n');
+    if(text || !parts.length) parts.push({ text: clipText(text) });
+    return { role: m.role === 'assistant' ? 'assistant' : 'user', parts };
+  });
+}
+
+// Keeps the newest attachments that fit the proxy's inline data limits;
+// older ones are replaced by a note naming them. Text-only models get text
+// files only.
+function fitAttachments(messages, multimodal = true){
+  let parts = 0;
+  let bytes = 0;
+  const out = new Array(messages.length);
+  for(let i = messages.length - 1; i >= 0; i--){
+    const m = messages[i];
+    if(!m.attachments || !m.attachments.length){ out[i] = m; continue; }
+    const kept = [];
+    const omitted = [];
+    for(const a of m.attachments){
+      const readable = multimodal || a.mimeType === 'text/plain';
+      if(readable && parts + 1 <= MAX_INLINE_PARTS && bytes + a.size <= MAX_INLINE_DATA_BYTES){
+        parts++;
+        bytes += a.size;
+        kept.push(a);
+      } else {
+        omitted.push(a.name);
+      }
+    }
+    out[i] = { ...m, attachments: kept, omitted };
+  }
+  return out;
+}
+
+function attachmentChars(a){
+  if(a.mimeType.startsWith('image/')) return IMAGE_TOKENS * DEFAULT_CHARS_PER_TOKEN;
+  if(a.mimeType === 'application/pdf') return Math.ceil(a.size / PDF_BYTES_PER_PAGE) * IMAGE_TOKENS * DEFAULT_CHARS_PER_TOKEN;
+  return a.size;
+}
+
+function messageChars(m){
+  return (m.attachments || []).reduce((s, a) => s + attachmentChars(a), m.text.length + (m.context || '').length);
+}
+
+export function summaryInstruction(summaryText){
+  if(!summaryText) return '';
+  return 'Summary of the earlier part of this conversation (those messages are not repeated below):\n' + summaryText;
+}
+
+export function recordTokenCount(model, chars, tokens){
+  if(!model || !(chars > 0) || !(tokens > 0)) return;
+  charsPerTokenByModel.set(model, chars / tokens);
+}
+
+function charsPerToken(model){
+  return charsPerTokenByModel.get(model) || DEFAULT_CHARS_PER_TOKEN;
+}
+
+function tokensFor(chars, ratio){
+  return Math.ceil(chars / ratio);
+}
+
+function totalChars(systemText, messages){
+  return messages.reduce((s, m) => s + messageChars(m), systemText.length);
+}
+
+export function buildSummaryRequest(previousSummary, messages){
+  const intro = 'You maintain a running summary of a conversation between a user and an AI assistant. '
+    + 'Rewrite the summary so it also covers the new turns below. Keep facts, decisions, names, numbers, code identifiers and open questions. '
+    + 'Write at most 250 words and reply with the summary only.\n\n'
+    + `Current summary:\n${previousSummary || '(none yet)'}\n\nNew turns:`;
+  const parts = [{ text: clipText(intro) }];
+  for(const m of messages){
+    const names = (m.attachments || []).map(a => a.name);
+    const note = names.length ? ` [attached: ${names.join(', ')}]` : '';
+    parts.push({ text: clipText(`${m.role === 'assistant' ? 'Assistant' : 'User'}: ${m.text}${note}`) });
+  }
+  return { model: SUMMARY_MODEL, messages: [{ role: 'user', parts }] };
+}
+
+function foldCount(window, systemText, budget, ratio){
+  let n = 0;
+  const reserve = tokensFor(SUMMARY_MAX_CHARS, ratio);
+  const fits = (rest) => rest.length + 1 <= Math.ceil(MAX_CONTENTS * FOLD_TARGET)
+    && tokensFor(totalChars(systemText, rest), ratio) + reserve <= budget * FOLD_TARGET;
+  while(n < window.length - 1 && !fits(window.slice(n))) n++;
+  while(n < window.length - 1 && window[n].role !== 'user') n++;
+  return Math.max(n, 1);
+}
+
+export async function buildContext({ history, summary, newText, newAttachments = [], newContext = '', model, tokenBudget, multimodal = true, systemText = '', countTokens, summarize }){
+  const budget = tokenBudget || tokenBudgetFor(model);
+  const newMessage = { role: 'user', text: clipText(newText), attachments: newAttachments, context: clipText(newContext) };
+  let summaryText = '';
+  let throughId = null;
+  let start = 0;
+  if(summary && summary.text && summary.throughId){
+    const idx = history.findIndex(m => m.id === summary.throughId);
+    if(idx >= 0){
+      start = idx + 1;
+      summaryText = summary.text;
+      throughId = summary.throughId;
+    }
+  }
+  let window = history.slice(start).map(m => ({ id: m.id, role: m.role, text: clipText(m.text), attachments: m.attachments || [] }));
+  let summaryChanged = false;
+  let folded = 0;
+  let tokens = 0;
+
+  const compose = () => {
+    const sys = [systemText, summaryInstruction(summaryText)].filter(Boolean).join('\n\n');
+    return clipText(sys, MAX_SYSTEM_INSTRUCTION_CHARS);
+  };
+
+  for(let round = 0; round <= MAX_FOLD_ROUNDS; round++){
+    const sys = compose();
+    const messages = fitAttachments(window.concat(newMessage), multimodal);
+    const chars = totalChars(sys, messages);
+    tokens = tokensFor(chars, charsPerToken(model));
+    let fits = messages.length <= MAX_CONTENTS && tokens <= budget;
+    if(fits && tokens >= budget * EXACT_COUNT_THRESHOLD && countTokens){
+      try{
+        const exact = await countTokens({ model, messages: toChatMessages(messages), system: sys });
+        if(exact > 0){
+          recordTokenCount(model, chars, exact);
+          tokens = exact;
+          fits = exact <= budget;
+        }
+      }catch(e){
+        console.warn('countTokens unavailable, using estimate', e);
+      }
+    }
+    if(fits || !window.length || round === MAX_FOLD_ROUNDS) break;
+
+    const n = foldCount(window, systemText, budget, charsPerToken(model));
+    const toFold = window.slice(0, n);
+    window = window.slice(n);
+    folded += n;
+    if(!summarize) continue;
+    try{
+      const next = await summarize(summaryText, toFold);
+      if(next && next.trim()){
+        summaryText = clipText(next.trim(), SUMMARY_MAX_CHARS);
+        throughId = toFold[toFold.length - 1].id;
+        summaryChanged = true;
+      }
+    }catch(e){
+      console.warn('Could not summarise older turns; they are left out of the context', e);
+    }
+  }
+
+  return {
+    messages: toChatMessages(fitAttachments(window.concat(newMessage), multimodal)),
+    system: compose(),
+    summary: summaryChanged ? { text: summaryText, throughId, updatedAt: Date.now() } : null,
+    folded,
+    tokens,
+    budget
+  };
+}
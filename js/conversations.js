@@ -0,0 +1,473 @@
+import { openDatabase, getAll, putRecords, deleteRecords, deleteByIndex } from './db.js';
+
+const ACTIVE_KEY = 'activeConversationId';
+const DEFAULT_TITLE = 'New chat';
+const TITLE_MAX_CHARS = 60;
+// The `branches` key for the first messages of a chat, which have no parent.
+const ROOT_KEY = 'root';
+
+function makeId(){
+  try{ if(crypto && crypto.randomUUID) return crypto.randomUUID(); }catch(e){}
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+}
+
+function normalizeAttachments(list){
+  if(!Array.isArray(list)) return [];
+  return list.filter(a => a && typeof a.data === 'string' && typeof a.mimeType === 'string').map(a => ({
+    id: String(a.id || makeId()),
+    name: String(a.name || 'attachment'),
+    mimeType: a.mimeType,
+    size: typeof a.size === 'number' ? a.size : 0,
+    data: a.data
+  }));
+}
+
+function normalizeMessage(m, conversationId, seq){
+  return {
+    id: String((m && m.id) || makeId()),
+    conversationId,
+    seq: (m && typeof m.seq === 'number') ? m.seq : seq,
+    parentId: (m && typeof m.parentId === 'string') ? m.parentId : null,
+    role: m && m.role === 'assistant' ? 'assistant' : 'user',
+    text: String((m && m.text) || ''),
+    attachments: normalizeAttachments(m && m.attachments),
+    ts: (m && typeof m.ts === 'number') ? m.ts : Date.now(),
+    // How an assistant reply ended, for the notes under it (js/reply-notes.js).
+    finishReason: (m && typeof m.finishReason === 'string') ? m.finishReason : null,
+    citations: (m && Array.isArray(m.citations)) ? m.citations.filter(c => c && typeof c.uri === 'string') : [],
+    // The tools an assistant reply called on the way (js/tool-steps.js).
+    toolCalls: (m && Array.isArray(m.toolCalls)) ? m.toolCalls.filter(t => t && typeof t.name === 'string') : [],
+    // The excerpts of the user's documents a reply was given, cited in it as
+    // [n] (js/knowledge.js).
+    sources: (m && Array.isArray(m.sources)) ? m.sources.filter(s => s && typeof s.n === 'number' && typeof s.text === 'string') : [],
+    // The model that wrote an assistant reply, to tell regenerated ones apart.
+    model: (m && m.model && typeof m.model.id === 'string') ? { provider: String(m.model.provider || ''), id: m.model.id } : null,
+    // A user message in the outbox: 'pending' until there is a connection
+    // to send it, 'failed' when sending it did not work.
+    status: (m && m.role !== 'assistant' && (m.status === 'pending' || m.status === 'failed')) ? m.status : null
+  };
+}
+
+function normalizeConversation(c){
+  const now = Date.now();
+  return {
+    id: String(c.id || makeId()),
+    title: String(c.title || DEFAULT_TITLE),
+    titleSource: c.titleSource === 'user' || c.titleSource === 'model' || c.titleSource === 'draft' ? c.titleSource : 'default',
+    pinned: !!c.pinned,
+    createdAt: typeof c.createdAt === 'number' ? c.createdAt : now,
+    updatedAt: typeof c.updatedAt === 'number' ? c.updatedAt : now,
+    summary: (c.summary && typeof c.summary.text === 'string') ? c.summary : null,
+    presetId: typeof c.presetId === 'string' ? c.presetId : null,
+    // The chosen child of each message (keyed by parent id, ROOT_KEY for the
+    // first message); a message without an entry shows its newest child.
+    branches: (c.branches && typeof c.branches === 'object') ? { ...c.branches } : {},
+    // Links made with /api/share: { id, url, expiresAt, revokeToken, createdAt }.
+    shares: Array.isArray(c.shares) ? c.shares.filter(s => s && typeof s.id === 'string' && typeof s.url === 'string') : [],
+    // Every message of the tree, in the order they were written.
+    nodes: [],
+    // The active path through the tree: what is shown and sent to the model.
+    messages: []
+  };
+}
+
+function conversationRecord(conv){
+  const { messages, nodes, ...record } = conv;
+  return record;
+}
+
+function branchKey(parentId){
+  return parentId || ROOT_KEY;
+}
+
+function childrenOf(conv, parentId){
+  return conv.nodes.filter(m => m.parentId === parentId);
+}
+
+// Follows the chosen child of each message from the root down.
+function refreshPath(conv){
+  const children = new Map();
+  for(const m of conv.nodes){
+    const key = branchKey(m.parentId);
+    if(!children.has(key)) children.set(key, []);
+    children.get(key).push(m);
+  }
+  const path = [];
+  let key = ROOT_KEY;
+  while(children.has(key) && path.length < conv.nodes.length){
+    const options = children.get(key);
+    const next = options.find(m => m.id === conv.branches[key]) || options[options.length - 1];
+    path.push(next);
+    key = next.id;
+  }
+  conv.messages = path;
+}
+
+function contextMessage(m){
+  return { id: m.id, role: m.role, text: m.text, attachments: m.attachments };
+}
+
+export function draftTitleFrom(text){
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  if(!clean) return DEFAULT_TITLE;
+  if(clean.length <= TITLE_MAX_CHARS) return clean;
+  const cut = clean.slice(0, TITLE_MAX_CHARS);
+  const lastSpace = cut.lastIndexOf(' ');
+  return (lastSpace > 20 ? cut.slice(0, lastSpace) : cut).replace(/[\s,.;:!?-]+$/, '') + '…';
+}
+
+export function cleanGeneratedTitle(raw){
+  let t = String(raw || '').split('\n').map(l => l.trim()).filter(Boolean)[0] || '';
+  t = t.replace(/^(title\s*:\s*)/i, '').replace(/^["'“”‘’*#\s]+|["'“”‘’*\s]+$/g, '').replace(/[.!?,;:]+$/, '');
+  if(!t) return '';
+  return t.length > TITLE_MAX_CHARS ? draftTitleFrom(t) : t;
+}
+
+function makeSnippet(text, term){
+  const idx = text.toLowerCase().indexOf(term);
+  if(idx < 0) return text.slice(0, 80);
+  const start = Math.max(0, idx - 30);
+  const end = Math.min(text.length, idx + term.length + 50);
+  return (start > 0 ? '…' : '') + text.slice(start, end).replace(/\s+/g, ' ').trim() + (end < text.length ? '…' : '');
+}
+
+export async function openConversationStore(){
+  let db = null;
+  const state = { activeId: null, conversations: [] };
+  let writeQueue = Promise.resolve();
+
+  try{
+    db = await openDatabase();
+    const [convRecords, msgRecords, metaRecords] = await Promise.all([
+      getAll(db, 'conversations'),
+      getAll(db, 'messages'),
+      getAll(db, 'meta')
+    ]);
+    const byId = new Map();
+    for(const r of convRecords){
+      const conv = normalizeConversation(r);
+      byId.set(conv.id, conv);
+      state.conversations.push(conv);
+    }
+    for(const m of msgRecords){
+      const conv = byId.get(m.conversationId);
+      if(conv) conv.nodes.push(normalizeMessage(m, conv.id, conv.nodes.length));
+    }
+    for(const conv of state.conversations){
+      conv.nodes.sort((a, b) => a.seq - b.seq);
+      refreshPath(conv);
+    }
+    const active = metaRecords.find(r => r.key === ACTIVE_KEY);
+    state.activeId = active ? active.value : null;
+  }catch(e){
+    console.warn('Conversation history will not be saved: could not open IndexedDB', e);
+    db = null;
+  }
+
+  function enqueue(fn){
+    if(!db) return writeQueue;
+    writeQueue = writeQueue.then(fn).catch(e => console.warn('Could not save conversations', e));
+    return writeQueue;
+  }
+
+  function saveConversation(conv){
+    const record = conversationRecord(conv);
+    return enqueue(() => putRecords(db, 'conversations', [record]));
+  }
+
+  function saveActive(){
+    const value = state.activeId;
+    return enqueue(() => putRecords(db, 'meta', [{ key: ACTIVE_KEY, value }]));
+  }
+
+  function find(id){ return state.conversations.find(c => c.id === id) || null; }
+
+  function list(){
+    return state.conversations.slice().sort((a, b) => {
+      if(a.pinned !== b.pinned) return a.pinned ? -1 : 1;
+      return b.updatedAt - a.updatedAt;
+    });
+  }
+
+  function get(id){ return find(id); }
+
+  function getActive(){ return find(state.activeId); }
+
+  function getActiveId(){ return state.activeId; }
+
+  function create(presetId){
+    const conv = normalizeConversation({ presetId });
+    state.conversations.push(conv);
+    state.activeId = conv.id;
+    saveConversation(conv);
+    saveActive();
+    return conv;
+  }
+
+  function ensureActive(presetId){
+    return getActive() || create(presetId);
+  }
+
+  function setActive(id){
+    if(!find(id)) return null;
+    state.activeId = id;
+    saveActive();
+    return find(id);
+  }
+
+  function rename(id, title, source = 'user'){
+    const conv = find(id);
+    if(!conv) return null;
+    const clean = String(title || '').replace(/\s+/g, ' ').trim();
+    if(!clean) return conv;
+    conv.title = clean.slice(0, 120);
+    conv.titleSource = source;
+    saveConversation(conv);
+    return conv;
+  }
+
+  function setPinned(id, pinned){
+    const conv = find(id);
+    if(!conv) return null;
+    conv.pinned = !!pinned;
+    saveConversation(conv);
+    return conv;
+  }
+
+  function remove(id){
+    const idx = state.conversations.findIndex(c => c.id === id);
+    if(idx < 0) return false;
+    state.conversations.splice(idx, 1);
+    enqueue(() => deleteRecords(db, 'conversations', [id]));
+    enqueue(() => deleteByIndex(db, 'messages', 'conversationId', id));
+    if(state.activeId === id){
+      const next = list()[0];
+      state.activeId = next ? next.id : null;
+      saveActive();
+    }
+    return true;
+  }
+
+  // The active path, for buildContext (js/context.js).
+  function getMessages(id){
+    const conv = find(id);
+    return conv ? conv.messages.map(contextMessage) : [];
+  }
+
+  // The path from the first message down to `messageId`, whichever branch
+  // it is on; empty for a null id.
+  function getPathTo(id, messageId){
+    const conv = find(id);
+    const path = [];
+    let m = conv && messageId ? conv.nodes.find(n => n.id === messageId) : null;
+    while(m && path.length < conv.nodes.length){
+      path.unshift(contextMessage(m));
+      m = m.parentId ? conv.nodes.find(n => n.id === m.parentId) : null;
+    }
+    return path;
+  }
+
+  function getMessage(id, messageId){
+    const conv = find(id);
+    return conv ? conv.nodes.find(m => m.id === messageId) || null : null;
+  }
+
+  // Where `messageId` sits among the alternatives for its place in the
+  // chat: { index, count, ids }, oldest first.
+  function getSiblings(id, messageId){
+    const m = getMessage(id, messageId);
+    if(!m) return { index: 0, count: 0, ids: [] };
+    const ids = childrenOf(find(id), m.parentId).map(s => s.id);
+    return { index: ids.indexOf(m.id), count: ids.length, ids };
+  }
+
+  // Shows `messageId` instead of its siblings, along with the branch below
+  // it that was last shown.
+  function selectBranch(id, messageId){
+    const conv = find(id);
+    const m = getMessage(id, messageId);
+    if(!conv || !m) return null;
+    conv.branches[branchKey(m.parentId)] = m.id;
+    refreshPath(conv);
+    saveConversation(conv);
+    return conv;
+  }
+
+  function setSummary(id, summary){
+    const conv = find(id);
+    if(!conv) return null;
+    conv.summary = summary || null;
+    saveConversation(conv);
+    return conv;
+  }
+
+  function setPreset(id, presetId){
+    const conv = find(id);
+    if(!conv) return null;
+    conv.presetId = presetId ? String(presetId) : null;
+    saveConversation(conv);
+    return conv;
+  }
+
+  // Adds a message and shows it. It follows the end of the active path
+  // unless `extra.parentId` (null for the first message) makes it an
+  // alternative to that message's other children. `extra` may also carry
+  // { finishReason, citations, model, toolCalls } for an assistant message.
+  // Returns the new message.
+  function appendMessage(id, role, text, attachments, extra = {}){
+    const conv = find(id);
+    if(!conv || typeof text === 'undefined' || text === null) return null;
+    const tail = conv.messages[conv.messages.length - 1];
+    const parentId = extra.parentId !== undefined ? extra.parentId : (tail ? tail.id : null);
+    const seq = conv.nodes.reduce((max, m) => Math.max(max, m.seq + 1), 0);
+    const msg = normalizeMessage({ ...extra, parentId, role, text: String(text), attachments }, conv.id, seq);
+    conv.nodes.push(msg);
+    conv.branches[branchKey(parentId)] = msg.id;
+    refreshPath(conv);
+    if(role === 'user' && conv.titleSource === 'default'){
+      conv.title = draftTitleFrom(String(text).trim() ? text : msg.attachments.map(a => a.name).join(', '));
+      conv.titleSource = 'draft';
+    }
+    conv.updatedAt = Date.now();
+    enqueue(() => putRecords(db, 'messages', [msg]));
+    saveConversation(conv);
+    return msg;
+  }
+
+  function setMessageStatus(id, messageId, status){
+    const conv = find(id);
+    const m = conv ? conv.nodes.find(n => n.id === messageId) : null;
+    if(!m || m.role !== 'user') return null;
+    m.status = status === 'pending' || status === 'failed' ? status : null;
+    enqueue(() => putRecords(db, 'messages', [m]));
+    return m;
+  }
+
+  // The messages of the active path still waiting to be sent.
+  function queuedMessages(id){
+    const conv = find(id);
+    return conv ? conv.messages.filter(m => m.status === 'pending') : [];
+  }
+
+  function addShare(id, share){
+    const conv = find(id);
+    if(!conv) return null;
+    conv.shares.push(share);
+    saveConversation(conv);
+    return conv;
+  }
+
+  function removeShare(id, shareId){
+    const conv = find(id);
+    if(!conv) return null;
+    conv.shares = conv.shares.filter(s => s.id !== shareId);
+    saveConversation(conv);
+    return conv;
+  }
+
+  // Adds conversations read by parseExport (js/transcripts.js). A chat that
+  // is already here gains only the messages it lacks, matched by id, and
+  // keeps its own title and settings; other chats are added as they are.
+  function importConversations(records){
+    const result = { added: 0, merged: 0, unchanged: 0, messages: 0 };
+    const taken = new Set();
+    for(const c of state.conversations) for(const m of c.nodes) taken.add(m.id);
+    for(const record of records){
+      let conv = find(record.id);
+      const isNew = !conv;
+      if(isNew){
+        conv = normalizeConversation(record);
+        if(conv.summary && typeof conv.summary.throughId !== 'string') conv.summary = null;
+      }
+      const known = new Set(conv.nodes.map(m => m.id));
+      // An id used by another chat gets a new one, along with its replies.
+      const renamed = new Map();
+      for(const m of record.messages){
+        if(!known.has(m.id) && taken.has(m.id)) renamed.set(m.id, makeId());
+      }
+      let seq = conv.nodes.reduce((max, m) => Math.max(max, m.seq + 1), 0);
+      const fresh = [];
+      for(const m of record.messages){
+        if(known.has(m.id)) continue;
+        const msg = normalizeMessage({
+          ...m,
+          id: renamed.get(m.id) || m.id,
+          parentId: m.parentId ? renamed.get(m.parentId) || m.parentId : null,
+          seq: seq++
+        }, conv.id);
+        fresh.push(msg);
+        taken.add(msg.id);
+      }
+      if(!isNew && !fresh.length){
+        result.unchanged++;
+        continue;
+      }
+      conv.nodes.push(...fresh);
+      refreshPath(conv);
+      if(isNew){
+        state.conversations.push(conv);
+        result.added++;
+      } else {
+        conv.updatedAt = Math.max(conv.updatedAt, typeof record.updatedAt === 'number' ? record.updatedAt : 0);
+        result.merged++;
+      }
+      result.messages += fresh.length;
+      if(fresh.length) enqueue(() => putRecords(db, 'messages', fresh));
+      saveConversation(conv);
+    }
+    return result;
+  }
+
+  function needsGeneratedTitle(id){
+    const conv = find(id);
+    if(!conv || conv.titleSource === 'user' || conv.titleSource === 'model') return false;
+    return conv.messages.some(m => m.role === 'user') && conv.messages.some(m => m.role === 'assistant');
+  }
+
+  function search(query){
+    const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if(!terms.length) return list().map(conversation => ({ conversation, snippet: '' }));
+    const results = [];
+    for(const conv of list()){
+      const title = conv.title.toLowerCase();
+      const texts = conv.nodes.map(m => m.text.toLowerCase());
+      const matchesAll = terms.every(t => title.includes(t) || texts.some(x => x.includes(t)));
+      if(!matchesAll) continue;
+      let snippet = '';
+      const hitIdx = texts.findIndex(x => x.includes(terms[0]));
+      if(hitIdx >= 0) snippet = makeSnippet(conv.nodes[hitIdx].text, terms[0]);
+      results.push({ conversation: conv, snippet });
+    }
+    return results;
+  }
+
+  return {
+    persistent: !!db,
+    flush: () => writeQueue,
+    list,
+    get,
+    getActive,
+    getActiveId,
+    create,
+    ensureActive,
+    setActive,
+    rename,
+    setPinned,
+    remove,
+    getMessages,
+    getPathTo,
+    getMessage,
+    getSiblings,
+    selectBranch,
+    appendMessage,
+    setMessageStatus,
+    queuedMessages,
+    importConversations,
+    addShare,
+    removeShare,
+    setSummary,
+    setPreset,
+    needsGeneratedTitle,
+    search
+  };
+}
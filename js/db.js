@@ -0,0 +1,182 @@
+const DB_NAME = 'celebra';
+const LEGACY_STORE_KEY = 'celebra_conversations_v1';
+const LEGACY_HISTORY_KEY = 'celebra_conversation_history_v1';
+
+function makeId(){
+  try{ if(crypto && crypto.randomUUID) return crypto.randomUUID(); }catch(e){}
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+}
+
+function readLegacyConversations(){
+  const out = [];
+  let activeId = null;
+  try{
+    const raw = localStorage.getItem(LEGACY_STORE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    if(parsed && Array.isArray(parsed.conversations)){
+      out.push(...parsed.conversations);
+      activeId = parsed.activeId || null;
+    }
+  }catch(e){}
+  try{
+    const raw = localStorage.getItem(LEGACY_HISTORY_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    if(Array.isArray(parsed) && parsed.length){
+      const first = parsed.find(m => m && m.role !== 'assistant');
+      const conv = { id: makeId(), title: first ? String(first.text || '').slice(0, 60) : '', titleSource: 'draft', messages: parsed };
+      out.push(conv);
+      activeId = conv.id;
+    }
+  }catch(e){}
+  return { conversations: out, activeId };
+}
+
+// Each entry upgrades the schema by one version. Never edit a shipped entry;
+// append a new one instead so existing databases migrate forward.
+const MIGRATIONS = [
+  function createConversationStores(db){
+    const conversations = db.createObjectStore('conversations', { keyPath: 'id' });
+    conversations.createIndex('updatedAt', 'updatedAt');
+    const messages = db.createObjectStore('messages', { keyPath: 'id' });
+    messages.createIndex('conversationId', 'conversationId');
+    db.createObjectStore('meta', { keyPath: 'key' });
+  },
+  function importLocalStorageHistory(db, tx){
+    const { conversations, activeId } = readLegacyConversations();
+    if(!conversations.length) return;
+    const now = Date.now();
+    const convStore = tx.objectStore('conversations');
+    const msgStore = tx.objectStore('messages');
+    for(const c of conversations){
+      if(!c) continue;
+      const id = String(c.id || makeId());
+      const messages = Array.isArray(c.messages) ? c.messages : [];
+      convStore.put({
+        id,
+        title: String(c.title || 'New chat'),
+        titleSource: c.titleSource || 'draft',
+        pinned: !!c.pinned,
+        createdAt: typeof c.createdAt === 'number' ? c.createdAt : now,
+        updatedAt: typeof c.updatedAt === 'number' ? c.updatedAt : now
+      });
+      messages.forEach((m, seq) => {
+        msgStore.put({
+          id: makeId(),
+          conversationId: id,
+          seq,
+          role: m && m.role === 'assistant' ? 'assistant' : 'user',
+          text: String((m && m.text) || ''),
+          ts: (m && typeof m.ts === 'number') ? m.ts : now
+        });
+      });
+    }
+    if(activeId) tx.objectStore('meta').put({ key: 'activeConversationId', value: activeId });
+    tx.addEventListener('complete', () => {
+      try{
+        localStorage.removeItem(LEGACY_STORE_KEY);
+        localStorage.removeItem(LEGACY_HISTORY_KEY);
+      }catch(e){}
+    });
+  },
+  function createPresetStore(db){
+    db.createObjectStore('presets', { keyPath: 'id' });
+  },
+  // Messages form a tree (edits and regenerated replies are siblings), so
+  // each one names its parent. Existing chats are a single line: each
+  // message's parent is the one before it.
+  function linkMessagesIntoTree(db, tx){
+    const store = tx.objectStore('messages');
+    const req = store.getAll();
+    req.onsuccess = () => {
+      const byConversation = new Map();
+      for(const m of req.result){
+        if(!byConversation.has(m.conversationId)) byConversation.set(m.conversationId, []);
+        byConversation.get(m.conversationId).push(m);
+      }
+      for(const list of byConversation.values()){
+        list.sort((a, b) => a.seq - b.seq);
+        list.forEach((m, i) => store.put({ ...m, parentId: i ? list[i - 1].id : null }));
+      }
+    };
+  },
+  // The local knowledge base (js/knowledge.js): the documents the user
+  // added and the chunks each one was split into.
+  function createKnowledgeStores(db){
+    db.createObjectStore('documents', { keyPath: 'id' });
+    const chunks = db.createObjectStore('chunks', { keyPath: 'id' });
+    chunks.createIndex('documentId', 'documentId');
+  }
+];
+
+export const DB_VERSION = MIGRATIONS.length;
+
+export function requestToPromise(req){
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export function transactionDone(tx){
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+export function openDatabase(name = DB_NAME){
+  return new Promise((resolve, reject) => {
+    if(typeof indexedDB === 'undefined' || !indexedDB){
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const req = indexedDB.open(name, DB_VERSION);
+    req.onupgradeneeded = (ev) => {
+      const db = req.result;
+      const tx = req.transaction;
+      for(let v = ev.oldVersion; v < DB_VERSION; v++){
+        MIGRATIONS[v](db, tx);
+      }
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      db.onversionchange = () => { try{ db.close(); }catch(e){} };
+      resolve(db);
+    };
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => console.warn('Celebra database upgrade is waiting for other tabs to close');
+  });
+}
+
+export async function getAll(db, storeName){
+  const tx = db.transaction(storeName, 'readonly');
+  return requestToPromise(tx.objectStore(storeName).getAll());
+}
+
+export async function putRecords(db, storeName, records){
+  const tx = db.transaction(storeName, 'readwrite');
+  const store = tx.objectStore(storeName);
+  for(const r of records) store.put(r);
+  return transactionDone(tx);
+}
+
+export async function deleteRecords(db, storeName, keys){
+  const tx = db.transaction(storeName, 'readwrite');
+  const store = tx.objectStore(storeName);
+  for(const k of keys) store.delete(k);
+  return transactionDone(tx);
+}
+
+export async function deleteByIndex(db, storeName, indexName, value){
+  const tx = db.transaction(storeName, 'readwrite');
+  const index = tx.objectStore(storeName).index(indexName);
+  const req = index.openKeyCursor(IDBKeyRange.only(value));
+  req.onsuccess = () => {
+    const cursor = req.result;
+    if(!cursor) return;
+    tx.objectStore(storeName).delete(cursor.primaryKey);
+    cursor.continue();
+  };
+  return transactionDone(tx);
+}
@@ -0,0 +1,195 @@
+import { DEFAULT_RETRY_POLICY, backoffDelay, parseRetryAfter, geminiRetryDelay } from '../shared/retry.js';
+import { errorInfo, upstreamErrorCode } from '../shared/errors.js';
+
+// Retry and fallback for chat requests. A rate-limited or overloaded model
+// is retried with backoff, then the request moves along the model's fallback
+// graph (the `fallbacks` lists in the model catalog). A model that gave up
+// is skipped until its cooldown ends, after which the user's own choice is
+// tried first again.
+
+// Error codes from the contract in shared/errors.js. The proxy's own per-IP
+// or per-user quota (QUOTA_EXCEEDED) covers every model, so switching would
+// not help; its per-model quota does.
+const CODE_REASONS = {
+  QUOTA_EXCEEDED: null,
+  MODEL_QUOTA_EXCEEDED: 'rate_limit',
+  RATE_LIMITED: 'rate_limit',
+  OVERLOADED: 'overloaded',
+  UPSTREAM_TIMEOUT: 'unavailable',
+  UPSTREAM_ERROR: 'unavailable'
+};
+
+const STATUS_REASONS = { 429: 'rate_limit', 503: 'overloaded', 500: 'unavailable', 502: 'unavailable', 504: 'unavailable' };
+
+export const REASON_TEXT = {
+  rate_limit: 'hit its rate limit',
+  overloaded: 'is overloaded',
+  unavailable: 'is not responding'
+};
+
+// An error from /api/chat (or from Gemini in direct mode) with the fields
+// of the error contract (shared/errors.js) that the engine and the chat UI
+// act on. `requestId` is the proxy's X-Request-Id, which finds the request
+// in the server logs; `detail` is the upstream's own error, which the proxy
+// only sends when EXPOSE_UPSTREAM_ERRORS is on. A SAFETY_BLOCKED error
+// carries the chat result's `safety`.
+export class ChatError extends Error {
+  constructor(message, { status = null, code = null, retryAfterMs = null, requestId = null, userMessage = null, retryable = null, detail = null, safety = null } = {}){
+    super(message);
+    this.name = 'ChatError';
+    this.status = status;
+    this.code = code;
+    this.retryAfterMs = retryAfterMs;
+    this.requestId = requestId;
+    this.userMessage = userMessage;
+    this.retryable = retryable;
+    this.detail = detail;
+    this.safety = safety;
+  }
+}
+
+// A contract error body, from a response or from an SSE "error" event.
+export function errorFromBody(body, { status = null, retryAfterMs = null, requestId = null } = {}){
+  if(retryAfterMs === null && Number.isFinite(body.retryAfter)) retryAfterMs = body.retryAfter * 1000;
+  const code = typeof body.code === 'string' ? body.code : null;
+  return new ChatError(typeof body.error === 'string' ? body.error : `HTTP ${status}`, {
+    status: Number.isInteger(body.status) ? body.status : status,
+    code,
+    retryAfterMs,
+    requestId: body.requestId || requestId,
+    userMessage: typeof body.userMessage === 'string' ? body.userMessage : (code ? errorInfo(code).userMessage : null),
+    retryable: typeof body.retryable === 'boolean' ? body.retryable : null,
+    detail: body.detail === undefined ? null : body.detail,
+    safety: body.safety && typeof body.safety === 'object' ? body.safety : null
+  });
+}
+
+// The proxy answers with the contract's { error, code, userMessage, ... };
+// Gemini itself (direct mode) with { error: { code, status, message,
+// details } }, which is mapped to the same codes here. Anything else, such
+// as a static host's 404 page, gets no code.
+export function errorFromResponse(resp, text){
+  const retryAfterMs = parseRetryAfter(resp.headers && resp.headers.get('retry-after'));
+  const requestId = (resp.headers && resp.headers.get('x-request-id')) || null;
+  let body = null;
+  try{ body = JSON.parse(text); }catch(e){}
+  const err = body && body.error;
+  if(err && typeof err === 'object'){
+    const code = upstreamErrorCode(typeof err.status === 'string' ? err.status : null, resp.status);
+    const info = errorInfo(code);
+    return new ChatError(`HTTP ${resp.status} — ${err.message || err.status || 'upstream error'}`, {
+      status: resp.status,
+      code,
+      retryAfterMs: retryAfterMs !== null ? retryAfterMs : geminiRetryDelay(err),
+      userMessage: info.userMessage,
+      retryable: info.retryable,
+      detail: err
+    });
+  }
+  if(body && typeof body === 'object') return errorFromBody(body, { status: resp.status, retryAfterMs, requestId });
+  return new ChatError(`HTTP ${resp.status} — ${String(text || '').slice(0, 200)}`, { status: resp.status, retryAfterMs, requestId });
+}
+
+// Returns { reason, retryAfterMs } for errors worth retrying, or null.
+export function classifyError(err){
+  if(!err || err.name === 'AbortError') return null;
+  // A code outside CODE_REASONS (a bad request, a safety block) would fail
+  // the same way again; only errors without one fall back to the status.
+  const reason = err.code ? (Object.hasOwn(CODE_REASONS, err.code) ? CODE_REASONS[err.code] : null) : (STATUS_REASONS[err.status] || null);
+  if(!reason) return null;
+  return { reason, retryAfterMs: Number.isFinite(err.retryAfterMs) ? err.retryAfterMs : null };
+}
+
+// Breadth-first walk of the fallback graph from `start`, so direct
+// fallbacks are tried before their own fallbacks.
+export function fallbackChain(models, start, usable = () => true){
+  const chain = [start];
+  for(let i = 0; i < chain.length; i++){
+    for(const id of chain[i].fallbacks || []){
+      const next = models.find(m => m.provider === chain[i].provider && m.id === id);
+      if(next && !chain.includes(next) && usable(next)) chain.push(next);
+    }
+  }
+  return chain;
+}
+
+export function formatWait(ms){
+  const seconds = Math.max(1, Math.ceil(ms / 1000));
+  return seconds < 60 ? `${seconds} s` : `${Math.ceil(seconds / 60)} min`;
+}
+
+// The note shown in the chat when a reply moves to another model.
+export function describeSwitch(e){
+  if(e.reason === 'cooldown') return `${e.from.label} is cooling down for ${formatWait(e.retryAfterMs)} — switched to ${e.to.label}.`;
+  const wait = e.retryAfterMs ? ` (ready again in ${formatWait(e.retryAfterMs)})` : '';
+  return `${e.from.label} ${REASON_TEXT[e.reason]}${wait} — switched to ${e.to.label}.`;
+}
+
+function sleep(ms, signal){
+  return new Promise((resolve, reject) => {
+    if(signal && signal.aborted) return reject(new DOMException('Aborted', 'AbortError'));
+    const timer = setTimeout(resolve, ms);
+    if(signal) signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    }, { once: true });
+  });
+}
+
+export function createFallbackEngine(policy = DEFAULT_RETRY_POLICY, { now = () => Date.now() } = {}){
+  const cooldowns = new Map();
+  const keyOf = (m) => `${m.provider}:${m.id}`;
+
+  function coolingDown(model){
+    const until = cooldowns.get(keyOf(model));
+    if(!until) return 0;
+    if(until <= now()){
+      cooldowns.delete(keyOf(model));
+      return 0;
+    }
+    return until - now();
+  }
+
+  // Runs attempt(model) along `chain`. onEvent receives
+  //   { type: 'retry', model, reason, delayMs, retry }
+  //   { type: 'switch', from, to, reason, retryAfterMs }
+  // and the result is { value, model } for the model that answered.
+  async function run(chain, attempt, { signal, onEvent = () => {} } = {}){
+    let index = chain.findIndex(m => !coolingDown(m));
+    if(index < 0) index = 0;
+    if(index > 0) onEvent({ type: 'switch', from: chain[0], to: chain[index], reason: 'cooldown', retryAfterMs: coolingDown(chain[0]) });
+    let retry = 0;
+    while(true){
+      const model = chain[index];
+      try{
+        const value = await attempt(model);
+        cooldowns.delete(keyOf(model));
+        return { value, model };
+      }catch(err){
+        if(signal && signal.aborted) throw err;
+        const failure = classifyError(err);
+        if(!failure) throw err;
+        const delayMs = failure.retryAfterMs !== null ? failure.retryAfterMs : backoffDelay(retry, policy);
+        if(retry < policy.maxRetries && delayMs <= policy.maxDelayMs){
+          retry++;
+          onEvent({ type: 'retry', model, reason: failure.reason, delayMs, retry });
+          await sleep(delayMs, signal);
+          continue;
+        }
+        cooldowns.set(keyOf(model), now() + (failure.retryAfterMs !== null ? failure.retryAfterMs : policy.cooldownMs));
+        const next = chain.findIndex((m, i) => i > index && !coolingDown(m));
+        if(next < 0){
+          err.exhausted = true;
+          err.reason = failure.reason;
+          throw err;
+        }
+        onEvent({ type: 'switch', from: model, to: chain[next], reason: failure.reason, retryAfterMs: failure.retryAfterMs });
+        index = next;
+        retry = 0;
+        await sleep(backoffDelay(0, policy), signal);
+      }
+    }
+  }
+
+  return { run, coolingDown };
+}
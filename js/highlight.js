@@ -0,0 +1,142 @@
+// Lightweight syntax highlighter for fenced code blocks. It tokenises with
+// a handful of regular expressions per language and returns DOM nodes
+// (text nodes inside <span class="tok-*">), never HTML strings.
+
+const C_LIKE_COMMENTS = [
+  ['comment', /\/\/[^\n]*/y],
+  ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y]
+];
+const QUOTED_STRINGS = [
+  ['string', /"(?:\\[\s\S]|[^"\\\n])*"?/y],
+  ['string', /'(?:\\[\s\S]|[^'\\\n])*'?/y]
+];
+const NUMBER = ['number', /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)[a-zA-Z]*\b/y];
+
+function words(list){ return new Set(list.split(/\s+/).filter(Boolean)); }
+
+const LANGUAGES = {
+  javascript: {
+    rules: [...C_LIKE_COMMENTS, ['string', /`(?:\\[\s\S]|[^`\\])*`?/y], ...QUOTED_STRINGS, NUMBER],
+    keywords: words('async await break case catch class const continue debugger default delete do else export extends finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while with yield as interface type enum implements private protected public readonly declare namespace abstract keyof satisfies'),
+    literals: words('true false null undefined NaN Infinity'),
+    builtins: words('console window document Math JSON Object Array String Number Boolean Promise Map Set Date RegExp Error Symbol fetch require module process globalThis')
+  },
+  python: {
+    rules: [['comment', /#[^\n]*/y], ['string', /[rbfuRBFU]{0,2}("""|''')[\s\S]*?(?:\1|$)/y], ['string', /[rbfuRBFU]{0,2}"(?:\\[\s\S]|[^"\\\n])*"?/y], ['string', /[rbfuRBFU]{0,2}'(?:\\[\s\S]|[^'\\\n])*'?/y], ['meta', /@[\w.]+/y], NUMBER],
+    keywords: words('and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield match case'),
+    literals: words('True False None'),
+    builtins: words('print len range int str float list dict set tuple open super self cls isinstance enumerate zip map filter sorted sum min max abs any all type object Exception')
+  },
+  json: {
+    rules: [['attr', /"(?:\\[\s\S]|[^"\\\n])*"(?=\s*:)/y], ['string', /"(?:\\[\s\S]|[^"\\\n])*"?/y], ['number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y]],
+    keywords: words(''),
+    literals: words('true false null'),
+    builtins: words('')
+  },
+  bash: {
+    rules: [['comment', /(?<=^|\s)#[^\n]*/my], ['string', /"(?:\\[\s\S]|[^"\\])*"?/y], ['string', /'[^']*'?/y], ['variable', /\$(?:\{[^}\n]*\}?|\w+|[@*#?$!0-9])/y], NUMBER],
+    keywords: words('if then else elif fi for while until do done case esac in function return local export readonly unset shift break continue select time'),
+    literals: words('true false'),
+    builtins: words('echo printf cd ls cat grep sed awk find xargs sudo rm cp mv mkdir chmod chown curl wget git npm npx node python pip docker kubectl source set test read exit')
+  },
+  markup: {
+    rules: [['comment', /<!--[\s\S]*?(?:-->|$)/y], ['meta', /<![^>]*>?/y], ['tag', /<\/?[\w:-]+/y], ['tag', /\/?>/y], ['attr', /[\w:-]+(?==)/y], ['string', /"[^"]*"?|'[^']*'?/y]],
+    keywords: words(''),
+    literals: words(''),
+    builtins: words('')
+  },
+  css: {
+    rules: [['comment', /\/\*[\s\S]*?(?:\*\/|$)/y], ...QUOTED_STRINGS, ['meta', /@[\w-]+/y], ['attr', /[\w-]+(?=\s*:(?!:))/y], ['number', /-?\d*\.?\d+(?:px|em|rem|%|vh|vw|s|ms|deg|fr)?/y], ['variable', /#[\da-fA-F]{3,8}\b/y]],
+    keywords: words('important'),
+    literals: words(''),
+    builtins: words('')
+  },
+  sql: {
+    rules: [['comment', /--[^\n]*/y], ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y], ['string', /'(?:''|[^'])*'?/y], ['string', /"(?:""|[^"])*"?/y], NUMBER],
+    keywords: words('select from where and or not insert into values update set delete create table alter drop index view join left right inner outer full on as group by order having limit offset union all distinct case when then else end is null in like between exists primary key foreign references default returning with desc asc'),
+    literals: words('true false null'),
+    builtins: words('count sum avg min max coalesce now cast lower upper length substring'),
+    caseInsensitive: true
+  },
+  clike: {
+    rules: [...C_LIKE_COMMENTS, ['meta', /#\s*\w+/y], ['string', /`[^`]*`?/y], ...QUOTED_STRINGS, NUMBER],
+    keywords: words('auto break case catch char class const continue default delete do double else enum extern final finally float for fn func go goto if impl import int interface let long match mod mut namespace new package private protected public pub return short signed sizeof static struct super switch template this throw throws trait try typedef typename union unsigned use using var virtual void volatile where while defer chan select range map type crate self Self override val fun object when is in out'),
+    literals: words('true false null nullptr nil None Some Ok Err'),
+    builtins: words('std String Vec println printf fmt System Console string int64 int32 uint8 bool usize isize i32 i64 u32 u64 f32 f64 byte rune error')
+  },
+  yaml: {
+    rules: [['comment', /#[^\n]*/y], ['attr', /[\w.-]+(?=\s*:(?:\s|$))/y], ...QUOTED_STRINGS, NUMBER],
+    keywords: words(''),
+    literals: words('true false null yes no on off'),
+    builtins: words('')
+  }
+};
+
+const ALIASES = {
+  js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', ts: 'javascript', tsx: 'javascript', typescript: 'javascript', node: 'javascript',
+  py: 'python', python3: 'python',
+  sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash', powershell: 'bash', ps1: 'bash',
+  html: 'markup', xml: 'markup', svg: 'markup', vue: 'markup',
+  scss: 'css', less: 'css',
+  c: 'clike', h: 'clike', cpp: 'clike', 'c++': 'clike', cs: 'clike', csharp: 'clike', java: 'clike', kotlin: 'clike', kt: 'clike', go: 'clike', golang: 'clike', rust: 'clike', rs: 'clike', swift: 'clike', php: 'clike', dart: 'clike', scala: 'clike',
+  yml: 'yaml', jsonc: 'json', json5: 'json',
+  postgres: 'sql', postgresql: 'sql', mysql: 'sql', sqlite: 'sql'
+};
+
+const WORD = /[A-Za-z_$][\w$]*/y;
+
+export function resolveLanguage(lang){
+  const key = String(lang || '').toLowerCase().trim();
+  if(LANGUAGES[key]) return key;
+  return ALIASES[key] || null;
+}
+
+export function highlightCode(code, lang){
+  const fragment = document.createDocumentFragment();
+  const name = resolveLanguage(lang);
+  const def = name ? LANGUAGES[name] : null;
+  if(!def){
+    fragment.appendChild(document.createTextNode(code));
+    return fragment;
+  }
+  let plain = '';
+  const flush = () => {
+    if(plain){ fragment.appendChild(document.createTextNode(plain)); plain = ''; }
+  };
+  const push = (cls, text) => {
+    flush();
+    const span = document.createElement('span');
+    span.className = 'tok-' + cls;
+    span.textContent = text;
+    fragment.appendChild(span);
+  };
+  let pos = 0;
+  outer:
+  while(pos < code.length){
+    for(const [cls, re] of def.rules){
+      re.lastIndex = pos;
+      const m = re.exec(code);
+      if(m && m[0].length){
+        push(cls, m[0]);
+        pos += m[0].length;
+        continue outer;
+      }
+    }
+    WORD.lastIndex = pos;
+    const w = WORD.exec(code);
+    if(w){
+      const word = def.caseInsensitive ? w[0].toLowerCase() : w[0];
+      if(def.keywords.has(word)) push('keyword', w[0]);
+      else if(def.literals.has(word)) push('literal', w[0]);
+      else if(def.builtins.has(word)) push('builtin', w[0]);
+      else if(code[pos + w[0].length] === '(' && name !== 'markup') push('function', w[0]);
+      else plain += w[0];
+      pos += w[0].length;
+      continue;
+    }
+    plain += code[pos];
+    pos++;
+  }
+  flush();
+  return fragment;
+}
@@ -0,0 +1,411 @@
+// The local knowledge base: Markdown, text and PDF documents the user adds
+// are split into chunks and kept in IndexedDB. Each message is searched
+// against them with BM25, and also by embedding similarity when /api/embed
+// works, and the best chunks go along with the message as numbered
+// excerpts. The reply cites them as [1], [2]… and js/reply-notes.js links
+// each citation to its chunk.
+
+import { openDatabase, getAll, putRecords, deleteRecords, deleteByIndex } from './db.js';
+import { MAX_EMBED_TEXTS, MAX_PART_CHARS } from '../shared/limits.js';
+
+const SETTINGS_KEY = 'knowledgeSettings';
+
+export const KNOWLEDGE_EXTENSIONS = ['md', 'markdown', 'txt', 'pdf'];
+// Text past this is left out of a document, which is marked truncated.
+export const MAX_DOCUMENT_CHARS = 1000000;
+
+const CHUNK_CHARS = 1200;
+const CHUNK_OVERLAP = 200;
+const RESULTS = 4;
+// BM25 and reciprocal rank fusion with their usual constants.
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const RRF_K = 60;
+// Every chunk has some similarity to any message; below this it is noise
+// rather than a match.
+const MIN_SIMILARITY = 0.55;
+
+const EXCERPTS_INTRO = 'Excerpts from the user\'s documents that may help with the message below. '
+  + 'Where you use one, cite it by its number in square brackets, like [1]. Ignore excerpts that do not help.';
+
+const HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE = /^\s*(```|~~~)/;
+
+const STOPWORDS = new Set(('a about an and are as at be been but by can could did do does for from had has have how i if in into is it its '
+  + 'me my no not of on or our so than that the their them then there these they this those to was we were what when where which '
+  + 'who why will with would you your').split(' '));
+
+function makeId(){
+  try{ if(crypto && crypto.randomUUID) return crypto.randomUUID(); }catch(e){}
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+}
+
+// { enabled }: whether messages are searched against the documents.
+export function loadKnowledgeSettings(){
+  let saved = {};
+  try{ saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') || {}; }catch(_){ }
+  return { enabled: saved.enabled !== false };
+}
+
+export function saveKnowledgeSettings(settings){
+  try{ localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings)); }catch(_){ }
+}
+
+export function isKnowledgeFile(file){
+  const name = String((file && file.name) || '').toLowerCase();
+  return KNOWLEDGE_EXTENSIONS.includes(name.slice(name.lastIndexOf('.') + 1));
+}
+
+// Paragraphs, fenced code blocks and headings, each heading a block of
+// its own. A # inside a code block is not a heading.
+function blocksOf(text){
+  const blocks = [];
+  let lines = [];
+  let fenced = false;
+  const end = () => {
+    if(lines.length) blocks.push(lines.join('\n'));
+    lines = [];
+  };
+  for(const line of String(text || '').replace(/\r\n?/g, '\n').split('\n')){
+    if(FENCE.test(line)) fenced = !fenced;
+    else if(!fenced && HEADING.test(line)){
+      end();
+      blocks.push(line.trim());
+      continue;
+    } else if(!fenced && !line.trim()){
+      end();
+      continue;
+    }
+    lines.push(line);
+  }
+  end();
+  return blocks;
+}
+
+// Splits a block longer than `max` at line and sentence ends, and cuts
+// whatever is still too long.
+function splitLong(block, max){
+  if(block.length <= max) return [block];
+  const out = [];
+  let current = '';
+  for(const sentence of block.split(/(?<=\n)|(?<=[.!?] )/)){
+    for(let i = 0; i < sentence.length; i += max){
+      const piece = sentence.slice(i, i + max);
+      if(current && current.length + piece.length > max){
+        out.push(current.trim());
+        current = '';
+      }
+      current += piece;
+    }
+  }
+  if(current.trim()) out.push(current.trim());
+  return out;
+}
+
+// The end of `text`, about `chars` long, starting at a word.
+function tailOf(text, chars){
+  if(text.length <= chars * 2) return '';
+  const tail = text.slice(-chars);
+  const space = tail.search(/\s/);
+  return (space >= 0 ? tail.slice(space + 1) : tail).trim();
+}
+
+// Splits a document into chunks of about `maxChars`: [{ heading, text }],
+// `heading` being the path of Markdown headings above the chunk ("Setup ›
+// Windows"). A chunk never spans two sections; within a section, each one
+// starts with the end of the one before so a passage cut in two is still
+// found whole in one of them.
+export function splitIntoChunks(text, { maxChars = CHUNK_CHARS, overlap = CHUNK_OVERLAP } = {}){
+  const chunks = [];
+  const headings = [];
+  let heading = '';
+  let parts = [];
+  let size = 0;
+  const flush = (carry) => {
+    const body = parts.join('\n\n').trim();
+    parts = [];
+    size = 0;
+    if(!body) return;
+    chunks.push({ heading, text: body });
+    const tail = carry ? tailOf(body, overlap) : '';
+    if(tail){
+      parts.push(tail);
+      size = tail.length;
+    }
+  };
+  for(const block of blocksOf(text)){
+    const h = HEADING.exec(block);
+    if(h && !block.includes('\n')){
+      flush(false);
+      headings.splice(h[1].length - 1, headings.length, h[2]);
+      heading = headings.filter(Boolean).join(' › ');
+      continue;
+    }
+    for(const piece of splitLong(block, maxChars - overlap)){
+      if(size && size + piece.length + 2 > maxChars) flush(true);
+      parts.push(piece);
+      size += piece.length + 2;
+    }
+  }
+  flush(false);
+  return chunks;
+}
+
+// Plural "s" is all the stemming there is: enough for "invoices" to find
+// "invoice".
+function stem(word){
+  if(word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if(word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+export function tokenize(text){
+  const words = String(text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').match(/[\p{L}\p{N}]+/gu) || [];
+  return words.filter(w => w.length > 1 && !STOPWORDS.has(w)).map(stem);
+}
+
+// An in-memory BM25 index over chunks: add(id, text), remove(id) and
+// search(query, limit), which returns [{ id, score }] best first,
+// leaving out chunks that share no term with the query.
+export function createSearchIndex(){
+  const entries = new Map();
+  const documentFrequency = new Map();
+  let totalLength = 0;
+
+  function remove(id){
+    const entry = entries.get(id);
+    if(!entry) return;
+    for(const term of entry.terms.keys()){
+      const n = documentFrequency.get(term) - 1;
+      if(n) documentFrequency.set(term, n);
+      else documentFrequency.delete(term);
+    }
+    totalLength -= entry.length;
+    entries.delete(id);
+  }
+
+  function add(id, text){
+    remove(id);
+    const tokens = tokenize(text);
+    const terms = new Map();
+    for(const t of tokens) terms.set(t, (terms.get(t) || 0) + 1);
+    for(const t of terms.keys()) documentFrequency.set(t, (documentFrequency.get(t) || 0) + 1);
+    entries.set(id, { length: tokens.length, terms });
+    totalLength += tokens.length;
+  }
+
+  function search(query, limit = RESULTS){
+    const terms = [...new Set(tokenize(query))].filter(t => documentFrequency.has(t));
+    if(!terms.length) return [];
+    const n = entries.size;
+    const avgLength = totalLength / n || 1;
+    const idf = new Map(terms.map(t => {
+      const df = documentFrequency.get(t);
+      return [t, Math.log(1 + (n - df + 0.5) / (df + 0.5))];
+    }));
+    const hits = [];
+    for(const [id, entry] of entries){
+      let score = 0;
+      for(const t of terms){
+        const tf = entry.terms.get(t);
+        if(!tf) continue;
+        score += idf.get(t) * tf * (BM25_K1 + 1) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * entry.length / avgLength));
+      }
+      if(score > 0) hits.push({ id, score });
+    }
+    return hits.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  return { add, remove, search, get size(){ return entries.size; } };
+}
+
+export function cosineSimilarity(a, b){
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for(let i = 0; i < Math.min(a.length, b.length); i++){
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+// Reciprocal rank fusion: merges lists of ids, each best first, into one.
+// An id near the top of several lists beats one that tops only one.
+export function fuseRankings(rankings, k = RRF_K){
+  const scores = new Map();
+  for(const ids of rankings){
+    ids.forEach((id, rank) => scores.set(id, (scores.get(id) || 0) + 1 / (k + rank + 1)));
+  }
+  return [...scores].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+}
+
+export function sourceTitle(doc, chunk){
+  return [doc.path || doc.name, chunk.heading].filter(Boolean).join(' › ');
+}
+
+// The text part sent along with a message: the intro, then each source as
+// "[n] title" and its text.
+export function formatExcerpts(sources){
+  if(!sources || !sources.length) return '';
+  return [EXCERPTS_INTRO, ...sources.map(s => `[${s.n}] ${s.title}\n${s.text}`)].join('\n\n');
+}
+
+// What the index matches a chunk on: its document's name, its headings and
+// its text.
+function indexText(doc, chunk){
+  return [doc.name, chunk.heading, chunk.text].filter(Boolean).join('\n');
+}
+
+// Opens the knowledge base. `embed(texts, task)`, when given, resolves to
+// { model, embeddings } (see api/embed.js); without it, or when it fails,
+// documents are searched by keyword only.
+export async function openKnowledgeBase({ embed = null } = {}){
+  let db = null;
+  const documents = [];
+  const chunks = new Map();
+  const index = createSearchIndex();
+  let writeQueue = Promise.resolve();
+
+  const documentOf = (chunk) => documents.find(d => d.id === chunk.documentId);
+
+  function addChunk(doc, chunk){
+    chunks.set(chunk.id, chunk);
+    index.add(chunk.id, indexText(doc, chunk));
+  }
+
+  try{
+    db = await openDatabase();
+    documents.push(...(await getAll(db, 'documents')));
+    for(const c of await getAll(db, 'chunks')){
+      const doc = documentOf(c);
+      if(doc) addChunk(doc, c);
+    }
+  }catch(e){
+    console.warn('Documents will not be saved: could not open IndexedDB', e);
+    db = null;
+  }
+
+  function enqueue(fn){
+    if(!db) return writeQueue;
+    writeQueue = writeQueue.then(fn).catch(e => console.warn('Could not save documents', e));
+    return writeQueue;
+  }
+
+  function list(){
+    return documents.slice().sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  // Embeds `texts` a batch at a time; every batch must come from the same
+  // model for the vectors to be comparable.
+  async function embedAll(texts){
+    let model = null;
+    const vectors = [];
+    for(let i = 0; i < texts.length; i += MAX_EMBED_TEXTS){
+      const result = await embed(texts.slice(i, i + MAX_EMBED_TEXTS), 'document');
+      if(model && result.model !== model) throw new Error('The embedding model changed while embedding a document');
+      model = result.model;
+      vectors.push(...result.embeddings);
+    }
+    return { model, vectors };
+  }
+
+  function remove(id){
+    const i = documents.findIndex(d => d.id === id);
+    if(i < 0) return writeQueue;
+    documents.splice(i, 1);
+    for(const c of [...chunks.values()]){
+      if(c.documentId !== id) continue;
+      chunks.delete(c.id);
+      index.remove(c.id);
+    }
+    return enqueue(async () => {
+      await deleteRecords(db, 'documents', [id]);
+      await deleteByIndex(db, 'chunks', 'documentId', id);
+    });
+  }
+
+  // Splits, embeds and stores a document, replacing the one at the same
+  // path. Resolves to { document } or { error } with a message for the user.
+  async function add({ name, path = name, type = 'text/plain', text, truncated = false }){
+    const full = String(text || '');
+    const pieces = splitIntoChunks(full.slice(0, MAX_DOCUMENT_CHARS));
+    if(!pieces.length) return { error: `${name} has no text to add.` };
+    const doc = {
+      id: makeId(),
+      name,
+      path,
+      type,
+      chars: Math.min(full.length, MAX_DOCUMENT_CHARS),
+      chunks: pieces.length,
+      embeddingModel: null,
+      truncated: truncated || full.length > MAX_DOCUMENT_CHARS,
+      addedAt: Date.now()
+    };
+    const records = pieces.map((p, seq) => ({ id: `${doc.id}:${seq}`, documentId: doc.id, seq, heading: p.heading, text: p.text, embedding: null }));
+    if(embed){
+      try{
+        const { model, vectors } = await embedAll(records.map(r => indexText(doc, r)));
+        records.forEach((r, i) => { r.embedding = vectors[i]; });
+        doc.embeddingModel = model;
+      }catch(e){
+        console.warn(`${path} will be searched by keyword only: it could not be embedded`, e);
+      }
+    }
+    const earlier = documents.find(d => d.path === path);
+    if(earlier) remove(earlier.id);
+    documents.push(doc);
+    for(const r of records) addChunk(doc, r);
+    await enqueue(async () => {
+      await putRecords(db, 'documents', [doc]);
+      await putRecords(db, 'chunks', records);
+    });
+    return { document: doc };
+  }
+
+  // The chunks that best match `query`, as the sources of a reply:
+  // [{ n, documentId, chunkId, title, text }], numbered from 1 and only as
+  // many as fit one text part along with the intro.
+  async function retrieve(query, { limit = RESULTS } = {}){
+    if(!chunks.size || !tokenize(query).length) return [];
+    const depth = limit * 5;
+    const rankings = [index.search(query, depth).map(h => h.id)];
+    if(embed && documents.some(d => d.embeddingModel)){
+      try{
+        const { model, embeddings } = await embed([String(query).slice(0, MAX_PART_CHARS)], 'query');
+        const scored = [];
+        for(const c of chunks.values()){
+          if(!c.embedding || documentOf(c).embeddingModel !== model) continue;
+          const similarity = cosineSimilarity(embeddings[0], c.embedding);
+          if(similarity >= MIN_SIMILARITY) scored.push({ id: c.id, similarity });
+        }
+        rankings.push(scored.sort((a, b) => b.similarity - a.similarity).slice(0, depth).map(h => h.id));
+      }catch(e){
+        console.warn('Searching documents by keyword only', e);
+      }
+    }
+    const sources = [];
+    let chars = EXCERPTS_INTRO.length;
+    for(const id of fuseRankings(rankings)){
+      if(sources.length >= limit) break;
+      const chunk = chunks.get(id);
+      const doc = documentOf(chunk);
+      const title = sourceTitle(doc, chunk);
+      const size = title.length + chunk.text.length + 12;
+      if(chars + size > MAX_PART_CHARS) continue;
+      chars += size;
+      sources.push({ n: sources.length + 1, documentId: doc.id, chunkId: chunk.id, title, text: chunk.text });
+    }
+    return sources;
+  }
+
+  return {
+    persistent: !!db,
+    list,
+    add,
+    remove,
+    retrieve,
+    get size(){ return chunks.size; }
+  };
+}
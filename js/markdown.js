@@ -0,0 +1,664 @@
+import { highlightCode, resolveLanguage } from './highlight.js';
+import { renderMath } from './math.js';
+import { copyText } from './clipboard.js';
+
+// Markdown renderer for bot replies. It parses into blocks and builds DOM
+// nodes directly; model text only ever reaches the page through
+// textContent or createTextNode. Unfinished constructs (an open code fence,
+// an unclosed $$ block) render sensibly so the view can update while the
+// reply is still streaming.
+
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})[ \t]*([^\s`]*)[^`]*$/;
+const HEADING_RE = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const HR_RE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const LIST_RE = /^( *)([-*+]|\d{1,9}[.)])([ \t]+|$)(.*)$/;
+const QUOTE_RE = /^ {0,3}> ?(.*)$/;
+const TABLE_DELIM_RE = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const MATH_OPEN_RE = /^ {0,3}(\$\$|\\\[)/;
+const SAFE_URL_RE = /^(?:https?:|mailto:)/i;
+const BARE_URL_RE = /^https?:\/\/[^\s<>"]*[^\s<>".,;:!?'")\]]/;
+
+function indentOf(line){ return line.match(/^ */)[0].length; }
+
+function isTableStart(lines, i){
+  return i + 1 < lines.length && lines[i].includes('|') && lines[i + 1].includes('-') && TABLE_DELIM_RE.test(lines[i + 1]) && (lines[i + 1].includes('|') || lines[i].trim().startsWith('|'));
+}
+
+function isBlockStart(lines, i){
+  const line = lines[i];
+  return FENCE_RE.test(line) || HEADING_RE.test(line) || HR_RE.test(line) || QUOTE_RE.test(line)
+    || LIST_RE.test(line) && LIST_RE.exec(line)[4].trim() !== '' || MATH_OPEN_RE.test(line) || isTableStart(lines, i);
+}
+
+function splitRow(line){
+  let s = line.trim();
+  if(s.startsWith('|')) s = s.slice(1);
+  if(s.endsWith('|') && !s.endsWith('\\|')) s = s.slice(0, -1);
+  const cells = [];
+  let cur = '';
+  let inCode = false;
+  for(let i = 0; i < s.length; i++){
+    const ch = s[i];
+    if(ch === '\\' && s[i + 1] === '|'){ cur += '|'; i++; continue; }
+    if(ch === '`') inCode = !inCode;
+    if(ch === '|' && !inCode){ cells.push(cur.trim()); cur = ''; continue; }
+    cur += ch;
+  }
+  cells.push(cur.trim());
+  return cells;
+}
+
+function parseFence(lines, i){
+  const open = FENCE_RE.exec(lines[i]);
+  const marker = open[1];
+  const body = [];
+  let j = i + 1;
+  while(j < lines.length){
+    const close = /^ {0,3}(`{3,}|~{3,})[ \t]*$/.exec(lines[j]);
+    if(close && close[1][0] === marker[0] && close[1].length >= marker.length){
+      return { block: { type: 'code', lang: open[2], text: body.join('\n'), open: false }, next: j + 1 };
+    }
+    body.push(lines[j]);
+    j++;
+  }
+  return { block: { type: 'code', lang: open[2], text: body.join('\n'), open: true }, next: j };
+}
+
+function parseMathBlock(lines, i){
+  const m = MATH_OPEN_RE.exec(lines[i]);
+  const closer = m[1] === '$$' ? '$$' : '\\]';
+  const first = lines[i].slice(lines[i].indexOf(m[1]) + m[1].length);
+  const closeIdx = first.indexOf(closer);
+  if(closeIdx >= 0){
+    return { block: { type: 'math', text: first.slice(0, closeIdx), open: false }, next: i + 1, rest: first.slice(closeIdx + closer.length) };
+  }
+  const body = [first];
+  let j = i + 1;
+  while(j < lines.length){
+    const idx = lines[j].indexOf(closer);
+    if(idx >= 0){
+      body.push(lines[j].slice(0, idx));
+      return { block: { type: 'math', text: body.join('\n'), open: false }, next: j + 1, rest: lines[j].slice(idx + closer.length) };
+    }
+    body.push(lines[j]);
+    j++;
+  }
+  return { block: { type: 'math', text: body.join('\n'), open: true, source: lines.slice(i).join('\n') }, next: j };
+}
+
+function parseList(lines, i){
+  const first = LIST_RE.exec(lines[i]);
+  const baseIndent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const delimiter = first[2].slice(-1);
+  const start = ordered ? parseInt(first[2], 10) : 1;
+  const items = [];
+  let cur = null;
+  let loose = false;
+  let pendingBlank = false;
+  let j = i;
+  const sameKind = (m) => (/\d/.test(m[2]) === ordered) && (ordered ? m[2].slice(-1) === delimiter : m[2] === first[2]);
+  while(j < lines.length){
+    const line = lines[j];
+    if(!line.trim()){
+      let k = j + 1;
+      while(k < lines.length && !lines[k].trim()) k++;
+      if(k >= lines.length || !cur) break;
+      const nm = LIST_RE.exec(lines[k]);
+      const ind = indentOf(lines[k]);
+      if((nm && ind === baseIndent && sameKind(nm)) || ind >= cur.contentIndent){
+        pendingBlank = true;
+        cur.lines.push('');
+        j++;
+        continue;
+      }
+      break;
+    }
+    const m = LIST_RE.exec(line);
+    const indent = indentOf(line);
+    if(m && indent >= baseIndent && indent < baseIndent + 2){
+      if(!sameKind(m)) break;
+      if(pendingBlank) loose = true;
+      pendingBlank = false;
+      cur = { lines: [m[4]], contentIndent: indent + m[2].length + Math.max(1, m[3].length) };
+      items.push(cur);
+      j++;
+      continue;
+    }
+    if(indent > baseIndent){
+      if(pendingBlank && !(m && indent < cur.contentIndent)) loose = loose || !m;
+      pendingBlank = false;
+      cur.lines.push(line.slice(Math.min(indent, cur.contentIndent)));
+      j++;
+      continue;
+    }
+    if(!pendingBlank && cur && !isBlockStart(lines, j)){
+      cur.lines.push(line.trim());
+      j++;
+      continue;
+    }
+    break;
+  }
+  const parsedItems = items.map(item => {
+    let text = item.lines.join('\n').replace(/\n+$/, '');
+    let checked = null;
+    const task = /^\[([ xX])\][ \t]+/.exec(text);
+    if(task){
+      checked = task[1] !== ' ';
+      text = text.slice(task[0].length);
+    }
+    return { blocks: parseBlocks(text), checked };
+  });
+  return { block: { type: 'list', ordered, start, loose, items: parsedItems }, next: j };
+}
+
+export function parseBlocks(src){
+  const lines = String(src || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+  const push = (block, from, to) => {
+    block.raw = lines.slice(from, to).join('\n');
+    blocks.push(block);
+  };
+  while(i < lines.length){
+    const line = lines[i];
+    if(!line.trim()){ i++; continue; }
+    let m;
+    if(FENCE_RE.test(line)){
+      const r = parseFence(lines, i);
+      push(r.block, i, r.next);
+      i = r.next;
+      continue;
+    }
+    if(MATH_OPEN_RE.test(line)){
+      const r = parseMathBlock(lines, i);
+      push(r.block, i, r.next);
+      i = r.next;
+      // Text after the closer on its line is parsed again as the next block.
+      if(r.rest && r.rest.trim()){
+        i--;
+        lines[i] = r.rest.trimStart();
+      }
+      continue;
+    }
+    if((m = HEADING_RE.exec(line))){
+      push({ type: 'heading', level: m[1].length, text: m[2] || '' }, i, i + 1);
+      i++;
+      continue;
+    }
+    if(HR_RE.test(line)){
+      push({ type: 'hr' }, i, i + 1);
+      i++;
+      continue;
+    }
+    if(QUOTE_RE.test(line)){
+      const from = i;
+      const body = [];
+      while(i < lines.length && lines[i].trim()){
+        const q = QUOTE_RE.exec(lines[i]);
+        if(!q && isBlockStart(lines, i)) break;
+        body.push(q ? q[1] : lines[i]);
+        i++;
+      }
+      push({ type: 'quote', blocks: parseBlocks(body.join('\n')) }, from, i);
+      continue;
+    }
+    if(isTableStart(lines, i)){
+      const from = i;
+      const header = splitRow(lines[i]);
+      const align = splitRow(lines[i + 1]).map(c => {
+        const left = c.startsWith(':');
+        const right = c.endsWith(':');
+        return left && right ? 'center' : right ? 'right' : left ? 'left' : '';
+      });
+      const rows = [];
+      i += 2;
+      while(i < lines.length && lines[i].trim() && lines[i].includes('|')){
+        rows.push(splitRow(lines[i]));
+        i++;
+      }
+      push({ type: 'table', header, align, rows }, from, i);
+      continue;
+    }
+    if(LIST_RE.test(line) && LIST_RE.exec(line)[4].trim() !== ''){
+      const r = parseList(lines, i);
+      push(r.block, i, r.next);
+      i = r.next;
+      continue;
+    }
+    const from = i;
+    const para = [line];
+    i++;
+    while(i < lines.length && lines[i].trim() && !isBlockStart(lines, i)){
+      para.push(lines[i]);
+      i++;
+    }
+    push({ type: 'paragraph', text: para.map(l => l.trim()).join('\n') }, from, i);
+  }
+  return blocks;
+}
+
+function safeHref(url){
+  const trimmed = String(url || '').trim().replace(/^<|>$/g, '');
+  return SAFE_URL_RE.test(trimmed) ? trimmed : null;
+}
+
+function makeLink(href, parent){
+  const a = document.createElement('a');
+  a.href = href;
+  a.target = '_blank';
+  a.rel = 'noopener noreferrer nofollow';
+  parent.appendChild(a);
+  return a;
+}
+
+// Index of the matching closer for each opener in `text`, skipping
+// backslash escapes; unmatched openers are left out. With `inLine`, a pair
+// cannot span a newline.
+function matchPairs(text, open, close, inLine){
+  const pairs = new Map();
+  const stack = [];
+  for(let i = 0; i < text.length; i++){
+    const ch = text[i];
+    if(ch === '\\'){ i++; continue; }
+    if(ch === open) stack.push(i);
+    else if(ch === close){ if(stack.length) pairs.set(stack.pop(), i); }
+    else if(inLine && ch === '\n') stack.length = 0;
+  }
+  return pairs;
+}
+
+function parseLinkTarget(text, from, parens){
+  if(text[from] !== '(' || !parens.has(from)) return null;
+  const end = parens.get(from);
+  const inner = text.slice(from + 1, end).trim();
+  const url = inner.replace(/\s+(?:"[^"]*"|'[^']*')$/, '');
+  return { url, end: end + 1 };
+}
+
+// A search for a closer that found none from `from` finds none from a later
+// position either, up to where it stopped looking. Remembering that per
+// kind of closer keeps unmatched `*`, ` and $ from each scanning to the end
+// of the text again, which made long replies quadratic to render.
+function createMissCache(text){
+  const misses = new Map();
+  return (key, from, find, until = () => text.length) => {
+    const miss = misses.get(key);
+    if(miss && from >= miss.from && from <= miss.until) return -1;
+    const end = find();
+    if(end < 0) misses.set(key, { from, until: until() });
+    return end;
+  };
+}
+
+function findInlineMathEnd(text, from){
+  if(/\s/.test(text[from] || ' ')) return -1;
+  for(let i = from; i < text.length; i++){
+    const ch = text[i];
+    if(ch === '\\'){ i++; continue; }
+    if(ch === '\n' && text[i + 1] === '\n') return -1;
+    if(ch === '$'){
+      if(/\s/.test(text[i - 1]) || /\d/.test(text[i + 1] || '')) continue;
+      return i;
+    }
+  }
+  return -1;
+}
+
+function findEmphasisEnd(text, from, marker){
+  let i = from;
+  while(i < text.length){
+    const idx = text.indexOf(marker, i);
+    if(idx < 0) return -1;
+    const before = text[idx - 1];
+    const after = text[idx + marker.length];
+    const validClose = before && !/\s/.test(before) && !(marker[0] === '_' && after && /\w/.test(after));
+    if(validClose && text[idx + marker.length] !== marker[0]) return idx;
+    if(validClose && marker.length === 1 && text.slice(idx, idx + 3) === marker.repeat(3)) return idx;
+    i = idx + marker.length;
+    while(text[i] === marker[0]) i++;
+  }
+  return -1;
+}
+
+export function renderInline(text, parent){
+  const lookup = createMissCache(text);
+  let brackets = null;
+  let parens = null;
+  let buf = '';
+  const flush = () => {
+    if(buf){ parent.appendChild(document.createTextNode(buf)); buf = ''; }
+  };
+  let i = 0;
+  while(i < text.length){
+    const ch = text[i];
+    const rest = text.slice(i);
+
+    if(ch === '\\'){
+      const nx = text[i + 1];
+      if(nx === '('){
+        const end = lookup('\\)', i + 2, () => text.indexOf('\\)', i + 2));
+        if(end > i + 2){
+          flush();
+          parent.appendChild(renderMath(text.slice(i + 2, end), false));
+          i = end + 2;
+          continue;
+        }
+      }
+      if(nx && /[!-/:-@[-`{-~]/.test(nx)){ buf += nx; i += 2; continue; }
+    }
+
+    if(ch === '\n'){
+      flush();
+      parent.appendChild(document.createElement('br'));
+      i++;
+      continue;
+    }
+
+    if(ch === '`'){
+      const run = /^`+/.exec(rest)[0];
+      const validClose = lookup(run, i + run.length, () => {
+        let close = text.indexOf(run, i + run.length);
+        while(close >= 0 && text[close + run.length] === '`') close = text.indexOf(run, close + run.length + 1);
+        return close;
+      });
+      if(validClose >= 0){
+        flush();
+        let inner = text.slice(i + run.length, validClose).replace(/\n/g, ' ');
+        if(inner.length > 2 && inner.startsWith(' ') && inner.endsWith(' ')) inner = inner.slice(1, -1);
+        const code = document.createElement('code');
+        code.textContent = inner;
+        parent.appendChild(code);
+        i = validClose + run.length;
+        continue;
+      }
+      buf += run;
+      i += run.length;
+      continue;
+    }
+
+    if(ch === '$'){
+      if(text[i + 1] === '$'){
+        const end = lookup('$$', i + 2, () => text.indexOf('$$', i + 2));
+        if(end > i + 2){
+          flush();
+          parent.appendChild(renderMath(text.slice(i + 2, end), true));
+          i = end + 2;
+          continue;
+        }
+      } else if(!/\d/.test(text[i - 1] || '')){
+        const end = /\s/.test(text[i + 1] || ' ') ? -1 : lookup('$', i + 1, () => findInlineMathEnd(text, i + 1), () => {
+          const stop = text.indexOf('\n\n', i + 1);
+          return stop < 0 ? text.length : stop;
+        });
+        // "$5 and $10" is money, not math: a formula that starts with a
+        // digit must not contain spaces.
+        const looksLikeMoney = end > i + 1 && /\d/.test(text[i + 1]) && /\s/.test(text.slice(i + 1, end));
+        if(end > i + 1 && !looksLikeMoney){
+          flush();
+          parent.appendChild(renderMath(text.slice(i + 1, end), false));
+          i = end + 1;
+          continue;
+        }
+      }
+      buf += ch;
+      i++;
+      continue;
+    }
+
+    if((ch === '!' && text[i + 1] === '[') || ch === '['){
+      const open = ch === '!' ? i + 1 : i;
+      if(!brackets){
+        brackets = matchPairs(text, '[', ']', false);
+        parens = matchPairs(text, '(', ')', true);
+      }
+      const close = brackets.has(open) ? brackets.get(open) : -1;
+      const target = close > 0 ? parseLinkTarget(text, close + 1, parens) : null;
+      if(target){
+        flush();
+        const label = text.slice(open + 1, close);
+        const href = safeHref(target.url);
+        if(href){
+          const a = makeLink(href, parent);
+          if(ch === '!'){
+            a.className = 'md-image-link';
+            a.textContent = '🖼 ' + (label || href);
+          } else {
+            renderInline(label || href, a);
+          }
+        } else {
+          renderInline(label, parent);
+        }
+        i = target.end;
+        continue;
+      }
+    }
+
+    if(ch === '<'){
+      const auto = /^<((?:https?:\/\/|mailto:)[^\s<>]+)>/i.exec(rest);
+      if(auto){
+        flush();
+        makeLink(auto[1], parent).textContent = auto[1].replace(/^mailto:/i, '');
+        i += auto[0].length;
+        continue;
+      }
+      const br = /^<br\s*\/?>/i.exec(rest);
+      if(br){
+        flush();
+        parent.appendChild(document.createElement('br'));
+        i += br[0].length;
+        continue;
+      }
+    }
+
+    if((ch === 'h' || ch === 'H') && !/\w/.test(text[i - 1] || '')){
+      const url = BARE_URL_RE.exec(rest);
+      if(url){
+        flush();
+        makeLink(url[0], parent).textContent = url[0];
+        i += url[0].length;
+        continue;
+      }
+    }
+
+    if(ch === '*' || ch === '_' || ch === '~'){
+      const run = new RegExp('^\\' + ch + '+').exec(rest)[0];
+      const size = ch === '~' ? (run.length >= 2 ? 2 : 0) : Math.min(run.length, 3);
+      const leftFlanking = text[i + size] && !/\s/.test(text[i + size]);
+      const intraword = ch === '_' && /\w/.test(text[i - 1] || '');
+      if(size && leftFlanking && !intraword){
+        const marker = ch.repeat(size);
+        const end = lookup(marker, i + size, () => findEmphasisEnd(text, i + size, marker));
+        if(end > i + size){
+          flush();
+          const inner = text.slice(i + size, end);
+          let node;
+          if(ch === '~') node = document.createElement('del');
+          else if(size === 1) node = document.createElement('em');
+          else node = document.createElement('strong');
+          let target = node;
+          if(size === 3){
+            const em = document.createElement('em');
+            node.appendChild(em);
+            target = em;
+          }
+          renderInline(inner, target);
+          parent.appendChild(node);
+          i = end + size;
+          continue;
+        }
+      }
+      buf += run;
+      i += run.length;
+      continue;
+    }
+
+    buf += ch;
+    i++;
+  }
+  flush();
+}
+
+function renderCodeBlock(block){
+  const wrap = document.createElement('div');
+  wrap.className = 'code-block' + (block.open ? ' streaming' : '');
+  const header = document.createElement('div');
+  header.className = 'code-header';
+  const lang = document.createElement('span');
+  lang.className = 'code-lang';
+  lang.textContent = block.lang || 'text';
+  const copyBtn = document.createElement('button');
+  copyBtn.type = 'button';
+  copyBtn.className = 'code-copy';
+  copyBtn.textContent = 'Copy';
+  copyBtn.setAttribute('aria-label', 'Copy code');
+  copyBtn.addEventListener('click', async () => {
+    try{
+      await copyText(block.text);
+      copyBtn.textContent = 'Copied';
+      setTimeout(() => { try{ copyBtn.textContent = 'Copy'; }catch(_){ } }, 1400);
+    }catch(e){
+      copyBtn.textContent = 'Copy failed';
+    }
+  });
+  header.appendChild(lang);
+  header.appendChild(copyBtn);
+  const pre = document.createElement('pre');
+  const code = document.createElement('code');
+  const resolved = resolveLanguage(block.lang);
+  if(resolved) code.className = 'language-' + resolved;
+  code.appendChild(highlightCode(block.text, block.lang));
+  pre.appendChild(code);
+  wrap.appendChild(header);
+  wrap.appendChild(pre);
+  return wrap;
+}
+
+function renderTable(block){
+  const wrap = document.createElement('div');
+  wrap.className = 'table-wrap';
+  const table = document.createElement('table');
+  const thead = document.createElement('thead');
+  const headRow = document.createElement('tr');
+  block.header.forEach((cell, idx) => {
+    const th = document.createElement('th');
+    if(block.align[idx]) th.style.textAlign = block.align[idx];
+    renderInline(cell, th);
+    headRow.appendChild(th);
+  });
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+  const tbody = document.createElement('tbody');
+  for(const row of block.rows){
+    const tr = document.createElement('tr');
+    block.header.forEach((_, idx) => {
+      const td = document.createElement('td');
+      if(block.align[idx]) td.style.textAlign = block.align[idx];
+      renderInline(row[idx] || '', td);
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  }
+  table.appendChild(tbody);
+  wrap.appendChild(table);
+  return wrap;
+}
+
+function renderList(block){
+  const list = document.createElement(block.ordered ? 'ol' : 'ul');
+  if(block.ordered && block.start !== 1) list.start = block.start;
+  for(const item of block.items){
+    const li = document.createElement('li');
+    if(item.checked !== null){
+      li.className = 'task-item';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.disabled = true;
+      box.checked = item.checked;
+      li.appendChild(box);
+    }
+    for(const child of item.blocks){
+      if(!block.loose && child.type === 'paragraph'){
+        const span = document.createElement('span');
+        renderInline(child.text, span);
+        li.appendChild(span);
+      } else {
+        li.appendChild(renderBlock(child));
+      }
+    }
+    list.appendChild(li);
+  }
+  return list;
+}
+
+export function renderBlock(block){
+  switch(block.type){
+    case 'heading': {
+      const h = document.createElement('h' + Math.min(6, block.level + 1));
+      h.className = 'md-heading';
+      renderInline(block.text, h);
+      return h;
+    }
+    case 'hr':
+      return document.createElement('hr');
+    case 'code':
+      return renderCodeBlock(block);
+    case 'math': {
+      if(block.open){
+        const pending = document.createElement('pre');
+        pending.className = 'math-pending';
+        pending.textContent = block.source;
+        return pending;
+      }
+      const div = document.createElement('div');
+      div.className = 'math-display';
+      div.appendChild(renderMath(block.text, true));
+      return div;
+    }
+    case 'quote': {
+      const q = document.createElement('blockquote');
+      for(const child of block.blocks) q.appendChild(renderBlock(child));
+      return q;
+    }
+    case 'table':
+      return renderTable(block);
+    case 'list':
+      return renderList(block);
+    default: {
+      const p = document.createElement('p');
+      renderInline(block.text, p);
+      return p;
+    }
+  }
+}
+
+// Keeps the DOM for blocks whose source has not changed, so while a reply
+// streams only the last block or two are rebuilt on each update.
+export function createMarkdownView(container){
+  container.classList.add('markdown');
+  let rendered = [];
+  function update(src){
+    const blocks = parseBlocks(src);
+    let keep = 0;
+    while(keep < blocks.length && keep < rendered.length && rendered[keep].raw === blocks[keep].raw && !rendered[keep].open) keep++;
+    for(let j = rendered.length - 1; j >= keep; j--) rendered[j].node.remove();
+    rendered = rendered.slice(0, keep);
+    for(let j = keep; j < blocks.length; j++){
+      const node = renderBlock(blocks[j]);
+      container.appendChild(node);
+      rendered.push({ raw: blocks[j].raw, open: !!blocks[j].open, node });
+    }
+  }
+  function reset(){
+    container.textContent = '';
+    rendered = [];
+  }
+  reset();
+  return { update, reset };
+}
+
+export function renderMarkdown(src, container){
+  const view = createMarkdownView(container);
+  view.update(src);
+  return view;
+}
@@ -0,0 +1,322 @@
+// Small TeX to MathML translator for the formulas models usually write.
+// Everything is built with createElementNS, so model output never reaches
+// the DOM as markup. Unknown commands are shown as text instead of failing.
+
+const MATHML_NS = 'http://www.w3.org/1998/Math/MathML';
+
+const IDENTIFIERS = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+  theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+  varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ',
+  varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ',
+  Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+  infty: '∞', partial: '∂', nabla: '∇', emptyset: '∅', hbar: 'ℏ', ell: 'ℓ', Re: 'ℜ', Im: 'ℑ', aleph: 'ℵ'
+};
+
+const OPERATORS = {
+  pm: '±', mp: '∓', times: '×', div: '÷', cdot: '⋅', ast: '∗', star: '⋆', circ: '∘', bullet: '∙',
+  leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈', equiv: '≡', sim: '∼', simeq: '≃',
+  cong: '≅', propto: '∝', ll: '≪', gg: '≫', in: '∈', notin: '∉', ni: '∋', subset: '⊂', supset: '⊃',
+  subseteq: '⊆', supseteq: '⊇', cup: '∪', cap: '∩', setminus: '∖', wedge: '∧', land: '∧', vee: '∨', lor: '∨',
+  neg: '¬', lnot: '¬', forall: '∀', exists: '∃', to: '→', rightarrow: '→', leftarrow: '←', gets: '←',
+  leftrightarrow: '↔', Rightarrow: '⇒', Leftarrow: '⇐', Leftrightarrow: '⇔', implies: '⟹', iff: '⟺',
+  mapsto: '↦', uparrow: '↑', downarrow: '↓', ldots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱', dots: '…',
+  perp: '⊥', parallel: '∥', angle: '∠', mid: '∣', oplus: '⊕', otimes: '⊗', langle: '⟨', rangle: '⟩',
+  lceil: '⌈', rceil: '⌉', lfloor: '⌊', rfloor: '⌋', vert: '|', Vert: '‖', lbrace: '{', rbrace: '}',
+  '{': '{', '}': '}', '|': '‖', colon: ':', prime: '′'
+};
+
+const LARGE_OPERATORS = {
+  sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬', iiint: '∭', oint: '∮',
+  bigcup: '⋃', bigcap: '⋂', bigoplus: '⨁', bigotimes: '⨂'
+};
+
+const FUNCTIONS = new Set([
+  'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh',
+  'log', 'ln', 'lg', 'exp', 'det', 'dim', 'ker', 'deg', 'gcd', 'arg', 'Pr', 'max', 'min', 'sup', 'inf',
+  'lim', 'liminf', 'limsup'
+]);
+const LIMIT_FUNCTIONS = new Set(['lim', 'liminf', 'limsup', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'Pr']);
+
+const ACCENTS = { hat: '^', widehat: '^', bar: '¯', overline: '¯', vec: '→', dot: '˙', ddot: '¨', tilde: '~', widetilde: '~' };
+
+const SPACES = { ',': '0.167em', ':': '0.222em', ';': '0.278em', ' ': '0.25em', quad: '1em', qquad: '2em', '!': '0em' };
+
+const FONTS = { mathbf: 'bold', boldsymbol: 'bold', mathit: 'italic', mathrm: 'normal', mathsf: 'sans-serif', mathtt: 'monospace', mathbb: 'double-struck', mathcal: 'script', mathscr: 'script', mathfrak: 'fraktur' };
+
+// MathML Core only honours mathvariant="normal", so other alphabets are
+// mapped onto the Unicode mathematical alphanumeric block.
+const ALPHABETS = {
+  bold: { upper: 0x1D400, lower: 0x1D41A, digit: 0x1D7CE },
+  'double-struck': { upper: 0x1D538, lower: 0x1D552, digit: 0x1D7D8, except: { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' } },
+  script: { upper: 0x1D49C, lower: 0x1D4B6, except: { B: 'ℬ', E: 'ℰ', F: 'ℱ', H: 'ℋ', I: 'ℐ', L: 'ℒ', M: 'ℳ', R: 'ℛ', e: 'ℯ', g: 'ℊ', o: 'ℴ' } },
+  fraktur: { upper: 0x1D504, lower: 0x1D51E, except: { C: 'ℭ', H: 'ℌ', I: 'ℑ', R: 'ℜ', Z: 'ℨ' } },
+  'sans-serif': { upper: 0x1D5A0, lower: 0x1D5BA, digit: 0x1D7E2 },
+  monospace: { upper: 0x1D670, lower: 0x1D68A, digit: 0x1D7F6 }
+};
+
+function mapAlphabet(text, font){
+  const alpha = ALPHABETS[font];
+  if(!alpha) return text;
+  return Array.from(text).map(ch => {
+    if(alpha.except && alpha.except[ch]) return alpha.except[ch];
+    if(ch >= 'A' && ch <= 'Z') return String.fromCodePoint(alpha.upper + ch.charCodeAt(0) - 65);
+    if(ch >= 'a' && ch <= 'z') return String.fromCodePoint(alpha.lower + ch.charCodeAt(0) - 97);
+    if(alpha.digit && ch >= '0' && ch <= '9') return String.fromCodePoint(alpha.digit + ch.charCodeAt(0) - 48);
+    return ch;
+  }).join('');
+}
+
+function applyFont(node, font){
+  const leaves = (node.localName === 'mi' || node.localName === 'mn') ? [node] : Array.from(node.querySelectorAll('mi, mn'));
+  for(const leaf of leaves){
+    if(font === 'normal'){
+      leaf.setAttribute('mathvariant', 'normal');
+      continue;
+    }
+    if(font === 'italic') continue;
+    leaf.textContent = mapAlphabet(leaf.textContent, font);
+    if(leaf.localName === 'mi') leaf.setAttribute('mathvariant', 'normal');
+  }
+  return node;
+}
+
+const MATRIX_FENCES = { matrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'], vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'] };
+
+function el(name, children, attrs){
+  const node = document.createElementNS(MATHML_NS, name);
+  if(attrs) for(const k of Object.keys(attrs)) node.setAttribute(k, attrs[k]);
+  if(typeof children === 'string') node.textContent = children;
+  else if(children) for(const c of children) node.appendChild(c);
+  return node;
+}
+
+function tokenize(src){
+  const tokens = [];
+  let i = 0;
+  while(i < src.length){
+    const ch = src[i];
+    if(ch === '\\'){
+      const m = /^\\([a-zA-Z]+|.)/.exec(src.slice(i));
+      if(!m){ i++; continue; }
+      tokens.push({ type: 'cmd', value: m[1] });
+      i += m[0].length;
+      continue;
+    }
+    if(/\s/.test(ch)){ i++; continue; }
+    if(/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(src[i + 1] || ''))){
+      const m = /^[0-9]*\.?[0-9]+/.exec(src.slice(i));
+      tokens.push({ type: 'num', value: m[0] });
+      i += m[0].length;
+      continue;
+    }
+    tokens.push({ type: 'char', value: ch });
+    i++;
+  }
+  return tokens;
+}
+
+function createParser(tokens){
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const isChar = (t, v) => t && t.type === 'char' && t.value === v;
+  const isCmd = (t, v) => t && t.type === 'cmd' && t.value === v;
+
+  function readRawGroup(){
+    if(!isChar(peek(), '{')) return '';
+    next();
+    let depth = 1;
+    let out = '';
+    while(pos < tokens.length){
+      const t = next();
+      if(isChar(t, '{')) depth++;
+      if(isChar(t, '}') && --depth === 0) break;
+      out += t.type === 'cmd' ? '\\' + t.value + (/[a-zA-Z]/.test(t.value) ? ' ' : '') : t.value;
+    }
+    return out;
+  }
+
+  function readEnvName(){
+    return readRawGroup().trim();
+  }
+
+  function parseArgument(){
+    const t = peek();
+    if(!t) return el('mrow');
+    if(isChar(t, '{')){
+      next();
+      const row = parseRow(tok => isChar(tok, '}'));
+      next();
+      return row;
+    }
+    return parseAtom();
+  }
+
+  function parseOptional(){
+    if(!isChar(peek(), '[')) return null;
+    next();
+    const row = parseRow(tok => isChar(tok, ']'));
+    next();
+    return row;
+  }
+
+  function parseFence(){
+    const t = next();
+    if(!t) return '';
+    if(isChar(t, '.')) return '';
+    if(t.type === 'cmd') return OPERATORS[t.value] || t.value;
+    return t.value;
+  }
+
+  function parseEnvironment(name){
+    const rows = [[[]]];
+    while(pos < tokens.length){
+      const t = peek();
+      if(isCmd(t, 'end')){
+        next();
+        readEnvName();
+        break;
+      }
+      if(isChar(t, '&')){ next(); rows[rows.length - 1].push([]); continue; }
+      if(isCmd(t, '\\')){ next(); rows.push([[]]); continue; }
+      const row = rows[rows.length - 1];
+      row[row.length - 1].push(parseScripts(parseAtom()));
+    }
+    if(rows.length > 1 && rows[rows.length - 1].length === 1 && !rows[rows.length - 1][0].length) rows.pop();
+    const align = (name === 'aligned' || name === 'align' || name === 'align*' || name === 'split') ? 'right left' : (name === 'cases' ? 'left left' : 'center');
+    const table = el('mtable', rows.map(r => el('mtr', r.map(cell => el('mtd', [el('mrow', cell)])))), { columnalign: align });
+    if(name === 'cases') return el('mrow', [el('mo', '{', { stretchy: 'true' }), table]);
+    const fence = MATRIX_FENCES[name];
+    if(fence && (fence[0] || fence[1])){
+      return el('mrow', [el('mo', fence[0], { stretchy: 'true' }), table, el('mo', fence[1], { stretchy: 'true' })]);
+    }
+    return table;
+  }
+
+  function parseCommand(name){
+    if(IDENTIFIERS[name]) return el('mi', IDENTIFIERS[name], name.length > 1 && /^[A-Z]/.test(name) ? { mathvariant: 'normal' } : null);
+    if(LARGE_OPERATORS[name]) return el('mo', LARGE_OPERATORS[name], { largeop: 'true', movablelimits: 'true', 'data-large': '1' });
+    if(OPERATORS[name]) return el('mo', OPERATORS[name]);
+    if(FUNCTIONS.has(name)){
+      const fn = el('mi', name, { mathvariant: 'normal' });
+      if(LIMIT_FUNCTIONS.has(name)) fn.setAttribute('data-large', '1');
+      return fn;
+    }
+    if(SPACES[name]) return el('mspace', null, { width: SPACES[name] });
+    switch(name){
+      case 'frac': case 'dfrac': case 'tfrac': {
+        const num = parseArgument();
+        const den = parseArgument();
+        return el('mfrac', [num, den]);
+      }
+      case 'binom': {
+        const top = parseArgument();
+        const bottom = parseArgument();
+        return el('mrow', [el('mo', '('), el('mfrac', [top, bottom], { linethickness: '0' }), el('mo', ')')]);
+      }
+      case 'sqrt': {
+        const index = parseOptional();
+        const body = parseArgument();
+        return index ? el('mroot', [body, index]) : el('msqrt', [body]);
+      }
+      case 'text': case 'textrm': case 'textbf': case 'textit': case 'mbox':
+        return el('mtext', readRawGroup());
+      case 'operatorname':
+        return el('mi', readRawGroup().replace(/\\\s?/g, ''), { mathvariant: 'normal' });
+      case 'left': {
+        const open = parseFence();
+        const body = parseRow(tok => isCmd(tok, 'right'));
+        next();
+        const close = parseFence();
+        return el('mrow', [el('mo', open, { stretchy: 'true', fence: 'true' }), body, el('mo', close, { stretchy: 'true', fence: 'true' })]);
+      }
+      case 'right':
+        parseFence();
+        return el('mrow');
+      case 'big': case 'Big': case 'bigg': case 'Bigg': case 'bigl': case 'bigr': case 'Bigl': case 'Bigr':
+        return el('mo', parseFence(), { stretchy: 'true' });
+      case 'begin': {
+        const env = readEnvName();
+        return parseEnvironment(env);
+      }
+      case 'displaystyle': case 'textstyle': case 'limits': case 'nolimits':
+        return el('mrow');
+      case 'overbrace': case 'underbrace': {
+        const body = parseArgument();
+        return name === 'overbrace' ? el('mover', [body, el('mo', '⏞')]) : el('munder', [body, el('mo', '⏟')]);
+      }
+      default:
+        break;
+    }
+    if(FONTS[name]) return applyFont(parseArgument(), FONTS[name]);
+    if(ACCENTS[name]){
+      const body = parseArgument();
+      return el('mover', [body, el('mo', ACCENTS[name], { stretchy: name.startsWith('wide') || name === 'overline' ? 'true' : 'false' })], { accent: 'true' });
+    }
+    if(name.length === 1) return el('mo', name);
+    return el('mtext', '\\' + name, { class: 'math-unknown' });
+  }
+
+  function parseAtom(){
+    const t = next();
+    if(!t) return el('mrow');
+    if(t.type === 'num') return el('mn', t.value);
+    if(t.type === 'cmd') return parseCommand(t.value);
+    if(t.value === '{'){
+      const row = parseRow(tok => isChar(tok, '}'));
+      next();
+      return row;
+    }
+    if(/[a-zA-Z]/.test(t.value)) return el('mi', t.value);
+    if(t.value === "'") return el('mo', '′');
+    return el('mo', t.value);
+  }
+
+  function parseScripts(base){
+    let sub = null;
+    let sup = null;
+    while(isChar(peek(), '_') || isChar(peek(), '^') || isChar(peek(), "'")){
+      const t = next();
+      if(t.value === "'"){ sup = el('mo', '′'); continue; }
+      const arg = parseArgument();
+      if(t.value === '_') sub = arg; else sup = arg;
+    }
+    if(!sub && !sup) return base;
+    const large = base.getAttribute && base.getAttribute('data-large') === '1';
+    if(sub && sup) return el(large ? 'munderover' : 'msubsup', [base, sub, sup]);
+    if(sub) return el(large ? 'munder' : 'msub', [base, sub]);
+    return el(large ? 'mover' : 'msup', [base, sup]);
+  }
+
+  function parseRow(stop){
+    const items = [];
+    while(pos < tokens.length && !(stop && stop(peek()))){
+      const t = peek();
+      if(isChar(t, '}') && !stop){ next(); continue; }
+      items.push(parseScripts(parseAtom()));
+    }
+    return el('mrow', items);
+  }
+
+  return { parseRow };
+}
+
+export function renderMath(source, displayMode = false){
+  const tex = String(source || '').trim();
+  try{
+    const row = createParser(tokenize(tex)).parseRow(null);
+    const math = el('math', [row], { display: displayMode ? 'block' : 'inline' });
+    const annotation = el('annotation', tex, { encoding: 'application/x-tex' });
+    math.replaceChildren(el('semantics', [row, annotation]));
+    math.setAttribute('aria-label', tex);
+    math.classList.add(displayMode ? 'math-block' : 'math-inline');
+    return math;
+  }catch(e){
+    const fallback = document.createElement('code');
+    fallback.className = 'math-error';
+    fallback.textContent = tex;
+    return fallback;
+  }
+}
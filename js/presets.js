@@ -0,0 +1,105 @@
+import { openDatabase, getAll, putRecords, deleteRecords } from './db.js';
+import {
+  BUILTIN_PRESETS, DEFAULT_PRESET_ID, GENERATION_FIELDS, MAX_PRESET_INSTRUCTION_CHARS, MAX_PRESET_NAME_CHARS,
+  generationConfigFor, isBuiltinPreset, validateGenerationConfig
+} from '../shared/presets.js';
+
+function makeId(){
+  try{ if(crypto && crypto.randomUUID) return 'custom-' + crypto.randomUUID(); }catch(e){}
+  return 'custom-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+}
+
+// Checks a preset coming from the editor (or from storage) and returns
+// { preset } in canonical form, or { error } with a message for the user.
+export function normalizePreset(input){
+  const name = String((input && input.name) || '').replace(/\s+/g, ' ').trim();
+  if(!name) return { error: 'Give the preset a name.' };
+  if(name.length > MAX_PRESET_NAME_CHARS) return { error: `Preset names can be at most ${MAX_PRESET_NAME_CHARS} characters.` };
+  const systemInstruction = String((input && input.systemInstruction) || '').trim();
+  if(systemInstruction.length > MAX_PRESET_INSTRUCTION_CHARS){
+    return { error: `The system prompt can be at most ${MAX_PRESET_INSTRUCTION_CHARS} characters.` };
+  }
+  const settings = {};
+  for(const key of GENERATION_FIELDS){
+    const v = input ? input[key] : undefined;
+    if(v !== undefined && v !== null && v !== '') settings[key] = Number(v);
+  }
+  const { config, error } = validateGenerationConfig(settings);
+  if(error) return { error: error.charAt(0).toUpperCase() + error.slice(1) + '.' };
+  const id = input && input.id && !isBuiltinPreset(input.id) ? String(input.id) : makeId();
+  return { preset: { id, name, systemInstruction, ...config, builtin: false } };
+}
+
+// Resolves a preset into the parts of a request it controls.
+export function presetRequestSettings(preset){
+  return {
+    systemText: (preset && preset.systemInstruction) || '',
+    generationConfig: generationConfigFor(preset)
+  };
+}
+
+export async function openPresetStore(){
+  let db = null;
+  const custom = [];
+  let writeQueue = Promise.resolve();
+
+  try{
+    db = await openDatabase();
+    for(const r of await getAll(db, 'presets')){
+      const { preset } = normalizePreset(r);
+      if(preset && preset.id === r.id) custom.push(preset);
+    }
+  }catch(e){
+    console.warn('Custom presets will not be saved: could not open IndexedDB', e);
+    db = null;
+  }
+
+  function enqueue(fn){
+    if(!db) return writeQueue;
+    writeQueue = writeQueue.then(fn).catch(e => console.warn('Could not save presets', e));
+    return writeQueue;
+  }
+
+  function list(){
+    return BUILTIN_PRESETS.map(p => ({ ...p, builtin: true })).concat(custom);
+  }
+
+  function get(id){
+    return list().find(p => p.id === id) || null;
+  }
+
+  // Conversations may point at a preset that has since been deleted; those
+  // fall back to the default preset.
+  function resolve(id){
+    return get(id) || get(DEFAULT_PRESET_ID);
+  }
+
+  function save(input){
+    const result = normalizePreset(input);
+    if(result.error) return result;
+    const preset = result.preset;
+    const idx = custom.findIndex(p => p.id === preset.id);
+    if(idx >= 0) custom[idx] = preset;
+    else custom.push(preset);
+    enqueue(() => putRecords(db, 'presets', [preset]));
+    return { preset };
+  }
+
+  function remove(id){
+    const idx = custom.findIndex(p => p.id === id);
+    if(idx < 0) return false;
+    custom.splice(idx, 1);
+    enqueue(() => deleteRecords(db, 'presets', [id]));
+    return true;
+  }
+
+  return {
+    persistent: !!db,
+    flush: () => writeQueue,
+    list,
+    get,
+    resolve,
+    save,
+    remove
+  };
+}
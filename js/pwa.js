@@ -0,0 +1,68 @@
+// Registers the service worker (sw.js) that makes the app work offline,
+// and asks it for updates: on load, when the connection comes back and
+// every CHECK_INTERVAL_MS. When a new version is ready, onUpdate(apply) is
+// called; apply() switches to it and reloads the page.
+
+const CHECK_INTERVAL_MS = 30 * 60 * 1000;
+
+export async function registerServiceWorker(url, { onUpdate }){
+  if(typeof navigator === 'undefined' || !navigator.serviceWorker) return null;
+  const container = navigator.serviceWorker;
+  let registration;
+  try{
+    registration = await container.register(url, { updateViaCache: 'none' });
+  }catch(e){
+    console.warn('The service worker could not be registered; the app will not work offline', e);
+    return null;
+  }
+
+  // The first worker takes over the page too, which needs no reload.
+  let accepted = false;
+  const reload = () => {
+    if(!accepted) return;
+    accepted = false;
+    location.reload();
+  };
+
+  // A new sw.js waits until the user accepts it.
+  const offerWaiting = () => {
+    const waiting = registration.waiting;
+    if(!waiting || !container.controller) return;
+    onUpdate(() => {
+      accepted = true;
+      waiting.postMessage({ type: 'skip-waiting' });
+    });
+  };
+  offerWaiting();
+  registration.addEventListener('updatefound', () => {
+    const installing = registration.installing;
+    if(!installing) return;
+    installing.addEventListener('statechange', () => {
+      if(installing.state === 'installed') offerWaiting();
+    });
+  });
+  container.addEventListener('controllerchange', reload);
+
+  // New app files under the same worker.
+  container.addEventListener('message', (event) => {
+    const type = event.data && event.data.type;
+    if(type === 'update-ready'){
+      onUpdate(() => {
+        accepted = true;
+        if(container.controller) container.controller.postMessage({ type: 'apply-update' });
+      });
+    } else if(type === 'updated'){
+      reload();
+    }
+  });
+
+  const check = () => {
+    if(!navigator.onLine) return;
+    registration.update().catch(() => {});
+    if(container.controller) container.controller.postMessage({ type: 'check-update' });
+  };
+  check();
+  setInterval(check, CHECK_INTERVAL_MS);
+  window.addEventListener('online', check);
+  return registration;
+}
@@ -0,0 +1,146 @@
+import { mergeCitations } from '../shared/gemini-format.js';
+
+// How a reply ended, shown under it: blocked for safety, cut off at the
+// output limit (with a button to continue) and the sources it cites. The
+// fields come from the chat result (see shared/gemini-format.js), apart
+// from `sources`, the excerpts of the user's documents it was given (see
+// js/knowledge.js).
+
+const CATEGORY_LABELS = {
+  harassment: 'harassment',
+  hate_speech: 'hate speech',
+  sexually_explicit: 'sexual content',
+  dangerous_content: 'dangerous content',
+  civic_integrity: 'civic integrity'
+};
+
+// Block reasons that say more than the harm categories do.
+const REASON_LABELS = {
+  RECITATION: 'it would repeat copyrighted material',
+  BLOCKLIST: 'it contains blocked terms',
+  PROHIBITED_CONTENT: 'it contains prohibited content',
+  SPII: 'it contains sensitive personal information',
+  IMAGE_SAFETY: 'it contains an unsafe image'
+};
+
+function el(tag, className, text){
+  const node = document.createElement(tag);
+  if(className) node.className = className;
+  if(text !== undefined) node.textContent = text;
+  return node;
+}
+
+export function describeSafety(safety){
+  if(!safety) return '';
+  if(REASON_LABELS[safety.reason]) return REASON_LABELS[safety.reason];
+  const categories = (safety.categories || []).map(c => CATEGORY_LABELS[c] || String(c).replace(/_/g, ' '));
+  return categories.join(', ');
+}
+
+// Replaces the bubble's content with the blocked state.
+export function renderSafetyBlock(container, safety, message){
+  container.replaceChildren();
+  container.appendChild(el('p', 'bubble-blocked-title', '🛡️ Blocked for safety'));
+  const why = describeSafety(safety);
+  container.appendChild(el('p', '', why ? `${message} Reason: ${why}.` : message));
+}
+
+function sourceLabel(citation){
+  if(citation.title) return citation.title;
+  try{ return new URL(citation.uri).hostname; }catch(_){ return citation.uri; }
+}
+
+function sourceLink(text, source, onOpenSource, className){
+  const link = el('a', className, text);
+  link.href = '#';
+  link.title = source.title;
+  link.addEventListener('click', (e) => {
+    e.preventDefault();
+    onOpenSource(source);
+  });
+  return link;
+}
+
+// Turns each "[n]" in the reply's text into a link to source n. Code, links
+// and tool steps are left alone.
+function linkCitations(container, sources, onOpenSource){
+  const byNumber = new Map(sources.map(s => [s.n, s]));
+  const doc = container.ownerDocument;
+  const walker = doc.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+  const found = [];
+  while(walker.nextNode()){
+    const node = walker.currentNode;
+    if(/\[\d+\]/.test(node.nodeValue) && !node.parentElement.closest('code, pre, a, button, .tool-steps')) found.push(node);
+  }
+  for(const node of found){
+    const text = node.nodeValue;
+    const out = doc.createDocumentFragment();
+    let last = 0;
+    for(const m of text.matchAll(/\[(\d+)\]/g)){
+      const source = byNumber.get(Number(m[1]));
+      if(!source) continue;
+      out.append(text.slice(last, m.index), sourceLink(m[0], source, onOpenSource, 'source-cite'));
+      last = m.index + m[0].length;
+    }
+    if(!last) continue;
+    out.append(text.slice(last));
+    node.replaceWith(out);
+  }
+}
+
+// Appends the notes for `reply` ({ finishReason, citations, sources }) to
+// the bubble's content. onContinue, when given, adds a "Continue" button to
+// a truncated reply; onOpenSource(source), when given, links each [n] in
+// the reply and each listed document excerpt to that excerpt.
+export function renderReplyNotes(container, reply, { onContinue, onOpenSource } = {}){
+  if(!reply) return;
+  const documentSources = Array.isArray(reply.sources) ? reply.sources : [];
+  if(documentSources.length && onOpenSource) linkCitations(container, documentSources, onOpenSource);
+  if(reply.finishReason === 'safety'){
+    container.appendChild(el('p', 'bubble-note', '🛡️ The rest of this reply was blocked for safety.'));
+  } else if(reply.finishReason === 'length'){
+    const note = el('p', 'bubble-note', '✂️ Truncated — continue?');
+    if(onContinue){
+      const btn = el('button', 'bubble-action', 'Continue');
+      btn.type = 'button';
+      btn.addEventListener('click', () => {
+        btn.disabled = true;
+        onContinue();
+      });
+      note.append(' ', btn);
+    }
+    container.appendChild(note);
+  }
+  // Saved chats are rendered through here too, so only web links count.
+  const citations = mergeCitations([], (reply.citations || []).filter(c => c && /^https?:\/\//i.test(c.uri)));
+  if(citations.length){
+    const sources = el('div', 'bubble-sources');
+    sources.appendChild(el('p', 'bubble-sources-title', 'Sources'));
+    const list = el('ol');
+    for(const c of citations){
+      const item = el('li');
+      const link = el('a', '', sourceLabel(c));
+      link.href = c.uri;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      item.appendChild(link);
+      if(c.license) item.appendChild(el('span', 'muted', ` (${c.license})`));
+      list.appendChild(item);
+    }
+    sources.appendChild(list);
+    container.appendChild(sources);
+  }
+  if(documentSources.length){
+    const box = el('div', 'bubble-sources');
+    box.appendChild(el('p', 'bubble-sources-title', 'From your documents'));
+    const list = el('ol');
+    for(const source of documentSources){
+      const item = el('li');
+      item.value = source.n;
+      item.appendChild(onOpenSource ? sourceLink(source.title, source, onOpenSource) : el('span', '', source.title));
+      list.appendChild(item);
+    }
+    box.appendChild(list);
+    container.appendChild(box);
+  }
+}
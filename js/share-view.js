@@ -0,0 +1,95 @@
+import { renderMarkdown } from './markdown.js';
+import { renderReplyNotes } from './reply-notes.js';
+import { createAttachmentPreview } from './attachments.js';
+import { renderToolSteps } from './tool-steps.js';
+
+// The read-only page behind a share link (share.html#<id>). It renders the
+// snapshot from GET /api/share the way the chat renders saved messages,
+// without anything that would send or change a message.
+
+const SHARE_ENDPOINT = '/api/share';
+
+const titleEl = document.getElementById('shareTitle');
+const metaEl = document.getElementById('shareMeta');
+const messagesEl = document.getElementById('messages');
+const sourceModal = document.getElementById('sourceModal');
+const sourceTitleEl = document.getElementById('sourceTitle');
+const sourceTextEl = document.getElementById('sourceText');
+
+function formatDate(ms){
+  return new Date(ms).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// The document excerpt behind a [n] in a shared reply.
+function showSource(source){
+  sourceTitleEl.textContent = `[${source.n}] ${source.title}`;
+  sourceTextEl.textContent = source.text;
+  sourceModal.setAttribute('aria-hidden', 'false');
+}
+
+function createBubble(m){
+  const wrap = document.createElement('div');
+  wrap.className = 'bubble ' + (m.role === 'user' ? 'user' : 'bot');
+  if(m.attachments && m.attachments.length){
+    const list = document.createElement('div');
+    list.className = 'bubble-attachments';
+    for(const att of m.attachments) list.appendChild(createAttachmentPreview(att));
+    wrap.appendChild(list);
+  }
+  const content = document.createElement('div');
+  if(m.role === 'user'){
+    content.textContent = m.text;
+  } else {
+    renderMarkdown(m.text, content);
+    renderReplyNotes(content, m, { onOpenSource: showSource });
+  }
+  wrap.appendChild(content);
+  if(m.role === 'assistant') renderToolSteps(wrap, content, m.toolCalls);
+  if(m.role === 'assistant' && m.model){
+    const model = document.createElement('div');
+    model.className = 'msg-actions';
+    const label = document.createElement('span');
+    label.className = 'msg-model';
+    label.textContent = m.model;
+    model.appendChild(label);
+    wrap.appendChild(model);
+  }
+  return wrap;
+}
+
+function showError(message){
+  titleEl.textContent = 'Shared chat unavailable';
+  metaEl.textContent = message;
+}
+
+async function load(){
+  const id = location.hash.slice(1);
+  if(!id){
+    showError('This link is incomplete. Ask for the full link again.');
+    return;
+  }
+  let share;
+  try{
+    const resp = await fetch(`${SHARE_ENDPOINT}?id=${encodeURIComponent(id)}`, { headers: { 'Accept': 'application/json' } });
+    const body = await resp.json().catch(() => null);
+    if(!resp.ok){
+      showError(body && body.userMessage ? body.userMessage : 'This shared chat could not be loaded.');
+      return;
+    }
+    share = body;
+  }catch(_){
+    showError('This shared chat could not be loaded. Check your connection and reload the page.');
+    return;
+  }
+  document.title = `${share.title} — Celebra`;
+  titleEl.textContent = share.title;
+  const meta = [`Shared ${formatDate(share.createdAt)}`, 'read-only'];
+  if(share.expiresAt) meta.push(`link expires ${formatDate(share.expiresAt)}`);
+  if(!share.attachments && share.messages.some(m => m.attachments.length)) meta.push('attachments not included');
+  metaEl.textContent = meta.join(' · ');
+  for(const m of share.messages) messagesEl.appendChild(createBubble(m));
+}
+
+document.getElementById('sourceClose').addEventListener('click', () => sourceModal.setAttribute('aria-hidden', 'true'));
+window.addEventListener('hashchange', () => location.reload());
+load();
@@ -0,0 +1,50 @@
+// Clean-up of model text before it is shown or stored. Kept free of the DOM
+// so the same functions run in the browser and under `npm test`.
+
+// Drops control characters, trailing spaces and runs of blank lines, but
+// leaves fenced code blocks exactly as they came.
+export function sanitizeAIText(raw){
+  if(!raw) return '';
+  const lines = String(raw).replace(/\r\n?/g, '\n').replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '').split('\n');
+  const out = [];
+  let fence = null;
+  for(const line of lines){
+    const marker = /^ {0,3}(`{3,}|~{3,})/.exec(line);
+    if(fence){
+      out.push(line);
+      if(marker && marker[1][0] === fence[0] && marker[1].length >= fence.length && !line.trim().slice(marker[1].length).trim()) fence = null;
+      continue;
+    }
+    if(marker) fence = marker[1];
+    const trimmed = line.replace(/[ \t]+$/, '');
+    if(!trimmed && !out[out.length - 1]) continue;
+    out.push(trimmed);
+  }
+  return out.join('\n').replace(/^\n+/, '').trimEnd();
+}
+
+// Numbers each paragraph and each sentence after its first ("1.", "1.1")
+// unless the text is already numbered.
+export function organizeTextIntoNumberedSections(text){
+  if(!text) return '';
+  const lines = String(text).split(/\r?\n/).map(l=>l.trim()).filter(Boolean);
+  const looksOrganized = lines.some(l => /^\d+\s*[\.)\-]/.test(l) || /^\d+\.\d+/.test(l));
+  if(looksOrganized) return text;
+  const paragraphs = String(text).split(/\n{2,}/).map(p => p.trim()).filter(Boolean);
+  const out = [];
+  for(let i=0;i<paragraphs.length;i++){
+    const p = paragraphs[i];
+    const sentences = p.match(/[^.!?]+[.!?]?/g) || [p];
+    const top = sentences[0] ? sentences[0].trim() : p;
+    out.push(`${i+1}. ${top}`);
+    if(sentences.length > 1){
+      for(let j=1;j<sentences.length;j++){
+        const s = sentences[j].trim();
+        if(!s) continue;
+        out.push(`${i+1}.${j} ${s}`);
+      }
+    }
+    out.push('');
+  }
+  return out.join('\n').trim();
+}
@@ -0,0 +1,110 @@
+// The tool calls behind a reply, shown above its text as collapsible steps:
+// what was called with which arguments, and what came back. A call that
+// needs the user's approval waits in its step for Run or Skip.
+//
+// A stored step is { name, label, args, response, status }, status being
+// 'done', 'error' or 'skipped'; while a reply is being written a step can
+// also be 'waiting' (for approval) or 'running'.
+
+const STATUS_TEXT = {
+  waiting: 'waiting for approval',
+  running: 'running…',
+  done: 'done',
+  error: 'failed',
+  skipped: 'skipped'
+};
+
+function el(tag, className, text){
+  const node = document.createElement(tag);
+  if(className) node.className = className;
+  if(text !== undefined) node.textContent = text;
+  return node;
+}
+
+function pretty(value){
+  try{ return JSON.stringify(value, null, 2); }catch(_){ return String(value); }
+}
+
+// The short form of a result for the step's summary line.
+function outcomeText(step){
+  const response = step.response || {};
+  if(step.status === 'error') return String(response.error || '');
+  if(step.status !== 'done') return '';
+  const result = response.result;
+  if(result && typeof result === 'object' && 'result' in result) return String(result.result);
+  if(result && typeof result === 'object' && typeof result.local === 'string') return result.local;
+  if(result && typeof result === 'object' && typeof result.count === 'number') return `${result.count} found`;
+  return '';
+}
+
+// The steps list of a bubble, created above its content on first use.
+export function toolStepsOf(bubble, content){
+  let list = bubble.querySelector('.tool-steps');
+  if(!list){
+    list = el('div', 'tool-steps');
+    bubble.insertBefore(list, content);
+  }
+  return list;
+}
+
+// Adds a step to `list` and returns it with update(step), which redraws it,
+// and approve(signal), which resolves to true (Run) or false (Skip) and
+// rejects with an AbortError when `signal` aborts first.
+export function addToolStep(list, step){
+  const details = el('details', 'tool-step');
+  const summary = el('summary');
+  const body = el('div', 'tool-step-body');
+  details.append(summary, body);
+  list.appendChild(details);
+
+  function update(next){
+    Object.assign(step, next);
+    details.dataset.status = step.status;
+    const outcome = outcomeText(step);
+    summary.replaceChildren(
+      el('span', 'tool-step-label', `🔧 ${step.label || step.name}`),
+      el('span', 'tool-step-status', outcome ? `${STATUS_TEXT[step.status]} · ${outcome}` : STATUS_TEXT[step.status])
+    );
+    body.replaceChildren(el('p', 'tool-step-heading', 'Input'), el('pre', '', pretty(step.args || {})));
+    if(step.response && step.status !== 'skipped'){
+      body.append(el('p', 'tool-step-heading', step.status === 'error' ? 'Error' : 'Result'), el('pre', '', pretty(step.status === 'error' ? step.response.error : step.response.result)));
+    }
+  }
+
+  function approve(signal){
+    details.open = true;
+    const prompt = el('div', 'tool-step-approval');
+    const run = el('button', 'btn', 'Run');
+    const skip = el('button', 'btn ghost', 'Skip');
+    run.type = skip.type = 'button';
+    prompt.append(el('span', '', 'Let the model run this tool?'), run, skip);
+    body.appendChild(prompt);
+    return new Promise((resolve, reject) => {
+      const finish = (answer) => {
+        signal.removeEventListener('abort', onAbort);
+        prompt.remove();
+        details.open = false;
+        resolve(answer);
+      };
+      const onAbort = () => {
+        prompt.remove();
+        reject(new DOMException('Tool call stopped', 'AbortError'));
+      };
+      if(signal.aborted) return onAbort();
+      signal.addEventListener('abort', onAbort, { once: true });
+      run.addEventListener('click', () => finish(true));
+      skip.addEventListener('click', () => finish(false));
+      try{ run.focus(); }catch(_){ }
+    });
+  }
+
+  update({});
+  return { update, approve };
+}
+
+// Draws the stored steps of a saved reply.
+export function renderToolSteps(bubble, content, steps){
+  if(!steps || !steps.length) return;
+  const list = toolStepsOf(bubble, content);
+  for(const step of steps) addToolStep(list, { ...step });
+}
@@ -0,0 +1,368 @@
+import { MAX_CONTENTS, MAX_PART_CHARS } from '../shared/limits.js';
+
+// Tools the model may call (Gemini function calling). A tool is
+//   { name, label, description, parameters, ask, run(args, env) }
+// where name, description and parameters form the function declaration
+// sent with the request, label is shown in the reply's tool steps and `ask`
+// says whether the user approves each call by default. run() returns a
+// JSON-serialisable result or throws an Error whose message the model gets.
+//
+// The built-in tools run in the page but only see their arguments and
+// `env` ({ now, search, conversationId }): no DOM, network or storage.
+
+const SETTINGS_KEY = 'toolSettings';
+const MAX_EXPRESSION_CHARS = 500;
+const MAX_SEARCH_RESULTS = 10;
+const SEARCH_EXCERPT_CHARS = 400;
+
+// ---- calculator ----
+// A small recursive-descent parser rather than eval():
+//   expr  = term (("+" | "-") term)*
+//   term  = unary (("*" | "/" | "%") unary)*
+//   unary = ("+" | "-") unary | power
+//   power = atom (("^" | "**") unary)?
+//   atom  = number | constant | name "(" expr ("," expr)* ")" | "(" expr ")"
+
+const CONSTANTS = { pi: Math.PI, e: Math.E, tau: 2 * Math.PI };
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs, round: Math.round, floor: Math.floor, ceil: Math.ceil,
+  exp: Math.exp, ln: Math.log, log: Math.log10, log2: Math.log2,
+  sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+  min: Math.min, max: Math.max, pow: Math.pow
+};
+// min and max take one or more arguments; every other function exactly as
+// many as the Math function behind it.
+const VARIADIC = new Set(['min', 'max']);
+
+function tokenize(expression){
+  const tokens = [];
+  const pattern = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/%^(),]))/iy;
+  let index = 0;
+  while(index < expression.length){
+    pattern.lastIndex = index;
+    const m = pattern.exec(expression);
+    if(!m){
+      if(!expression.slice(index).trim()) break;
+      throw new Error(`Unexpected character "${expression.slice(index).trim()[0]}"`);
+    }
+    if(m[1] !== undefined) tokens.push({ type: 'number', value: Number(m[1]) });
+    else if(m[2] !== undefined) tokens.push({ type: 'name', value: m[2].toLowerCase() });
+    else if(m[3] !== undefined) tokens.push({ type: 'op', value: m[3] });
+    index = pattern.lastIndex;
+  }
+  return tokens;
+}
+
+export function evaluateExpression(expression){
+  const source = String(expression || '');
+  if(!source.trim()) throw new Error('The expression is empty');
+  if(source.length > MAX_EXPRESSION_CHARS) throw new Error(`The expression is longer than ${MAX_EXPRESSION_CHARS} characters`);
+  const tokens = tokenize(source);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (...ops) => peek() && peek().type === 'op' && ops.includes(peek().value);
+  const expect = (op) => {
+    if(!isOp(op)) throw new Error(`Expected "${op}"`);
+    pos++;
+  };
+
+  function expr(){
+    let value = term();
+    while(isOp('+', '-')) value = tokens[pos++].value === '+' ? value + term() : value - term();
+    return value;
+  }
+  function term(){
+    let value = unary();
+    while(isOp('*', '/', '%')){
+      const op = tokens[pos++].value;
+      const right = unary();
+      value = op === '*' ? value * right : op === '/' ? value / right : value % right;
+    }
+    return value;
+  }
+  function unary(){
+    if(isOp('+', '-')) return tokens[pos++].value === '-' ? -unary() : unary();
+    return power();
+  }
+  function power(){
+    const base = atom();
+    if(isOp('^', '**')){
+      pos++;
+      return Math.pow(base, unary());
+    }
+    return base;
+  }
+  function atom(){
+    const token = tokens[pos++];
+    if(!token) throw new Error('The expression ends too early');
+    if(token.type === 'number') return token.value;
+    if(token.type === 'op' && token.value === '('){
+      const value = expr();
+      expect(')');
+      return value;
+    }
+    if(token.type === 'name'){
+      if(Object.hasOwn(FUNCTIONS, token.value)){
+        expect('(');
+        const args = [expr()];
+        while(isOp(',')){
+          pos++;
+          args.push(expr());
+        }
+        expect(')');
+        const fn = FUNCTIONS[token.value];
+        if(!VARIADIC.has(token.value) && args.length !== fn.length){
+          throw new Error(`${token.value}() takes ${fn.length} argument${fn.length === 1 ? '' : 's'}, not ${args.length}`);
+        }
+        return fn(...args);
+      }
+      if(Object.hasOwn(CONSTANTS, token.value)) return CONSTANTS[token.value];
+      throw new Error(`Unknown name "${token.value}"`);
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  }
+
+  const value = expr();
+  if(pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].value}"`);
+  if(!Number.isFinite(value)) throw new Error('The result is not a finite number');
+  return value;
+}
+
+// ---- unit conversion ----
+// Factors to each dimension's base unit; temperatures are converted apart.
+
+const UNITS = {
+  length: { m: 1, mm: 0.001, cm: 0.01, km: 1000, in: 0.0254, ft: 0.3048, yd: 0.9144, mi: 1609.344, nmi: 1852 },
+  area: { m2: 1, cm2: 0.0001, km2: 1e6, ha: 10000, ft2: 0.09290304, acre: 4046.8564224, mi2: 2589988.110336 },
+  volume: { l: 1, ml: 0.001, m3: 1000, tsp: 0.00492892159375, tbsp: 0.01478676478125, floz: 0.0295735295625, cup: 0.2365882365, pt: 0.473176473, qt: 0.946352946, gal: 3.785411784 },
+  mass: { kg: 1, mg: 1e-6, g: 0.001, t: 1000, oz: 0.028349523125, lb: 0.45359237, st: 6.35029318 },
+  time: { s: 1, ms: 0.001, min: 60, h: 3600, d: 86400, wk: 604800 },
+  speed: { 'm/s': 1, 'km/h': 1 / 3.6, mph: 0.44704, kn: 1852 / 3600 },
+  data: { b: 1, kb: 1e3, mb: 1e6, gb: 1e9, tb: 1e12, kib: 1024, mib: 1048576, gib: 1073741824, tib: 1099511627776 },
+  temperature: { c: null, f: null, k: null }
+};
+
+const UNIT_ALIASES = {
+  meter: 'm', meters: 'm', metre: 'm', metres: 'm', millimeters: 'mm', centimeters: 'cm', kilometers: 'km', kilometres: 'km',
+  inch: 'in', inches: 'in', foot: 'ft', feet: 'ft', yard: 'yd', yards: 'yd', mile: 'mi', miles: 'mi',
+  'm²': 'm2', 'km²': 'km2', 'ft²': 'ft2', hectare: 'ha', hectares: 'ha', acres: 'acre',
+  liter: 'l', liters: 'l', litre: 'l', litres: 'l', milliliters: 'ml', 'm³': 'm3', gallon: 'gal', gallons: 'gal',
+  cups: 'cup', pint: 'pt', pints: 'pt', quart: 'qt', quarts: 'qt', 'fl oz': 'floz',
+  gram: 'g', grams: 'g', kilogram: 'kg', kilograms: 'kg', kilo: 'kg', kilos: 'kg', tonne: 't', tonnes: 't',
+  ounce: 'oz', ounces: 'oz', pound: 'lb', pounds: 'lb', lbs: 'lb', stone: 'st',
+  second: 's', seconds: 's', sec: 's', minute: 'min', minutes: 'min', hour: 'h', hours: 'h', hr: 'h',
+  day: 'd', days: 'd', week: 'wk', weeks: 'wk',
+  kph: 'km/h', kmh: 'km/h', knot: 'kn', knots: 'kn', kt: 'kn',
+  byte: 'b', bytes: 'b', kilobytes: 'kb', megabytes: 'mb', gigabytes: 'gb', terabytes: 'tb',
+  celsius: 'c', '°c': 'c', fahrenheit: 'f', '°f': 'f', kelvin: 'k'
+};
+
+function findUnit(name){
+  const key = String(name || '').trim().toLowerCase();
+  const unit = UNIT_ALIASES[key] || key;
+  for(const [dimension, units] of Object.entries(UNITS)){
+    if(Object.hasOwn(units, unit)) return { dimension, unit, factor: units[unit] };
+  }
+  throw new Error(`Unknown unit "${name}"`);
+}
+
+function toKelvin(value, unit){
+  if(unit === 'c') return value + 273.15;
+  if(unit === 'f') return (value - 32) * 5 / 9 + 273.15;
+  return value;
+}
+
+function fromKelvin(value, unit){
+  if(unit === 'c') return value - 273.15;
+  if(unit === 'f') return (value - 273.15) * 9 / 5 + 32;
+  return value;
+}
+
+export function convertUnits(value, from, to){
+  const amount = Number(value);
+  if(!Number.isFinite(amount)) throw new Error('The value must be a number');
+  const a = findUnit(from);
+  const b = findUnit(to);
+  if(a.dimension !== b.dimension) throw new Error(`Cannot convert ${a.dimension} to ${b.dimension}`);
+  const result = a.dimension === 'temperature'
+    ? fromKelvin(toKelvin(amount, a.unit), b.unit)
+    : amount * a.factor / b.factor;
+  return Number(result.toPrecision(12));
+}
+
+// ---- current date and time ----
+
+export function describeTime(now, timeZone){
+  const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  let local;
+  try{
+    local = new Intl.DateTimeFormat('en-US', { timeZone: zone, dateStyle: 'full', timeStyle: 'long' }).format(now);
+  }catch(_){
+    throw new Error(`Unknown time zone "${timeZone}"`);
+  }
+  return { iso: now.toISOString(), timeZone: zone, local };
+}
+
+// ---- saved conversations ----
+
+function clip(text, max){
+  const s = String(text || '').replace(/\s+/g, ' ').trim();
+  return s.length > max ? s.slice(0, max - 1) + '…' : s;
+}
+
+// `search` is the conversation store's search(); the chat being answered
+// is left out, since it always matches its own question.
+export function searchConversations({ query, limit }, { search, conversationId }){
+  const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if(!terms.length) throw new Error('The query is empty');
+  const max = Math.min(MAX_SEARCH_RESULTS, Math.max(1, Math.floor(Number(limit) || 5)));
+  const results = search(query)
+    .filter(({ conversation }) => conversation.id !== conversationId)
+    .slice(0, max)
+    .map(({ conversation }) => ({
+      title: conversation.title,
+      updated: new Date(conversation.updatedAt).toISOString().slice(0, 10),
+      excerpts: conversation.nodes
+        .filter(m => terms.some(t => m.text.toLowerCase().includes(t)))
+        .slice(0, 2)
+        .map(m => `${m.role}: ${clip(m.text, SEARCH_EXCERPT_CHARS)}`)
+    }));
+  return { count: results.length, results };
+}
+
+export const BUILTIN_TOOLS = [
+  {
+    name: 'calculate',
+    label: 'Calculator',
+    description: 'Evaluates an arithmetic expression exactly. Supports + - * / % ^, parentheses, pi, e and the functions sqrt, cbrt, abs, round, floor, ceil, exp, ln, log (base 10), log2, sin, cos, tan, asin, acos, atan (radians), min, max and pow.',
+    parameters: {
+      type: 'object',
+      properties: { expression: { type: 'string', description: 'The expression, e.g. "(3 + 4) * 2 ^ 10"' } },
+      required: ['expression']
+    },
+    ask: false,
+    run: ({ expression }) => ({ expression, result: evaluateExpression(expression) })
+  },
+  {
+    name: 'get_current_time',
+    label: 'Date and time',
+    description: 'Returns the current date and time, in the user\'s time zone or in the given IANA time zone.',
+    parameters: {
+      type: 'object',
+      properties: { timeZone: { type: 'string', description: 'An IANA time zone such as "Europe/Paris"; the user\'s own when omitted' } }
+    },
+    ask: false,
+    run: ({ timeZone }, env) => describeTime(env.now(), timeZone)
+  },
+  {
+    name: 'convert_units',
+    label: 'Unit conversion',
+    description: 'Converts a value between units of length (mm, cm, m, km, in, ft, yd, mi, nmi), area (cm2, m2, km2, ha, ft2, acre, mi2), volume (ml, l, m3, tsp, tbsp, floz, cup, pt, qt, gal; US measures), mass (mg, g, kg, t, oz, lb, st), time (ms, s, min, h, d, wk), speed (m/s, km/h, mph, kn), data (B, KB, MB, GB, TB, KiB, MiB, GiB, TiB) or temperature (C, F, K).',
+    parameters: {
+      type: 'object',
+      properties: {
+        value: { type: 'number' },
+        from: { type: 'string', description: 'The unit of the value' },
+        to: { type: 'string', description: 'The unit to convert to' }
+      },
+      required: ['value', 'from', 'to']
+    },
+    ask: false,
+    run: ({ value, from, to }) => ({ value, from, to, result: convertUnits(value, from, to) })
+  },
+  {
+    name: 'search_conversations',
+    label: 'Search my chats',
+    description: 'Searches the user\'s other saved conversations in this browser for words and returns matching chats with short excerpts. Use it when the user refers to something discussed before.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Words that must all appear in the chat' },
+        limit: { type: 'integer', description: `At most this many chats (1-${MAX_SEARCH_RESULTS}, default 5)` }
+      },
+      required: ['query']
+    },
+    // Excerpts of other chats go to the model provider.
+    ask: true,
+    run: (args, env) => searchConversations(args, env)
+  }
+];
+
+// The tools available to the chat, by name. The built-ins are registered
+// to begin with; register() adds or replaces one.
+export function createToolRegistry(tools = BUILTIN_TOOLS){
+  const byName = new Map();
+
+  function register(tool){
+    if(!tool || typeof tool.name !== 'string' || typeof tool.run !== 'function' || typeof tool.description !== 'string'){
+      throw new TypeError('A tool needs a name, a description and a run() function');
+    }
+    byName.set(tool.name, { label: tool.name, ask: true, ...tool });
+  }
+
+  function declarations(names){
+    return names.map(name => byName.get(name)).filter(Boolean).map(t => {
+      const declaration = { name: t.name, description: t.description };
+      if(t.parameters) declaration.parameters = t.parameters;
+      return declaration;
+    });
+  }
+
+  // Resolves to the functionResponse `response` for a call: the tool's
+  // result under `result`, or `error` with a message for the model.
+  async function execute(call, env){
+    const tool = byName.get(call && call.name);
+    if(!tool) return { error: `There is no tool named "${call && call.name}"` };
+    try{
+      const result = await tool.run(call.args || {}, env);
+      const response = { result: result === undefined ? null : result };
+      if(JSON.stringify(response).length > MAX_PART_CHARS) return { error: 'The result is too large to send back' };
+      return response;
+    }catch(err){
+      return { error: err && err.message ? String(err.message) : 'The tool failed' };
+    }
+  }
+
+  for(const tool of tools) register(tool);
+  return {
+    register,
+    get: (name) => byName.get(name) || null,
+    list: () => [...byName.values()],
+    declarations,
+    execute
+  };
+}
+
+// The user's choices per tool, { [name]: { enabled, ask } }, kept in
+// localStorage. Tools without a saved choice are on, asking as the tool
+// says by default.
+export function loadToolSettings(tools){
+  let saved = {};
+  try{ saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') || {}; }catch(_){ }
+  const settings = {};
+  for(const t of tools){
+    const s = saved[t.name] || {};
+    settings[t.name] = {
+      enabled: typeof s.enabled === 'boolean' ? s.enabled : true,
+      ask: typeof s.ask === 'boolean' ? s.ask : !!t.ask
+    };
+  }
+  return settings;
+}
+
+export function saveToolSettings(settings){
+  try{ localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings)); }catch(_){ }
+}
+
+// The request messages for the next tool round: the context plus the
+// rounds so far ({ role, parts } pairs), dropping the oldest history so the
+// total stays within MAX_CONTENTS and still starts with a user message.
+export function withToolTurns(messages, turns){
+  if(!turns.length) return messages;
+  let history = messages.slice(0, -1);
+  const room = MAX_CONTENTS - turns.length - 1;
+  history = room > 0 ? history.slice(-room) : [];
+  while(history.length && history[0].role !== 'user') history.shift();
+  return [...history, messages[messages.length - 1], ...turns];
+}
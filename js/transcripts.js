@@ -0,0 +1,291 @@
+import { INLINE_DATA_MIME_TYPES } from '../shared/limits.js';
+import { renderMarkdown } from './markdown.js';
+import { attachmentKind, formatBytes } from './attachments.js';
+
+// Conversations in and out of the browser. Markdown and HTML are transcripts
+// of the path shown in each chat; JSON is the whole message tree, in a
+// versioned format that parseExport reads back for import.
+//
+// JSON export, version 1:
+//   { format: 'celebra.conversations', version: 1, exportedAt,
+//     conversations: [{ id, title, titleSource, pinned, createdAt, updatedAt,
+//       presetId, preset, summary, branches,
+//       messages: [{ id, parentId, role, text, ts, model, finishReason,
+//         citations, toolCalls, sources,
+//         attachments: [{ name, mimeType, size, data }] }] }] }
+// toolCalls are the steps of js/tool-steps.js and sources the document
+// excerpts a reply cites as [n] (js/knowledge.js).
+
+export const EXPORT_FORMAT = 'celebra.conversations';
+export const EXPORT_VERSION = 1;
+
+const BASE64_RE = /^[A-Za-z0-9+/]*={0,2}$/;
+
+// Styles for the HTML export, which is opened on its own without style.css.
+const HTML_STYLES = `
+body{margin:0;background:#f6f7fb;color:#1c2030;font:15px/1.55 system-ui,-apple-system,"Segoe UI",Roboto,sans-serif}
+main{max-width:820px;margin:0 auto;padding:24px 16px 48px}
+h1{font-size:22px;margin:32px 0 4px}
+.meta{color:#69708a;font-size:13px;margin:0 0 16px}
+.message{border-radius:14px;padding:12px 16px;margin:12px 0;background:#fff;border:1px solid #e3e6f0}
+.message.user{background:#eaf6ff;border-color:#cfe6fb;margin-left:12%}
+.message.assistant{margin-right:6%}
+.who{font-size:12px;font-weight:600;color:#69708a;margin-bottom:6px}
+.attachments{display:flex;flex-wrap:wrap;gap:8px;margin-bottom:8px}
+.attachments img{max-width:220px;max-height:220px;border-radius:8px}
+.chip{font-size:12px;padding:4px 8px;border-radius:999px;background:#fff;border:1px solid #d7dbe8}
+.text{white-space:pre-wrap}
+.sources{font-size:13px;color:#69708a}
+.sources .excerpt{white-space:pre-wrap;margin:4px 0 8px}
+pre{background:#1e2233;color:#e7eef8;padding:12px;border-radius:10px;overflow:auto}
+code{font-family:ui-monospace,SFMono-Regular,Menlo,Consolas,monospace;font-size:13px}
+table{border-collapse:collapse}th,td{border:1px solid #d7dbe8;padding:4px 8px}
+blockquote{margin:0;padding-left:12px;border-left:3px solid #d7dbe8;color:#4b5168}
+`;
+
+function formatTime(ts){
+  return new Date(ts).toISOString().slice(0, 16).replace('T', ' ') + ' UTC';
+}
+
+function speaker(m, { modelLabel }){
+  if(m.role === 'user') return 'You';
+  return m.model ? `Assistant (${modelLabel(m.model)})` : 'Assistant';
+}
+
+function webCitations(m){
+  return (m.citations || []).filter(c => c && /^https?:\/\//i.test(c.uri));
+}
+
+function documentSources(m){
+  return Array.isArray(m.sources) ? m.sources : [];
+}
+
+function toolCalls(m){
+  return Array.isArray(m.toolCalls) ? m.toolCalls : [];
+}
+
+function toolCallLine(t){
+  return `${t.label || t.name} (${t.status}): ${JSON.stringify(t.args || {})}`;
+}
+
+function headerLine(conv, { presetName }, exportedAt){
+  const preset = conv.presetId ? presetName(conv.presetId) : null;
+  return [`Exported from Celebra on ${formatTime(exportedAt)}`, preset ? `Preset: ${preset}` : null].filter(Boolean).join(' · ');
+}
+
+// `names` turns ids into labels: { presetName(id), modelLabel({ provider, id }) }.
+export function toMarkdown(list, names, exportedAt = Date.now()){
+  const out = [];
+  for(const conv of list){
+    if(out.length) out.push('---', '');
+    out.push(`# ${conv.title}`, '', `_${headerLine(conv, names, exportedAt)}_`, '');
+    for(const m of conv.messages){
+      out.push(`### ${speaker(m, names)} — ${formatTime(m.ts)}`, '');
+      if(m.attachments.length){
+        out.push('Attachments: ' + m.attachments.map(a => `${a.name} (${a.mimeType}, ${formatBytes(a.size)})`).join(', '), '');
+      }
+      const tools = toolCalls(m);
+      if(tools.length){
+        out.push('Tools used:', ...tools.map(t => `- ${toolCallLine(t)}`), '');
+      }
+      if(m.text) out.push(m.text, '');
+      const excerpts = documentSources(m);
+      if(excerpts.length){
+        out.push('From your documents:', ...excerpts.map(s => `${s.n}. ${s.title}`), '');
+      }
+      const sources = webCitations(m);
+      if(sources.length){
+        out.push('Sources:', ...sources.map((c, i) => `${i + 1}. [${c.title || c.uri}](${c.uri})`), '');
+      }
+    }
+  }
+  return out.join('\n');
+}
+
+function el(doc, tag, className, text){
+  const node = doc.createElement(tag);
+  if(className) node.className = className;
+  if(text !== undefined) node.textContent = text;
+  return node;
+}
+
+export function toHTML(list, names, exportedAt = Date.now()){
+  const title = list.length === 1 ? list[0].title : 'Celebra chats';
+  const doc = document.implementation.createHTMLDocument(title);
+  const meta = el(doc, 'meta');
+  meta.setAttribute('charset', 'utf-8');
+  doc.head.prepend(meta);
+  doc.head.appendChild(el(doc, 'style', '', HTML_STYLES));
+  const main = el(doc, 'main');
+  for(const conv of list){
+    const section = el(doc, 'section');
+    section.appendChild(el(doc, 'h1', '', conv.title));
+    section.appendChild(el(doc, 'p', 'meta', headerLine(conv, names, exportedAt)));
+    for(const m of conv.messages){
+      const item = el(doc, 'article', `message ${m.role}`);
+      item.appendChild(el(doc, 'div', 'who', `${speaker(m, names)} · ${formatTime(m.ts)}`));
+      if(m.attachments.length){
+        const files = el(doc, 'div', 'attachments');
+        for(const a of m.attachments){
+          if(attachmentKind(a) === 'image'){
+            const img = el(doc, 'img');
+            img.src = `data:${a.mimeType};base64,${a.data}`;
+            img.alt = a.name;
+            files.appendChild(img);
+          } else {
+            files.appendChild(el(doc, 'span', 'chip', `${a.name} (${formatBytes(a.size)})`));
+          }
+        }
+        item.appendChild(files);
+      }
+      const tools = toolCalls(m);
+      if(tools.length){
+        const ul = el(doc, 'ul', 'sources');
+        for(const t of tools) ul.appendChild(el(doc, 'li', '', `🔧 ${toolCallLine(t)}`));
+        item.appendChild(ul);
+      }
+      if(m.role === 'user'){
+        item.appendChild(el(doc, 'div', 'text', m.text));
+      } else {
+        // The same renderer as the chat, so model text stays text.
+        const body = el(doc, 'div', 'markdown');
+        renderMarkdown(m.text, body);
+        item.appendChild(body);
+      }
+      const excerpts = documentSources(m);
+      if(excerpts.length){
+        const ol = el(doc, 'ol', 'sources');
+        for(const s of excerpts){
+          const li = el(doc, 'li');
+          li.value = s.n;
+          const details = el(doc, 'details');
+          details.append(el(doc, 'summary', '', s.title), el(doc, 'div', 'excerpt', s.text));
+          li.appendChild(details);
+          ol.appendChild(li);
+        }
+        item.appendChild(ol);
+      }
+      const sources = webCitations(m);
+      if(sources.length){
+        const ol = el(doc, 'ol', 'sources');
+        for(const c of sources){
+          const link = el(doc, 'a', '', c.title || c.uri);
+          link.href = c.uri;
+          link.rel = 'noopener noreferrer';
+          ol.appendChild(el(doc, 'li')).appendChild(link);
+        }
+        item.appendChild(ol);
+      }
+      section.appendChild(item);
+    }
+    main.appendChild(section);
+  }
+  doc.body.appendChild(main);
+  return '<!doctype html>\n' + doc.documentElement.outerHTML;
+}
+
+function exportMessage(m){
+  return {
+    id: m.id,
+    parentId: m.parentId,
+    role: m.role,
+    text: m.text,
+    ts: m.ts,
+    model: m.model,
+    finishReason: m.finishReason,
+    citations: m.citations,
+    toolCalls: m.toolCalls,
+    sources: m.sources,
+    attachments: m.attachments.map(({ name, mimeType, size, data }) => ({ name, mimeType, size, data }))
+  };
+}
+
+export function toJSON(list, { presetName }, exportedAt = Date.now()){
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date(exportedAt).toISOString(),
+    conversations: list.map(conv => ({
+      id: conv.id,
+      title: conv.title,
+      titleSource: conv.titleSource,
+      pinned: conv.pinned,
+      createdAt: conv.createdAt,
+      updatedAt: conv.updatedAt,
+      presetId: conv.presetId,
+      preset: conv.presetId ? presetName(conv.presetId) : null,
+      summary: conv.summary,
+      branches: conv.branches,
+      messages: conv.nodes.map(exportMessage)
+    }))
+  }, null, 2);
+}
+
+function validAttachment(a){
+  return a && typeof a.name === 'string' && INLINE_DATA_MIME_TYPES.includes(a.mimeType)
+    && typeof a.data === 'string' && BASE64_RE.test(a.data);
+}
+
+function validMessage(m){
+  return m && typeof m.id === 'string' && m.id
+    && (m.role === 'user' || m.role === 'assistant')
+    && typeof m.text === 'string'
+    && (m.parentId === null || m.parentId === undefined || typeof m.parentId === 'string')
+    && (m.toolCalls === undefined || Array.isArray(m.toolCalls))
+    && (m.sources === undefined || Array.isArray(m.sources))
+    && (m.attachments === undefined || (Array.isArray(m.attachments) && m.attachments.every(validAttachment)));
+}
+
+// The conversation, or null when it cannot be imported as a whole: every
+// message must be well formed and its parent must be in the same chat.
+function readConversation(c){
+  if(!c || typeof c.id !== 'string' || !c.id || !Array.isArray(c.messages)) return null;
+  const seen = new Set();
+  const messages = [];
+  for(const m of c.messages){
+    if(!validMessage(m)) return null;
+    if(seen.has(m.id)) continue;
+    seen.add(m.id);
+    messages.push({ ...m, parentId: m.parentId || null });
+  }
+  if(messages.some(m => m.parentId && !seen.has(m.parentId))) return null;
+  return {
+    id: c.id,
+    title: typeof c.title === 'string' ? c.title : '',
+    titleSource: c.titleSource,
+    pinned: !!c.pinned,
+    createdAt: c.createdAt,
+    updatedAt: c.updatedAt,
+    presetId: c.presetId,
+    summary: c.summary,
+    branches: c.branches,
+    messages
+  };
+}
+
+// Reads a JSON export. Throws with a message for the user when the file is
+// not one; conversations that fail validation are left out and counted.
+export function parseExport(text){
+  let data;
+  try{ data = JSON.parse(text); }catch(_){ throw new Error('This file is not valid JSON.'); }
+  if(!data || data.format !== EXPORT_FORMAT || !Number.isInteger(data.version) || !Array.isArray(data.conversations)){
+    throw new Error('This file is not a Celebra JSON export.');
+  }
+  if(data.version > EXPORT_VERSION) throw new Error('This export was made by a newer version of Celebra.');
+  const conversations = [];
+  let skipped = 0;
+  for(const c of data.conversations){
+    const conv = readConversation(c);
+    if(conv) conversations.push(conv);
+    else skipped++;
+  }
+  return { conversations, skipped };
+}
+
+export function exportFileName(list, extension, exportedAt = Date.now()){
+  const day = new Date(exportedAt).toISOString().slice(0, 10);
+  const slug = list.length === 1
+    ? list[0].title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'chat'
+    : 'chats';
+  return `celebra-${slug}-${day}.${extension}`;
+}
@@ -0,0 +1,120 @@
+// Renders the report from /api/usage: summary figures, tokens per day and
+// tables by model, by user and of compare-mode picks. Built from DOM nodes
+// like the rest of the UI.
+
+import { taskLabel } from '../shared/tasks.js';
+
+function el(tag, className, text){
+  const node = document.createElement(tag);
+  if(className) node.className = className;
+  if(text !== undefined) node.textContent = text;
+  return node;
+}
+
+function formatCount(n){
+  if(!n) return '0';
+  if(n >= 1e9) return (n / 1e9).toFixed(1).replace(/\.0$/, '') + 'B';
+  if(n >= 1e6) return (n / 1e6).toFixed(1).replace(/\.0$/, '') + 'M';
+  if(n >= 1e4) return Math.round(n / 1e3) + 'k';
+  return String(n);
+}
+
+function formatCost(cost){
+  if(cost === null || cost === undefined) return '—';
+  return cost < 0.01 && cost > 0 ? '<$0.01' : '$' + cost.toFixed(2);
+}
+
+function formatLatency(ms){
+  if(ms === null || ms === undefined) return '—';
+  return ms >= 1000 ? (ms / 1000).toFixed(1) + ' s' : ms + ' ms';
+}
+
+function summary(totals){
+  const wrap = el('div', 'usage-summary');
+  const tiles = [
+    ['Requests', formatCount(totals.requests)],
+    ['Tokens', formatCount(totals.totalTokens)],
+    ['Errors', formatCount(totals.errors)],
+    ['Fallbacks', formatCount(totals.fallbacks)],
+    ['Avg latency', formatLatency(totals.avgLatencyMs)],
+    ['Est. cost', formatCost(totals.cost)]
+  ];
+  for(const [label, value] of tiles){
+    const tile = el('div', 'usage-tile');
+    tile.appendChild(el('span', 'usage-tile-value', value));
+    tile.appendChild(el('span', 'usage-tile-label', label));
+    wrap.appendChild(tile);
+  }
+  return wrap;
+}
+
+function dayChart(byDay){
+  const chart = el('div', 'usage-chart');
+  chart.setAttribute('role', 'img');
+  chart.setAttribute('aria-label', 'Tokens per day');
+  const max = Math.max(1, ...byDay.map(d => d.totalTokens));
+  for(const d of byDay){
+    const bar = el('div', 'usage-bar');
+    bar.style.height = `${Math.round((d.totalTokens / max) * 100)}%`;
+    bar.title = `${d.day}: ${formatCount(d.totalTokens)} tokens, ${d.requests} requests`;
+    chart.appendChild(bar);
+  }
+  return chart;
+}
+
+function table(columns, rows){
+  const t = el('table', 'usage-table');
+  const head = el('tr');
+  for(const c of columns) head.appendChild(el('th', c.numeric ? 'num' : '', c.label));
+  t.appendChild(el('thead')).appendChild(head);
+  const body = el('tbody');
+  for(const row of rows){
+    const tr = el('tr');
+    for(const c of columns) tr.appendChild(el('td', c.numeric ? 'num' : '', c.value(row)));
+    body.appendChild(tr);
+  }
+  t.appendChild(body);
+  return t;
+}
+
+const METRIC_COLUMNS = [
+  { label: 'Requests', numeric: true, value: r => formatCount(r.requests) },
+  { label: 'Input', numeric: true, value: r => formatCount(r.inputTokens) },
+  { label: 'Output', numeric: true, value: r => formatCount(r.outputTokens) },
+  { label: 'Errors', numeric: true, value: r => formatCount(r.errors) },
+  { label: 'Cost', numeric: true, value: r => formatCost(r.cost) }
+];
+
+// How often each model was picked, per kind of task, out of the
+// comparisons it was in.
+const PICK_COLUMNS = [
+  { label: 'Task', value: r => taskLabel(r.task) },
+  { label: 'Model', value: r => r.label || r.model },
+  { label: 'Picked', numeric: true, value: r => `${formatCount(r.wins)} of ${formatCount(r.compared)}` },
+  { label: 'Win rate', numeric: true, value: r => r.compared ? `${Math.round((r.wins / r.compared) * 100)}%` : '—' }
+];
+
+export function renderUsageReport(container, report){
+  container.replaceChildren();
+  if(!report.metering){
+    container.appendChild(el('p', 'muted', 'Usage metering is turned off on this server (USAGE_STORE=off).'));
+    return;
+  }
+  container.appendChild(summary(report.totals));
+  container.appendChild(el('h4', '', `Tokens per day (${report.from} to ${report.to})`));
+  container.appendChild(dayChart(report.byDay));
+  if(!report.byModel.length){
+    container.appendChild(el('p', 'muted', 'No requests in this period.'));
+    return;
+  }
+  container.appendChild(el('h4', '', 'By model'));
+  container.appendChild(table([{ label: 'Model', value: r => r.label || r.model }, ...METRIC_COLUMNS], report.byModel));
+  if(report.byUser.length > 1 || (report.byUser[0] && report.byUser[0].user)){
+    container.appendChild(el('h4', '', 'By user'));
+    container.appendChild(table([{ label: 'User', value: r => r.user || '(anonymous)' }, ...METRIC_COLUMNS], report.byUser));
+  }
+  if(report.picks && report.picks.length){
+    container.appendChild(el('h4', '', 'Compare picks'));
+    container.appendChild(table(PICK_COLUMNS, report.picks));
+  }
+}
@@ -1,73 +1,188 @@
+import { openConversationStore, cleanGeneratedTitle } from './js/conversations.js';
+import { buildContext, buildSummaryRequest } from './js/context.js';
+import { MAX_PART_CHARS, MAX_ATTACHMENTS_PER_MESSAGE, MAX_INLINE_DATA_BYTES, MAX_TOOL_ROUNDS, MIN_COMPARE_MODELS, MAX_COMPARE_MODELS, tokenBudgetFor } from './shared/limits.js';
+import { createMarkdownView, renderMarkdown } from './js/markdown.js';
+import { copyText } from './js/clipboard.js';
+import { openPresetStore, presetRequestSettings } from './js/presets.js';
+import { readAttachment, readFileText, formatBytes, totalAttachmentBytes, createAttachmentPreview } from './js/attachments.js';
+import { toGeminiBody, fromGeminiResponse, mergeCitations } from './shared/gemini-format.js';
+import { DEFAULT_MODEL, DEFAULT_MODEL_CATALOG, withFallbackGraph } from './shared/models.js';
+import { normalizeRetryPolicy } from './shared/retry.js';
+import { createFallbackEngine, fallbackChain, errorFromResponse, errorFromBody, ChatError, REASON_TEXT, formatWait, describeSwitch } from './js/fallback.js';
+import { sanitizeAIText } from './js/text.js';
+import { renderReplyNotes, renderSafetyBlock } from './js/reply-notes.js';
+import { createToolRegistry, loadToolSettings, saveToolSettings, withToolTurns } from './js/tools.js';
+import { addToolStep, renderToolSteps, toolStepsOf } from './js/tool-steps.js';
+import { createComparison, loadCompareSettings, saveCompareSettings } from './js/compare.js';
+import { guessTaskKind } from './shared/tasks.js';
+import { openKnowledgeBase, loadKnowledgeSettings, saveKnowledgeSettings, isKnowledgeFile, formatExcerpts } from './js/knowledge.js';
+import { errorInfo } from './shared/errors.js';
+import { renderUsageReport } from './js/usage.js';
+import { registerServiceWorker } from './js/pwa.js';
+import { toMarkdown, toJSON, toHTML, parseExport, exportFileName } from './js/transcripts.js';
+import { authHeaders, currentUser, fetchAuthStatus, signInWithKey, signInWithPassword, signOut } from './js/auth.js';
+import { DEFAULT_PRESET_ID, GENERATION_FIELDS, GENERATION_LIMITS, MAX_PRESET_INSTRUCTION_CHARS, MAX_PRESET_NAME_CHARS } from './shared/presets.js';
+
 const USE_PROXY = true;
 const CLIENT_API_KEY = null;
-const DEBUG_SHOW_ERRORS = true;
-const PROXY_ENDPOINT = '/api/gemini';
-const MODEL_ENDPOINT = USE_PROXY ? PROXY_ENDPOINT : 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent';
+const DEBUG_SHOW_ERRORS = false;
+const CHAT_ENDPOINT = '/api/chat';
+const MODELS_ENDPOINT = '/api/models';
+const AUTH_ENDPOINT = '/api/auth';
+const USAGE_ENDPOINT = '/api/usage';
+const SHARE_ENDPOINT = '/api/share';
+const PICKS_ENDPOINT = '/api/picks';
+const EMBED_ENDPOINT = '/api/embed';
+const MODELS_TIMEOUT_MS = 5000;
+const CATALOG_CACHE_KEY = 'modelCatalog';
+const GEMINI_DIRECT_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+const CONTINUE_PROMPT = 'Continue exactly where you stopped, without repeating anything.';
+const PDF_TEXT_PROMPT = 'Transcribe all the text of this PDF as Markdown, in reading order. Keep its headings as Markdown headings and its tables as Markdown tables. Reply with the text only.';
 
 const messagesEl = document.getElementById('messages');
 const form = document.getElementById('composer');
 const input = document.getElementById('input');
 const newChatBtn = document.getElementById('newChatBtn');
 const sendBtn = document.getElementById('sendBtn');
-const presetsEl = document.querySelectorAll('.chip');
+const attachBtn = document.getElementById('attachBtn');
+const fileInput = document.getElementById('fileInput');
+const attachmentTrayEl = document.getElementById('attachmentTray');
+const quotaIndicatorEl = document.getElementById('quotaIndicator');
+const signOutBtn = document.getElementById('signOutBtn');
+const signInModalEl = document.getElementById('signInModal');
+const signInFormEl = document.getElementById('signInForm');
+const signInNoteEl = document.getElementById('signInNote');
+const signInErrorEl = document.getElementById('signInError');
 
 let currentAbortController = null;
+let pendingAttachments = [];
 
-let selectedPreset = 'balanced';
+let selectedPresetId = DEFAULT_PRESET_ID;
 
-const modelChoices = [
-  { id: 'gemini-2.5-pro', alias: '2.5 Pro' },
-  { id: 'gemini-2.5-flash', alias: '2.5 Flash' },
-  { id: 'gemini-2.5-flash-lite', alias: '2.5 Flash-Lite' },
-  { id: 'gemini-2.0-flash', alias: '2.0 Flash' },
-  { id: 'gemini-2.0-flash-lite', alias: '2.0 Flash-Lite' }
-];
+function updateSignOutButton(){
+  if(!signOutBtn) return;
+  const user = currentUser();
+  signOutBtn.hidden = !user;
+  signOutBtn.title = user ? `Signed in as ${user.id}` : '';
+}
 
-let selectedModelIndex = 2;
+// Resolves once the user has signed in. The modal cannot be dismissed:
+// nothing works against a server that requires sign-in until they do.
+function promptSignIn(note){
+  return new Promise(resolve => {
+    if(!signInModalEl || !signInFormEl) return resolve(null);
+    if(signInNoteEl) signInNoteEl.textContent = note || 'This server requires you to sign in.';
+    if(signInErrorEl) signInErrorEl.textContent = '';
+    signInModalEl.setAttribute('aria-hidden', 'false');
+    signInFormEl.onsubmit = async (e) => {
+      e.preventDefault();
+      const fields = signInFormEl.elements;
+      const username = fields.username.value.trim();
+      const password = fields.password.value;
+      const key = fields.apiKey.value.trim();
+      if(!key && (!username || !password)){
+        if(signInErrorEl) signInErrorEl.textContent = 'Enter a username and password, or an API key.';
+        return;
+      }
+      try{
+        const user = key ? await signInWithKey(AUTH_ENDPOINT, key) : await signInWithPassword(AUTH_ENDPOINT, username, password);
+        signInFormEl.reset();
+        signInModalEl.setAttribute('aria-hidden', 'true');
+        updateSignOutButton();
+        resolve(user);
+      }catch(err){
+        if(signInErrorEl) signInErrorEl.textContent = err && err.message ? err.message : 'Sign-in failed.';
+      }
+    };
+    const first = signInFormEl.querySelector('input');
+    if(first) first.focus();
+  });
+}
 
-const HISTORY_KEY = 'celebra_conversation_history_v1';
-const HISTORY_MAX_MESSAGES = 16;
-const HISTORY_MAX_CHARS = 8000;
-let _updateMessagesPaddingTimer = null;
-let _lastAllowedHeight = null;
-let _lastCompTop = null;
+if(USE_PROXY){
+  const authStatus = await fetchAuthStatus(AUTH_ENDPOINT);
+  if(authStatus.enabled && !authStatus.user) await promptSignIn();
+  updateSignOutButton();
+}
+if(signOutBtn){
+  signOutBtn.addEventListener('click', () => {
+    signOut();
+    location.reload();
+  });
+}
 
-function loadHistory(){
+// The proxy only accepts models from its catalog, so the picker is built
+// from /api/models. Direct mode has no proxy and uses the built-in list.
+// The last catalog is kept in localStorage for when the app opens offline.
+async function loadModelCatalog(){
+  const builtIn = { models: withFallbackGraph(DEFAULT_MODEL_CATALOG), default: { provider: 'gemini', id: DEFAULT_MODEL } };
+  if(!USE_PROXY) return builtIn;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), MODELS_TIMEOUT_MS);
   try{
-    const raw = localStorage.getItem(HISTORY_KEY);
-    if(!raw) return [];
-    const parsed = JSON.parse(raw);
-    if(!Array.isArray(parsed)) return [];
-    const trimmed = parsed.slice(-HISTORY_MAX_MESSAGES).map(m => ({ role: m.role, text: String(m.text || '') }));
-    return trimmed;
+    const resp = await fetch(MODELS_ENDPOINT, { headers: { 'Accept': 'application/json', ...authHeaders() }, signal: controller.signal });
+    if(!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const catalog = await resp.json();
+    if(!catalog || !Array.isArray(catalog.models)) throw new Error('Malformed model catalog');
+    if(!catalog.models.length) throw new Error('The server has no models configured');
+    try{ localStorage.setItem(CATALOG_CACHE_KEY, JSON.stringify(catalog)); }catch(_){ }
+    return catalog;
   }catch(e){
-    return [];
+    try{
+      const cached = JSON.parse(localStorage.getItem(CATALOG_CACHE_KEY));
+      if(cached && Array.isArray(cached.models) && cached.models.length){
+        console.warn('Could not load the model catalog; using the last one loaded', e);
+        return cached;
+      }
+    }catch(_){ }
+    console.warn('Could not load the model catalog; using the built-in list', e);
+    return builtIn;
+  }finally{
+    clearTimeout(timer);
   }
 }
 
-function saveHistory(hist){
-  try{
-    if(!Array.isArray(hist)) return;
-    let out = hist.slice(-HISTORY_MAX_MESSAGES);
-    let total = out.reduce((s,m)=> s + (m.text ? m.text.length : 0), 0);
-    while(out.length > 1 && total > HISTORY_MAX_CHARS){
-      const removed = out.shift();
-      total -= (removed && removed.text) ? removed.text.length : 0;
-    }
-    localStorage.setItem(HISTORY_KEY, JSON.stringify(out));
-  }catch(e){}
-}
+const modelCatalog = await loadModelCatalog();
+const modelChoices = modelCatalog.models;
+let selectedModelIndex = Math.max(0, modelChoices.findIndex(c =>
+  modelCatalog.default && c.provider === modelCatalog.default.provider && c.id === modelCatalog.default.id));
+const fallbackEngine = createFallbackEngine(normalizeRetryPolicy(modelCatalog.retry));
 
-function addMessageToHistory(role, text){
-  try{
-    if(!role || typeof text === 'undefined' || text === null) return;
-    const cur = loadHistory();
-    cur.push({ role: role === 'assistant' ? 'assistant' : 'user', text: String(text) });
-    saveHistory(cur);
-  }catch(e){}
-}
+const conversations = await openConversationStore();
+const presets = await openPresetStore();
+const toolRegistry = createToolRegistry();
+const toolSettings = loadToolSettings(toolRegistry.list());
+const compareSettings = loadCompareSettings();
+const knowledge = await openKnowledgeBase({ embed: USE_PROXY ? embedTexts : null });
+const knowledgeSettings = loadKnowledgeSettings();
+let _updateMessagesPaddingTimer = null;
+let _lastAllowedHeight = null;
+let _lastCompTop = null;
 
-function clearHistory(){ try{ localStorage.removeItem(HISTORY_KEY); }catch(e){} }
+const sidebarEl = document.getElementById('sidebar');
+const sidebarToggle = document.getElementById('sidebarToggle');
+const conversationListEl = document.getElementById('conversationList');
+const conversationSearchEl = document.getElementById('conversationSearch');
+const exportAllBtn = document.getElementById('exportAllBtn');
+const importBtn = document.getElementById('importBtn');
+const importFileEl = document.getElementById('importFile');
+const exportModalEl = document.getElementById('exportModal');
+const exportTitleEl = document.getElementById('exportTitle');
+const exportCloseBtn = document.getElementById('exportClose');
+const shareModalEl = document.getElementById('shareModal');
+const shareFormEl = document.getElementById('shareForm');
+const shareExpiryEl = document.getElementById('shareExpiry');
+const shareAttachmentsEl = document.getElementById('shareAttachments');
+const shareErrorEl = document.getElementById('shareError');
+const shareListEl = document.getElementById('shareList');
+const shareCloseBtn = document.getElementById('shareClose');
+
+const presetChipsEl = document.getElementById('presetChips');
+const presetModalEl = document.getElementById('presetModal');
+const presetFormEl = document.getElementById('presetForm');
+const presetTitleEl = document.getElementById('presetTitle');
+const presetErrorEl = document.getElementById('presetError');
+const presetDeleteBtn = document.getElementById('presetDelete');
 
 const modelSelectEl = document.getElementById('modelSelect');
 const modelBadgeEl = document.getElementById('modelBadge');
@@ -77,22 +192,104 @@ const modelModalClose = document.getElementById('modelModalClose');
 
 input.focus();
 
-function createBubble(role, text, isTyping=false){
+function createBubble(role, text, isTyping=false, attachments=[]){
   const wrap = document.createElement('div');
   wrap.className = 'bubble ' + (role === 'user' ? 'user' : 'bot');
+  if(attachments && attachments.length){
+    const list = document.createElement('div');
+    list.className = 'bubble-attachments';
+    for(const att of attachments) list.appendChild(createAttachmentPreview(att));
+    wrap.appendChild(list);
+  }
   const content = document.createElement('div');
   if(isTyping){
     const dots = document.createElement('div');
     dots.className = 'typing-dots';
     dots.innerHTML = '<span></span><span></span><span></span>';
     content.appendChild(dots);
-  } else {
+  } else if(role === 'user'){
     content.textContent = text;
+  } else {
+    renderMarkdown(text, content);
   }
   wrap.appendChild(content);
   return wrap;
 }
 
+function actionButton(label, ariaLabel, onClick){
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'copy-btn';
+  btn.setAttribute('aria-label', ariaLabel);
+  btn.textContent = label;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+function modelLabel(model){
+  const choice = modelChoices.find(c => c.provider === model.provider && c.id === model.id);
+  return choice ? choice.label : model.id;
+}
+// The row under a stored message: "< 2/3 >" between its alternatives, Edit
+// for the user's messages and Copy and Regenerate for replies.
+function addMessageActions(bubble, conversationId, message){
+  try{
+    bubble.dataset.id = message.id;
+    const actions = document.createElement('div');
+    actions.className = 'msg-actions';
+    actions.style.cssText = 'margin-top:8px;display:flex;gap:8px;justify-content:flex-end;align-items:center;flex-shrink:0;';
+    const { index, count, ids } = conversations.getSiblings(conversationId, message.id);
+    if(count > 1){
+      const nav = document.createElement('div');
+      nav.className = 'branch-nav';
+      const what = message.role === 'user' ? 'version' : 'reply';
+      const prev = actionButton('<', `Previous ${what}`, () => showBranch(conversationId, ids[index - 1]));
+      const next = actionButton('>', `Next ${what}`, () => showBranch(conversationId, ids[index + 1]));
+      prev.disabled = index === 0;
+      next.disabled = index === count - 1;
+      const position = document.createElement('span');
+      position.textContent = `${index + 1}/${count}`;
+      nav.append(prev, position, next);
+      actions.appendChild(nav);
+    }
+    if(message.role === 'user'){
+      actions.appendChild(actionButton('Edit', 'Edit message', () => startEdit(bubble, conversationId, message.id)));
+      bubble.appendChild(actions);
+      return;
+    }
+    if(message.model){
+      const model = document.createElement('span');
+      model.className = 'msg-model';
+      model.textContent = modelLabel(message.model);
+      actions.appendChild(model);
+    }
+    const copyBtn = actionButton('Copy', 'Copy reply', async ()=>{
+      try{
+        await copyText(message.text);
+        copyBtn.textContent = 'Copied';
+        setTimeout(()=>{ try{ copyBtn.textContent = 'Copy'; }catch(_){ } }, 1400);
+      }catch(e){ try{ showToast('Copy failed'); }catch(_){ } }
+    });
+    actions.appendChild(copyBtn);
+    actions.appendChild(actionButton('Regenerate', 'Regenerate reply', () => regenerateReply(conversationId, message.id, modelChoices[selectedModelIndex])));
+    const other = document.createElement('select');
+    other.className = 'regen-model';
+    other.setAttribute('aria-label', 'Regenerate with another model');
+    for(const [value, label] of [['', 'Regenerate with…'], ...modelChoices.map(c => [choiceKey(c), c.label])]){
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      other.appendChild(opt);
+    }
+    other.addEventListener('change', () => {
+      const choice = modelChoices.find(c => choiceKey(c) === other.value);
+      other.value = '';
+      if(choice) regenerateReply(conversationId, message.id, choice);
+    });
+    actions.appendChild(other);
+    bubble.appendChild(actions);
+  }catch(e){}
+}
+
 function scrollToBottom(){
   try{
     const composerEl = document.getElementById('composer');
@@ -171,154 +368,183 @@ try{
   try{ updateMessagesPadding(); }catch(e){}
 }catch(e){}
 
-function sanitizeAIText(raw){
-  if(!raw) return '';
-  let s = raw.replace(/```[\s\S]*?```/g, '');
-  s = s.replace(/`+/g, '');
-  s = s.replace(/[\*_~]{1,3}/g, '');
-  s = s.replace(/<[^>]*>/g, '');
-  try{
-    const txt = document.createElement('textarea');
-    txt.innerHTML = s;
-    s = txt.value;
-  }catch(e){}
-  s = s.replace(/\r\n?/g, '\n').replace(/\n{3,}/g, '\n\n');
-  s = s.split('\n').map(l => l.trim()).join('\n');
-  s = s.replace(/\s{2,}/g, ' ');
-  return s.trim();
+// Without the proxy the browser calls Gemini itself, so only Gemini models
+// work and the request is mapped here rather than by the proxy's adapter.
+function directGeminiRequest(request, method){
+  if(!CLIENT_API_KEY) throw new Error('CLIENT_API_KEY is not set. Set CLIENT_API_KEY to use direct browser calls.');
+  if(request.provider && request.provider !== 'gemini') throw new Error('Only Gemini models can be used without the proxy.');
+  return {
+    url: `${GEMINI_DIRECT_BASE}/${encodeURIComponent(request.model)}:${method}`,
+    headers: { 'Content-Type': 'application/json', 'x-goog-api-key': CLIENT_API_KEY },
+    body: toGeminiBody(request)
+  };
 }
 
-function revealText(el, text, speed=18){
-  el.textContent = '';
-  let i = 0;
-  return new Promise(resolve => {
-    const t = setInterval(()=>{
-      el.textContent += text.charAt(i);
-      i++;
-      scrollToBottom();
-      if(i >= text.length){
-        clearInterval(t);
-        resolve();
-      }
-    }, speed);
-  });
+async function postChat(request, opts = {}){
+  let url = CHAT_ENDPOINT;
+  let headers = { 'Content-Type': 'application/json', ...authHeaders() };
+  let body = request;
+  if(!USE_PROXY) ({ url, headers, body } = directGeminiRequest(request, 'generateContent'));
+  const fetchOpts = { method: 'POST', headers, body: JSON.stringify(body) };
+  if(opts.signal) fetchOpts.signal = opts.signal;
+  const resp = await fetch(url, fetchOpts);
+  updateQuotaIndicator(resp);
+  const txt = await resp.text();
+  if(!resp.ok) throw errorFromResponse(resp, txt);
+  const json = JSON.parse(txt);
+  return USE_PROXY ? json : fromGeminiResponse(json);
 }
 
-async function revealParagraphs(el, text, speed=18){
-  el.textContent = '';
-  const parts = String(text).split(/\n{2,}/).map(p=>p.trim()).filter(Boolean);
-  for(const p of parts){
-    await revealText(el, (el.textContent ? el.textContent + '\n\n' : '') + p, speed);
-    await new Promise(r => setTimeout(r, 180));
+function parseSSEEvent(block){
+  let event = 'message';
+  const data = [];
+  for(const line of block.split(/\r?\n/)){
+    if(line.startsWith('event:')) event = line.slice(6).trim();
+    else if(line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
   }
+  if(!data.length) return null;
+  return { event, data: data.join('\n') };
 }
 
-async function sendMessageToGemini(message, opts = {}){
-  try{
-    const mode = opts.mode || 'text';
-    const payload = opts.rawBody || (
-      mode === 'image' ? { mode: 'image', prompt: message } : {
-        contents: [ { role: 'user', parts: [{ text: message }] } ],
-        metadata: { model: modelChoices[selectedModelIndex].id, preset: opts.preset || 'balanced' }
-      }
-    );
-
-    const headers = { 'Content-Type': 'application/json' };
-    if(!USE_PROXY){
-      if(!CLIENT_API_KEY) throw new Error('CLIENT_API_KEY is not set. Set CLIENT_API_KEY to use direct browser calls.');
-      headers['x-goog-api-key'] = CLIENT_API_KEY;
-    }
-
-    const fetchOpts = {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(payload)
-    };
-    if(opts.signal) fetchOpts.signal = opts.signal;
+// Resolves to { text, finishReason, usage, safety, citations, functionCalls }. The
+// proxy sends { text } chunks and the rest in its "done" event; in direct
+// mode each Gemini chunk may carry any of them.
+async function streamChat(request, opts = {}){
+  let url = CHAT_ENDPOINT;
+  let headers = { 'Content-Type': 'application/json', 'Accept': 'text/event-stream', ...authHeaders() };
+  let body = Object.assign({}, request, { stream: true });
+  if(!USE_PROXY){
+    ({ url, headers, body } = directGeminiRequest(request, 'streamGenerateContent'));
+    url += '?alt=sse';
+  }
+  const readChunk = (chunk) => USE_PROXY ? { text: chunk && typeof chunk.text === 'string' ? chunk.text : '' } : fromGeminiResponse(chunk);
+  const result = { text: '', finishReason: null, usage: null, safety: null, citations: [], functionCalls: [] };
+  const absorb = (info) => {
+    if(!info) return;
+    if(info.finishReason) result.finishReason = info.finishReason;
+    if(info.usage) result.usage = info.usage;
+    if(info.safety) result.safety = info.safety;
+    if(Array.isArray(info.citations)) mergeCitations(result.citations, info.citations);
+    if(Array.isArray(info.functionCalls)) result.functionCalls.push(...info.functionCalls);
+  };
+  const fetchOpts = { method: 'POST', headers, body: JSON.stringify(body) };
+  if(opts.signal) fetchOpts.signal = opts.signal;
 
-    const resp = await fetch(MODEL_ENDPOINT, fetchOpts);
-    const txt = await resp.text();
-    if(!resp.ok){
-      throw new Error(`HTTP ${resp.status} — ${txt}`);
-    }
-    try{
-      return JSON.parse(txt);
-    }catch(e){
-      return txt;
-    }
-  }catch(err){
-    console.error('Gemini request error:', err);
-    throw err;
+  const resp = await fetch(url, fetchOpts);
+  updateQuotaIndicator(resp);
+  if(!resp.ok) throw errorFromResponse(resp, await resp.text());
+  const contentType = resp.headers.get('content-type') || '';
+  if(!resp.body || !contentType.includes('text/event-stream')){
+    const json = JSON.parse(await resp.text());
+    const whole = USE_PROXY ? json : fromGeminiResponse(json);
+    absorb(whole);
+    result.text = whole.text || '';
+    if(opts.onText) opts.onText(result.text, result.text);
+    return result;
   }
-}
 
-function extractTextFromResponse(raw){
-  if(!raw) return null;
-  if(typeof raw === 'string') return raw;
-  try{
-    if(Array.isArray(raw.candidates) && raw.candidates.length){
-      const cand = raw.candidates[0];
-      if(cand && cand.content){
-        if(Array.isArray(cand.content.parts) && cand.content.parts.length && cand.content.parts[0].text) return String(cand.content.parts[0].text);
-        if(typeof cand.content.text === 'string') return cand.content.text;
-      }
-      if(typeof cand.text === 'string') return cand.text;
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let full = '';
+  const handleBlock = (block) => {
+    const evt = parseSSEEvent(block);
+    if(!evt) return false;
+    if(evt.event === 'done'){
+      try{ absorb(JSON.parse(evt.data)); }catch(_){ }
+      return true;
     }
-    if(Array.isArray(raw.output) && raw.output.length){
-      const out = raw.output[0];
-      if(out){
-        if(typeof out.content === 'string') return out.content;
-        if(Array.isArray(out.content) && out.content.length && out.content[0].text) return out.content[0].text;
-      }
+    let chunk = null;
+    try{ chunk = JSON.parse(evt.data); }catch(e){ return false; }
+    if(evt.event === 'error'){
+      throw errorFromBody(chunk && typeof chunk === 'object' ? chunk : { error: 'Stream error' }, { requestId: resp.headers.get('x-request-id') });
     }
-    if(raw?.candidates?.[0]?.content?.parts?.[0]?.text) return raw.candidates[0].content.parts[0].text;
-    const seen = new Set();
-    function walk(o){
-      if(!o || typeof o !== 'object' || seen.has(o)) return null;
-      seen.add(o);
-      if(typeof o.text === 'string' && o.text.trim()) return o.text;
-      if(typeof o.content === 'string' && o.content.trim()) return o.content;
-      if(Array.isArray(o)){
-        for(const it of o){
-          const r = walk(it);
-          if(r) return r;
-        }
-      } else {
-        for(const k of Object.keys(o)){
-          const r = walk(o[k]);
-          if(r) return r;
-        }
-      }
-      return null;
+    const parsed = readChunk(chunk);
+    absorb(parsed);
+    const delta = parsed.text;
+    if(delta){
+      full += delta;
+      if(opts.onText) opts.onText(delta, full);
     }
-    const found = walk(raw);
-    if(found) return found;
-  }catch(e){}
-  try{ return JSON.stringify(raw); }catch(e){ return String(raw); }
-}
-
-function organizeTextIntoNumberedSections(text){
-  if(!text) return '';
-  const lines = String(text).split(/\r?\n/).map(l=>l.trim()).filter(Boolean);
-  const looksOrganized = lines.some(l => /^\d+\s*[\.)\-]/.test(l) || /^\d+\.\d+/.test(l));
-  if(looksOrganized) return text;
-  const paragraphs = String(text).split(/\n{2,}/).map(p => p.trim()).filter(Boolean);
-  const out = [];
-  for(let i=0;i<paragraphs.length;i++){
-    const p = paragraphs[i];
-    const sentences = p.match(/[^.!?]+[.!?]?/g) || [p];
-    const top = sentences[0] ? sentences[0].trim() : p;
-    out.push(`${i+1}. ${top}`);
-    if(sentences.length > 1){
-      for(let j=1;j<sentences.length;j++){
-        const s = sentences[j].trim();
-        if(!s) continue;
-        out.push(`${i+1}.${j} ${s}`);
+    return false;
+  };
+  while(true){
+    const { value, done } = await reader.read();
+    if(done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let boundary;
+    while((boundary = buffer.search(/\r?\n\r?\n/)) >= 0){
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+      if(handleBlock(block)){
+        try{ reader.cancel(); }catch(_){ }
+        result.text = full;
+        return result;
       }
     }
-    out.push('');
   }
-  return out.join('\n').trim();
+  if(buffer.trim()) handleBlock(buffer);
+  result.text = full;
+  return result;
+}
+
+async function countTokensViaProxy({ provider, model, messages, system }, signal){
+  if(!USE_PROXY) return null;
+  const result = await postChat({ provider, model, messages, system, countTokens: true }, { signal });
+  return (result && typeof result.totalTokens === 'number') ? result.totalTokens : null;
+}
+
+// Titles and summaries use the first fast model of the chat's provider, or
+// the chat's own model when that provider has none.
+function auxTarget(choice){
+  const fast = modelChoices.find(c => c.provider === choice.provider && c.speed === 'fast');
+  const target = fast || choice;
+  return { provider: target.provider, model: target.id };
+}
+
+async function summarizeTurns(previousSummary, messages, signal, choice){
+  const request = buildSummaryRequest(previousSummary, messages);
+  const result = await postChat({ ...request, ...auxTarget(choice) }, { signal });
+  return result.text || '';
+}
+
+// Embeddings for the knowledge base; `task` is 'document' or 'query'.
+async function embedTexts(texts, task){
+  const resp = await fetch(EMBED_ENDPOINT, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ texts, task })
+  });
+  const txt = await resp.text();
+  if(!resp.ok) throw errorFromResponse(resp, txt);
+  return JSON.parse(txt);
+}
+
+// The excerpts of the user's documents that go along with `text`: none
+// when the knowledge base is off or empty, or when the search fails.
+async function findSources(text){
+  if(!knowledgeSettings.enabled || !knowledge.size || text === CONTINUE_PROMPT) return [];
+  try{
+    return await knowledge.retrieve(text);
+  }catch(e){
+    console.warn('Could not search your documents', e);
+    return [];
+  }
+}
+
+// Shows the RateLimit-* headers of the last proxy response as a "requests
+// left" hint next to the send button.
+function updateQuotaIndicator(resp){
+  if(!quotaIndicatorEl || !resp || !resp.headers) return;
+  const limit = parseInt(resp.headers.get('ratelimit-limit'), 10);
+  const remaining = parseInt(resp.headers.get('ratelimit-remaining'), 10);
+  const reset = parseInt(resp.headers.get('ratelimit-reset'), 10);
+  if(!(limit > 0) || Number.isNaN(remaining)) return;
+  const resetText = reset > 0 ? `Resets in ${reset < 60 ? `${reset} s` : `${Math.ceil(reset / 60)} min`}` : '';
+  quotaIndicatorEl.hidden = false;
+  quotaIndicatorEl.textContent = `${remaining} left`;
+  quotaIndicatorEl.title = [`${remaining} of ${limit} requests left`, resetText].filter(Boolean).join('. ');
+  quotaIndicatorEl.classList.toggle('low', remaining <= Math.max(3, Math.floor(limit * 0.1)));
 }
 
 function showToast(msg, ms = 2000){
@@ -344,143 +570,554 @@ function showToast(msg, ms = 2000){
   }catch(e){}
 }
 
+function renderAttachmentTray(){
+  if(!attachmentTrayEl) return;
+  attachmentTrayEl.innerHTML = '';
+  attachmentTrayEl.hidden = !pendingAttachments.length;
+  for(const att of pendingAttachments){
+    const item = document.createElement('div');
+    item.className = 'attachment-item';
+    item.appendChild(createAttachmentPreview(att));
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'attachment-remove';
+    remove.textContent = '✕';
+    remove.setAttribute('aria-label', `Remove ${att.name}`);
+    remove.addEventListener('click', () => {
+      pendingAttachments = pendingAttachments.filter(a => a.id !== att.id);
+      renderAttachmentTray();
+    });
+    item.appendChild(remove);
+    attachmentTrayEl.appendChild(item);
+  }
+}
+
+async function addFiles(files){
+  for(const file of Array.from(files || [])){
+    if(pendingAttachments.length >= MAX_ATTACHMENTS_PER_MESSAGE){
+      showToast(`You can attach up to ${MAX_ATTACHMENTS_PER_MESSAGE} files per message.`, 2600);
+      break;
+    }
+    const { attachment, error } = await readAttachment(file);
+    if(error){
+      showToast(error, 3200);
+      continue;
+    }
+    if(totalAttachmentBytes(pendingAttachments) + attachment.size > MAX_INLINE_DATA_BYTES){
+      showToast(`${attachment.name} does not fit: attachments are limited to ${formatBytes(MAX_INLINE_DATA_BYTES)} per message.`, 3200);
+      continue;
+    }
+    pendingAttachments.push(attachment);
+  }
+  renderAttachmentTray();
+}
+
+function cannotRead(choice, attachments){
+  if(choice.multimodal || !attachments.some(a => a.mimeType !== 'text/plain')) return false;
+  showToast(`${choice.label} cannot read images or PDFs. Pick another model or remove them.`, 3200);
+  return true;
+}
+
+// Branching while a reply streams in would leave it on the wrong path.
+function replyInProgress(){
+  if(!currentAbortController) return false;
+  showToast('Wait for the reply to finish or stop it first.', 2400);
+  return true;
+}
+
 form.addEventListener('submit', async (ev) =>{
   ev.preventDefault();
   const text = input.value.trim();
-  if(!text) return;
-  const userBubble = createBubble('user', text);
+  const attachments = pendingAttachments;
+  if(!text && !attachments.length) return;
+  if(text.length > MAX_PART_CHARS){
+    showToast(`Message too long (${text.length}/${MAX_PART_CHARS} characters). Please shorten it.`, 3200);
+    return;
+  }
+  if(hasUnsentTail() || comparisonAwaitingPick()) return;
+  const chosen = modelChoices[selectedModelIndex];
+  const comparing = compareChoices();
+  if(comparing ? comparing.some(c => cannotRead(c, attachments)) : cannotRead(chosen, attachments)) return;
+  pendingAttachments = [];
+  renderAttachmentTray();
+  const userBubble = createBubble('user', text, false, attachments);
   messagesEl.appendChild(userBubble);
   try{ ensureVisible(userBubble); }catch(_){ }
   input.value = '';
   input.style.height = '';
   scrollToBottom();
+  const conversationId = conversations.ensureActive(selectedPresetId).id;
+  const history = conversations.getMessages(conversationId);
+  const parent = conversations.appendMessage(conversationId, 'user', text, attachments);
+  renderConversationList();
+  addMessageActions(userBubble, conversationId, parent);
+  if(!navigator.onLine){
+    conversations.setMessageStatus(conversationId, parent.id, 'pending');
+    renderOutboxState(userBubble, conversationId, parent);
+    showToast(OFFLINE_NOTE, 3000);
+    return;
+  }
+  if(comparing) await generateComparison({ conversationId, parent, history, choices: comparing });
+  else await generateReply({ conversationId, parent, history, chosen });
+});
+
+// Streams the reply to the user message `parent` into a new bubble at the
+// end of the chat, trying `chosen` and then its fallbacks, and stores it as
+// a child of `parent`. `history` is the path before `parent`. With
+// `restoreOnFailure` (regenerating), a failed attempt shows the chat as it
+// was again, with the error below it. Resolves to the stored reply, or null
+// when none was stored.
+async function generateReply({ conversationId, parent, history, chosen, restoreOnFailure = false }){
+  const { text, attachments } = parent;
+  const needsMultimodal = attachments.some(a => a.mimeType !== 'text/plain');
   const botBubble = createBubble('bot', '', true);
   messagesEl.appendChild(botBubble);
   try{ ensureVisible(botBubble); }catch(_){ scrollToBottom(); }
-  const baseHist = loadHistory();
-  const baseContents = [];
-  for(const m of baseHist){
-    baseContents.push({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.text }] });
-  }
-  baseContents.push({ role: 'user', parts: [{ text }] });
-  try{ addMessageToHistory('user', text); }catch(e){}
-  const attempted = new Set();
-  let attemptIndex = selectedModelIndex;
-  let succeeded = false;
+  const conversation = conversations.get(conversationId);
+  const preset = presets.resolve(selectedPresetId);
+  if(conversation && conversation.presetId !== preset.id) conversations.setPreset(conversationId, preset.id);
+  const { systemText, generationConfig } = presetRequestSettings(preset);
+  let summary = conversation ? conversation.summary : null;
+  const chain = fallbackChain(modelChoices, chosen, m => m.multimodal || !needsMultimodal);
+  let answering = chosen;
+  const contentEl = botBubble.querySelector('div');
+  const switchNotes = [];
+  // Tool calls already made, by name and arguments, so a fallback model
+  // asking for the same one neither runs it nor asks the user again.
+  const toolRuns = new Map();
+  const toolEnv = { now: () => new Date(), search: (query) => conversations.search(query), conversationId };
+  const storedToolCalls = () => [...toolRuns.values()].map(({ name, label, args, response, status }) => ({ name, label, args, response, status }));
+  let streamedText = '';
+  let view = null;
+  let savedReply = null;
+  if(currentAbortController){ try{ currentAbortController.abort(); }catch(_){ } }
+  const controller = new AbortController();
+  currentAbortController = controller;
+  let sources = [];
   try{
     if(sendBtn) sendBtn.classList.add('sending');
-    if(currentAbortController){ try{ currentAbortController.abort(); }catch(_){ } currentAbortController = null; }
-    while(true){
-      attempted.add(attemptIndex);
-      if(attemptIndex !== selectedModelIndex){
-        selectedModelIndex = attemptIndex;
-        try{ updateModelBadge(); }catch(_){ }
+    sources = await findSources(text);
+    const attempt = async (choice) => {
+      answering = choice;
+      const context = await buildContext({
+        history,
+        summary,
+        newText: text,
+        newAttachments: attachments,
+        newContext: formatExcerpts(sources),
+        model: choice.id,
+        tokenBudget: choice.tokenBudget,
+        multimodal: choice.multimodal,
+        systemText,
+        countTokens: (req) => countTokensViaProxy({ ...req, provider: choice.provider }, controller.signal),
+        summarize: (prev, turns) => summarizeTurns(prev, turns, controller.signal, choice)
+      });
+      if(context.summary){
+        if(!summary) showToast('Older messages are now summarised to fit the model\'s context window.', 2600);
+        summary = context.summary;
+        conversations.setSummary(conversationId, summary);
       }
-      const controller = new AbortController();
-      currentAbortController = controller;
-      const rawBody = { contents: baseContents, metadata: { model: modelChoices[attemptIndex].id, preset: selectedPreset } };
-      try{
-        const raw = await sendMessageToGemini(null, { rawBody, preset: selectedPreset, signal: controller.signal });
-        if(!raw) throw new Error('No response from model');
-        let aiText = extractTextFromResponse(raw);
-        if(!aiText && raw && Array.isArray(raw.candidates) && raw.candidates.length){
-          const parts = [];
-          for(const c of raw.candidates){
-            try{
-              if(c && c.content){
-                if(Array.isArray(c.content.parts)){
-                  for(const p of c.content.parts){ if(p && p.text) parts.push(String(p.text)); }
-                } else if(typeof c.content.text === 'string'){
-                  parts.push(c.content.text);
-                }
-              }
-            }catch(e){}
+      const request = { provider: choice.provider, model: choice.id, system: context.system, messages: context.messages };
+      if(Object.keys(generationConfig).length) request.generationConfig = generationConfig;
+      if(choice !== chain[0]) request.fallbackFrom = chain[0].id;
+      const toolNames = choice.tools ? enabledToolNames() : [];
+      if(toolNames.length) request.tools = toolRegistry.declarations(toolNames);
+      let renderScheduled = false;
+      const render = () => {
+        renderScheduled = false;
+        if(currentAbortController !== controller) return;
+        if(!view) view = createMarkdownView(contentEl);
+        view.update(sanitizeAIText(streamedText));
+        scrollToBottom();
+      };
+      streamedText = '';
+      view = null;
+      // Each round that ends in function calls is followed by one with
+      // their results, until the model answers.
+      const turns = [];
+      let reply;
+      for(let round = 0; ; round++){
+        const earlier = streamedText;
+        let roundText = '';
+        reply = await streamChat({ ...request, messages: withToolTurns(request.messages, turns) }, {
+          signal: controller.signal,
+          onText: (delta, full) => {
+            roundText = full;
+            streamedText = earlier ? `${earlier}\n\n${full}` : full;
+            if(!renderScheduled){
+              renderScheduled = true;
+              requestAnimationFrame(render);
+            }
           }
-          if(parts.length) aiText = parts.join('\n\n');
+        });
+        if(!reply.functionCalls.length) break;
+        if(round === MAX_TOOL_ROUNDS){
+          throw new ChatError('Too many tool rounds', { userMessage: 'The model kept calling tools without answering. Try asking in another way.' });
+        }
+        const responses = [];
+        for(const call of reply.functionCalls){
+          const response = await runToolCall(call, toolNames);
+          responses.push({ functionResponse: { name: call.name, response } });
+        }
+        const calls = reply.functionCalls.map(c => c.thoughtSignature
+          ? { functionCall: { name: c.name, args: c.args }, thoughtSignature: c.thoughtSignature }
+          : { functionCall: { name: c.name, args: c.args } });
+        turns.push({ role: 'assistant', parts: roundText ? [{ text: roundText }, ...calls] : calls }, { role: 'user', parts: responses });
+      }
+      if(!streamedText){
+        if(reply.finishReason === 'safety'){
+          throw new ChatError('Blocked by safety filters', { ...errorInfo('SAFETY_BLOCKED'), code: 'SAFETY_BLOCKED', safety: reply.safety });
         }
-        const clean = sanitizeAIText(aiText);
-        const contentEl = botBubble.querySelector('div');
-        const speed = (attemptIndex === 0) ? 18 : (attemptIndex === 1) ? 14 : (attemptIndex === 2) ? 12 : 10;
-  await revealParagraphs(contentEl, clean, speed);
-  try{ ensureVisible(botBubble); }catch(_){ }
+        if(reply.finishReason === 'length'){
+          throw new ChatError('Output limit reached before any text', { userMessage: 'The model reached its output limit before writing anything. Raise "Max output tokens" in the preset and try again.' });
+        }
+        throw new Error('No response from model');
+      }
+      return { ...reply, text: sanitizeAIText(streamedText) };
+    };
+    // Resolves to the functionResponse for `call`, running the tool once
+    // the user allows it when it asks first; its step shows in the bubble.
+    const runToolCall = async (call, toolNames) => {
+      const key = `${call.name}:${JSON.stringify(call.args)}`;
+      if(toolRuns.has(key)) return toolRuns.get(key).response;
+      const tool = toolNames.includes(call.name) ? toolRegistry.get(call.name) : null;
+      const step = { name: call.name, label: tool ? tool.label : call.name, args: call.args, response: null, status: 'running' };
+      const stepView = addToolStep(toolStepsOf(botBubble, contentEl), step);
+      toolRuns.set(key, step);
+      if(!tool){
+        stepView.update({ status: 'error', response: { error: `There is no tool named "${call.name}"` } });
+        return step.response;
+      }
+      if(toolSettings[call.name].ask){
+        stepView.update({ status: 'waiting' });
+        let allowed;
         try{
-          const actions = document.createElement('div');
-          actions.className = 'msg-actions';
-          actions.style.cssText = 'margin-top:8px;display:flex;gap:8px;justify-content:flex-end;align-items:center;flex-shrink:0;';
-          const copyBtn = document.createElement('button');
-          copyBtn.type = 'button';
-          copyBtn.className = 'copy-btn';
-          copyBtn.setAttribute('aria-label', 'Copy reply');
-          copyBtn.textContent = 'Copy';
-          copyBtn.addEventListener('click', async ()=>{
-            try{
-              if(navigator.clipboard && navigator.clipboard.writeText){
-                await navigator.clipboard.writeText(clean);
-              } else {
-                const ta = document.createElement('textarea');
-                ta.value = clean;
-                document.body.appendChild(ta);
-                ta.select();
-                document.execCommand('copy');
-                ta.remove();
-              }
-              copyBtn.textContent = 'Copied';
-              setTimeout(()=>{ try{ copyBtn.textContent = 'Copy'; }catch(_){ } }, 1400);
-            }catch(e){ try{ showToast('Copy failed'); }catch(_){ } }
-          });
-          actions.appendChild(copyBtn);
-          botBubble.appendChild(actions);
-
-          
-        }catch(e){}
-        addMessageToHistory('assistant', clean);
-        succeeded = true;
-        break;
-      }catch(err){
-        const msg = err && err.message ? String(err.message) : '';
-        if(err && (err.name === 'AbortError' || msg.toLowerCase().includes('abort'))){
-          botBubble.querySelector('div').textContent = '⚠️ Generation stopped.';
-          currentAbortController = null;
-          break;
+          allowed = await stepView.approve(controller.signal);
+        }catch(err){
+          stepView.update({ status: 'skipped' });
+          throw err;
         }
-        const isLimit = msg.includes('HTTP 429') || msg.toLowerCase().includes('rate limit') || msg.toLowerCase().includes('quota')
-          || msg.toLowerCase().includes('resource_exhausted') || msg.toLowerCase().includes('resource exhausted')
-          || msg.toLowerCase().includes('overload') || msg.toLowerCase().includes('overloaded');
-        if(isLimit){
-          let found = -1;
-          for(let cand = attemptIndex + 1; cand < modelChoices.length; cand++){
-            if(!attempted.has(cand)){ found = cand; break; }
-          }
-          if(found >= 0){
-            try{ showToast(`Switched to ${modelChoices[found].alias}`); }catch(_){ }
-            attemptIndex = found;
-            await new Promise(r => setTimeout(r, 600));
-            continue;
-          } else {
-            botBubble.querySelector('div').textContent = '⚠️ All available model tiers have failed. Please try again later or select a different model.';
-            showLimitModal('All available model tiers have reached their limits. Please try again later or choose a different model.', ()=>{});
-            break;
-          }
-        } else {
-          let uiMsg = '⚠️ Connection error. Try again.';
-          if (err && err.message){
-            if (err.message.includes('HTTP 405')){
-              uiMsg = '⚠️ Server returned 405 — your host does not run serverless functions at `/api/*`.';
-            } else if (DEBUG_SHOW_ERRORS){
-              uiMsg = `⚠️ Connection error: ${err.message}`;
-            }
-          }
-          botBubble.querySelector('div').textContent = uiMsg;
-          break;
+        if(!allowed){
+          stepView.update({ status: 'skipped', response: { error: 'The user did not allow this tool call.' } });
+          return step.response;
         }
-      }finally{
-        currentAbortController = null;
-        scrollToBottom();
+        stepView.update({ status: 'running' });
+      }
+      const response = await toolRegistry.execute(call, toolEnv);
+      stepView.update({ status: response.error ? 'error' : 'done', response });
+      try{ scrollToBottom(); }catch(_){ }
+      return response;
+    };
+    const { value: reply, model } = await fallbackEngine.run(chain, attempt, {
+      signal: controller.signal,
+      onEvent: (e) => {
+        if(e.type === 'retry'){
+          showToast(`${e.model.label} ${REASON_TEXT[e.reason]} — retrying in ${formatWait(e.delayMs)}`, 2000);
+          return;
+        }
+        const note = describeSwitch(e);
+        switchNotes.push(note);
+        showToast(note, 3000);
       }
+    });
+    const clean = reply.text;
+    if(!view) view = createMarkdownView(contentEl);
+    view.update(clean);
+    const stored = { finishReason: reply.finishReason, citations: reply.citations, toolCalls: storedToolCalls(), sources };
+    const message = conversations.appendMessage(conversationId, 'assistant', clean, [], { ...stored, parentId: parent.id, model: { provider: model.provider, id: model.id } });
+    renderReplyNotes(contentEl, stored, { onContinue: () => continueReply(conversationId, message && message.id), onOpenSource: showSource });
+    for(const note of switchNotes){
+      const p = document.createElement('p');
+      p.className = 'bubble-note';
+      p.textContent = `↪ ${note}`;
+      contentEl.appendChild(p);
     }
-  }catch(e){ try{ botBubble.querySelector('div').textContent = '⚠️ Unexpected error. Try again.'; }catch(_){ } }
-  finally{ if(sendBtn) sendBtn.classList.remove('sending'); currentAbortController = null; scrollToBottom(); }
-});
+    try{ ensureVisible(botBubble); }catch(_){ }
+    if(message) addMessageActions(botBubble, conversationId, message);
+    renderConversationList();
+    maybeGenerateTitle(conversationId);
+    savedReply = message;
+  }catch(err){
+    const msg = err && err.message ? String(err.message) : '';
+    const aborted = controller.signal.aborted || (err && err.name === 'AbortError');
+    const partial = aborted ? sanitizeAIText(streamedText) : '';
+    if(restoreOnFailure && !partial && conversations.getActiveId() === conversationId){
+      renderConversation();
+      messagesEl.appendChild(botBubble);
+    }
+    if(aborted){
+      if(partial){
+        if(!view) view = createMarkdownView(contentEl);
+        view.update(partial);
+        const note = document.createElement('p');
+        note.className = 'bubble-note';
+        note.textContent = '⚠️ Generation stopped.';
+        contentEl.appendChild(note);
+        const message = conversations.appendMessage(conversationId, 'assistant', partial, [], { parentId: parent.id, model: { provider: answering.provider, id: answering.id }, toolCalls: storedToolCalls(), sources });
+        if(message) addMessageActions(botBubble, conversationId, message);
+        renderConversationList();
+        savedReply = message;
+      } else {
+        contentEl.textContent = '⚠️ Generation stopped.';
+      }
+    } else if(err && err.status === 401 && USE_PROXY){
+      contentEl.textContent = '⚠️ You were signed out. Sign in again, then resend your message.';
+      signOut();
+      updateSignOutButton();
+      promptSignIn('Your session has expired. Please sign in again.');
+    } else if(err && err.code === 'SAFETY_BLOCKED'){
+      botBubble.classList.add('blocked');
+      renderSafetyBlock(contentEl, err.safety, err.userMessage || errorInfo('SAFETY_BLOCKED').userMessage);
+    } else if(err && err.code === 'MODEL_NOT_ALLOWED'){
+      contentEl.textContent = `⚠️ Your API key cannot use ${chosen.label}. Choose a different model.`;
+    } else if(err && err.exhausted){
+      const why = chain.length > 1 ? 'All models in the fallback chain' : chosen.label;
+      contentEl.textContent = `⚠️ ${why} ${chain.length > 1 ? 'are' : 'is'} unavailable right now (${chosen.label} ${REASON_TEXT[err.reason]}). Please try again later or select a different model.`;
+      showLimitModal(`${chosen.label} ${REASON_TEXT[err.reason]} and no fallback model could answer. Please try again later or choose a different model.`, ()=>{});
+    } else if(err && err.status === 405 && !err.code){
+      contentEl.textContent = '⚠️ Server returned 405 — your host does not run serverless functions at `/api/*`.';
+    } else if(err && err.userMessage){
+      const wait = err.retryable && err.retryAfterMs ? ` Try again in ${formatWait(err.retryAfterMs)}.` : '';
+      contentEl.textContent = `⚠️ ${err.userMessage}${wait}`;
+    } else {
+      contentEl.textContent = '⚠️ Connection error. Try again.';
+    }
+    // Upstream detail is only shown while debugging; the proxy sends it
+    // only with EXPOSE_UPSTREAM_ERRORS on.
+    if(DEBUG_SHOW_ERRORS && !controller.signal.aborted && (msg || (err && err.detail))){
+      const note = document.createElement('p');
+      note.className = 'bubble-note';
+      note.textContent = err.detail ? `${msg} — ${typeof err.detail === 'string' ? err.detail : JSON.stringify(err.detail)}` : msg;
+      contentEl.appendChild(note);
+    }
+    // Lets a user quote the request when reporting a problem; the proxy
+    // logs every line for it under the same id.
+    if(!controller.signal.aborted && err && err.requestId){
+      const note = document.createElement('p');
+      note.className = 'bubble-note';
+      note.textContent = `Request ID: ${err.requestId}`;
+      contentEl.appendChild(note);
+    }
+  }finally{
+    if(sendBtn) sendBtn.classList.remove('sending');
+    if(currentAbortController === controller) currentAbortController = null;
+    scrollToBottom();
+  }
+  return savedReply;
+}
+
+// Compare mode: streams replies to `parent` from every model in `choices`
+// at once, each into its own column of one bubble. There are no fallbacks
+// and no tool calls, so a column shows what that model did on its own.
+// Every reply is stored as a child of `parent`; picking one makes it the
+// branch the chat continues from, and is recorded for the usage dashboard.
+let unpickedComparison = null;
+
+async function generateComparison({ conversationId, parent, history, choices }){
+  const { text, attachments } = parent;
+  const board = createComparison(choices, { task: guessTaskKind(text, attachments) });
+  messagesEl.appendChild(board.element);
+  try{ ensureVisible(board.element); }catch(_){ scrollToBottom(); }
+  const conversation = conversations.get(conversationId);
+  const preset = presets.resolve(selectedPresetId);
+  if(conversation && conversation.presetId !== preset.id) conversations.setPreset(conversationId, preset.id);
+  const { systemText, generationConfig } = presetRequestSettings(preset);
+  let summary = conversation ? conversation.summary : null;
+  if(currentAbortController){ try{ currentAbortController.abort(); }catch(_){ } }
+  const controller = new AbortController();
+  currentAbortController = controller;
+  let sources = [];
+
+  const contextFor = (choice, { canSummarize }) => buildContext({
+    history,
+    summary,
+    newText: text,
+    newAttachments: attachments,
+    newContext: formatExcerpts(sources),
+    model: choice.id,
+    tokenBudget: choice.tokenBudget,
+    multimodal: choice.multimodal,
+    systemText,
+    countTokens: (req) => countTokensViaProxy({ ...req, provider: choice.provider }, controller.signal),
+    summarize: canSummarize ? (prev, turns) => summarizeTurns(prev, turns, controller.signal, choice) : undefined
+  });
+
+  // Resolves to the stored reply, or null after showing why there is none.
+  const run = async (column, pendingContext) => {
+    const choice = column.choice;
+    const started = Date.now();
+    let streamed = '';
+    try{
+      const context = await pendingContext;
+      const request = { provider: choice.provider, model: choice.id, system: context.system, messages: context.messages };
+      if(Object.keys(generationConfig).length) request.generationConfig = generationConfig;
+      let renderScheduled = false;
+      const reply = await streamChat(request, {
+        signal: controller.signal,
+        onText: (delta, full) => {
+          streamed = full;
+          if(renderScheduled) return;
+          renderScheduled = true;
+          requestAnimationFrame(() => {
+            renderScheduled = false;
+            if(currentAbortController === controller) column.update(sanitizeAIText(streamed));
+          });
+        }
+      });
+      const clean = sanitizeAIText(streamed);
+      if(!clean){
+        if(reply.finishReason === 'safety') throw new ChatError('Blocked by safety filters', { ...errorInfo('SAFETY_BLOCKED'), code: 'SAFETY_BLOCKED' });
+        throw new ChatError('No response from model', { userMessage: 'The model sent back no text.' });
+      }
+      const message = conversations.appendMessage(conversationId, 'assistant', clean, [], {
+        parentId: parent.id, model: { provider: choice.provider, id: choice.id }, finishReason: reply.finishReason, citations: reply.citations, sources
+      });
+      column.finish({ text: clean, latencyMs: Date.now() - started, usage: reply.usage });
+      return message;
+    }catch(err){
+      const aborted = controller.signal.aborted || (err && err.name === 'AbortError');
+      column.fail(aborted ? 'Generation stopped.' : (err && err.userMessage) || 'Connection error. Try again.');
+      return null;
+    }
+  };
+
+  let stored;
+  try{
+    if(sendBtn) sendBtn.classList.add('sending');
+    sources = await findSources(text);
+    // The columns share one summary of the older turns. The smallest budget
+    // folds the most, so its context is built first and is the only one that
+    // may summarise; the others start from the summary it saved.
+    const budgetOf = (column) => column.choice.tokenBudget || tokenBudgetFor(column.choice.id);
+    const [smallest] = [...board.columns].sort((a, b) => budgetOf(a) - budgetOf(b));
+    const first = contextFor(smallest.choice, { canSummarize: true });
+    const shared = await first.catch(() => null);
+    if(shared && shared.summary){
+      summary = shared.summary;
+      conversations.setSummary(conversationId, summary);
+    }
+    stored = await Promise.all(board.columns.map(column => run(column, column === smallest ? first : contextFor(column.choice, { canSummarize: false }))));
+  }finally{
+    if(sendBtn) sendBtn.classList.remove('sending');
+    if(currentAbortController === controller) currentAbortController = null;
+  }
+  renderConversationList();
+  maybeGenerateTitle(conversationId);
+  // With a single reply there is nothing to pick: it already is the branch
+  // the chat continues from.
+  const answered = board.columns.map((column, i) => ({ column, message: stored[i] })).filter(a => a.message);
+  if(answered.length >= MIN_COMPARE_MODELS){
+    unpickedComparison = board.element;
+    for(const winner of answered) winner.column.offerPick(() => pickReply(conversationId, board, answered, winner));
+  }
+  scrollToBottom();
+}
+
+function comparisonAwaitingPick(){
+  if(!unpickedComparison || !unpickedComparison.isConnected) return false;
+  showToast('Pick the reply to continue from first.', 2600);
+  return true;
+}
+
+function pickReply(conversationId, board, answered, winner){
+  unpickedComparison = null;
+  conversations.selectBranch(conversationId, winner.message.id);
+  recordPick({ task: board.task(), winner: winner.column.choice, candidates: answered.map(a => a.column.choice) });
+  if(conversations.getActiveId() === conversationId) renderConversation();
+  input.focus();
+}
+
+// A pick that cannot be recorded is only logged; the chat goes on either
+// way.
+async function recordPick({ task, winner, candidates }){
+  if(!USE_PROXY) return;
+  const ref = (c) => ({ provider: c.provider, id: c.id });
+  try{
+    const resp = await fetch(PICKS_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify({ task, winner: ref(winner), candidates: candidates.map(ref) })
+    });
+    if(!resp.ok) throw errorFromResponse(resp, await resp.text());
+  }catch(e){
+    console.warn('The pick could not be recorded', e);
+  }
+}
+
+// Messages written offline wait in the outbox: they are stored with the
+// status 'pending' and sent when the connection returns, or marked 'failed'
+// with a Retry button when sending them did not work. Only the open chat's
+// outbox is sent; another chat's goes out once it is opened.
+const OFFLINE_NOTE = 'You are offline. The message will be sent when the connection returns.';
+let flushingOutbox = false;
+
+function bubbleFor(messageId){
+  return Array.from(messagesEl.children).find(b => b.dataset.id === messageId) || null;
+}
+
+function renderOutboxState(bubble, conversationId, message){
+  bubble.classList.toggle('pending', message.status === 'pending');
+  bubble.classList.toggle('failed', message.status === 'failed');
+  const old = bubble.querySelector('.bubble-status');
+  if(old) old.remove();
+  if(!message.status) return;
+  const line = document.createElement('div');
+  line.className = 'bubble-status';
+  const label = document.createElement('span');
+  line.appendChild(label);
+  if(message.status === 'pending'){
+    label.textContent = '⏳ Waiting for a connection…';
+  } else {
+    label.textContent = '⚠️ Not sent';
+    line.appendChild(actionButton('Retry', 'Retry sending', () => retrySend(conversationId, message.id)));
+  }
+  bubble.insertBefore(line, bubble.querySelector('.msg-actions'));
+}
+
+// A new message after an unsent one would reach the model as two turns in
+// a row, so the unsent one has to be sent or edited first.
+function hasUnsentTail(){
+  const conv = conversations.getActive();
+  const last = conv ? conv.messages[conv.messages.length - 1] : null;
+  if(!last || !last.status) return false;
+  showToast('Your last message has not been sent yet. Retry or edit it first.', 2800);
+  return true;
+}
+
+function retrySend(conversationId, messageId){
+  const message = conversations.setMessageStatus(conversationId, messageId, 'pending');
+  if(!message) return;
+  const bubble = bubbleFor(messageId);
+  if(bubble) renderOutboxState(bubble, conversationId, message);
+  if(!navigator.onLine) showToast(OFFLINE_NOTE, 3000);
+  flushOutbox();
+}
+
+async function flushOutbox(){
+  if(flushingOutbox || !navigator.onLine || currentAbortController) return;
+  const conversationId = conversations.getActiveId();
+  const [queued] = conversationId ? conversations.queuedMessages(conversationId) : [];
+  if(!queued) return;
+  flushingOutbox = true;
+  try{
+    const chosen = modelChoices[selectedModelIndex];
+    let reply = null;
+    if(!cannotRead(chosen, queued.attachments)){
+      conversations.setMessageStatus(conversationId, queued.id, null);
+      renderConversation();
+      reply = await generateReply({ conversationId, parent: queued, history: conversations.getPathTo(conversationId, queued.parentId), chosen, restoreOnFailure: true });
+    }
+    if(!reply){
+      conversations.setMessageStatus(conversationId, queued.id, 'failed');
+      const bubble = conversations.getActiveId() === conversationId ? bubbleFor(queued.id) : null;
+      if(bubble) renderOutboxState(bubble, conversationId, queued);
+    }
+  }finally{
+    flushingOutbox = false;
+  }
+}
+
+window.addEventListener('online', () => flushOutbox());
 
 if(sendBtn){
   sendBtn.addEventListener('click', (e)=>{
@@ -504,13 +1141,606 @@ input.addEventListener('keydown', (e) =>{
   }
 });
 
-newChatBtn.addEventListener('click', ()=>{
+if(attachBtn && fileInput){
+  attachBtn.addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', async () => {
+    await addFiles(fileInput.files);
+    fileInput.value = '';
+  });
+}
+
+input.addEventListener('paste', (e) => {
+  const data = e.clipboardData;
+  if(!data || !data.files || !data.files.length) return;
+  if(data.types && Array.from(data.types).includes('text/plain')) return;
+  e.preventDefault();
+  addFiles(data.files);
+});
+
+const dropZone = document.querySelector('.main-panel') || form;
+let dragDepth = 0;
+const hasFiles = (e) => !!(e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files'));
+dropZone.addEventListener('dragenter', (e) => {
+  if(!hasFiles(e)) return;
+  e.preventDefault();
+  dragDepth++;
+  form.classList.add('drag-over');
+});
+dropZone.addEventListener('dragover', (e) => {
+  if(!hasFiles(e)) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'copy';
+});
+dropZone.addEventListener('dragleave', (e) => {
+  if(!hasFiles(e)) return;
+  dragDepth = Math.max(0, dragDepth - 1);
+  if(!dragDepth) form.classList.remove('drag-over');
+});
+dropZone.addEventListener('drop', (e) => {
+  if(!hasFiles(e)) return;
+  e.preventDefault();
+  dragDepth = 0;
+  form.classList.remove('drag-over');
+  addFiles(e.dataTransfer.files);
+  input.focus();
+});
+
+// Asks the model to carry on from a reply cut off at the output limit, as
+// a new message. Only the latest reply of the open chat can be continued.
+function continueReply(conversationId, replyId){
+  const conv = conversations.getActive();
+  const last = conv ? conv.messages[conv.messages.length - 1] : null;
+  if(!conv || conv.id !== conversationId || !last || last.id !== replyId){
+    showToast('Only the latest reply can be continued.', 2400);
+    return;
+  }
+  if(currentAbortController) return;
+  input.value = CONTINUE_PROMPT;
+  form.requestSubmit();
+}
+
+function stopGeneration(){
+  if(currentAbortController){ try{ currentAbortController.abort(); }catch(_){ } currentAbortController = null; }
+  try{ if(sendBtn) sendBtn.classList.remove('sending'); }catch(_){ }
+}
+
+// Shows the active path of the open chat, or only its start down to
+// `throughId`.
+function renderConversation({ throughId } = {}){
   messagesEl.innerHTML = '';
+  const conv = conversations.getActive();
+  if(conv && conv.presetId) selectedPresetId = presets.resolve(conv.presetId).id;
+  renderPresetChips();
+  if(conv){
+    for(const m of conv.messages){
+      try{
+        const bubble = createBubble(m.role, m.text || '', false, m.attachments);
+        if(m.role === 'assistant'){
+          renderToolSteps(bubble, bubble.lastElementChild, m.toolCalls);
+          renderReplyNotes(bubble.lastElementChild, m, { onContinue: () => continueReply(conv.id, m.id), onOpenSource: showSource });
+        }
+        addMessageActions(bubble, conv.id, m);
+        if(m.status) renderOutboxState(bubble, conv.id, m);
+        messagesEl.appendChild(bubble);
+      }catch(_){ }
+      if(m.id === throughId) break;
+    }
+  }
+  scrollToBottom();
+}
+
+function showBranch(conversationId, messageId){
+  if(!messageId || replyInProgress()) return;
+  if(!conversations.selectBranch(conversationId, messageId)) return;
+  renderConversation();
+}
+
+// Asks again for the reply `replyId`, with `choice` as the first model to
+// try. The new reply becomes a sibling of the old one.
+async function regenerateReply(conversationId, replyId, choice){
+  if(replyInProgress()) return;
+  if(!navigator.onLine){
+    showToast('You are offline. Regenerate the reply once the connection returns.', 2800);
+    return;
+  }
+  const reply = conversations.getMessage(conversationId, replyId);
+  const parent = reply && conversations.getMessage(conversationId, reply.parentId);
+  if(!parent || parent.role !== 'user' || cannotRead(choice, parent.attachments)) return;
+  renderConversation({ throughId: parent.id });
+  await generateReply({ conversationId, parent, history: conversations.getPathTo(conversationId, parent.parentId), chosen: choice, restoreOnFailure: true });
+}
+
+// Swaps the bubble's text for a field. Saving adds the edited message as a
+// sibling of the original and asks for a reply to it.
+function startEdit(bubble, conversationId, messageId){
+  if(replyInProgress()) return;
+  const original = conversations.getMessage(conversationId, messageId);
+  if(!original || bubble.querySelector('.bubble-edit')) return;
+  const shown = Array.from(bubble.children).filter(c => !c.classList.contains('bubble-attachments'));
+  for(const c of shown) c.hidden = true;
+  const editor = document.createElement('div');
+  editor.className = 'bubble-edit';
+  const field = document.createElement('textarea');
+  field.value = original.text;
+  field.rows = Math.min(10, original.text.split('\n').length + 1);
+  field.setAttribute('aria-label', 'Edit message');
+  const finish = () => {
+    editor.remove();
+    for(const c of shown) c.hidden = false;
+  };
+  const save = () => {
+    const text = field.value.trim();
+    if(text === original.text.trim()){ finish(); return; }
+    if(!text && !original.attachments.length) return;
+    if(text.length > MAX_PART_CHARS){
+      showToast(`Message too long (${text.length}/${MAX_PART_CHARS} characters). Please shorten it.`, 3200);
+      return;
+    }
+    submitEdit(conversationId, original, text);
+  };
+  field.addEventListener('keydown', (e) => {
+    if(e.key === 'Enter' && !e.shiftKey){ e.preventDefault(); save(); }
+    else if(e.key === 'Escape'){ e.preventDefault(); finish(); }
+  });
+  const buttons = document.createElement('div');
+  buttons.className = 'msg-actions';
+  buttons.append(actionButton('Cancel', 'Cancel editing', finish), actionButton('Save', 'Save and regenerate', save));
+  editor.append(field, buttons);
+  bubble.appendChild(editor);
+  field.focus();
+}
+
+async function submitEdit(conversationId, original, text){
+  if(replyInProgress()) return;
+  const chosen = modelChoices[selectedModelIndex];
+  if(cannotRead(chosen, original.attachments)) return;
+  const parent = conversations.appendMessage(conversationId, 'user', text, original.attachments, { parentId: original.parentId });
+  if(!parent) return;
+  const offline = !navigator.onLine;
+  if(offline) conversations.setMessageStatus(conversationId, parent.id, 'pending');
+  renderConversation();
+  renderConversationList();
+  if(offline){
+    showToast(OFFLINE_NOTE, 3000);
+    return;
+  }
+  await generateReply({ conversationId, parent, history: conversations.getPathTo(conversationId, parent.parentId), chosen });
+}
+
+function closeSidebar(){
+  if(!sidebarEl) return;
+  sidebarEl.classList.remove('open');
+  if(sidebarToggle) sidebarToggle.setAttribute('aria-expanded', 'false');
+}
+
+function switchConversation(id){
+  if(id === conversations.getActiveId()) { closeSidebar(); return; }
+  stopGeneration();
+  if(!conversations.setActive(id)) return;
+  renderConversation();
+  renderConversationList();
+  closeSidebar();
+  input.focus();
+  flushOutbox();
+}
+
+function startRename(id, titleEl){
+  const conv = conversations.get(id);
+  if(!conv) return;
+  const field = document.createElement('input');
+  field.type = 'text';
+  field.className = 'conversation-rename';
+  field.value = conv.title;
+  field.setAttribute('aria-label', 'Conversation title');
+  let done = false;
+  const finish = (save) => {
+    if(done) return;
+    done = true;
+    if(save) conversations.rename(id, field.value);
+    renderConversationList();
+  };
+  field.addEventListener('keydown', (e) => {
+    if(e.key === 'Enter'){ e.preventDefault(); finish(true); }
+    else if(e.key === 'Escape'){ e.preventDefault(); finish(false); }
+  });
+  field.addEventListener('blur', () => finish(true));
+  field.addEventListener('click', (e) => e.stopPropagation());
+  titleEl.replaceWith(field);
+  field.focus();
+  field.select();
+}
+
+function makeItemAction(label, title, onClick){
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'conversation-action';
+  btn.textContent = label;
+  btn.title = title;
+  btn.setAttribute('aria-label', title);
+  btn.addEventListener('click', (e) => { e.stopPropagation(); onClick(); });
+  return btn;
+}
+
+function renderConversationList(){
+  if(!conversationListEl) return;
+  const query = conversationSearchEl ? conversationSearchEl.value.trim() : '';
+  const results = conversations.search(query);
+  const activeId = conversations.getActiveId();
+  conversationListEl.innerHTML = '';
+  if(!results.length){
+    const empty = document.createElement('li');
+    empty.className = 'conversation-empty';
+    empty.textContent = query ? 'No chats match your search.' : 'No saved chats yet.';
+    conversationListEl.appendChild(empty);
+    return;
+  }
+  for(const { conversation: conv, snippet } of results){
+    const item = document.createElement('li');
+    item.className = 'conversation-item' + (conv.id === activeId ? ' active' : '') + (conv.pinned ? ' pinned' : '');
+    item.tabIndex = 0;
+    item.setAttribute('role', 'button');
+    if(conv.id === activeId) item.setAttribute('aria-current', 'true');
+    const body = document.createElement('div');
+    body.className = 'conversation-body';
+    const titleEl = document.createElement('div');
+    titleEl.className = 'conversation-title';
+    titleEl.textContent = (conv.pinned ? '📌 ' : '') + conv.title;
+    body.appendChild(titleEl);
+    if(snippet){
+      const snippetEl = document.createElement('div');
+      snippetEl.className = 'conversation-snippet';
+      snippetEl.textContent = snippet;
+      body.appendChild(snippetEl);
+    }
+    item.appendChild(body);
+    const actions = document.createElement('div');
+    actions.className = 'conversation-actions';
+    actions.appendChild(makeItemAction(conv.pinned ? 'Unpin' : 'Pin', conv.pinned ? 'Unpin chat' : 'Pin chat', () => {
+      conversations.setPinned(conv.id, !conv.pinned);
+      renderConversationList();
+    }));
+    actions.appendChild(makeItemAction('Rename', 'Rename chat', () => startRename(conv.id, titleEl)));
+    actions.appendChild(makeItemAction('Export', 'Export chat', () => showExport([conv.id])));
+    if(USE_PROXY && conv.messages.length) actions.appendChild(makeItemAction('Share', 'Share chat', () => showShare(conv.id)));
+    actions.appendChild(makeItemAction('Delete', 'Delete chat', () => {
+      if(!confirm(`Delete "${conv.title}"? This cannot be undone.`)) return;
+      const wasActive = conv.id === conversations.getActiveId();
+      if(wasActive) stopGeneration();
+      conversations.remove(conv.id);
+      if(wasActive) renderConversation();
+      renderConversationList();
+    }));
+    item.appendChild(actions);
+    item.addEventListener('click', () => switchConversation(conv.id));
+    item.addEventListener('keydown', (e) => {
+      if(e.target === item && (e.key === 'Enter' || e.key === ' ')){ e.preventDefault(); switchConversation(conv.id); }
+    });
+    conversationListEl.appendChild(item);
+  }
+}
+
+async function maybeGenerateTitle(id){
+  try{
+    if(!conversations.needsGeneratedTitle(id)) return;
+    const msgs = conversations.getMessages(id);
+    const firstUser = msgs.find(m => m.role === 'user');
+    const firstReply = msgs.find(m => m.role === 'assistant');
+    if(!firstUser || !firstReply) return;
+    const prompt = 'Write a short title (3 to 6 words) for a chat that starts with the exchange below. Reply with the title only, no quotes or punctuation at the end.\n\n'
+      + `User: ${firstUser.text.slice(0, 1200)}\n\nAssistant: ${firstReply.text.slice(0, 1200)}`;
+    const result = await postChat({ ...auxTarget(modelChoices[selectedModelIndex]), messages: [{ role: 'user', parts: [{ text: prompt }] }] });
+    const title = cleanGeneratedTitle(result.text);
+    if(!title || !conversations.needsGeneratedTitle(id)) return;
+    conversations.rename(id, title, 'model');
+    renderConversationList();
+  }catch(e){
+    console.warn('Could not generate a conversation title', e);
+  }
+}
+
+function selectPreset(id){
+  const preset = presets.resolve(id);
+  selectedPresetId = preset.id;
+  const active = conversations.getActive();
+  if(active) conversations.setPreset(active.id, preset.id);
+  renderPresetChips();
+}
+
+function renderPresetChips(){
+  if(!presetChipsEl) return;
+  presetChipsEl.innerHTML = '';
+  const current = presets.resolve(selectedPresetId);
+  for(const p of presets.list()){
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'chip' + (p.id === current.id ? ' active' : '');
+    chip.textContent = p.name;
+    chip.title = p.systemInstruction || p.name;
+    chip.setAttribute('role', 'radio');
+    chip.setAttribute('aria-checked', p.id === current.id ? 'true' : 'false');
+    chip.addEventListener('click', () => selectPreset(p.id));
+    presetChipsEl.appendChild(chip);
+  }
+  const edit = document.createElement('button');
+  edit.type = 'button';
+  edit.className = 'chip chip-edit';
+  edit.textContent = current.builtin ? '＋' : '✎';
+  edit.title = current.builtin ? `New preset based on ${current.name}` : `Edit ${current.name}`;
+  edit.setAttribute('aria-label', edit.title);
+  edit.addEventListener('click', () => openPresetEditor(current));
+  presetChipsEl.appendChild(edit);
+}
+
+// Built-in presets are read-only, so editing one starts a new custom preset
+// prefilled with its settings.
+function openPresetEditor(base){
+  if(!presetModalEl || !presetFormEl) return;
+  const editing = base && !base.builtin ? base : null;
+  const fields = presetFormEl.elements;
+  presetTitleEl.textContent = editing ? 'Edit preset' : 'New preset';
+  fields.name.value = editing ? editing.name : (base ? `${base.name} (custom)`.slice(0, MAX_PRESET_NAME_CHARS) : '');
+  fields.systemInstruction.value = (base && base.systemInstruction) || '';
+  for(const key of GENERATION_FIELDS){
+    fields[key].value = (base && typeof base[key] === 'number') ? String(base[key]) : '';
+  }
+  presetFormEl.dataset.presetId = editing ? editing.id : '';
+  presetDeleteBtn.hidden = !editing;
+  presetErrorEl.textContent = '';
+  presetModalEl.setAttribute('aria-hidden', 'false');
+  fields.name.focus();
+}
+
+function closePresetEditor(){
+  if(presetModalEl) presetModalEl.setAttribute('aria-hidden', 'true');
+}
+
+if(presetFormEl){
+  const fields = presetFormEl.elements;
+  fields.name.maxLength = MAX_PRESET_NAME_CHARS;
+  fields.systemInstruction.maxLength = MAX_PRESET_INSTRUCTION_CHARS;
+  for(const key of GENERATION_FIELDS){
+    const limit = GENERATION_LIMITS[key];
+    fields[key].min = String(limit.min);
+    fields[key].max = String(limit.max);
+    fields[key].step = String(limit.step);
+  }
+  presetFormEl.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const input = { id: presetFormEl.dataset.presetId || null, name: fields.name.value, systemInstruction: fields.systemInstruction.value };
+    for(const key of GENERATION_FIELDS) input[key] = fields[key].value.trim();
+    const { preset, error } = presets.save(input);
+    if(error){
+      presetErrorEl.textContent = error;
+      return;
+    }
+    closePresetEditor();
+    selectPreset(preset.id);
+    if(!presets.persistent) showToast('This browser cannot store presets — it will be lost on reload.', 3200);
+  });
+  presetDeleteBtn.addEventListener('click', () => {
+    const id = presetFormEl.dataset.presetId;
+    const preset = id ? presets.get(id) : null;
+    if(!preset || !confirm(`Delete the "${preset.name}" preset?`)) return;
+    presets.remove(id);
+    closePresetEditor();
+    selectPreset(selectedPresetId);
+  });
+  document.getElementById('presetCancel').addEventListener('click', closePresetEditor);
+  document.getElementById('presetClose').addEventListener('click', closePresetEditor);
+}
+
+newChatBtn.addEventListener('click', ()=>{
+  stopGeneration();
+  const active = conversations.getActive();
+  if(!active || active.messages.length) conversations.create(selectedPresetId);
+  renderConversation();
+  renderConversationList();
+  closeSidebar();
   input.value = '';
+  pendingAttachments = [];
+  renderAttachmentTray();
   input.focus();
-  clearHistory();
 });
 
+if(conversationSearchEl){
+  conversationSearchEl.addEventListener('input', renderConversationList);
+}
+
+const EXPORT_FORMATS = {
+  md: { build: toMarkdown, type: 'text/markdown' },
+  json: { build: toJSON, type: 'application/json' },
+  html: { build: toHTML, type: 'text/html' }
+};
+let exportIds = [];
+
+function exportNames(){
+  return {
+    presetName: (id) => { const p = presets.get(id); return p ? p.name : null; },
+    modelLabel
+  };
+}
+
+function downloadFile(name, type, content){
+  const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// `ids` are the chats to export; all of them for "Export all".
+function showExport(ids){
+  if(!exportModalEl) return;
+  exportIds = ids;
+  if(exportTitleEl) exportTitleEl.textContent = ids.length === 1 ? 'Export chat' : `Export ${ids.length} chats`;
+  exportModalEl.setAttribute('aria-hidden', 'false');
+}
+function hideExport(){ if(exportModalEl) exportModalEl.setAttribute('aria-hidden', 'true'); }
+
+function exportAs(format){
+  const list = exportIds.map(id => conversations.get(id)).filter(Boolean);
+  if(!list.length) return;
+  const { build, type } = EXPORT_FORMATS[format];
+  try{
+    downloadFile(exportFileName(list, format), type, build(list, exportNames()));
+    hideExport();
+  }catch(e){
+    console.warn('Export failed', e);
+    showToast('Export failed. Try another format.', 2600);
+  }
+}
+
+async function importFile(file){
+  try{
+    const { conversations: records, skipped } = parseExport(await file.text());
+    const { added, merged, unchanged, messages } = conversations.importConversations(records);
+    renderConversationList();
+    const activeId = conversations.getActiveId();
+    if(!conversations.getActive() && records.length){
+      conversations.setActive(records[0].id);
+      renderConversation();
+    } else if(!currentAbortController && records.some(r => r.id === activeId)){
+      renderConversation();
+    }
+    const parts = [`${added} new`, `${merged} merged`];
+    if(unchanged) parts.push(`${unchanged} already here`);
+    if(skipped) parts.push(`${skipped} invalid and skipped`);
+    showToast(`Imported chats: ${parts.join(', ')} (${messages} message${messages === 1 ? '' : 's'} added).`, 3600);
+  }catch(e){
+    showToast(`Import failed: ${e && e.message ? e.message : 'the file could not be read.'}`, 3600);
+  }
+}
+
+let shareConversationId = null;
+
+function renderShareList(){
+  if(!shareListEl) return;
+  shareListEl.innerHTML = '';
+  const conv = conversations.get(shareConversationId);
+  const now = Date.now();
+  for(const share of conv ? conv.shares : []){
+    if(share.expiresAt && share.expiresAt <= now) continue;
+    const item = document.createElement('li');
+    item.className = 'share-item';
+    const link = document.createElement('input');
+    link.type = 'text';
+    link.readOnly = true;
+    link.value = share.url;
+    link.setAttribute('aria-label', 'Share link');
+    const row = document.createElement('div');
+    row.className = 'share-item-row';
+    const when = document.createElement('span');
+    when.textContent = share.expiresAt ? `Expires ${new Date(share.expiresAt).toLocaleString()}` : 'Never expires';
+    const copyBtn = makeItemAction('Copy', 'Copy link', async () => {
+      try{ await copyText(share.url); showToast('Link copied', 1400); }catch(_){ showToast('Copy failed'); }
+    });
+    row.append(when, copyBtn, makeItemAction('Revoke', 'Revoke link', () => revokeShareLink(share)));
+    item.append(link, row);
+    shareListEl.appendChild(item);
+  }
+}
+
+function showShare(id){
+  if(!shareModalEl) return;
+  shareConversationId = id;
+  if(shareErrorEl) shareErrorEl.textContent = '';
+  renderShareList();
+  shareModalEl.setAttribute('aria-hidden', 'false');
+}
+function hideShare(){ if(shareModalEl) shareModalEl.setAttribute('aria-hidden', 'true'); }
+
+// Shares what the chat shows now. Without "Include attachments" only their
+// names leave the browser.
+async function createShareLink(){
+  const conv = conversations.get(shareConversationId);
+  if(!conv || !conv.messages.length) return;
+  const includeAttachments = !!(shareAttachmentsEl && shareAttachmentsEl.checked);
+  const body = {
+    title: conv.title,
+    includeAttachments,
+    expiresIn: shareExpiryEl && shareExpiryEl.value ? Number(shareExpiryEl.value) : null,
+    messages: conv.messages.map(m => ({
+      role: m.role,
+      text: m.text,
+      ts: m.ts,
+      model: m.model ? modelLabel(m.model) : null,
+      finishReason: m.finishReason,
+      citations: m.citations,
+      toolCalls: m.toolCalls,
+      sources: m.sources.map(({ n, title, text }) => ({ n, title, text })),
+      attachments: m.attachments.map(({ name, mimeType, size, data }) => includeAttachments ? { name, mimeType, size, data } : { name, mimeType, size })
+    }))
+  };
+  if(shareErrorEl) shareErrorEl.textContent = '';
+  try{
+    const resp = await fetch(SHARE_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', ...authHeaders() },
+      body: JSON.stringify(body)
+    });
+    const txt = await resp.text();
+    if(!resp.ok) throw errorFromResponse(resp, txt);
+    const { id, url, expiresAt, revokeToken } = JSON.parse(txt);
+    conversations.addShare(conv.id, { id, url, expiresAt, revokeToken, createdAt: Date.now() });
+    renderShareList();
+    try{ await copyText(url); showToast('Link created and copied', 1800); }catch(_){ showToast('Link created', 1800); }
+  }catch(e){
+    if(shareErrorEl) shareErrorEl.textContent = `The link could not be created. ${e && e.userMessage ? e.userMessage : 'Try again.'}`;
+  }
+}
+
+async function revokeShareLink(share){
+  const conversationId = shareConversationId;
+  try{
+    const resp = await fetch(`${SHARE_ENDPOINT}?id=${encodeURIComponent(share.id)}`, {
+      method: 'DELETE',
+      headers: { 'Accept': 'application/json', 'X-Share-Token': share.revokeToken || '', ...authHeaders() }
+    });
+    // 404: it has expired or was revoked elsewhere, which is what we wanted.
+    if(!resp.ok && resp.status !== 404) throw errorFromResponse(resp, await resp.text());
+    conversations.removeShare(conversationId, share.id);
+    renderShareList();
+    showToast('Link revoked', 1600);
+  }catch(e){
+    if(shareErrorEl) shareErrorEl.textContent = `The link could not be revoked. ${e && e.userMessage ? e.userMessage : 'Try again.'}`;
+  }
+}
+
+if(shareFormEl) shareFormEl.addEventListener('submit', (e) => { e.preventDefault(); createShareLink(); });
+if(shareCloseBtn) shareCloseBtn.addEventListener('click', hideShare);
+
+if(exportAllBtn) exportAllBtn.addEventListener('click', () => {
+  const all = conversations.list().filter(c => c.nodes.length).map(c => c.id);
+  if(!all.length){ showToast('There are no chats to export yet.', 2200); return; }
+  showExport(all);
+});
+if(exportModalEl){
+  for(const btn of exportModalEl.querySelectorAll('[data-format]')){
+    btn.addEventListener('click', () => exportAs(btn.dataset.format));
+  }
+}
+if(exportCloseBtn) exportCloseBtn.addEventListener('click', hideExport);
+if(importBtn && importFileEl){
+  importBtn.addEventListener('click', () => importFileEl.click());
+  importFileEl.addEventListener('change', async () => {
+    const file = importFileEl.files && importFileEl.files[0];
+    importFileEl.value = '';
+    if(file) await importFile(file);
+  });
+}
+
+if(sidebarToggle && sidebarEl){
+  sidebarToggle.addEventListener('click', ()=>{
+    const open = !sidebarEl.classList.contains('open');
+    sidebarEl.classList.toggle('open', open);
+    sidebarToggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+    if(open && conversationSearchEl) conversationSearchEl.focus();
+  });
+}
+
 const aboutBtn = document.getElementById('aboutBtn');
 const aboutModal = document.getElementById('aboutModal');
 const aboutClose = document.getElementById('aboutClose');
@@ -520,6 +1750,314 @@ const limitMsg = document.getElementById('limitMsg');
 const limitCancel = document.getElementById('limitCancel');
 const limitSwitch = document.getElementById('limitSwitch');
 
+const usageBtn = document.getElementById('usageBtn');
+const usageModal = document.getElementById('usageModal');
+const usageClose = document.getElementById('usageClose');
+const usageDaysEl = document.getElementById('usageDays');
+const usageReportEl = document.getElementById('usageReport');
+
+async function loadUsage(){
+  if(!usageReportEl) return;
+  usageReportEl.textContent = 'Loading…';
+  try{
+    const days = usageDaysEl ? usageDaysEl.value : '30';
+    const resp = await fetch(`${USAGE_ENDPOINT}?days=${encodeURIComponent(days)}`, { headers: { 'Accept': 'application/json', ...authHeaders() } });
+    const txt = await resp.text();
+    if(!resp.ok) throw errorFromResponse(resp, txt);
+    renderUsageReport(usageReportEl, JSON.parse(txt));
+  }catch(e){
+    usageReportEl.textContent = `⚠️ Usage could not be loaded. ${e && e.userMessage ? e.userMessage : 'Try again.'}`;
+    if(DEBUG_SHOW_ERRORS && e && e.message) usageReportEl.textContent += ` (${e.message})`;
+  }
+}
+function showUsage(){
+  if(!usageModal) return;
+  usageModal.setAttribute('aria-hidden','false');
+  loadUsage();
+}
+function hideUsage(){ if(usageModal) usageModal.setAttribute('aria-hidden','true'); }
+
+if(usageBtn){
+  if(USE_PROXY) usageBtn.addEventListener('click', showUsage);
+  else usageBtn.hidden = true;
+}
+if(usageClose) usageClose.addEventListener('click', hideUsage);
+if(usageDaysEl) usageDaysEl.addEventListener('change', loadUsage);
+
+const compareBtn = document.getElementById('compareBtn');
+const compareModal = document.getElementById('compareModal');
+const compareClose = document.getElementById('compareClose');
+const compareListEl = document.getElementById('compareList');
+const compareErrorEl = document.getElementById('compareError');
+const compareOnBtn = document.getElementById('compareOn');
+const compareOffBtn = document.getElementById('compareOff');
+let compareDraft = [];
+
+// The models compare mode sends each message to, or null when it is off.
+function compareChoices(){
+  if(!compareSettings.enabled) return null;
+  const choices = compareSettings.models.map(key => modelChoices.find(c => choiceKey(c) === key)).filter(Boolean);
+  return choices.length >= MIN_COMPARE_MODELS ? choices : null;
+}
+
+function updateCompareButton(){
+  const choices = compareChoices();
+  if(compareBtn){
+    compareBtn.textContent = choices ? `Compare ×${choices.length}` : 'Compare';
+    compareBtn.setAttribute('aria-pressed', choices ? 'true' : 'false');
+  }
+  if(modelSelectEl) modelSelectEl.disabled = !!choices;
+}
+
+function renderCompareList(){
+  if(!compareListEl) return;
+  compareListEl.innerHTML = '';
+  for(const m of modelChoices){
+    const key = choiceKey(m);
+    const item = document.createElement('li');
+    const box = toolCheckbox(m.label, compareDraft.includes(key), (on) => {
+      compareDraft = compareDraft.filter(k => k !== key);
+      if(on){
+        if(compareDraft.length >= MAX_COMPARE_MODELS){
+          box.querySelector('input').checked = false;
+          if(compareErrorEl) compareErrorEl.textContent = `Compare at most ${MAX_COMPARE_MODELS} models at a time.`;
+          return;
+        }
+        compareDraft.push(key);
+      }
+      if(compareErrorEl) compareErrorEl.textContent = '';
+    });
+    const meta = document.createElement('span');
+    meta.className = 'model-option-meta';
+    meta.textContent = describeModel(m);
+    item.append(box, meta);
+    compareListEl.appendChild(item);
+  }
+}
+function showCompare(){
+  if(!compareModal) return;
+  compareDraft = compareSettings.models.filter(key => modelChoices.some(c => choiceKey(c) === key));
+  if(compareErrorEl) compareErrorEl.textContent = '';
+  renderCompareList();
+  compareModal.setAttribute('aria-hidden','false');
+}
+function hideCompare(){ if(compareModal) compareModal.setAttribute('aria-hidden','true'); }
+function setCompareMode(enabled){
+  compareSettings.enabled = enabled;
+  compareSettings.models = [...compareDraft];
+  saveCompareSettings(compareSettings);
+  updateCompareButton();
+  hideCompare();
+}
+
+if(compareBtn) compareBtn.addEventListener('click', showCompare);
+if(compareClose) compareClose.addEventListener('click', hideCompare);
+if(compareOffBtn) compareOffBtn.addEventListener('click', () => setCompareMode(false));
+if(compareOnBtn){
+  compareOnBtn.addEventListener('click', () => {
+    if(compareDraft.length < MIN_COMPARE_MODELS){
+      if(compareErrorEl) compareErrorEl.textContent = `Pick at least ${MIN_COMPARE_MODELS} models.`;
+      return;
+    }
+    setCompareMode(true);
+  });
+}
+
+const knowledgeBtn = document.getElementById('knowledgeBtn');
+const knowledgeModal = document.getElementById('knowledgeModal');
+const knowledgeClose = document.getElementById('knowledgeClose');
+const knowledgeEnabledEl = document.getElementById('knowledgeEnabled');
+const knowledgeAddFolderBtn = document.getElementById('knowledgeAddFolder');
+const knowledgeAddFilesBtn = document.getElementById('knowledgeAddFiles');
+const knowledgeFolderInput = document.getElementById('knowledgeFolderInput');
+const knowledgeFileInput = document.getElementById('knowledgeFileInput');
+const knowledgeStatusEl = document.getElementById('knowledgeStatus');
+const knowledgeListEl = document.getElementById('knowledgeList');
+const sourceModal = document.getElementById('sourceModal');
+const sourceClose = document.getElementById('sourceClose');
+const sourceTitleEl = document.getElementById('sourceTitle');
+const sourceNoteEl = document.getElementById('sourceNote');
+const sourceTextEl = document.getElementById('sourceText');
+let addingDocuments = false;
+
+function setKnowledgeStatus(text){ if(knowledgeStatusEl) knowledgeStatusEl.textContent = text; }
+
+function describeDocument(doc){
+  const bits = [`${doc.chunks} ${doc.chunks === 1 ? 'passage' : 'passages'}`];
+  bits.push(doc.embeddingModel ? 'keyword and meaning search' : 'keyword search');
+  if(doc.truncated) bits.push('only the start was read');
+  return bits.join(' · ');
+}
+
+function renderKnowledgeList(){
+  if(!knowledgeListEl) return;
+  knowledgeListEl.innerHTML = '';
+  for(const doc of knowledge.list()){
+    const item = document.createElement('li');
+    const name = document.createElement('span');
+    name.className = 'knowledge-name';
+    name.textContent = doc.path;
+    const meta = document.createElement('span');
+    meta.className = 'muted';
+    meta.textContent = describeDocument(doc);
+    name.appendChild(meta);
+    const remove = actionButton('Remove', `Remove ${doc.path}`, async () => {
+      await knowledge.remove(doc.id);
+      renderKnowledgeList();
+    });
+    item.append(name, remove);
+    knowledgeListEl.appendChild(item);
+  }
+}
+
+// The text of a PDF for the knowledge base. The proxy has no PDF parser,
+// so a model that reads PDFs transcribes it.
+async function readPdfText(file){
+  const { attachment, error } = await readAttachment(file);
+  if(error) throw new Error(error);
+  const reader = modelChoices.find(c => c.multimodal && c.speed === 'fast') || modelChoices.find(c => c.multimodal);
+  if(!reader) throw new Error('no model on this server can read PDFs');
+  const result = await postChat({
+    provider: reader.provider,
+    model: reader.id,
+    messages: [{ role: 'user', parts: [{ inlineData: { mimeType: attachment.mimeType, data: attachment.data } }, { text: PDF_TEXT_PROMPT }] }]
+  });
+  return { text: result.text || '', truncated: result.finishReason === 'length' };
+}
+
+// Adds the Markdown, text and PDF files among `files` (a folder's files
+// come with their path in it) one at a time, and skips the rest.
+async function addDocuments(files){
+  const all = Array.from(files || []);
+  const chosen = all.filter(isKnowledgeFile);
+  if(!chosen.length){
+    setKnowledgeStatus(all.length ? 'None of these are Markdown, text or PDF files.' : '');
+    return;
+  }
+  if(addingDocuments) return;
+  addingDocuments = true;
+  let added = 0;
+  const problems = [];
+  try{
+    for(const [i, file] of chosen.entries()){
+      const path = file.webkitRelativePath || file.name;
+      setKnowledgeStatus(`Adding ${path} (${i + 1} of ${chosen.length})…`);
+      try{
+        const pdf = /\.pdf$/i.test(file.name);
+        const { text, truncated } = pdf ? await readPdfText(file) : { text: await readFileText(file), truncated: false };
+        const result = await knowledge.add({ name: file.name, path, type: pdf ? 'application/pdf' : 'text/plain', text, truncated });
+        if(result.error) problems.push(result.error);
+        else added++;
+      }catch(e){
+        problems.push(`${path} could not be read${e && e.message ? `: ${e.message}` : ''}.`);
+      }
+      renderKnowledgeList();
+    }
+  }finally{
+    addingDocuments = false;
+  }
+  const skipped = all.length - chosen.length;
+  setKnowledgeStatus([
+    `Added ${added} of ${chosen.length} ${chosen.length === 1 ? 'document' : 'documents'}.`,
+    skipped ? `Skipped ${skipped} other ${skipped === 1 ? 'file' : 'files'}.` : '',
+    ...problems
+  ].filter(Boolean).join(' '));
+}
+
+function showKnowledge(){
+  if(!knowledgeModal) return;
+  if(knowledgeEnabledEl) knowledgeEnabledEl.checked = knowledgeSettings.enabled;
+  if(!addingDocuments) setKnowledgeStatus(knowledge.persistent ? '' : 'This browser cannot store documents; they are kept until the page is closed.');
+  renderKnowledgeList();
+  knowledgeModal.setAttribute('aria-hidden','false');
+}
+function hideKnowledge(){ if(knowledgeModal) knowledgeModal.setAttribute('aria-hidden','true'); }
+
+// Opened from a citation in a reply. The excerpt is stored with the reply,
+// so it still shows after its document has been removed.
+function showSource(source){
+  if(!sourceModal) return;
+  if(sourceTitleEl) sourceTitleEl.textContent = `[${source.n}] ${source.title}`;
+  const gone = !knowledge.list().some(d => d.id === source.documentId);
+  if(sourceNoteEl) sourceNoteEl.textContent = gone ? 'This document has since been removed from your documents.' : 'The passage sent along with your message:';
+  if(sourceTextEl) sourceTextEl.textContent = source.text;
+  sourceModal.setAttribute('aria-hidden','false');
+}
+function hideSource(){ if(sourceModal) sourceModal.setAttribute('aria-hidden','true'); }
+
+if(knowledgeBtn) knowledgeBtn.addEventListener('click', showKnowledge);
+if(knowledgeClose) knowledgeClose.addEventListener('click', hideKnowledge);
+if(sourceClose) sourceClose.addEventListener('click', hideSource);
+if(knowledgeEnabledEl){
+  knowledgeEnabledEl.addEventListener('change', () => {
+    knowledgeSettings.enabled = knowledgeEnabledEl.checked;
+    saveKnowledgeSettings(knowledgeSettings);
+  });
+}
+for(const [btn, picker] of [[knowledgeAddFolderBtn, knowledgeFolderInput], [knowledgeAddFilesBtn, knowledgeFileInput]]){
+  if(!btn || !picker) continue;
+  btn.addEventListener('click', () => picker.click());
+  picker.addEventListener('change', async () => {
+    const files = Array.from(picker.files || []);
+    picker.value = '';
+    await addDocuments(files);
+  });
+}
+
+const toolsBtn = document.getElementById('toolsBtn');
+const toolsModal = document.getElementById('toolsModal');
+const toolsClose = document.getElementById('toolsClose');
+const toolListEl = document.getElementById('toolList');
+
+function enabledToolNames(){
+  return toolRegistry.list().filter(t => toolSettings[t.name] && toolSettings[t.name].enabled).map(t => t.name);
+}
+
+function toolCheckbox(label, checked, onChange){
+  const wrap = document.createElement('label');
+  const box = document.createElement('input');
+  box.type = 'checkbox';
+  box.checked = checked;
+  box.addEventListener('change', () => onChange(box.checked));
+  wrap.append(box, ` ${label}`);
+  return wrap;
+}
+
+function renderToolList(){
+  if(!toolListEl) return;
+  toolListEl.innerHTML = '';
+  for(const tool of toolRegistry.list()){
+    const settings = toolSettings[tool.name];
+    const item = document.createElement('li');
+    const name = document.createElement('strong');
+    name.textContent = tool.label;
+    const about = document.createElement('p');
+    about.className = 'muted';
+    about.textContent = tool.description;
+    const ask = toolCheckbox('Ask first', settings.ask, (on) => { settings.ask = on; saveToolSettings(toolSettings); });
+    const enabled = toolCheckbox('On', settings.enabled, (on) => {
+      settings.enabled = on;
+      ask.querySelector('input').disabled = !on;
+      saveToolSettings(toolSettings);
+    });
+    ask.querySelector('input').disabled = !settings.enabled;
+    const options = document.createElement('div');
+    options.className = 'tool-options';
+    options.append(enabled, ask);
+    item.append(name, about, options);
+    toolListEl.appendChild(item);
+  }
+}
+function showTools(){
+  if(!toolsModal) return;
+  renderToolList();
+  toolsModal.setAttribute('aria-hidden','false');
+}
+function hideTools(){ if(toolsModal) toolsModal.setAttribute('aria-hidden','true'); }
+
+if(toolsBtn) toolsBtn.addEventListener('click', showTools);
+if(toolsClose) toolsClose.addEventListener('click', hideTools);
+
 function showAbout(){ if(aboutModal) aboutModal.setAttribute('aria-hidden','false'); }
 function hideAbout(){ if(aboutModal) aboutModal.setAttribute('aria-hidden','true'); }
 function showLimitModal(message, onSwitch){
@@ -534,35 +2072,66 @@ function showLimitModal(message, onSwitch){
 if(aboutBtn) aboutBtn.addEventListener('click', showAbout);
 if(aboutClose) aboutClose.addEventListener('click', hideAbout);
 
-try{
-  if(modelSelectEl){
-    modelChoices.forEach((m, idx) => {
-      const opt = document.createElement('option');
-      opt.value = m.id;
-      opt.textContent = m.alias;
-      if(idx === selectedModelIndex) opt.selected = true;
-      modelSelectEl.appendChild(opt);
-    });
-    modelSelectEl.addEventListener('change', ()=>{
-      const id = modelSelectEl.value;
-      const idx = modelChoices.findIndex(c => c.id === id);
-      if(idx >= 0) selectedModelIndex = idx;
-    });
+function choiceKey(c){ return `${c.provider}:${c.id}`; }
+
+function renderModelOptions(){
+  if(!modelSelectEl) return;
+  modelSelectEl.innerHTML = '';
+  const providers = [...new Set(modelChoices.map(c => c.provider))];
+  const groups = new Map();
+  if(providers.length > 1){
+    for(const id of providers){
+      const group = document.createElement('optgroup');
+      group.label = modelChoices.find(c => c.provider === id).providerLabel || id;
+      groups.set(id, group);
+      modelSelectEl.appendChild(group);
+    }
   }
-}catch(e){}
+  modelChoices.forEach((m, idx) => {
+    const opt = document.createElement('option');
+    opt.value = choiceKey(m);
+    opt.textContent = m.label;
+    if(idx === selectedModelIndex) opt.selected = true;
+    (groups.get(m.provider) || modelSelectEl).appendChild(opt);
+  });
+}
+
+renderModelOptions();
+if(modelSelectEl){
+  modelSelectEl.addEventListener('change', ()=>{
+    const idx = modelChoices.findIndex(c => choiceKey(c) === modelSelectEl.value);
+    if(idx >= 0) selectedModelIndex = idx;
+  });
+}
 
 function updateModelBadge(){
-  try{ if(modelBadgeEl) modelBadgeEl.textContent = modelChoices[selectedModelIndex].alias; }catch(_){ }
+  try{ if(modelBadgeEl) modelBadgeEl.textContent = modelChoices[selectedModelIndex].label; }catch(_){ }
   try{
     if(modelSelectEl){
-      modelSelectEl.value = modelChoices[selectedModelIndex].id;
+      modelSelectEl.value = choiceKey(modelChoices[selectedModelIndex]);
       const opts = Array.from(modelSelectEl.options || []);
-      const idx = opts.findIndex(o => o.value === modelChoices[selectedModelIndex].id);
+      const idx = opts.findIndex(o => o.value === choiceKey(modelChoices[selectedModelIndex]));
       if(idx >= 0) modelSelectEl.selectedIndex = idx;
     }
   }catch(_){ }
 }
 
+const SPEED_LABELS = { fast: 'Fast', balanced: 'Balanced', quality: 'Best quality' };
+
+function formatContextWindow(tokens){
+  if(tokens >= 1000000) return `${Math.round(tokens / 104857.6) / 10}M`;
+  if(tokens >= 1000) return `${Math.round(tokens / 1024)}K`;
+  return String(tokens);
+}
+
+function describeModel(m){
+  const bits = [SPEED_LABELS[m.speed] || m.speed];
+  if(m.contextWindow) bits.push(`${formatContextWindow(m.contextWindow)} context`);
+  bits.push(m.multimodal ? 'images & PDFs' : 'text only');
+  if(m.tools) bits.push('tools');
+  return bits.join(' · ');
+}
+
 function showModelModal(){
   if(!modelModalEl || !modelListEl) return;
   modelModalEl.setAttribute('aria-hidden','false');
@@ -573,7 +2142,12 @@ function showModelModal(){
     btn.className = 'btn';
     btn.style.textAlign = 'left';
     btn.style.width = '100%';
-    btn.textContent = m.alias;
+    const name = document.createElement('span');
+    name.textContent = m.provider === 'gemini' ? m.label : `${m.label} · ${m.providerLabel || m.provider}`;
+    const meta = document.createElement('span');
+    meta.className = 'model-option-meta';
+    meta.textContent = describeModel(m);
+    btn.append(name, meta);
     if(idx === selectedModelIndex) btn.classList.add('active');
     btn.addEventListener('click', ()=>{
       selectedModelIndex = idx;
@@ -589,17 +2163,32 @@ function hideModelModal(){ if(modelModalEl) modelModalEl.setAttribute('aria-hidd
 if(modelBadgeEl){ modelBadgeEl.addEventListener('click', showModelModal); }
 if(modelModalClose){ modelModalClose.addEventListener('click', hideModelModal); }
 updateModelBadge();
+updateCompareButton();
 
 try{
-  const hist = loadHistory();
-  if(Array.isArray(hist) && hist.length){
-    for(const m of hist){
-      try{
-        const role = (m.role === 'assistant') ? 'assistant' : 'user';
-        const bubble = createBubble(role, m.text || '');
-        messagesEl.appendChild(bubble);
-      }catch(_){ }
-    }
-    scrollToBottom();
-  }
+  renderConversation();
+  renderConversationList();
+  if(!conversations.persistent) showToast('This browser cannot store chats — history will be lost on reload.', 4000);
+  flushOutbox();
 }catch(e){}
+
+// A new version was deployed: offer a reload, but not in the middle of a
+// reply.
+const updateBannerEl = document.getElementById('updateBanner');
+const updateReloadBtn = document.getElementById('updateReload');
+let applyUpdate = null;
+
+function showUpdateBanner(apply){
+  applyUpdate = apply;
+  if(updateBannerEl) updateBannerEl.hidden = false;
+}
+
+if(updateReloadBtn){
+  updateReloadBtn.addEventListener('click', () => {
+    if(!applyUpdate || replyInProgress()) return;
+    updateReloadBtn.disabled = true;
+    applyUpdate();
+  });
+}
+
+registerServiceWorker('/sw.js', { onUpdate: showUpdateBanner });
@@ -0,0 +1,19 @@
+// Prints a password hash for an AUTH_USERS entry.
+// Usage: node scripts/hash-password.mjs <password>
+// With no argument the password is read from stdin, which keeps it out of
+// the shell history: `read -s PW; echo "$PW" | node scripts/hash-password.mjs`
+
+import { hashPassword } from '../api/_lib/auth/secrets.js';
+
+async function readStdin() {
+  let data = '';
+  for await (const chunk of process.stdin) data += chunk;
+  return data.replace(/\r?\n$/, '');
+}
+
+const password = process.argv[2] !== undefined ? process.argv[2] : await readStdin();
+if (!password) {
+  console.error('Usage: node scripts/hash-password.mjs <password>');
+  process.exit(1);
+}
+console.log(await hashPassword(password));
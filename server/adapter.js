@@ -0,0 +1,101 @@
+import { sendError } from '../api/_lib/errors.js';
+import { log, startRequest } from '../api/_lib/log.js';
+
+// Runs the Vercel route handlers in api/ on a plain Node request. Before
+// the handler is called, the request gets what Vercel's Node runtime adds:
+//   req.query   the query string, with repeated keys as arrays
+//   req.body    JSON, form or text bodies parsed by Content-Type; other
+//               types as a Buffer; undefined when empty
+//   res.status(code), res.json(value), res.send(body)
+// Bodies over `bodyLimit` bytes and malformed JSON are refused here, in the
+// error contract, before the handler runs.
+
+function parseQuery(searchParams) {
+  const query = {};
+  for (const [key, value] of searchParams) {
+    query[key] = Object.hasOwn(query, key) ? [].concat(query[key], value) : value;
+  }
+  return query;
+}
+
+// Resolves to the body as a Buffer, or null when it is over `limit`. The
+// rest of an oversized body is read and dropped so the error still reaches
+// the client.
+async function readBody(req, limit) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size <= limit) chunks.push(chunk);
+  }
+  return size > limit ? null : Buffer.concat(chunks);
+}
+
+function parseBody(buffer, contentType) {
+  if (!buffer.length) return undefined;
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (type === 'application/json' || type.endsWith('+json')) return JSON.parse(buffer.toString('utf8'));
+  if (type === 'application/x-www-form-urlencoded') return parseQuery(new URLSearchParams(buffer.toString('utf8')));
+  if (type.startsWith('text/')) return buffer.toString('utf8');
+  return buffer;
+}
+
+function addResponseHelpers(res) {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (value) => {
+    if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(value));
+    return res;
+  };
+  res.send = (body) => {
+    if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) return res.json(body);
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', Buffer.isBuffer(body) ? 'application/octet-stream' : 'text/plain; charset=utf-8');
+    }
+    res.end(body);
+    return res;
+  };
+}
+
+// Handlers start the request's trace themselves. A request answered here
+// instead gets one first, so it still has its X-Request-Id and access log
+// line, named after the route it was meant for.
+function refuse(req, res, url, code, options) {
+  if (!res.getHeader('X-Request-Id')) startRequest(req, res, url.pathname.replace(/^\/api\/?/, '').replace(/\/+$/, '') || 'api');
+  return sendError(res, code, options);
+}
+
+export async function runHandler(handler, req, res, url, { bodyLimit }) {
+  addResponseHelpers(res);
+  req.query = parseQuery(url.searchParams);
+
+  if (Number(req.headers['content-length']) > bodyLimit) {
+    res.setHeader('Connection', 'close');
+    return refuse(req, res, url, 'PAYLOAD_TOO_LARGE', { error: `Request body is larger than ${bodyLimit} bytes` });
+  }
+  let buffer;
+  try {
+    buffer = await readBody(req, bodyLimit);
+  } catch (err) {
+    // The client went away partway through the body; nobody is left to answer.
+    if (req.aborted || req.destroyed) return;
+    throw err;
+  }
+  if (!buffer) return refuse(req, res, url, 'PAYLOAD_TOO_LARGE', { error: `Request body is larger than ${bodyLimit} bytes` });
+  try {
+    req.body = parseBody(buffer, req.headers['content-type']);
+  } catch (err) {
+    return refuse(req, res, url, 'BAD_REQUEST', { error: 'Bad request: invalid JSON body' });
+  }
+
+  try {
+    await handler(req, res);
+  } catch (err) {
+    (req.log || log).error('route handler failed', { path: url.pathname, err });
+    if (!res.headersSent) refuse(req, res, url, 'INTERNAL', { error: 'Request failed' });
+    else res.end();
+  }
+}
@@ -0,0 +1,114 @@
+import http from 'node:http';
+import { readdir } from 'node:fs/promises';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { join, relative, sep } from 'node:path';
+import { runHandler } from './adapter.js';
+import { serveStatic } from './static.js';
+import { sendError } from '../api/_lib/errors.js';
+import { log, startRequest } from '../api/_lib/log.js';
+
+// The app and its API on one Node HTTP server. Every api/**/*.js file is a
+// route at the same path without ".js", as on Vercel, and _-prefixed files
+// and folders are not; everything else is a static file of the app.
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const API_DIR = join(ROOT, 'api');
+
+async function findRoutes(dir) {
+  const routes = {};
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('_') || entry.name.startsWith('.')) continue;
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      Object.assign(routes, await findRoutes(path));
+    } else if (entry.name.endsWith('.js')) {
+      const route = '/' + relative(ROOT, path).split(sep).join('/').replace(/\.js$/, '');
+      const mod = await import(pathToFileURL(path).href);
+      if (typeof mod.default === 'function') routes[route] = mod.default;
+      else log.warn('skipping API file without a default export', { file: relative(ROOT, path) });
+    }
+  }
+  return routes;
+}
+
+function notFound(req, res) {
+  startRequest(req, res, 'not_found');
+  return sendError(res, 'NOT_FOUND', { error: `No route at ${req.url.split('?')[0]}` });
+}
+
+function securityHeaders(config) {
+  const headers = {
+    'Content-Security-Policy': config.contentSecurityPolicy,
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'Referrer-Policy': 'strict-origin-when-cross-origin',
+    'Cross-Origin-Opener-Policy': 'same-origin',
+    'Permissions-Policy': 'camera=(), microphone=(), geolocation=()'
+  };
+  if (config.hsts) headers['Strict-Transport-Security'] = 'max-age=31536000; includeSubDomains';
+  return headers;
+}
+
+// Resolves to { server, routes, close() }. The server is not listening yet.
+// close() stops taking requests and resolves once the open ones are done,
+// or after config.shutdownTimeout seconds, when the connections left open
+// (long streams, mostly) are cut.
+export async function createApp(config) {
+  const routes = await findRoutes(API_DIR);
+  const headers = Object.entries(securityHeaders(config));
+  const inFlight = new Set();
+  let closing = null;
+
+  const server = http.createServer(async (req, res) => {
+    for (const [name, value] of headers) res.setHeader(name, value);
+    if (closing) res.setHeader('Connection', 'close');
+    inFlight.add(res);
+    res.once('close', () => inFlight.delete(res));
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (e) {
+      res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+      return res.end('Bad request');
+    }
+    const path = url.pathname.replace(/\/+$/, '') || '/';
+    if (path === '/api' || path.startsWith('/api/')) {
+      const handler = routes[path] || notFound;
+      return runHandler(handler, req, res, url, config).catch(err => {
+        log.error('API request failed', { path: url.pathname, err });
+        if (!res.headersSent && !res.destroyed) res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end();
+      });
+    }
+    try {
+      await serveStatic(req, res, ROOT, url.pathname, config);
+    } catch (err) {
+      log.error('static file failed', { path: url.pathname, err });
+      if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end();
+    }
+  });
+
+  function close() {
+    if (closing) return closing;
+    // Keep-alive connections end with the response each is working on.
+    for (const res of inFlight) {
+      if (!res.headersSent) res.setHeader('Connection', 'close');
+    }
+    closing = new Promise(resolve => {
+      const timer = setTimeout(() => {
+        log.warn('shutdown timeout reached; closing open connections', { seconds: config.shutdownTimeout });
+        server.closeAllConnections();
+      }, config.shutdownTimeout * 1000);
+      timer.unref();
+      server.close(() => {
+        clearTimeout(timer);
+        resolve();
+      });
+      server.closeIdleConnections();
+    });
+    return closing;
+  }
+
+  return { server, routes, close };
+}
@@ -0,0 +1,100 @@
+import { readFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+
+// Settings for the self-hosted server (server/index.js). Each one comes
+// from its environment variable, else from the config file, else from the
+// defaults below.
+//
+// The config file is JSON, named by `--config <path>` or CELEBRA_CONFIG,
+// or celebra.config.json in the working directory when there is one:
+//   { "port": 8080, "hsts": true, "env": { "GEMINI_API_KEY": "...", "RATE_LIMIT_STORE": "file" } }
+// `env` holds the variables the routes read, the same ones set on Vercel;
+// one that is already set in the environment is left as it is.
+
+const DEFAULT_CONFIG_FILE = 'celebra.config.json';
+
+export const DEFAULT_CSP = [
+  "default-src 'self'",
+  "script-src 'self'",
+  // index.html and the client set inline style attributes.
+  "style-src 'self' 'unsafe-inline'",
+  // Attachments are previewed from data: URLs and exports are downloaded
+  // from blob: URLs.
+  "img-src 'self' data: blob:",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "base-uri 'none'",
+  "form-action 'self'",
+  "frame-ancestors 'none'"
+].join('; ');
+
+// setting: [environment variable, type, default]
+const SETTINGS = {
+  port: ['PORT', 'port', 3000],
+  host: ['HOST', 'string', null],
+  bodyLimit: ['BODY_LIMIT', 'bytes', 5 * 1024 * 1024],
+  shutdownTimeout: ['SHUTDOWN_TIMEOUT', 'seconds', 10],
+  staticMaxAge: ['STATIC_MAX_AGE', 'seconds', 0],
+  hsts: ['HSTS', 'boolean', false],
+  contentSecurityPolicy: ['CONTENT_SECURITY_POLICY', 'string', DEFAULT_CSP]
+};
+
+function readSetting(name, type, raw) {
+  if (type === 'string') {
+    if (typeof raw === 'string') return raw;
+  } else if (type === 'boolean') {
+    if (raw === true || raw === 'true') return true;
+    if (raw === false || raw === 'false') return false;
+  } else {
+    const n = typeof raw === 'string' && /^\d+$/.test(raw) ? Number(raw) : raw;
+    if (Number.isInteger(n) && n >= 0 && (type !== 'port' || n <= 65535)) return n;
+  }
+  throw new Error(`Invalid ${name} setting: ${JSON.stringify(raw)}`);
+}
+
+function configPath(argv, env) {
+  const i = argv.indexOf('--config');
+  if (i >= 0) {
+    if (!argv[i + 1]) throw new Error('--config needs a path');
+    return { path: argv[i + 1], required: true };
+  }
+  if (env.CELEBRA_CONFIG) return { path: env.CELEBRA_CONFIG, required: true };
+  return { path: DEFAULT_CONFIG_FILE, required: false };
+}
+
+async function readConfigFile({ path, required }) {
+  let text;
+  try {
+    text = await readFile(resolve(path), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT' && !required) return { file: null, values: {} };
+    throw new Error(`Cannot read config file ${path}: ${err.message}`);
+  }
+  let values;
+  try {
+    values = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Config file ${path} is not valid JSON: ${err.message}`);
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) throw new Error(`Config file ${path} must hold a JSON object`);
+  return { file: path, values };
+}
+
+// Resolves to the settings plus `file`, the config file that was read (or
+// null). Copies the file's `env` into `env` first, so the routes see it.
+// Throws with a message for the operator when a setting is invalid.
+export async function loadConfig(argv = process.argv.slice(2), env = process.env) {
+  const { file, values } = await readConfigFile(configPath(argv, env));
+  if (values.env !== undefined) {
+    if (!values.env || typeof values.env !== 'object' || Array.isArray(values.env)) throw new Error('"env" in the config file must be an object');
+    for (const [key, value] of Object.entries(values.env)) {
+      if (env[key] === undefined) env[key] = String(value);
+    }
+  }
+  const config = { file };
+  for (const [name, [variable, type, fallback]] of Object.entries(SETTINGS)) {
+    const raw = env[variable] !== undefined && env[variable] !== '' ? env[variable] : values[name];
+    config[name] = raw === undefined || raw === null ? fallback : readSetting(name, type, raw);
+  }
+  return config;
+}
@@ -0,0 +1,46 @@
+// Runs Celebra without Vercel: `npm start`, or `node server/index.js
+// [--config <path>]`. Settings are described in server/config.js.
+// SIGTERM or SIGINT stops taking requests and exits once the open ones are
+// done; a second signal exits at once.
+
+import { loadConfig } from './config.js';
+import { createApp } from './app.js';
+import { log } from '../api/_lib/log.js';
+
+let config;
+try {
+  config = await loadConfig();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const app = await createApp(config);
+
+app.server.on('error', (err) => {
+  log.error('server failed', { err });
+  process.exit(1);
+});
+
+app.server.listen(config.port, config.host || undefined, () => {
+  const { address, port } = app.server.address();
+  log.info('server listening', { address, port, config: config.file, routes: Object.keys(app.routes) });
+});
+
+let stopping = false;
+
+function shutdown(signal) {
+  if (stopping) {
+    log.warn('second signal; exiting now', { signal });
+    process.exit(1);
+  }
+  stopping = true;
+  log.info('shutting down', { signal });
+  app.close().then(() => {
+    log.info('server stopped');
+    process.exit(0);
+  });
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,86 @@
+import { createReadStream } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import { extname, join, posix, sep } from 'node:path';
+
+// The files of the app itself. Only these are served, so the server's own
+// code, api/, config files and .data/ never are. A new page or asset
+// directory has to be added here.
+const PUBLIC_FILES = ['index.html', 'share.html', 'script.js', 'style.css', 'sw.js', 'manifest.webmanifest'];
+const PUBLIC_DIRS = ['js', 'shared', 'icons'];
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+// The file under `root` for a URL path, or null when the path is not part
+// of the app. "/" is index.html.
+export function publicFile(root, pathname) {
+  let path;
+  try {
+    path = decodeURIComponent(pathname);
+  } catch (e) {
+    return null;
+  }
+  if (path.includes('\0') || path.includes('\\')) return null;
+  path = posix.normalize(path).replace(/^\/+/, '');
+  if (path === '' || path === '.') path = 'index.html';
+  const segments = path.split('/');
+  if (segments.some(s => s === '..' || s.startsWith('.'))) return null;
+  const listed = segments.length === 1 ? PUBLIC_FILES.includes(path) : PUBLIC_DIRS.includes(segments[0]);
+  if (!listed || !MIME_TYPES[extname(path)]) return null;
+  return join(root, ...segments);
+}
+
+// HTML and the service worker are always revalidated, so a deploy shows up
+// on the next load. Other files are cached for `maxAge` seconds, and
+// revalidated after that; their names carry no version, so the default is 0.
+function cacheControl(file, maxAge) {
+  if (extname(file) === '.html' || file.endsWith(`${sep}sw.js`) || !maxAge) return 'no-cache';
+  return `public, max-age=${maxAge}`;
+}
+
+export async function serveStatic(req, res, root, pathname, { staticMaxAge }) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { Allow: 'GET, HEAD', 'Content-Type': 'text/plain; charset=utf-8' });
+    return res.end('Method not allowed');
+  }
+  const file = publicFile(root, pathname);
+  let info = null;
+  if (file) {
+    try {
+      info = await stat(file);
+    } catch (e) {}
+  }
+  if (!info || !info.isFile()) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-cache' });
+    return res.end('Not found');
+  }
+
+  const etag = `W/"${info.size.toString(16)}-${Math.floor(info.mtimeMs).toString(16)}"`;
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', info.mtime.toUTCString());
+  res.setHeader('Cache-Control', cacheControl(file, staticMaxAge));
+  const ifNoneMatch = req.headers['if-none-match'];
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+  const fresh = ifNoneMatch
+    ? ifNoneMatch.split(',').some(tag => tag.trim() === etag || tag.trim() === '*')
+    : ifModifiedSince >= Math.floor(info.mtimeMs / 1000) * 1000;
+  if (fresh) {
+    res.statusCode = 304;
+    return res.end();
+  }
+
+  res.writeHead(200, { 'Content-Type': MIME_TYPES[extname(file)], 'Content-Length': info.size });
+  if (req.method === 'HEAD') return res.end();
+  const stream = createReadStream(file);
+  stream.on('error', () => res.destroy());
+  stream.pipe(res);
+}
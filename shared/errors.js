@@ -0,0 +1,81 @@
+// The error contract between the proxy and the browser. Every error the
+// proxy answers with, as a JSON body or as the data of an SSE "error" event,
+// has the shape
+//   { error, code, userMessage, retryable, retryAfter, requestId, detail? }
+// `code` is one of ERROR_CODES and is what the client acts on; `error` is a
+// short technical summary and `userMessage` the text to show. `retryable`
+// says whether sending the same request again later may work, and
+// `retryAfter` (seconds or null) how long to wait first. `detail` holds the
+// upstream's own error and is only sent when EXPOSE_UPSTREAM_ERRORS=true.
+
+export const ERROR_CODES = {
+  BAD_REQUEST: { status: 400, retryable: false, userMessage: 'The request was not accepted. Check your message and settings, then try again.' },
+  INVALID_ARGUMENT: { status: 400, retryable: false, userMessage: 'The model rejected this request. Try a shorter message, fewer attachments or different settings.' },
+  PAYLOAD_TOO_LARGE: { status: 413, retryable: false, userMessage: 'The attachments are too large. Remove some and try again.' },
+  UNSUPPORTED_MEDIA: { status: 415, retryable: false, userMessage: 'This model cannot read one of the attachments. Remove it or choose another model.' },
+  SAFETY_BLOCKED: { status: 422, retryable: false, userMessage: 'The reply was blocked by the model\'s safety filters. Try rephrasing your message.' },
+  UNAUTHENTICATED: { status: 401, retryable: false, userMessage: 'Please sign in to continue.' },
+  FORBIDDEN: { status: 403, retryable: false, userMessage: 'You are not allowed to do that.' },
+  MODEL_NOT_ALLOWED: { status: 403, retryable: false, userMessage: 'Your API key cannot use this model. Choose a different model.' },
+  ORIGIN_NOT_ALLOWED: { status: 403, retryable: false, userMessage: 'This site is not allowed to use the server.' },
+  NOT_FOUND: { status: 404, retryable: false, userMessage: 'That was not found on the server.' },
+  METHOD_NOT_ALLOWED: { status: 405, retryable: false, userMessage: 'The server does not accept this kind of request here.' },
+  QUOTA_EXCEEDED: { status: 429, retryable: true, userMessage: 'You have reached this server\'s request limit.' },
+  MODEL_QUOTA_EXCEEDED: { status: 429, retryable: true, userMessage: 'This model is busy on this server. Try another model or wait a little.' },
+  RATE_LIMITED: { status: 429, retryable: true, userMessage: 'The model\'s provider is rate limiting requests. Wait a little or choose another model.' },
+  OVERLOADED: { status: 503, retryable: true, userMessage: 'The model is overloaded right now. Try again shortly or choose another model.' },
+  UPSTREAM_TIMEOUT: { status: 504, retryable: true, userMessage: 'The model took too long to answer. Try again.' },
+  UPSTREAM_ERROR: { status: 502, retryable: true, userMessage: 'The model\'s provider had a problem. Try again.' },
+  UPSTREAM_AUTH: { status: 502, retryable: false, userMessage: 'The server\'s key for this model\'s provider was rejected. Ask the administrator to check it.' },
+  MODEL_NOT_FOUND: { status: 502, retryable: false, userMessage: 'This model is not available from its provider. Choose a different model.' },
+  NOT_CONFIGURED: { status: 503, retryable: false, userMessage: 'This server is not set up for that yet. Ask the administrator.' },
+  INTERNAL: { status: 500, retryable: true, userMessage: 'Something went wrong on the server. Try again.' }
+};
+
+// Upstream error codes (Gemini's google.rpc statuses, the codes and types of
+// OpenAI-compatible servers) in contract terms.
+const UPSTREAM_CODES = {
+  RESOURCE_EXHAUSTED: 'RATE_LIMITED',
+  rate_limit_exceeded: 'RATE_LIMITED',
+  insufficient_quota: 'RATE_LIMITED',
+  UNAVAILABLE: 'OVERLOADED',
+  overloaded_error: 'OVERLOADED',
+  DEADLINE_EXCEEDED: 'UPSTREAM_TIMEOUT',
+  INTERNAL: 'UPSTREAM_ERROR',
+  INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+  FAILED_PRECONDITION: 'INVALID_ARGUMENT',
+  OUT_OF_RANGE: 'INVALID_ARGUMENT',
+  invalid_request_error: 'INVALID_ARGUMENT',
+  context_length_exceeded: 'INVALID_ARGUMENT',
+  content_filter: 'SAFETY_BLOCKED',
+  content_policy_violation: 'SAFETY_BLOCKED',
+  UNAUTHENTICATED: 'UPSTREAM_AUTH',
+  PERMISSION_DENIED: 'UPSTREAM_AUTH',
+  invalid_api_key: 'UPSTREAM_AUTH',
+  authentication_error: 'UPSTREAM_AUTH',
+  NOT_FOUND: 'MODEL_NOT_FOUND',
+  model_not_found: 'MODEL_NOT_FOUND'
+};
+
+const UPSTREAM_STATUSES = {
+  400: 'INVALID_ARGUMENT',
+  401: 'UPSTREAM_AUTH',
+  403: 'UPSTREAM_AUTH',
+  404: 'MODEL_NOT_FOUND',
+  408: 'UPSTREAM_TIMEOUT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  503: 'OVERLOADED',
+  504: 'UPSTREAM_TIMEOUT'
+};
+
+// Maps an upstream failure to a contract code, from its error code when it
+// sent a known one and from its HTTP status otherwise.
+export function upstreamErrorCode(upstreamCode, status){
+  if(upstreamCode && Object.prototype.hasOwnProperty.call(UPSTREAM_CODES, upstreamCode)) return UPSTREAM_CODES[upstreamCode];
+  return UPSTREAM_STATUSES[status] || 'UPSTREAM_ERROR';
+}
+
+export function errorInfo(code){
+  return ERROR_CODES[code] || ERROR_CODES.INTERNAL;
+}
@@ -0,0 +1,137 @@
+// Mapping between Celebra's provider-neutral chat format and the Gemini
+// generateContent API. Used by the Gemini adapter in the proxy and by the
+// browser when USE_PROXY is off and it calls Google directly.
+//
+// Chat request:  { provider, model, system, messages, tools?, generationConfig, safetySettings? }
+//   messages:    [{ role: 'user' | 'assistant', parts: [part] }], a part being
+//                { text }, { inlineData: { mimeType, data } }, or for tool use
+//                { functionCall: { name, args }, thoughtSignature? } (assistant)
+//                and { functionResponse: { name, response } } (user)
+//   tools:       function declarations [{ name, description, parameters }],
+//                parameters being a JSON schema object as Gemini takes it
+//   safetySettings is Gemini's [{ category, threshold }], set by the proxy
+//   from its configuration; other providers ignore it.
+// Chat result:   { text, finishReason, usage: { inputTokens, outputTokens }, safety, citations, functionCalls }
+//   functionCalls lists the { name, args, thoughtSignature? } the model
+//   wants run before it answers; the caller sends them back as a
+//   functionCall part, then the results as functionResponse parts.
+//   finishReason is one of 'stop', 'length', 'safety', 'other' or null.
+//   safety is null, or { reason, categories } when the reply was blocked:
+//   reason is Gemini's block or finish reason (SAFETY, RECITATION, ...)
+//   and categories the short names of the harm categories that tripped it.
+//   citations is a list of { uri, title, license, startIndex, endIndex }.
+
+const GEMINI_FINISH_REASONS = {
+  STOP: 'stop',
+  MAX_TOKENS: 'length',
+  SAFETY: 'safety',
+  RECITATION: 'safety',
+  BLOCKLIST: 'safety',
+  PROHIBITED_CONTENT: 'safety',
+  SPII: 'safety',
+  IMAGE_SAFETY: 'safety'
+};
+
+export const SAFETY_THRESHOLDS = ['BLOCK_NONE', 'BLOCK_ONLY_HIGH', 'BLOCK_MEDIUM_AND_ABOVE', 'BLOCK_LOW_AND_ABOVE', 'OFF'];
+
+const SAFETY_CATEGORY = /^HARM_CATEGORY_[A-Z_]+$/;
+
+// Accepts Gemini's [{ category, threshold }] or a { category: threshold }
+// map. Returns the valid settings as a list, or null when there are none.
+export function normalizeSafetySettings(raw){
+  const pairs = Array.isArray(raw) ? raw.map(s => s && [s.category, s.threshold])
+    : (raw && typeof raw === 'object') ? Object.entries(raw) : [];
+  const out = [];
+  for(const pair of pairs){
+    if(!pair || !SAFETY_CATEGORY.test(pair[0]) || !SAFETY_THRESHOLDS.includes(pair[1])) continue;
+    if(!out.some(s => s.category === pair[0])) out.push({ category: pair[0], threshold: pair[1] });
+  }
+  return out.length ? out : null;
+}
+
+export function toGeminiBody({ system, messages, tools, generationConfig, safetySettings }){
+  const body = {
+    contents: (messages || []).map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: m.parts }))
+  };
+  if(system) body.systemInstruction = { parts: [{ text: system }] };
+  if(tools && tools.length) body.tools = [{ functionDeclarations: tools }];
+  if(generationConfig && Object.keys(generationConfig).length) body.generationConfig = generationConfig;
+  if(safetySettings && safetySettings.length) body.safetySettings = safetySettings;
+  return body;
+}
+
+export function mapGeminiFinishReason(reason){
+  if(!reason || reason === 'FINISH_REASON_UNSPECIFIED') return null;
+  return GEMINI_FINISH_REASONS[reason] || 'other';
+}
+
+// HARM_CATEGORY_HATE_SPEECH -> hate_speech
+function categoryName(category){
+  return String(category || '').replace(/^HARM_CATEGORY_/, '').toLowerCase();
+}
+
+// The categories behind a block: those Gemini marks as blocked, or else
+// those rated MEDIUM or HIGH.
+function blockedCategories(ratings){
+  if(!Array.isArray(ratings)) return [];
+  const blocked = ratings.filter(r => r && r.blocked);
+  const likely = blocked.length ? blocked : ratings.filter(r => r && (r.probability === 'HIGH' || r.probability === 'MEDIUM'));
+  return [...new Set(likely.map(r => categoryName(r.category)).filter(Boolean))];
+}
+
+// Gemini's API calls the list citationSources; Vertex AI calls it citations.
+function readCitations(cand){
+  const meta = cand && cand.citationMetadata;
+  const list = meta ? (meta.citationSources || meta.citations) : null;
+  if(!Array.isArray(list)) return [];
+  return list.filter(c => c && typeof c.uri === 'string' && /^https?:\/\//i.test(c.uri)).map(c => ({
+    uri: c.uri,
+    title: typeof c.title === 'string' ? c.title : null,
+    license: typeof c.license === 'string' && c.license ? c.license : null,
+    startIndex: Number.isInteger(c.startIndex) ? c.startIndex : null,
+    endIndex: Number.isInteger(c.endIndex) ? c.endIndex : null
+  }));
+}
+
+// Adds `more` citations to `list`, one per source URI.
+export function mergeCitations(list, more){
+  for(const c of more || []){
+    if(!list.some(o => o.uri === c.uri)) list.push(c);
+  }
+  return list;
+}
+
+// Thinking models sign their function calls; the signature has to come
+// back with the call for the model to keep its reasoning.
+function readFunctionCalls(parts){
+  return parts.filter(p => p && p.functionCall && typeof p.functionCall.name === 'string').map(p => {
+    const args = p.functionCall.args;
+    const call = { name: p.functionCall.name, args: args && typeof args === 'object' && !Array.isArray(args) ? args : {} };
+    if(typeof p.thoughtSignature === 'string') call.thoughtSignature = p.thoughtSignature;
+    return call;
+  });
+}
+
+// Works for a full response and for a single streamed chunk; for chunks the
+// text is the delta, finishReason/usage appear on the last one and
+// citations and function calls on whichever chunks carry them.
+export function fromGeminiResponse(json){
+  const cand = json && Array.isArray(json.candidates) ? json.candidates[0] : null;
+  const parts = cand && cand.content && Array.isArray(cand.content.parts) ? cand.content.parts : [];
+  const text = parts.map(p => (p && typeof p.text === 'string' && !p.thought) ? p.text : '').join('');
+  let finishReason = mapGeminiFinishReason(cand && cand.finishReason);
+  let safety = null;
+  const feedback = json && json.promptFeedback;
+  if(!cand && feedback && feedback.blockReason){
+    finishReason = 'safety';
+    safety = { reason: feedback.blockReason, categories: blockedCategories(feedback.safetyRatings) };
+  } else if(finishReason === 'safety'){
+    safety = { reason: cand.finishReason, categories: blockedCategories(cand.safetyRatings) };
+  }
+  const meta = json && json.usageMetadata;
+  const usage = meta ? {
+    inputTokens: meta.promptTokenCount || 0,
+    outputTokens: (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0)
+  } : null;
+  return { text, finishReason, usage, safety, citations: readCitations(cand), functionCalls: readFunctionCalls(parts) };
+}
@@ -0,0 +1,64 @@
+// Request limits shared by the browser client (js/context.js) and the proxy
+// (api/gemini.js). Change them here so both sides stay in agreement.
+
+export const MAX_CONTENTS = 10;
+export const MAX_PART_CHARS = 8000;
+export const MAX_SYSTEM_INSTRUCTION_CHARS = 8000;
+
+// Attachments travel as base64 inlineData parts inside the JSON body, so the
+// decoded total per request stays under Vercel's 4.5 MB request body limit.
+export const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+export const MAX_INLINE_PARTS = 10;
+export const MAX_INLINE_DATA_BYTES = 3 * 1024 * 1024;
+export const INLINE_DATA_MIME_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/webp',
+  'image/heic',
+  'image/heif',
+  'application/pdf',
+  'text/plain'
+];
+
+export function base64Bytes(data){
+  const s = String(data || '');
+  const padding = s.endsWith('==') ? 2 : s.endsWith('=') ? 1 : 0;
+  return Math.max(0, Math.floor(s.length * 3 / 4) - padding);
+}
+
+// Function calling (js/tools.js). A tool's arguments and result travel as
+// JSON in functionCall and functionResponse parts; each counts against
+// MAX_PART_CHARS like a text part. Every tool round adds two messages, so
+// MAX_TOOL_ROUNDS rounds and the user's message fit in MAX_CONTENTS.
+export const MAX_TOOLS = 16;
+export const MAX_TOOL_DECLARATIONS_CHARS = 16000;
+export const MAX_TOOL_ROUNDS = 4;
+export const TOOL_NAME = /^[A-Za-z_][A-Za-z0-9_.-]{0,63}$/;
+
+export const DEFAULT_CHARS_PER_TOKEN = 4;
+
+// Token budget for the prompt we send to each model. These are cost and
+// latency budgets, well below the models' real context windows.
+export const MODEL_TOKEN_BUDGETS = {
+  'gemini-2.5-pro': 32000,
+  'gemini-2.5-flash': 24000,
+  'gemini-2.5-flash-lite': 16000,
+  'gemini-2.0-flash': 16000,
+  'gemini-2.0-flash-lite': 12000
+};
+export const DEFAULT_TOKEN_BUDGET = 12000;
+
+export const SUMMARY_MODEL = 'gemini-2.5-flash-lite';
+
+export function tokenBudgetFor(model){
+  return MODEL_TOKEN_BUDGETS[model] || DEFAULT_TOKEN_BUDGET;
+}
+
+// Compare mode (js/compare.js) sends one message to this many models at
+// once; the proxy accepts picks between as many (api/picks.js).
+export const MIN_COMPARE_MODELS = 2;
+export const MAX_COMPARE_MODELS = 3;
+
+// The local knowledge base (js/knowledge.js) embeds document chunks through
+// /api/embed at most this many at a time, each at most MAX_PART_CHARS.
+export const MAX_EMBED_TEXTS = 100;
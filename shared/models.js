@@ -0,0 +1,89 @@
+import { tokenBudgetFor } from './limits.js';
+import { normalizeSafetySettings } from './gemini-format.js';
+
+// Built-in model catalog, used by the proxy when no MODEL_CATALOG or
+// MODEL_CATALOG_FILE is configured and by the client in direct mode
+// (USE_PROXY = false), where there is no /api/models to ask.
+//
+// Each entry:
+//   id             model id sent to the provider
+//   provider       adapter id (api/_lib/providers)
+//   label          short name for the picker
+//   contextWindow  the model's real input limit, in tokens
+//   tokenBudget    how much of it the context builder may use per request
+//   multimodal     whether images and PDFs can be attached
+//   tools          whether the model can call tools (function calling);
+//                  defaults to true for Gemini models, false for others
+//   speed          'fast' | 'balanced' | 'quality'
+//   fallbackOrder  position in the default fallback chain of its provider
+//   fallbacks      models (same provider) to try, in order, when this one is
+//                  rate limited or overloaded; defaults to every model of
+//                  the provider with a higher fallbackOrder
+//   rateLimit      optional { max, window } quota for this model across all
+//                  users of the proxy, window in seconds
+//   price          optional { input, output } in US dollars per million
+//                  tokens, used to estimate cost in the usage dashboard
+//   safetySettings optional Gemini safety thresholds for this model, as
+//                  [{ category, threshold }] or { category: threshold };
+//                  they override GEMINI_SAFETY_SETTINGS per category
+
+export const SPEED_TIERS = ['fast', 'balanced', 'quality'];
+
+export const DEFAULT_MODEL = 'gemini-2.5-flash-lite';
+
+const GEMINI_CONTEXT_WINDOW = 1048576;
+
+export const DEFAULT_MODEL_CATALOG = [
+  { id: 'gemini-2.5-pro', provider: 'gemini', label: '2.5 Pro', contextWindow: GEMINI_CONTEXT_WINDOW, multimodal: true, speed: 'quality' },
+  { id: 'gemini-2.5-flash', provider: 'gemini', label: '2.5 Flash', contextWindow: GEMINI_CONTEXT_WINDOW, multimodal: true, speed: 'balanced' },
+  { id: 'gemini-2.5-flash-lite', provider: 'gemini', label: '2.5 Flash-Lite', contextWindow: GEMINI_CONTEXT_WINDOW, multimodal: true, speed: 'fast' },
+  { id: 'gemini-2.0-flash', provider: 'gemini', label: '2.0 Flash', contextWindow: GEMINI_CONTEXT_WINDOW, multimodal: true, speed: 'balanced' },
+  { id: 'gemini-2.0-flash-lite', provider: 'gemini', label: '2.0 Flash-Lite', contextWindow: GEMINI_CONTEXT_WINDOW, multimodal: true, speed: 'fast' }
+].map((m, i) => ({ ...m, tokenBudget: tokenBudgetFor(m.id), fallbackOrder: i }));
+
+// Fills in missing capabilities. A model the catalog knows nothing about is
+// assumed to be text-only, with the default token budget.
+export function normalizeModelEntry(entry, index = 0){
+  if(!entry || typeof entry !== 'object') return null;
+  if(typeof entry.id !== 'string' || !entry.id) return null;
+  const known = DEFAULT_MODEL_CATALOG.find(m => m.id === entry.id && m.provider === (entry.provider || 'gemini')) || {};
+  const out = {
+    id: entry.id,
+    provider: typeof entry.provider === 'string' && entry.provider ? entry.provider : 'gemini',
+    label: typeof entry.label === 'string' && entry.label.trim() ? entry.label.trim() : (known.label || entry.id),
+    contextWindow: positiveInt(entry.contextWindow) || known.contextWindow || null,
+    tokenBudget: positiveInt(entry.tokenBudget) || known.tokenBudget || tokenBudgetFor(entry.id),
+    multimodal: typeof entry.multimodal === 'boolean' ? entry.multimodal : !!known.multimodal,
+    tools: typeof entry.tools === 'boolean' ? entry.tools : (entry.provider || 'gemini') === 'gemini',
+    speed: SPEED_TIERS.includes(entry.speed) ? entry.speed : (known.speed || 'balanced'),
+    fallbackOrder: Number.isFinite(entry.fallbackOrder) ? entry.fallbackOrder : index,
+    fallbacks: Array.isArray(entry.fallbacks) ? entry.fallbacks.filter(id => typeof id === 'string') : null,
+    rateLimit: entry.rateLimit && positiveInt(entry.rateLimit.max) && positiveInt(entry.rateLimit.window)
+      ? { max: entry.rateLimit.max, window: entry.rateLimit.window } : null,
+    price: entry.price && nonNegative(entry.price.input) && nonNegative(entry.price.output)
+      ? { input: entry.price.input, output: entry.price.output } : null,
+    safetySettings: normalizeSafetySettings(entry.safetySettings)
+  };
+  if(out.contextWindow) out.tokenBudget = Math.min(out.tokenBudget, out.contextWindow);
+  return out;
+}
+
+// Resolves every entry's fallbacks to ids of other models of the same
+// provider that are actually in the list.
+export function withFallbackGraph(models){
+  return models.map(m => {
+    const peers = models.filter(o => o.provider === m.provider && o.id !== m.id);
+    const fallbacks = Array.isArray(m.fallbacks)
+      ? m.fallbacks.filter((id, i, all) => all.indexOf(id) === i && peers.some(o => o.id === id))
+      : peers.filter(o => o.fallbackOrder > m.fallbackOrder).sort((a, b) => a.fallbackOrder - b.fallbackOrder).map(o => o.id);
+    return { ...m, fallbacks };
+  });
+}
+
+function positiveInt(value){
+  return Number.isInteger(value) && value > 0 ? value : 0;
+}
+
+function nonNegative(value){
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
@@ -0,0 +1,89 @@
+// Response presets and the generation settings they control. Shared by the
+// browser (js/presets.js, the preset editor) and the proxy (api/gemini.js),
+// which validates every generationConfig against GENERATION_LIMITS.
+
+export const GENERATION_LIMITS = {
+  temperature: { min: 0, max: 2, step: 0.05 },
+  topP: { min: 0, max: 1, step: 0.01 },
+  topK: { min: 1, max: 100, step: 1, integer: true },
+  maxOutputTokens: { min: 1, max: 8192, step: 1, integer: true }
+};
+
+export const GENERATION_FIELDS = Object.keys(GENERATION_LIMITS);
+
+export const MAX_PRESET_INSTRUCTION_CHARS = 4000;
+export const MAX_PRESET_NAME_CHARS = 40;
+
+export const DEFAULT_PRESET_ID = 'balanced';
+
+// 2.5 models count their thinking tokens against maxOutputTokens, so keep
+// these budgets generous and steer length through the instruction instead.
+export const BUILTIN_PRESETS = [
+  {
+    id: 'balanced',
+    name: 'Balanced',
+    systemInstruction: 'You are Celebra, a friendly and knowledgeable assistant. Answer clearly and accurately, use Markdown where it helps readability, and ask a short clarifying question when a request is ambiguous.',
+    temperature: 0.7,
+    topP: 0.95,
+    topK: 40,
+    maxOutputTokens: 4096
+  },
+  {
+    id: 'creative',
+    name: 'Creative',
+    systemInstruction: 'You are Celebra, an imaginative assistant. Explore original ideas, vivid language and unexpected angles, while staying on topic and honest about facts.',
+    temperature: 1.2,
+    topP: 0.98,
+    topK: 64,
+    maxOutputTokens: 6144
+  },
+  {
+    id: 'precise',
+    name: 'Precise',
+    systemInstruction: 'You are Celebra, a careful technical assistant. Prefer correctness over fluency, state assumptions explicitly, show exact steps or code where relevant, and say so when you are unsure.',
+    temperature: 0.2,
+    topP: 0.8,
+    topK: 20,
+    maxOutputTokens: 4096
+  },
+  {
+    id: 'concise',
+    name: 'Concise',
+    systemInstruction: 'You are Celebra. Answer as briefly as possible: lead with the answer, use at most a few sentences or a short list, and skip preambles and recaps.',
+    temperature: 0.5,
+    topP: 0.9,
+    topK: 32,
+    maxOutputTokens: 2048
+  }
+];
+
+export function isBuiltinPreset(id){
+  return BUILTIN_PRESETS.some(p => p.id === id);
+}
+
+export function generationConfigFor(preset){
+  const config = {};
+  if(!preset) return config;
+  for(const key of GENERATION_FIELDS){
+    if(typeof preset[key] === 'number') config[key] = preset[key];
+  }
+  return config;
+}
+
+// Returns { config } with only the supported fields, or { error } naming the
+// first field that is unknown or out of range.
+export function validateGenerationConfig(input){
+  if(input === undefined || input === null) return { config: {} };
+  if(typeof input !== 'object' || Array.isArray(input)) return { error: 'generationConfig must be an object' };
+  const config = {};
+  for(const [key, value] of Object.entries(input)){
+    const limit = GENERATION_LIMITS[key];
+    if(!limit) return { error: `unsupported generationConfig field "${key}"` };
+    if(value === undefined || value === null) continue;
+    if(typeof value !== 'number' || !Number.isFinite(value)) return { error: `${key} must be a number` };
+    if(limit.integer && !Number.isInteger(value)) return { error: `${key} must be an integer` };
+    if(value < limit.min || value > limit.max) return { error: `${key} must be between ${limit.min} and ${limit.max}` };
+    config[key] = value;
+  }
+  return { config };
+}
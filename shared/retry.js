@@ -0,0 +1,59 @@
+// Retry timing shared by the proxy (which reads upstream hints) and the
+// client's fallback engine (js/fallback.js), which acts on them.
+
+// maxRetries     retries on the same model before falling back
+// baseDelayMs    first backoff step; each retry doubles it
+// maxDelayMs     longest wait spent on the same model; a longer Retry-After
+//                means falling back straight away
+// cooldownMs     how long a failed model is skipped when the error gave no
+//                Retry-After
+export const DEFAULT_RETRY_POLICY = {
+  maxRetries: 1,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  cooldownMs: 60000
+};
+
+const POLICY_LIMITS = {
+  maxRetries: [0, 5],
+  baseDelayMs: [0, 10000],
+  maxDelayMs: [0, 60000],
+  cooldownMs: [0, 3600000]
+};
+
+export function normalizeRetryPolicy(raw){
+  const out = { ...DEFAULT_RETRY_POLICY };
+  if(!raw || typeof raw !== 'object') return out;
+  for(const [key, [min, max]] of Object.entries(POLICY_LIMITS)){
+    const v = raw[key];
+    if(Number.isInteger(v) && v >= min && v <= max) out[key] = v;
+  }
+  return out;
+}
+
+// Retry-After is either a number of seconds or an HTTP date.
+export function parseRetryAfter(value, now = Date.now()){
+  if(value === null || value === undefined || value === '') return null;
+  const s = String(value).trim();
+  if(/^\d+(\.\d+)?$/.test(s)) return Math.round(parseFloat(s) * 1000);
+  const at = Date.parse(s);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+// Gemini puts the delay in a google.rpc.RetryInfo detail: { retryDelay: "17s" }.
+export function geminiRetryDelay(error){
+  const details = error && Array.isArray(error.details) ? error.details : [];
+  for(const d of details){
+    if(!d || !String(d['@type'] || '').endsWith('google.rpc.RetryInfo')) continue;
+    const m = /^(\d+(?:\.\d+)?)s$/.exec(String(d.retryDelay || ''));
+    if(m) return Math.round(parseFloat(m[1]) * 1000);
+  }
+  return null;
+}
+
+// Exponential backoff with jitter: the nth retry waits between half and all
+// of baseDelayMs * 2^n, capped at maxDelayMs.
+export function backoffDelay(retry, policy = DEFAULT_RETRY_POLICY, random = Math.random){
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** retry);
+  return Math.round(ceiling / 2 + random() * ceiling / 2);
+}
@@ -0,0 +1,43 @@
+// The kinds of task a compare-mode pick is counted under. Shared by the
+// browser (js/compare.js), which guesses the kind of each message, and the
+// proxy (api/picks.js), which only accepts these ids.
+
+export const TASK_KINDS = [
+  { id: 'code', label: 'Code' },
+  { id: 'math', label: 'Math & data' },
+  { id: 'writing', label: 'Writing' },
+  { id: 'summary', label: 'Summaries' },
+  { id: 'translation', label: 'Translation' },
+  { id: 'files', label: 'Images & files' },
+  { id: 'question', label: 'Questions' },
+  { id: 'other', label: 'Other' }
+];
+
+export const TASK_IDS = TASK_KINDS.map(k => k.id);
+
+export function taskLabel(id){
+  const kind = TASK_KINDS.find(k => k.id === id);
+  return kind ? kind.label : id;
+}
+
+// Checked in order; the first that matches wins. Only a starting point:
+// the user can change the kind before picking.
+const TASK_PATTERNS = [
+  ['code', /```|\b(code|function|class|method|bug|debug|stack ?trace|compile|regex|sql|api|javascript|typescript|python|java|rust|golang|css|html|json|yaml|script)\b/i],
+  ['translation', /\btranslat(e|ion)\b|\bin (english|french|spanish|german|italian|portuguese|dutch|japanese|chinese|korean|russian|arabic)\b/i],
+  ['summary', /\b(summari[sz]e|summary|tl;?dr|key points|shorten|condense)\b/i],
+  ['math', /\b(calculate|solve|equation|integral|derivative|probability|statistics|percent(age)?|average|median|formula)\b|\d\s*[-+*/^×÷]\s*\d/i],
+  ['writing', /\b(write|draft|rewrite|rephrase|proofread|email|essay|poem|story|blog|letter|tweet|headline|slogan)\b/i],
+  ['question', /\?\s*$|^(what|why|how|who|when|where|which|is|are|can|could|does|do|should|would)\b/i]
+];
+
+// A guess at the kind of task `text` asks for. Images and PDFs make it a
+// file task whatever the text says.
+export function guessTaskKind(text, attachments = []){
+  if(attachments.some(a => a && a.mimeType && a.mimeType !== 'text/plain')) return 'files';
+  const s = String(text || '').trim();
+  for(const [id, pattern] of TASK_PATTERNS){
+    if(pattern.test(s)) return id;
+  }
+  return 'other';
+}
@@ -0,0 +1,157 @@
+// Service worker of the installable app. It keeps the app shell (the files
+// below) in Cache Storage, so the app opens and saved chats can be read
+// without a connection. Everything else, /api/* included, goes to the
+// network as usual.
+//
+// A deploy is noticed by checkForUpdate(), which the page asks for when it
+// loads, when it comes back online and every half hour (js/pwa.js). It
+// fetches the shell again and, when any file changed, stages the new copy
+// in NEXT_CACHE and tells the page, which offers a reload. The staged files
+// only replace the shell once the user accepts, so a page never runs half
+// of one version and half of another. A change to this file installs a new
+// worker, which stages the shell the same way and waits for the same
+// prompt.
+
+const SHELL_CACHE = 'celebra-shell';
+const NEXT_CACHE = 'celebra-shell-next';
+
+// Every file the app loads. A new module has to be added here, or the app
+// will not start offline; test/pwa.test.js checks that none is missing.
+const SHELL_FILES = [
+  '/index.html',
+  '/script.js',
+  '/style.css',
+  '/manifest.webmanifest',
+  '/icons/icon.svg',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png',
+  '/js/attachments.js',
+  '/js/auth.js',
+  '/js/clipboard.js',
+  '/js/compare.js',
+  '/js/context.js',
+  '/js/conversations.js',
+  '/js/db.js',
+  '/js/fallback.js',
+  '/js/highlight.js',
+  '/js/knowledge.js',
+  '/js/markdown.js',
+  '/js/math.js',
+  '/js/presets.js',
+  '/js/pwa.js',
+  '/js/reply-notes.js',
+  '/js/text.js',
+  '/js/tool-steps.js',
+  '/js/tools.js',
+  '/js/transcripts.js',
+  '/js/usage.js',
+  '/shared/errors.js',
+  '/shared/gemini-format.js',
+  '/shared/limits.js',
+  '/shared/models.js',
+  '/shared/presets.js',
+  '/shared/retry.js',
+  '/shared/tasks.js'
+];
+
+// Resolves to [path, response] for every shell file, or rejects when any
+// of them cannot be fetched.
+async function fetchShell(){
+  return Promise.all(SHELL_FILES.map(async (path) => {
+    const resp = await fetch(path, { cache: 'no-cache' });
+    if(!resp.ok) throw new Error(`${path}: HTTP ${resp.status}`);
+    return [path, resp];
+  }));
+}
+
+async function stageShell(entries){
+  await caches.delete(NEXT_CACHE);
+  const next = await caches.open(NEXT_CACHE);
+  await Promise.all(entries.map(([path, resp]) => next.put(path, resp)));
+}
+
+// Moves the staged files into the shell. Files are overwritten one by one
+// rather than the cache being dropped first, so a worker stopped halfway
+// still leaves a complete shell behind.
+async function applyStaged(){
+  if(!(await caches.has(NEXT_CACHE))) return false;
+  const next = await caches.open(NEXT_CACHE);
+  const shell = await caches.open(SHELL_CACHE);
+  for(const request of await next.keys()) await shell.put(request, await next.match(request));
+  for(const request of await shell.keys()){
+    if(!SHELL_FILES.includes(new URL(request.url).pathname)) await shell.delete(request);
+  }
+  await caches.delete(NEXT_CACHE);
+  return true;
+}
+
+async function notify(message){
+  for(const client of await self.clients.matchAll({ type: 'window' })) client.postMessage(message);
+}
+
+async function checkForUpdate(){
+  let entries;
+  try{
+    entries = await fetchShell();
+  }catch(_){
+    // Offline, or the server is mid-deploy; the next check will tell.
+    return;
+  }
+  const shell = await caches.open(SHELL_CACHE);
+  let changed = false;
+  for(const [path, resp] of entries){
+    const cached = await shell.match(path);
+    if(!cached || await cached.text() !== await resp.clone().text()){
+      changed = true;
+      break;
+    }
+  }
+  if(!changed) return;
+  await stageShell(entries);
+  await notify({ type: 'update-ready' });
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const first = !(await caches.has(SHELL_CACHE));
+    await stageShell(await fetchShell());
+    // The first worker has no older version to keep running.
+    if(first){
+      await applyStaged();
+      await self.skipWaiting();
+    }
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    await applyStaged();
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  const type = event.data && event.data.type;
+  if(type === 'check-update'){
+    event.waitUntil(checkForUpdate());
+  } else if(type === 'apply-update'){
+    // Answered even when another tab applied it first: either way the
+    // shell is now the new version.
+    event.waitUntil(applyStaged().then(() => event.source && event.source.postMessage({ type: 'updated' })));
+  } else if(type === 'skip-waiting'){
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if(request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if(url.origin !== self.location.origin) return;
+  const path = url.pathname === '/' ? '/index.html' : url.pathname;
+  if(!SHELL_FILES.includes(path)) return;
+  event.respondWith((async () => {
+    const cached = await (await caches.open(SHELL_CACHE)).match(path);
+    return cached || fetch(request);
+  })());
+});
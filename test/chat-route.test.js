@@ -0,0 +1,182 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import chat from '../api/chat.js';
+import { startMockGemini, ok, functionCalls, rateLimited, serverError, safetyBlocked } from './helpers/mock-gemini.js';
+import { startServer, postJSON, parseSSE } from './helpers/server.js';
+
+let gemini;
+let server;
+
+before(async () => {
+  gemini = await startMockGemini();
+  process.env.GEMINI_API_KEY = 'test-key';
+  process.env.GEMINI_API_BASE = `${gemini.url}/v1beta`;
+  process.env.LOG_LEVEL = 'silent';
+  process.env.RATE_LIMIT_MAX = '1000';
+  process.env.MODEL_CATALOG = JSON.stringify([
+    { id: 'gemini-main', provider: 'gemini', label: 'Main' },
+    { id: 'gemini-limited', provider: 'gemini', label: 'Limited', rateLimit: { max: 1, window: 60 } },
+    { id: 'gemini-plain', provider: 'gemini', label: 'Plain', tools: false }
+  ]);
+  server = await startServer({ '/api/chat': chat });
+});
+
+after(async () => {
+  await server.close();
+  await gemini.close();
+});
+
+beforeEach(() => gemini.reset());
+
+const hello = (extra = {}) => ({ provider: 'gemini', model: 'gemini-main', messages: [{ role: 'user', parts: [{ text: 'Hello' }] }], ...extra });
+
+test('a reply comes back in the chat format', async () => {
+  gemini.reply(ok('Hi there.'));
+  const r = await postJSON(`${server.url}/api/chat`, hello({ system: 'Be brief.' }));
+  assert.equal(r.status, 200);
+  assert.equal(r.body.text, 'Hi there.');
+  assert.equal(r.body.finishReason, 'stop');
+  assert.deepEqual(r.body.usage, { inputTokens: 12, outputTokens: 8 });
+  assert.ok(r.headers.get('x-request-id'));
+
+  const [sent] = gemini.requests;
+  assert.equal(sent.model, 'gemini-main');
+  assert.equal(sent.method, 'generateContent');
+  assert.deepEqual(sent.body.contents, [{ role: 'user', parts: [{ text: 'Hello' }] }]);
+  assert.deepEqual(sent.body.systemInstruction, { parts: [{ text: 'Be brief.' }] });
+});
+
+test('a streamed reply arrives as text events and a done event', async () => {
+  gemini.reply(ok('A longer streamed answer.'));
+  const r = await fetch(`${server.url}/api/chat`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(hello({ stream: true })) });
+  assert.equal(r.status, 200);
+  assert.match(r.headers.get('content-type'), /text\/event-stream/);
+  const events = parseSSE(await r.text());
+  assert.ok(events.length > 2);
+  const done = events.pop();
+  assert.equal(done.event, 'done');
+  assert.equal(done.data.finishReason, 'stop');
+  assert.equal(events.map(e => e.data.text).join(''), 'A longer streamed answer.');
+  assert.equal(gemini.requests[0].method, 'streamGenerateContent');
+});
+
+test('Gemini\'s 429 becomes RATE_LIMITED with its retry delay', async () => {
+  gemini.reply(rateLimited(30));
+  const r = await postJSON(`${server.url}/api/chat`, hello());
+  assert.equal(r.status, 429);
+  assert.equal(r.body.code, 'RATE_LIMITED');
+  assert.equal(r.body.retryAfter, 30);
+  assert.equal(r.body.retryable, true);
+  assert.equal(r.body.detail, undefined);
+});
+
+test('a streamed request still gets the upstream status when Gemini fails', async () => {
+  gemini.reply(rateLimited(5));
+  const r = await postJSON(`${server.url}/api/chat`, hello({ stream: true }));
+  assert.equal(r.status, 429);
+  assert.equal(r.body.code, 'RATE_LIMITED');
+});
+
+test('Gemini\'s 500 becomes a retryable upstream error', async () => {
+  gemini.reply(serverError(500));
+  const r = await postJSON(`${server.url}/api/chat`, hello());
+  assert.ok(r.status >= 500);
+  assert.equal(r.body.code, 'UPSTREAM_ERROR');
+  assert.equal(r.body.retryable, true);
+});
+
+test('Gemini\'s 503 is reported as overloaded', async () => {
+  gemini.reply(serverError(503));
+  const r = await postJSON(`${server.url}/api/chat`, hello());
+  assert.equal(r.status, 503);
+  assert.equal(r.body.code, 'OVERLOADED');
+});
+
+test('a blocked prompt is a SAFETY_BLOCKED error with the categories', async () => {
+  gemini.reply(safetyBlocked());
+  const r = await postJSON(`${server.url}/api/chat`, hello());
+  assert.equal(r.body.code, 'SAFETY_BLOCKED');
+  assert.deepEqual(r.body.safety, { reason: 'SAFETY', categories: ['dangerous_content'] });
+});
+
+test('a blocked prompt while streaming ends with an error event', async () => {
+  gemini.reply(safetyBlocked());
+  const r = await fetch(`${server.url}/api/chat`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(hello({ stream: true })) });
+  const events = parseSSE(await r.text());
+  const last = events[events.length - 1];
+  assert.equal(last.event, 'error');
+  assert.equal(last.data.code, 'SAFETY_BLOCKED');
+});
+
+test('models outside the catalog are refused before Gemini is called', async () => {
+  const r = await postJSON(`${server.url}/api/chat`, hello({ model: 'gemini-other' }));
+  assert.equal(r.status, 400);
+  assert.equal(r.body.code, 'BAD_REQUEST');
+  assert.equal(gemini.requests.length, 0);
+});
+
+test('invalid messages are refused', async () => {
+  const r = await postJSON(`${server.url}/api/chat`, hello({ messages: [] }));
+  assert.equal(r.status, 400);
+  assert.equal(gemini.requests.length, 0);
+});
+
+const calculator = { name: 'calculate', description: 'Does sums.', parameters: { type: 'object', properties: { expression: { type: 'string' } } } };
+
+test('tools go to Gemini as function declarations and its calls come back', async () => {
+  gemini.reply(functionCalls([{ name: 'calculate', args: { expression: '6*7' } }], { text: 'Let me work that out.' }));
+  const r = await fetch(`${server.url}/api/chat`, {
+    method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(hello({ stream: true, tools: [calculator] }))
+  });
+  const events = parseSSE(await r.text());
+  const done = events.pop();
+  assert.equal(events.map(e => e.data.text).join(''), 'Let me work that out.');
+  assert.deepEqual(done.data.functionCalls, [{ name: 'calculate', args: { expression: '6*7' } }]);
+  assert.deepEqual(gemini.requests[0].body.tools, [{ functionDeclarations: [calculator] }]);
+});
+
+test('function results are passed back to Gemini', async () => {
+  const messages = [
+    { role: 'user', parts: [{ text: 'What is 6*7?' }] },
+    { role: 'assistant', parts: [{ functionCall: { name: 'calculate', args: { expression: '6*7' } }, thoughtSignature: 'sig' }] },
+    { role: 'user', parts: [{ functionResponse: { name: 'calculate', response: { result: 42 } } }] }
+  ];
+  gemini.reply(ok('It is 42.'));
+  const r = await postJSON(`${server.url}/api/chat`, hello({ messages, tools: [calculator] }));
+  assert.equal(r.status, 200);
+  assert.equal(r.body.text, 'It is 42.');
+  assert.deepEqual(r.body.functionCalls, []);
+  assert.deepEqual(gemini.requests[0].body.contents.slice(1), [
+    { role: 'model', parts: messages[1].parts },
+    { role: 'user', parts: messages[2].parts }
+  ]);
+});
+
+test('tools are refused for models that cannot call them, and when malformed', async () => {
+  const plain = await postJSON(`${server.url}/api/chat`, hello({ model: 'gemini-plain', tools: [calculator] }));
+  assert.equal(plain.status, 400);
+  assert.match(plain.body.error, /Plain cannot call tools/);
+  const malformed = await postJSON(`${server.url}/api/chat`, hello({ tools: [{ name: 'calculate' }] }));
+  assert.equal(malformed.status, 400);
+  assert.match(malformed.body.error, /needs a description/);
+  assert.equal(gemini.requests.length, 0);
+});
+
+test('a model\'s own quota answers MODEL_QUOTA_EXCEEDED', async () => {
+  const first = await postJSON(`${server.url}/api/chat`, hello({ model: 'gemini-limited' }));
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('ratelimit-remaining'), '0');
+  const second = await postJSON(`${server.url}/api/chat`, hello({ model: 'gemini-limited' }));
+  assert.equal(second.status, 429);
+  assert.equal(second.body.code, 'MODEL_QUOTA_EXCEEDED');
+  assert.equal(second.body.scope, 'model');
+  assert.ok(Number(second.headers.get('retry-after')) > 0);
+  assert.equal(gemini.requests.length, 1);
+});
+
+test('token counts go to countTokens', async () => {
+  const r = await postJSON(`${server.url}/api/chat`, hello({ countTokens: true }));
+  assert.equal(r.status, 200);
+  assert.equal(typeof r.body.totalTokens, 'number');
+  assert.equal(gemini.requests[0].method, 'countTokens');
+});
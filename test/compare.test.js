@@ -0,0 +1,118 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import picks from '../api/picks.js';
+import usage from '../api/usage.js';
+import { guessTaskKind } from '../shared/tasks.js';
+import { recordPick, recordUsage, usageReport, setUsageStore } from '../api/_lib/usage/index.js';
+import { createMemoryUsageStore } from '../api/_lib/usage/memory.js';
+import { setRateLimitStore } from '../api/_lib/ratelimit/index.js';
+import { createMemoryStore } from '../api/_lib/ratelimit/memory.js';
+import { startServer, postJSON } from './helpers/server.js';
+
+let server;
+
+before(async () => {
+  process.env.LOG_LEVEL = 'silent';
+  process.env.GEMINI_API_KEY = 'test-key';
+  process.env.MODEL_CATALOG = JSON.stringify([
+    { id: 'gemini-main', provider: 'gemini', label: 'Main' },
+    { id: 'gemini-backup', provider: 'gemini', label: 'Backup' },
+    { id: 'gemini-lite', provider: 'gemini', label: 'Lite' }
+  ]);
+  server = await startServer({ '/api/picks': picks, '/api/usage': usage });
+});
+
+after(async () => {
+  await server.close();
+  setUsageStore(null);
+});
+
+beforeEach(() => setUsageStore(createMemoryUsageStore({ retentionDays: 90 })));
+
+const main = { provider: 'gemini', id: 'gemini-main' };
+const backup = { provider: 'gemini', id: 'gemini-backup' };
+const lite = { provider: 'gemini', id: 'gemini-lite' };
+
+test('guessTaskKind files a message under a kind of task', () => {
+  assert.equal(guessTaskKind('Why does this Python function return None?'), 'code');
+  assert.equal(guessTaskKind('Translate "good morning" into Japanese'), 'translation');
+  assert.equal(guessTaskKind('Summarize the meeting notes below'), 'summary');
+  assert.equal(guessTaskKind('What is 17 * 23?'), 'math');
+  assert.equal(guessTaskKind('Draft an email to the landlord'), 'writing');
+  assert.equal(guessTaskKind('Who painted the Night Watch?'), 'question');
+  assert.equal(guessTaskKind('Hello'), 'other');
+  assert.equal(guessTaskKind('Hello', [{ name: 'a.png', mimeType: 'image/png' }]), 'files');
+  assert.equal(guessTaskKind('Hello', [{ name: 'a.txt', mimeType: 'text/plain' }]), 'other');
+});
+
+test('picks are counted per task and model next to the usage counters', async () => {
+  await recordUsage({ provider: 'gemini', model: 'gemini-main', user: 'ada', status: 200, latencyMs: 10, usage: { inputTokens: 5, outputTokens: 5 } });
+  assert.equal(await recordPick({ task: 'code', winner: main, candidates: [main, backup], user: 'ada' }), true);
+  await recordPick({ task: 'code', winner: backup, candidates: [main, backup], user: 'bob' });
+  await recordPick({ task: 'writing', winner: lite, candidates: [main, lite], user: 'ada' });
+
+  const report = await usageReport({ days: 1 });
+  assert.deepEqual(report.picks.map(p => [p.task, p.model, p.wins, p.compared]), [
+    ['code', 'gemini-main', 1, 2],
+    ['code', 'gemini-backup', 1, 2],
+    ['writing', 'gemini-lite', 1, 1],
+    ['writing', 'gemini-main', 0, 1]
+  ]);
+  // Buckets that only hold picks add no rows of requests.
+  assert.deepEqual(report.byModel.map(m => m.model), ['gemini-main']);
+  assert.equal(report.totals.requests, 1);
+  assert.equal((await usageReport({ days: 1, user: 'bob' })).picks.length, 2);
+
+  setUsageStore(null);
+  process.env.USAGE_STORE = 'off';
+  try {
+    assert.equal(await recordPick({ task: 'code', winner: main, candidates: [main, backup] }), false);
+  } finally {
+    delete process.env.USAGE_STORE;
+  }
+});
+
+test('the picks route records a valid pick and /api/usage reports it', async () => {
+  const r = await postJSON(`${server.url}/api/picks`, { task: 'math', winner: backup, candidates: [main, backup, lite] });
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body, { recorded: true });
+
+  const report = await (await fetch(`${server.url}/api/usage?days=1`)).json();
+  assert.deepEqual(report.picks.map(p => [p.label, p.wins, p.compared]), [['Backup', 1, 1], ['Main', 0, 1], ['Lite', 0, 1]]);
+});
+
+test('the picks route refuses picks that do not add up', async () => {
+  const cases = [
+    [{ task: 'gossip', winner: main, candidates: [main, backup] }, /task must be one of/],
+    [{ task: 'code', winner: main, candidates: [main] }, /2 to 3 candidates/],
+    [{ task: 'code', winner: main, candidates: [main, backup, lite, main] }, /2 to 3 candidates/],
+    [{ task: 'code', winner: main, candidates: [main, main] }, /duplicate candidate/],
+    [{ task: 'code', winner: main, candidates: [main, { provider: 'gemini', id: 'gemini-nope' }] }, /"gemini-nope" is not available/],
+    [{ task: 'code', winner: lite, candidates: [main, backup] }, /winner must be one of the candidates/]
+  ];
+  for (const [body, error] of cases) {
+    const r = await postJSON(`${server.url}/api/picks`, body);
+    assert.equal(r.status, 400, JSON.stringify(body));
+    assert.equal(r.body.code, 'BAD_REQUEST');
+    assert.match(r.body.error, error);
+  }
+  assert.equal((await fetch(`${server.url}/api/picks`)).status, 405);
+});
+
+test('the picks route counts against the rate limit', async () => {
+  setRateLimitStore(createMemoryStore());
+  process.env.RATE_LIMIT_MAX = '2';
+  try {
+    for (let i = 0; i < 2; i++) {
+      assert.equal((await postJSON(`${server.url}/api/picks`, { task: 'code', winner: main, candidates: [main, backup] })).status, 200);
+    }
+    const limited = await postJSON(`${server.url}/api/picks`, { task: 'code', winner: main, candidates: [main, backup] });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'QUOTA_EXCEEDED');
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.equal((await usageReport({ days: 1 })).picks[0].compared, 2);
+  } finally {
+    delete process.env.RATE_LIMIT_MAX;
+    setRateLimitStore(null);
+  }
+});
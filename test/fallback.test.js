@@ -0,0 +1,174 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ChatError, classifyError, fallbackChain, createFallbackEngine, errorFromResponse, errorFromBody, describeSwitch, formatWait
+} from '../js/fallback.js';
+
+const FAST_POLICY = { maxRetries: 1, baseDelayMs: 0, maxDelayMs: 8000, cooldownMs: 60000 };
+
+const models = [
+  { provider: 'gemini', id: 'pro', label: 'Pro', fallbacks: ['flash'] },
+  { provider: 'gemini', id: 'flash', label: 'Flash', fallbacks: ['lite', 'pro'] },
+  { provider: 'gemini', id: 'lite', label: 'Lite', fallbacks: [] },
+  { provider: 'openai', id: 'flash', label: 'Other flash', fallbacks: [] }
+];
+const [pro, flash, lite] = models;
+
+function failing(code, extra = {}) {
+  return new ChatError(code, { code, ...extra });
+}
+
+test('classifyError retries rate limits, overload and outages', () => {
+  assert.deepEqual(classifyError(failing('RATE_LIMITED', { retryAfterMs: 2000 })), { reason: 'rate_limit', retryAfterMs: 2000 });
+  assert.deepEqual(classifyError(failing('MODEL_QUOTA_EXCEEDED')), { reason: 'rate_limit', retryAfterMs: null });
+  assert.equal(classifyError(failing('OVERLOADED')).reason, 'overloaded');
+  assert.equal(classifyError(failing('UPSTREAM_ERROR')).reason, 'unavailable');
+  assert.equal(classifyError(failing('UPSTREAM_TIMEOUT')).reason, 'unavailable');
+});
+
+test('classifyError does not retry errors that would fail again', () => {
+  for (const code of ['QUOTA_EXCEEDED', 'BAD_REQUEST', 'SAFETY_BLOCKED', 'UNAUTHORIZED', 'SOMETHING_NEW']) {
+    assert.equal(classifyError(failing(code, { status: 429 })), null, code);
+  }
+  const abort = new Error('aborted');
+  abort.name = 'AbortError';
+  assert.equal(classifyError(abort), null);
+  assert.equal(classifyError(null), null);
+});
+
+test('classifyError falls back to the status for errors without a code', () => {
+  assert.equal(classifyError(new ChatError('x', { status: 429 })).reason, 'rate_limit');
+  assert.equal(classifyError(new ChatError('x', { status: 503 })).reason, 'overloaded');
+  assert.equal(classifyError(new ChatError('x', { status: 502 })).reason, 'unavailable');
+  assert.equal(classifyError(new ChatError('x', { status: 400 })), null);
+});
+
+test('fallbackChain walks the graph breadth first within a provider', () => {
+  assert.deepEqual(fallbackChain(models, pro), [pro, flash, lite]);
+  assert.deepEqual(fallbackChain(models, lite), [lite]);
+  assert.deepEqual(fallbackChain(models, pro, m => m !== flash), [pro]);
+  assert.deepEqual(fallbackChain(models, flash, m => m !== lite), [flash, pro]);
+});
+
+test('the engine returns the first answer without events', async () => {
+  const engine = createFallbackEngine(FAST_POLICY);
+  const events = [];
+  const result = await engine.run([pro, flash], async m => `from ${m.id}`, { onEvent: e => events.push(e) });
+  assert.deepEqual(result, { value: 'from pro', model: pro });
+  assert.deepEqual(events, []);
+});
+
+test('the engine retries once, then switches and cools the model down', async () => {
+  let clock = 1000;
+  const engine = createFallbackEngine(FAST_POLICY, { now: () => clock });
+  const tried = [];
+  const events = [];
+  const result = await engine.run([pro, flash], async (m) => {
+    tried.push(m.id);
+    if (m === pro) throw failing('OVERLOADED');
+    return 'ok';
+  }, { onEvent: e => events.push(e) });
+  assert.deepEqual(tried, ['pro', 'pro', 'flash']);
+  assert.equal(result.model, flash);
+  assert.deepEqual(events.map(e => e.type), ['retry', 'switch']);
+  assert.deepEqual(events[1], { type: 'switch', from: pro, to: flash, reason: 'overloaded', retryAfterMs: null });
+  assert.equal(engine.coolingDown(pro), 60000);
+
+  clock += 30000;
+  const next = [];
+  await engine.run([pro, flash], async m => m.id, { onEvent: e => next.push(e) });
+  assert.deepEqual(next.map(e => [e.type, e.reason, e.retryAfterMs]), [['switch', 'cooldown', 30000]]);
+
+  clock += 30000;
+  assert.equal(engine.coolingDown(pro), 0);
+  assert.equal((await engine.run([pro, flash], async m => m.id)).value, 'pro');
+});
+
+test('the engine switches at once when Retry-After is longer than it will wait', async () => {
+  const engine = createFallbackEngine(FAST_POLICY, { now: () => 0 });
+  const tried = [];
+  await engine.run([pro, flash], async (m) => {
+    tried.push(m.id);
+    if (m === pro) throw failing('RATE_LIMITED', { retryAfterMs: 30000 });
+    return 'ok';
+  });
+  assert.deepEqual(tried, ['pro', 'flash']);
+  assert.equal(engine.coolingDown(pro), 30000);
+});
+
+test('the engine gives up when every model fails', async () => {
+  const engine = createFallbackEngine({ ...FAST_POLICY, maxRetries: 0 });
+  await assert.rejects(engine.run([pro, flash], async () => { throw failing('UPSTREAM_ERROR'); }), (err) => {
+    assert.equal(err.exhausted, true);
+    assert.equal(err.reason, 'unavailable');
+    return true;
+  });
+});
+
+test('the engine rethrows errors it does not retry', async () => {
+  const engine = createFallbackEngine(FAST_POLICY);
+  let calls = 0;
+  await assert.rejects(engine.run([pro, flash], async () => {
+    calls++;
+    throw failing('BAD_REQUEST');
+  }), { code: 'BAD_REQUEST' });
+  assert.equal(calls, 1);
+  assert.equal(engine.coolingDown(pro), 0);
+});
+
+test('the engine stops when the request is aborted', async () => {
+  const engine = createFallbackEngine({ ...FAST_POLICY, baseDelayMs: 5000 });
+  const controller = new AbortController();
+  const run = engine.run([pro, flash], async () => { throw failing('OVERLOADED'); }, {
+    signal: controller.signal,
+    onEvent: () => controller.abort()
+  });
+  await assert.rejects(run, { name: 'AbortError' });
+});
+
+test('errorFromResponse reads the proxy error contract', () => {
+  const resp = new Response(null, { status: 429, headers: { 'Retry-After': '12', 'X-Request-Id': 'req-1' } });
+  const err = errorFromResponse(resp, JSON.stringify({ error: 'Rate limit exceeded', code: 'QUOTA_EXCEEDED', userMessage: 'Slow down.', retryable: true }));
+  assert.equal(err.code, 'QUOTA_EXCEEDED');
+  assert.equal(err.status, 429);
+  assert.equal(err.retryAfterMs, 12000);
+  assert.equal(err.requestId, 'req-1');
+  assert.equal(err.userMessage, 'Slow down.');
+  assert.equal(classifyError(err), null);
+});
+
+test('errorFromResponse maps Gemini\'s own errors in direct mode', () => {
+  const resp = new Response(null, { status: 429 });
+  const err = errorFromResponse(resp, JSON.stringify({
+    error: { code: 429, status: 'RESOURCE_EXHAUSTED', message: 'Quota', details: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '7s' }] }
+  }));
+  assert.equal(err.code, 'RATE_LIMITED');
+  assert.equal(err.retryAfterMs, 7000);
+  assert.deepEqual(classifyError(err), { reason: 'rate_limit', retryAfterMs: 7000 });
+});
+
+test('errorFromResponse keeps the status of a page that is not JSON', () => {
+  const err = errorFromResponse(new Response(null, { status: 502 }), '<html>Bad gateway</html>');
+  assert.equal(err.code, null);
+  assert.equal(classifyError(err).reason, 'unavailable');
+});
+
+test('errorFromBody takes retryAfter in seconds and fills in the user message', () => {
+  const err = errorFromBody({ error: 'busy', code: 'OVERLOADED', retryAfter: 3 }, { status: 503 });
+  assert.equal(err.retryAfterMs, 3000);
+  assert.equal(typeof err.userMessage, 'string');
+  assert.ok(err.userMessage.length > 0);
+});
+
+test('describeSwitch explains why the reply moved to another model', () => {
+  assert.equal(describeSwitch({ from: pro, to: flash, reason: 'rate_limit', retryAfterMs: 30000 }), 'Pro hit its rate limit (ready again in 30 s) — switched to Flash.');
+  assert.equal(describeSwitch({ from: pro, to: flash, reason: 'unavailable', retryAfterMs: null }), 'Pro is not responding — switched to Flash.');
+  assert.equal(describeSwitch({ from: pro, to: flash, reason: 'cooldown', retryAfterMs: 90000 }), 'Pro is cooling down for 2 min — switched to Flash.');
+});
+
+test('formatWait rounds up to seconds, then minutes', () => {
+  assert.equal(formatWait(0), '1 s');
+  assert.equal(formatWait(1500), '2 s');
+  assert.equal(formatWait(59000), '59 s');
+  assert.equal(formatWait(61000), '2 min');
+});
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fromGeminiResponse, toGeminiBody, mapGeminiFinishReason, normalizeSafetySettings, mergeCitations } from '../shared/gemini-format.js';
+
+test('fromGeminiResponse joins the text parts and skips thoughts', () => {
+  const result = fromGeminiResponse({
+    candidates: [{ content: { parts: [{ text: 'thinking', thought: true }, { text: 'Hello, ' }, { inlineData: {} }, { text: 'world.' }] }, finishReason: 'STOP' }],
+    usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 3, thoughtsTokenCount: 2 }
+  });
+  assert.deepEqual(result, {
+    text: 'Hello, world.',
+    finishReason: 'stop',
+    usage: { inputTokens: 5, outputTokens: 5 },
+    safety: null,
+    citations: [],
+    functionCalls: []
+  });
+});
+
+test('fromGeminiResponse reads a streamed chunk without a finish reason', () => {
+  const result = fromGeminiResponse({ candidates: [{ content: { parts: [{ text: 'par' }] } }] });
+  assert.equal(result.text, 'par');
+  assert.equal(result.finishReason, null);
+  assert.equal(result.usage, null);
+});
+
+test('fromGeminiResponse copes with empty and malformed responses', () => {
+  for (const json of [null, {}, { candidates: [] }, { candidates: [{}] }, { candidates: [{ content: { parts: 'x' } }] }]) {
+    const result = fromGeminiResponse(json);
+    assert.equal(result.text, '');
+    assert.equal(result.safety, null);
+  }
+});
+
+test('fromGeminiResponse reports a blocked prompt', () => {
+  const result = fromGeminiResponse({
+    promptFeedback: {
+      blockReason: 'SAFETY',
+      safetyRatings: [
+        { category: 'HARM_CATEGORY_HARASSMENT', probability: 'HIGH' },
+        { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', probability: 'MEDIUM', blocked: true }
+      ]
+    }
+  });
+  assert.equal(result.finishReason, 'safety');
+  assert.deepEqual(result.safety, { reason: 'SAFETY', categories: ['dangerous_content'] });
+});
+
+test('fromGeminiResponse reports a reply stopped for safety', () => {
+  const result = fromGeminiResponse({
+    candidates: [{ content: { parts: [{ text: 'Partial' }] }, finishReason: 'RECITATION', safetyRatings: [{ category: 'HARM_CATEGORY_HATE_SPEECH', probability: 'MEDIUM' }, { category: 'HARM_CATEGORY_HARASSMENT', probability: 'LOW' }] }]
+  });
+  assert.equal(result.text, 'Partial');
+  assert.deepEqual(result.safety, { reason: 'RECITATION', categories: ['hate_speech'] });
+});
+
+test('fromGeminiResponse keeps only web citations', () => {
+  const result = fromGeminiResponse({
+    candidates: [{
+      content: { parts: [{ text: 'x' }] },
+      citationMetadata: { citationSources: [{ uri: 'https://example.com/a', startIndex: 0, endIndex: 1 }, { uri: 'javascript:alert(1)' }, { title: 'no uri' }] }
+    }]
+  });
+  assert.deepEqual(result.citations, [{ uri: 'https://example.com/a', title: null, license: null, startIndex: 0, endIndex: 1 }]);
+});
+
+test('fromGeminiResponse reads function calls with their signatures', () => {
+  const result = fromGeminiResponse({
+    candidates: [{
+      content: { parts: [{ functionCall: { name: 'calculate', args: { expression: '6*7' } }, thoughtSignature: 'sig' }, { functionCall: { name: 'get_current_time' } }] },
+      finishReason: 'STOP'
+    }]
+  });
+  assert.equal(result.text, '');
+  assert.deepEqual(result.functionCalls, [
+    { name: 'calculate', args: { expression: '6*7' }, thoughtSignature: 'sig' },
+    { name: 'get_current_time', args: {} }
+  ]);
+});
+
+test('mapGeminiFinishReason maps Gemini reasons to the chat format', () => {
+  assert.equal(mapGeminiFinishReason('STOP'), 'stop');
+  assert.equal(mapGeminiFinishReason('MAX_TOKENS'), 'length');
+  assert.equal(mapGeminiFinishReason('SPII'), 'safety');
+  assert.equal(mapGeminiFinishReason('MALFORMED_FUNCTION_CALL'), 'other');
+  assert.equal(mapGeminiFinishReason('FINISH_REASON_UNSPECIFIED'), null);
+  assert.equal(mapGeminiFinishReason(undefined), null);
+});
+
+test('toGeminiBody maps roles and leaves out empty settings', () => {
+  const body = toGeminiBody({
+    system: 'Be brief.',
+    messages: [{ role: 'user', parts: [{ text: 'hi' }] }, { role: 'assistant', parts: [{ text: 'hello' }] }],
+    generationConfig: {},
+    safetySettings: []
+  });
+  assert.deepEqual(body, {
+    contents: [{ role: 'user', parts: [{ text: 'hi' }] }, { role: 'model', parts: [{ text: 'hello' }] }],
+    systemInstruction: { parts: [{ text: 'Be brief.' }] }
+  });
+});
+
+test('toGeminiBody sends tools as function declarations', () => {
+  const tools = [{ name: 'calculate', description: 'Does sums.', parameters: { type: 'object' } }];
+  const body = toGeminiBody({ messages: [{ role: 'user', parts: [{ text: 'hi' }] }], tools });
+  assert.deepEqual(body.tools, [{ functionDeclarations: tools }]);
+  assert.equal(toGeminiBody({ messages: [], tools: [] }).tools, undefined);
+});
+
+test('normalizeSafetySettings accepts a list or a map and drops invalid entries', () => {
+  const expected = [{ category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_NONE' }];
+  assert.deepEqual(normalizeSafetySettings([{ category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_NONE' }, { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'OFF' }, { category: 'bad', threshold: 'OFF' }]), expected);
+  assert.deepEqual(normalizeSafetySettings({ HARM_CATEGORY_HARASSMENT: 'BLOCK_NONE', HARM_CATEGORY_HATE_SPEECH: 'sometimes' }), expected);
+  assert.equal(normalizeSafetySettings(null), null);
+});
+
+test('mergeCitations adds each source once', () => {
+  const list = [{ uri: 'https://a' }];
+  assert.deepEqual(mergeCitations(list, [{ uri: 'https://a' }, { uri: 'https://b' }]), [{ uri: 'https://a' }, { uri: 'https://b' }]);
+});
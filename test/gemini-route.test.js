@@ -0,0 +1,92 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import gemini from '../api/gemini.js';
+import { startMockGemini, ok, rateLimited, serverError, safetyBlocked } from './helpers/mock-gemini.js';
+import { startServer, postJSON, parseSSE } from './helpers/server.js';
+
+// /api/gemini passes Gemini's own request and response formats through;
+// these tests cover the normalisation in front of it and the error mapping
+// behind it.
+
+let mock;
+let server;
+
+before(async () => {
+  mock = await startMockGemini();
+  process.env.GEMINI_API_KEY = 'test-key';
+  process.env.GEMINI_API_ENDPOINT = `${mock.url}/v1beta/models/gemini-2.5-flash:generateContent`;
+  process.env.LOG_LEVEL = 'silent';
+  process.env.RATE_LIMIT_MAX = '1000';
+  server = await startServer({ '/api/gemini': gemini });
+});
+
+after(async () => {
+  await server.close();
+  await mock.close();
+});
+
+beforeEach(() => mock.reset());
+
+const url = () => `${server.url}/api/gemini`;
+
+test('Gemini\'s response is passed through as it came', async () => {
+  mock.reply(ok('Passed through.'));
+  const r = await postJSON(url(), { contents: [{ role: 'user', parts: [{ text: 'Hi' }] }] });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.candidates[0].content.parts[0].text, 'Passed through.');
+  assert.equal(mock.requests[0].model, 'gemini-2.5-flash');
+  assert.equal(mock.requests[0].body.metadata, undefined);
+});
+
+test('loose request shapes are normalised before they are sent', async () => {
+  await postJSON(url(), { prompt: 'Just a prompt' });
+  await postJSON(url(), { contents: [{ role: 'model', text: 'Earlier' }, { role: 'user', parts: ['plain', { text: 'text' }] }] });
+  assert.deepEqual(mock.requests[0].body.contents, [{ role: 'user', parts: [{ text: 'Just a prompt' }] }]);
+  assert.deepEqual(mock.requests[1].body.contents, [
+    { role: 'model', parts: [{ text: 'Earlier' }] },
+    { role: 'user', parts: [{ text: 'plain' }, { text: 'text' }] }
+  ]);
+});
+
+test('a body without anything to send is refused', async () => {
+  const r = await postJSON(url(), { contents: [] });
+  assert.equal(r.status, 400);
+  assert.equal(r.body.code, 'BAD_REQUEST');
+  assert.equal(mock.requests.length, 0);
+});
+
+test('metadata.stream relays Gemini\'s stream as events', async () => {
+  mock.reply(ok('Streamed through the old route.'));
+  const r = await fetch(url(), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ contents: [{ role: 'user', parts: [{ text: 'Hi' }] }], metadata: { stream: true } })
+  });
+  const events = parseSSE(await r.text());
+  assert.equal(events.pop().event, 'done');
+  assert.equal(events.map(e => e.data.candidates[0].content.parts[0].text).join(''), 'Streamed through the old route.');
+  assert.equal(mock.requests[0].stream, true);
+});
+
+test('errors follow the same contract as /api/chat', async () => {
+  mock.reply(rateLimited(12), serverError(500));
+  const limited = await postJSON(url(), { prompt: 'Hi' });
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.code, 'RATE_LIMITED');
+  assert.equal(limited.body.retryAfter, 12);
+  const failed = await postJSON(url(), { prompt: 'Hi' });
+  assert.equal(failed.body.code, 'UPSTREAM_ERROR');
+});
+
+test('a blocked prompt is passed through for the caller to read', async () => {
+  mock.reply(safetyBlocked());
+  const r = await postJSON(url(), { prompt: 'Hi' });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.promptFeedback.blockReason, 'SAFETY');
+});
+
+test('other methods are refused', async () => {
+  const r = await fetch(url());
+  assert.equal(r.status, 405);
+  assert.equal(r.headers.get('allow'), 'POST');
+});
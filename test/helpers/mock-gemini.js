@@ -0,0 +1,178 @@
+import http from 'node:http';
+
+// A stand-in for the Gemini API on a free local port. Point the proxy at it
+// with GEMINI_API_BASE=<url>/v1beta (or GEMINI_API_ENDPOINT for
+// /api/gemini).
+//
+// Each generateContent or streamGenerateContent call takes the next reply
+// queued for its model, then the next one queued for any model, and answers
+// ok() when both queues are empty. countTokens and batchEmbedContents
+// always answer, the latter with fakeEmbedding(). Every request is recorded
+// in `requests` as { model, method, stream, body }.
+
+const USAGE = { promptTokenCount: 12, candidatesTokenCount: 8, totalTokenCount: 20 };
+
+export function ok(text = 'Hello from the mock.', { finishReason = 'STOP', citations } = {}) {
+  const candidate = { content: { role: 'model', parts: [{ text }] }, finishReason };
+  if (citations) candidate.citationMetadata = { citationSources: citations };
+  return { status: 200, body: { candidates: [candidate], usageMetadata: USAGE } };
+}
+
+// A request to run tools: calls is [{ name, args }], with `text` said
+// before them.
+export function functionCalls(calls, { text } = {}) {
+  const parts = calls.map(({ name, args = {} }) => ({ functionCall: { name, args } }));
+  if (text) parts.unshift({ text });
+  return { status: 200, body: { candidates: [{ content: { role: 'model', parts }, finishReason: 'STOP' }], usageMetadata: USAGE } };
+}
+
+// A 429 as Gemini sends it, with the delay in a RetryInfo detail.
+export function rateLimited(retryDelaySeconds = 30) {
+  return {
+    status: 429,
+    body: {
+      error: {
+        code: 429,
+        status: 'RESOURCE_EXHAUSTED',
+        message: 'Resource has been exhausted (e.g. check quota).',
+        details: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: `${retryDelaySeconds}s` }]
+      }
+    }
+  };
+}
+
+export function serverError(status = 500) {
+  const name = status === 503 ? 'UNAVAILABLE' : 'INTERNAL';
+  return { status, body: { error: { code: status, status: name, message: 'An internal error has occurred.' } } };
+}
+
+// The prompt itself was blocked: no candidates, only promptFeedback.
+export function safetyBlocked(category = 'HARM_CATEGORY_DANGEROUS_CONTENT') {
+  return {
+    status: 200,
+    body: {
+      promptFeedback: { blockReason: 'SAFETY', safetyRatings: [{ category, probability: 'HIGH', blocked: true }] },
+      usageMetadata: { promptTokenCount: 12, totalTokenCount: 12 }
+    }
+  };
+}
+
+// A stand-in for a real embedding: each word adds to one of 16 dimensions,
+// so texts sharing words point the same way.
+export function fakeEmbedding(text) {
+  const vector = new Array(16).fill(0);
+  for (const word of String(text).toLowerCase().match(/[a-z0-9]+/g) || []) {
+    let h = 0;
+    for (const ch of word) h = (h * 31 + ch.charCodeAt(0)) % 16;
+    vector[h] += 1;
+  }
+  return vector;
+}
+
+// Streamed replies are split into chunks of about this many characters,
+// with function calls, usageMetadata and finishReason on the last one, as
+// Gemini does.
+const CHUNK_CHARS = 8;
+
+function streamChunks(body) {
+  const candidate = body.candidates && body.candidates[0];
+  if (!candidate) return [body];
+  const text = candidate.content.parts.map(p => p.text || '').join('');
+  const calls = candidate.content.parts.filter(p => p.functionCall);
+  const pieces = text.match(new RegExp(`[\\s\\S]{1,${CHUNK_CHARS}}`, 'g')) || [''];
+  return pieces.map((piece, i) => {
+    const last = i === pieces.length - 1;
+    const chunk = { candidates: [{ content: { role: 'model', parts: [{ text: piece }] } }] };
+    if (last) {
+      if (calls.length) chunk.candidates[0].content.parts = piece ? [{ text: piece }, ...calls] : calls;
+      chunk.candidates[0].finishReason = candidate.finishReason;
+      if (candidate.citationMetadata) chunk.candidates[0].citationMetadata = candidate.citationMetadata;
+      chunk.usageMetadata = body.usageMetadata;
+    }
+    return chunk;
+  });
+}
+
+async function readJSON(req) {
+  let text = '';
+  for await (const chunk of req) text += chunk;
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch (e) {
+    return text;
+  }
+}
+
+export async function startMockGemini() {
+  const requests = [];
+  const anyModel = [];
+  const byModel = new Map();
+
+  function nextReply(model) {
+    const queue = byModel.get(model);
+    if (queue && queue.length) return queue.shift();
+    if (anyModel.length) return anyModel.shift();
+    return ok();
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://mock');
+    const m = /\/models\/([^/:]+):(\w+)$/.exec(url.pathname);
+    const body = await readJSON(req);
+    if (!m) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: { code: 404, status: 'NOT_FOUND', message: 'Unknown path' } }));
+    }
+    const model = decodeURIComponent(m[1]);
+    const method = m[2];
+    const stream = method === 'streamGenerateContent';
+    requests.push({ model, method, stream, body });
+
+    if (method === 'countTokens') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ totalTokens: JSON.stringify(body).length >> 2 }));
+    }
+    if (method === 'batchEmbedContents') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      const embeddings = body.requests.map(r => ({ values: fakeEmbedding(r.content.parts.map(p => p.text).join(' ')) }));
+      return res.end(JSON.stringify({ embeddings }));
+    }
+
+    const reply = nextReply(model);
+    if (!stream || reply.status !== 200) {
+      res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify(reply.body));
+    }
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const chunk of streamChunks(reply.body)) {
+      res.write(`data: ${JSON.stringify(chunk)}\r\n\r\n`);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    res.end();
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    requests,
+    // Queues replies for the next calls to any model.
+    reply(...replies) {
+      anyModel.push(...replies);
+    },
+    // Queues replies for the next calls to one model.
+    replyFor(model, ...replies) {
+      if (!byModel.has(model)) byModel.set(model, []);
+      byModel.get(model).push(...replies);
+    },
+    reset() {
+      requests.length = 0;
+      anyModel.length = 0;
+      byModel.clear();
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
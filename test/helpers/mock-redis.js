@@ -0,0 +1,126 @@
+import net from 'node:net';
+
+// A stand-in for Redis on a free local port, speaking just enough RESP2 for
+// the rate-limit store: AUTH, SELECT, GET, MGET, INCR and PEXPIRE. Pass
+// `password` to require AUTH first, as a Redis with requirepass does. Keys
+// live per database and expire on the real clock. Every command is recorded
+// in `commands` as its array of arguments, AUTH included.
+
+function bulk(value) {
+  if (value === null || value === undefined) return '$-1\r\n';
+  const s = String(value);
+  return `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+}
+
+// Parses one command (an array of bulk strings) starting at `offset`;
+// returns null when the buffer does not hold all of it yet.
+function parseCommand(buf, offset) {
+  const lineEnd = buf.indexOf('\r\n', offset);
+  if (lineEnd < 0) return null;
+  const count = parseInt(buf.toString('utf8', offset + 1, lineEnd), 10);
+  const args = [];
+  let pos = lineEnd + 2;
+  for (let i = 0; i < count; i++) {
+    const end = buf.indexOf('\r\n', pos);
+    if (end < 0) return null;
+    const len = parseInt(buf.toString('utf8', pos + 1, end), 10);
+    if (buf.length < end + 2 + len + 2) return null;
+    args.push(buf.toString('utf8', end + 2, end + 2 + len));
+    pos = end + 2 + len + 2;
+  }
+  return { args, next: pos };
+}
+
+export async function startMockRedis({ password = null, username = 'default' } = {}) {
+  const commands = [];
+  const databases = new Map();
+  const sockets = new Set();
+
+  function keyspace(db) {
+    if (!databases.has(db)) databases.set(db, new Map());
+    return databases.get(db);
+  }
+
+  function lookup(keys, key) {
+    const entry = keys.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      keys.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  function run(state, [name, ...args]) {
+    const command = name.toUpperCase();
+    if (command === 'AUTH') {
+      const [user, pass] = args.length > 1 ? args : [username, args[0]];
+      if (password === null) return '-ERR AUTH called without any password configured\r\n';
+      if (user !== username || pass !== password) return '-WRONGPASS invalid username-password pair\r\n';
+      state.authed = true;
+      return '+OK\r\n';
+    }
+    if (password !== null && !state.authed) return '-NOAUTH Authentication required.\r\n';
+    const keys = keyspace(state.db);
+    if (command === 'SELECT') {
+      const db = Number(args[0]);
+      if (!Number.isInteger(db) || db < 0 || db > 15) return '-ERR DB index is out of range\r\n';
+      state.db = db;
+      return '+OK\r\n';
+    }
+    if (command === 'GET') return bulk(lookup(keys, args[0])?.value);
+    if (command === 'MGET') return `*${args.length}\r\n${args.map(k => bulk(lookup(keys, k)?.value)).join('')}`;
+    if (command === 'INCR') {
+      const entry = lookup(keys, args[0]) || { value: '0', expiresAt: null };
+      entry.value = String(Number(entry.value) + 1);
+      keys.set(args[0], entry);
+      return `:${entry.value}\r\n`;
+    }
+    if (command === 'PEXPIRE') {
+      const entry = lookup(keys, args[0]);
+      if (!entry) return ':0\r\n';
+      entry.expiresAt = Date.now() + Number(args[1]);
+      return ':1\r\n';
+    }
+    return `-ERR unknown command '${name}'\r\n`;
+  }
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+    const state = { db: 0, authed: false };
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let offset = 0;
+      let parsed;
+      while (offset < buffer.length && (parsed = parseCommand(buffer, offset))) {
+        offset = parsed.next;
+        commands.push(parsed.args);
+        socket.write(run(state, parsed.args));
+      }
+      buffer = buffer.subarray(offset);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    port,
+    url: `redis://127.0.0.1:${port}`,
+    commands,
+    // The live value of `key` in database `db`, or null.
+    get(key, db = 0) {
+      return lookup(keyspace(db), key)?.value ?? null;
+    },
+    reset() {
+      commands.length = 0;
+      databases.clear();
+    },
+    close() {
+      for (const socket of sockets) socket.destroy();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
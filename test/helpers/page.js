@@ -0,0 +1,63 @@
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { JSDOM } from 'jsdom';
+import { readFile } from 'node:fs/promises';
+
+// Loads index.html and script.js into jsdom, with a fresh in-memory
+// IndexedDB, and sends the app's requests for /api/* to `baseUrl` (usually
+// a startServer() running the real routes). Node keeps its own fetch,
+// streams and AbortController; everything the page reaches for on
+// `window` comes from jsdom.
+
+const ROOT = new URL('../../', import.meta.url);
+
+const WINDOW_GLOBALS = [
+  'window', 'document', 'navigator', 'location', 'history', 'localStorage', 'sessionStorage',
+  'HTMLElement', 'Node', 'NodeFilter', 'Event', 'CustomEvent', 'KeyboardEvent', 'MutationObserver',
+  'DOMParser', 'FileReader', 'Blob', 'File', 'getComputedStyle', 'requestAnimationFrame', 'cancelAnimationFrame'
+];
+
+const nodeFetch = globalThis.fetch;
+
+let loads = 0;
+
+function setGlobal(name, value) {
+  Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+}
+
+export async function loadApp(baseUrl) {
+  const html = await readFile(new URL('index.html', ROOT), 'utf8');
+  const dom = new JSDOM(html, { url: 'http://localhost/', pretendToBeVisual: true });
+  const { window } = dom;
+  for (const name of WINDOW_GLOBALS) {
+    const value = window[name];
+    setGlobal(name, typeof value === 'function' && /^[a-z]/.test(name) ? value.bind(window) : value);
+  }
+  window.HTMLElement.prototype.scrollTo = () => {};
+  window.HTMLElement.prototype.scrollIntoView = () => {};
+  window.scrollTo = () => {};
+  window.confirm = () => true;
+  setGlobal('confirm', window.confirm);
+  setGlobal('indexedDB', new IDBFactory());
+  setGlobal('IDBKeyRange', IDBKeyRange);
+
+  const appFetch = (url, options) => nodeFetch(new URL(String(url), baseUrl), options);
+  window.fetch = appFetch;
+  setGlobal('fetch', appFetch);
+
+  // A query string makes each load run script.js again instead of reusing
+  // the module from the previous load.
+  await import(new URL(`script.js?load=${++loads}`, ROOT));
+  return { window, document: window.document };
+}
+
+// Resolves once `check()` returns (or resolves to) something truthy,
+// polling every 10 ms.
+export async function waitFor(check, { timeout = 5000 } = {}) {
+  const until = Date.now() + timeout;
+  while (Date.now() < until) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('waitFor timed out');
+}
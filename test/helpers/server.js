@@ -0,0 +1,65 @@
+import http from 'node:http';
+
+// Serves route handlers the way Vercel calls them: `req.body` parsed from
+// JSON, `req.query` from the query string, and res.status() / res.json() /
+// res.send() on the response. `routes` maps a path such as '/api/chat' to
+// its handler.
+export async function startServer(routes) {
+  const server = http.createServer(async (req, res) => {
+    let text = '';
+    for await (const chunk of req) text += chunk;
+    try {
+      req.body = text ? JSON.parse(text) : undefined;
+    } catch (e) {
+      req.body = text;
+    }
+    const url = new URL(req.url, 'http://localhost');
+    req.query = Object.fromEntries(url.searchParams);
+    res.status = (code) => {
+      res.statusCode = code;
+      return res;
+    };
+    res.json = (value) => {
+      if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      res.end(JSON.stringify(value));
+      return res;
+    };
+    res.send = (body) => {
+      res.end(body);
+      return res;
+    };
+    const handler = routes[url.pathname];
+    if (!handler) return res.status(404).json({ error: 'Not found' });
+    await handler(req, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+// POSTs JSON and resolves to { status, headers, body }, with the body parsed
+// when it is JSON.
+export async function postJSON(url, body, headers = {}) {
+  const r = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body) });
+  const text = await r.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {}
+  return { status: r.status, headers: r.headers, body: parsed };
+}
+
+// Splits a Server-Sent Events body into [{ event, data }], with `event`
+// null for plain data lines and `data` parsed as JSON.
+export function parseSSE(text) {
+  return text.split(/\r?\n\r?\n/).filter(Boolean).map(block => {
+    const event = /^event: (.*)$/m.exec(block);
+    const data = block.split(/\r?\n/).filter(l => l.startsWith('data:')).map(l => l.slice(5).trim()).join('\n');
+    return { event: event ? event[1] : null, data: JSON.parse(data) };
+  });
+}
@@ -0,0 +1,186 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import embed from '../api/embed.js';
+import { splitIntoChunks, tokenize, createSearchIndex, fuseRankings, formatExcerpts, openKnowledgeBase } from '../js/knowledge.js';
+import { buildContext } from '../js/context.js';
+import { MAX_EMBED_TEXTS, MAX_PART_CHARS } from '../shared/limits.js';
+import { startMockGemini, fakeEmbedding } from './helpers/mock-gemini.js';
+import { startServer, postJSON } from './helpers/server.js';
+
+let mock;
+let server;
+
+before(async () => {
+  mock = await startMockGemini();
+  process.env.GEMINI_API_KEY = 'test-key';
+  process.env.GEMINI_API_BASE = `${mock.url}/v1beta`;
+  process.env.LOG_LEVEL = 'silent';
+  process.env.RATE_LIMIT_MAX = '1000';
+  server = await startServer({ '/api/embed': embed });
+});
+
+after(async () => {
+  await server.close();
+  await mock.close();
+});
+
+// Every test gets an empty database.
+beforeEach(() => {
+  globalThis.indexedDB = new IDBFactory();
+  globalThis.IDBKeyRange = IDBKeyRange;
+  mock.reset();
+});
+
+const HANDBOOK = [
+  '# Handbook',
+  'Welcome to the team.',
+  '## Expenses',
+  '### Travel',
+  'Trains are booked in second class. Flights need a manager\'s approval first.',
+  '```sh\n# not a heading\nbook-trip --class second\n```',
+  '## Holidays',
+  'Everyone gets 25 days of paid holiday a year.'
+].join('\n\n');
+
+const fakeEmbed = async (texts) => ({ model: 'fake-embedding', embeddings: texts.map(fakeEmbedding) });
+
+test('documents are split into chunks under their heading path', () => {
+  const chunks = splitIntoChunks(HANDBOOK);
+  assert.deepEqual(chunks.map(c => c.heading), ['Handbook', 'Handbook › Expenses › Travel', 'Handbook › Holidays']);
+  assert.match(chunks[1].text, /# not a heading\nbook-trip/);
+
+  const long = splitIntoChunks(`# Notes\n\n${'One sentence about invoices. '.repeat(200)}`, { maxChars: 500, overlap: 100 });
+  assert.ok(long.length > 5);
+  for (const c of long) assert.ok(c.text.length <= 500, c.text.length);
+  // Each chunk starts with the end of the one before.
+  const carried = long[1].text.split('\n\n')[0];
+  assert.ok(carried.length > 50 && long[0].text.endsWith(carried));
+});
+
+test('BM25 ranks the chunk that shares the rarest terms first', () => {
+  assert.deepEqual(tokenize('How do the Invoices get approved? Café'), ['invoice', 'get', 'approved', 'cafe']);
+  const index = createSearchIndex();
+  index.add('travel', 'Trains are booked in second class. Flights need approval.');
+  index.add('holidays', 'Everyone gets 25 days of holiday. Holiday requests need approval.');
+  index.add('welcome', 'Welcome to the team.');
+  assert.deepEqual(index.search('Which flights need approval?').map(h => h.id), ['travel', 'holidays']);
+  assert.deepEqual(index.search('holiday days').map(h => h.id), ['holidays']);
+  assert.deepEqual(index.search('parking'), []);
+  index.remove('travel');
+  assert.deepEqual(index.search('flights'), []);
+});
+
+test('rank fusion favours ids that several rankings agree on', () => {
+  assert.deepEqual(fuseRankings([['a', 'b', 'c'], ['b', 'd']]), ['b', 'a', 'd', 'c']);
+  assert.deepEqual(fuseRankings([['a', 'b'], []]), ['a', 'b']);
+});
+
+test('the knowledge base stores, searches and forgets documents', async () => {
+  let kb = await openKnowledgeBase({ embed: fakeEmbed });
+  assert.equal(kb.persistent, true);
+  const { document } = await kb.add({ name: 'handbook.md', path: 'docs/handbook.md', text: HANDBOOK });
+  await kb.add({ name: 'menu.txt', path: 'docs/menu.txt', text: 'Lunch is served at noon in the canteen.' });
+  assert.equal(document.embeddingModel, 'fake-embedding');
+  assert.deepEqual((await kb.add({ name: 'empty.md', text: '  \n' })), { error: 'empty.md has no text to add.' });
+
+  const sources = await kb.retrieve('Do flights need approval?');
+  assert.equal(sources[0].n, 1);
+  assert.equal(sources[0].title, 'docs/handbook.md › Handbook › Expenses › Travel');
+  assert.match(sources[0].text, /manager's approval/);
+  assert.equal(sources[0].documentId, document.id);
+  assert.deepEqual(await kb.retrieve('the and of'), []);
+
+  const excerpts = formatExcerpts(sources);
+  assert.match(excerpts, /cite it by its number in square brackets/);
+  assert.match(excerpts, /\n\n\[1\] docs\/handbook\.md › Handbook › Expenses › Travel\nTrains are booked/);
+  assert.ok(excerpts.length <= MAX_PART_CHARS);
+
+  // Reopened, it finds the same chunks; adding a file at the same path
+  // replaces it.
+  kb = await openKnowledgeBase({ embed: fakeEmbed });
+  assert.deepEqual(kb.list().map(d => d.path), ['docs/handbook.md', 'docs/menu.txt']);
+  assert.equal((await kb.retrieve('When is lunch?'))[0].title, 'docs/menu.txt');
+  await kb.add({ name: 'menu.txt', path: 'docs/menu.txt', text: 'Lunch is served at one.' });
+  assert.equal(kb.list().length, 2);
+  assert.match((await kb.retrieve('When is lunch?'))[0].text, /at one/);
+
+  await kb.remove(document.id);
+  kb = await openKnowledgeBase({ embed: fakeEmbed });
+  assert.deepEqual(kb.list().map(d => d.path), ['docs/menu.txt']);
+  assert.deepEqual(await kb.retrieve('flights'), []);
+});
+
+test('documents that cannot be embedded are searched by keyword', async () => {
+  const calls = [];
+  const failing = async (texts, task) => {
+    calls.push(task);
+    throw new Error('Embeddings need a Gemini API key on this server');
+  };
+  const kb = await openKnowledgeBase({ embed: failing });
+  const { document } = await kb.add({ name: 'handbook.md', text: HANDBOOK });
+  assert.equal(document.embeddingModel, null);
+  assert.equal((await kb.retrieve('paid holiday'))[0].title, 'handbook.md › Handbook › Holidays');
+  // No query is embedded when no document was.
+  assert.deepEqual(calls, ['document']);
+});
+
+test('the excerpts go ahead of the new message, within its token count', async () => {
+  const context = await buildContext({ history: [], newText: 'Do flights need approval?', newContext: 'Excerpts…\n\n[1] handbook.md\nFlights need approval.', model: 'gemini-2.5-flash' });
+  assert.deepEqual(context.messages.at(-1).parts, [
+    { text: 'Excerpts…\n\n[1] handbook.md\nFlights need approval.' },
+    { text: 'Do flights need approval?' }
+  ]);
+  const plain = await buildContext({ history: [], newText: 'Do flights need approval?', model: 'gemini-2.5-flash' });
+  assert.equal(plain.messages.at(-1).parts.length, 1);
+  assert.ok(context.tokens > plain.tokens);
+});
+
+test('/api/embed embeds texts with the configured model and task', async () => {
+  const r = await postJSON(`${server.url}/api/embed`, { texts: ['Trains are booked in second class.', 'Lunch at noon'], task: 'document' });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.model, 'gemini-embedding-001');
+  assert.deepEqual(r.body.embeddings, [fakeEmbedding('Trains are booked in second class.'), fakeEmbedding('Lunch at noon')]);
+  const [request] = mock.requests;
+  assert.equal(request.model, 'gemini-embedding-001');
+  assert.equal(request.method, 'batchEmbedContents');
+  assert.deepEqual(request.body.requests[1], {
+    model: 'models/gemini-embedding-001', content: { parts: [{ text: 'Lunch at noon' }] }, taskType: 'RETRIEVAL_DOCUMENT', outputDimensionality: 768
+  });
+
+  process.env.EMBEDDING_MODEL = 'text-embedding-004';
+  try {
+    const q = await postJSON(`${server.url}/api/embed`, { texts: ['flights?'], task: 'query' });
+    assert.equal(q.body.model, 'text-embedding-004');
+    assert.equal(mock.requests.at(-1).body.requests[0].taskType, 'RETRIEVAL_QUERY');
+  } finally {
+    delete process.env.EMBEDDING_MODEL;
+  }
+});
+
+test('/api/embed refuses what it cannot embed', async () => {
+  const cases = [
+    [{ texts: [] }, /1 to 100 strings/],
+    [{ texts: new Array(MAX_EMBED_TEXTS + 1).fill('x') }, /1 to 100 strings/],
+    [{ texts: ['ok', ' '] }, /non-empty string/],
+    [{ texts: ['x'.repeat(MAX_PART_CHARS + 1)] }, /at most 8000 characters/],
+    [{ texts: ['ok'], task: 'classify' }, /task must be one of document, query/]
+  ];
+  for (const [body, error] of cases) {
+    const r = await postJSON(`${server.url}/api/embed`, body);
+    assert.equal(r.status, 400, JSON.stringify(body).slice(0, 80));
+    assert.equal(r.body.code, 'BAD_REQUEST');
+    assert.match(r.body.error, error);
+  }
+  assert.equal((await fetch(`${server.url}/api/embed`)).status, 405);
+
+  delete process.env.GEMINI_API_KEY;
+  try {
+    const r = await postJSON(`${server.url}/api/embed`, { texts: ['ok'] });
+    assert.equal(r.status, 503);
+    assert.equal(r.body.code, 'NOT_CONFIGURED');
+  } finally {
+    process.env.GEMINI_API_KEY = 'test-key';
+  }
+  assert.equal(mock.requests.length, 0);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { parseBlocks, renderInline } from '../js/markdown.js';
+
+globalThis.document = new JSDOM('').window.document;
+
+function inline(text) {
+  const p = document.createElement('p');
+  renderInline(text, p);
+  return p;
+}
+
+const shape = (src) => parseBlocks(src).map(b => [b.type, b.text]);
+
+test('text after a closing $$ on its line is kept as a paragraph', () => {
+  assert.deepEqual(shape('$$a+b$$ trailing words here'), [['math', 'a+b'], ['paragraph', 'trailing words here']]);
+  assert.deepEqual(shape('$$\na+b\n$$ and so on\nnext line'), [['math', '\na+b\n'], ['paragraph', 'and so on\nnext line']]);
+  assert.deepEqual(shape('$$a+b$$'), [['math', 'a+b']]);
+});
+
+test('text after a closing \\] on its line is kept as a paragraph', () => {
+  assert.deepEqual(shape('\\[x^2\\] is a square'), [['math', 'x^2'], ['paragraph', 'is a square']]);
+  assert.deepEqual(shape('\\[\nx^2\n\\]. Then\n\nmore'), [['math', '\nx^2\n'], ['paragraph', '. Then'], ['paragraph', 'more']]);
+});
+
+test('inline formatting still pairs up around unmatched delimiters', () => {
+  assert.equal(inline('[a [link](https://example.com) *b **c** _d').innerHTML, '[a <a href="https://example.com" target="_blank" rel="noopener noreferrer nofollow">link</a> *b <strong>c</strong> _d');
+  assert.equal(inline('a `x` ``y` $5 and $10').innerHTML, 'a <code>x</code> ``y` $5 and $10');
+  assert.equal(inline('[a](b\n)').innerHTML, '[a](b<br>)');
+});
+
+// Each unmatched delimiter used to scan to the end of the text again, so a
+// long streaming reply froze the page.
+test('unmatched delimiters render in linear time', () => {
+  for (const unit of ['[a ', '*a ', '$a ', '[a](b ', 'x _a ', '~~a ', '\\(a ']) {
+    const text = unit.repeat(Math.ceil(45000 / unit.length));
+    const started = performance.now();
+    assert.equal(inline(text).textContent, text.replace(/\\\(/g, '('));
+    const ms = performance.now() - started;
+    assert.ok(ms < 500, `${JSON.stringify(unit)} took ${Math.round(ms)} ms`);
+  }
+});
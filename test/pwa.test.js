@@ -0,0 +1,156 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import vm from 'node:vm';
+
+// sw.js runs in a vm context with in-memory Cache Storage and a fetch that
+// serves `files`, so install, update and offline reads can be driven event
+// by event.
+
+const ROOT = new URL('../', import.meta.url);
+const ORIGIN = 'https://celebra.test';
+
+function createCaches() {
+  const stores = new Map();
+  const key = (request) => new URL(typeof request === 'string' ? request : request.url, ORIGIN).href;
+  const open = (name) => {
+    if (!stores.has(name)) stores.set(name, new Map());
+    const store = stores.get(name);
+    return {
+      async put(request, response) { store.set(key(request), await response.clone().text()); },
+      async match(request) { return store.has(key(request)) ? new Response(store.get(key(request))) : undefined; },
+      async keys() { return [...store.keys()].map(url => ({ url })); },
+      async delete(request) { return store.delete(key(request)); }
+    };
+  };
+  return {
+    stores,
+    async open(name) { return open(name); },
+    async has(name) { return stores.has(name); },
+    async delete(name) { return stores.delete(name); }
+  };
+}
+
+async function loadWorker(files) {
+  const source = await readFile(new URL('sw.js', ROOT), 'utf8');
+  const listeners = {};
+  const messages = [];
+  const state = { online: true, skipped: false };
+  const caches = createCaches();
+  const self = {
+    location: new URL(`${ORIGIN}/sw.js`),
+    addEventListener: (type, fn) => { listeners[type] = fn; },
+    skipWaiting: async () => { state.skipped = true; },
+    clients: {
+      claim: async () => {},
+      matchAll: async () => [{ postMessage: (m) => messages.push(m.type) }]
+    }
+  };
+  const fetch = async (input) => {
+    if (!state.online) throw new TypeError('Failed to fetch');
+    const path = new URL(typeof input === 'string' ? input : input.url, ORIGIN).pathname;
+    return path in files ? new Response(files[path]) : new Response('Not found', { status: 404 });
+  };
+  const context = vm.createContext({ self, caches, fetch, URL, Response, Promise, console });
+  vm.runInContext(source, context);
+
+  async function dispatch(type, props = {}) {
+    const pending = [];
+    let response;
+    listeners[type]({ ...props, waitUntil: (p) => pending.push(p), respondWith: (p) => { response = p; } });
+    await Promise.all(pending);
+    return response;
+  }
+  async function get(path) {
+    const response = await dispatch('fetch', { request: { method: 'GET', url: `${ORIGIN}${path}` } });
+    return response ? (await response).text() : null;
+  }
+  const shellFiles = vm.runInContext('SHELL_FILES', context);
+  return { dispatch, get, messages, state, caches, shellFiles };
+}
+
+function shellOf(shellFiles, version) {
+  return Object.fromEntries(shellFiles.map(path => [path, `${path} ${version}`]));
+}
+
+async function installed(files) {
+  const worker = await loadWorker(files);
+  await worker.dispatch('install');
+  await worker.dispatch('activate');
+  return worker;
+}
+
+test('the first install caches the shell and serves it offline', async () => {
+  const { shellFiles } = await loadWorker({});
+  const worker = await installed(shellOf(shellFiles, 'v1'));
+  assert.equal(worker.state.skipped, true);
+  worker.state.online = false;
+  assert.equal(await worker.get('/'), '/index.html v1');
+  assert.equal(await worker.get('/js/conversations.js'), '/js/conversations.js v1');
+  assert.equal(await worker.get('/api/models'), null);
+  assert.equal(await worker.dispatch('fetch', { request: { method: 'POST', url: `${ORIGIN}/index.html` } }), undefined);
+});
+
+test('a deploy is staged and only replaces the shell once accepted', async () => {
+  const { shellFiles } = await loadWorker({});
+  const files = shellOf(shellFiles, 'v1');
+  const worker = await installed(files);
+
+  await worker.dispatch('message', { data: { type: 'check-update' } });
+  assert.deepEqual(worker.messages, []);
+
+  files['/script.js'] = '/script.js v2';
+  await worker.dispatch('message', { data: { type: 'check-update' } });
+  assert.deepEqual(worker.messages, ['update-ready']);
+  assert.equal(await worker.get('/script.js'), '/script.js v1');
+
+  const replies = [];
+  await worker.dispatch('message', { data: { type: 'apply-update' }, source: { postMessage: (m) => replies.push(m.type) } });
+  assert.deepEqual(replies, ['updated']);
+  assert.equal(await worker.get('/script.js'), '/script.js v2');
+  assert.equal(worker.caches.stores.has('celebra-shell-next'), false);
+});
+
+test('a check while offline or mid-deploy changes nothing', async () => {
+  const { shellFiles } = await loadWorker({});
+  const files = shellOf(shellFiles, 'v1');
+  const worker = await installed(files);
+  worker.state.online = false;
+  await worker.dispatch('message', { data: { type: 'check-update' } });
+  worker.state.online = true;
+  delete files['/style.css'];
+  files['/script.js'] = '/script.js v2';
+  await worker.dispatch('message', { data: { type: 'check-update' } });
+  assert.deepEqual(worker.messages, []);
+  assert.equal(await worker.get('/script.js'), '/script.js v1');
+});
+
+// Every module script.js loads, followed through their imports.
+async function appModules() {
+  const found = new Set(['/script.js']);
+  const queue = ['/script.js'];
+  while (queue.length) {
+    const path = queue.shift();
+    const source = await readFile(new URL(`.${path}`, ROOT), 'utf8');
+    for (const [, spec] of source.matchAll(/\bfrom\s+'(\.{1,2}\/[^']+)'/g)) {
+      const next = new URL(spec, `${ORIGIN}${path}`).pathname;
+      if (!found.has(next)) {
+        found.add(next);
+        queue.push(next);
+      }
+    }
+  }
+  return [...found];
+}
+
+test('the shell lists every module the app loads, and the files the page links', async () => {
+  const { shellFiles } = await loadWorker({});
+  for (const path of await appModules()) assert.ok(shellFiles.includes(path), `${path} is missing from SHELL_FILES`);
+  const manifest = JSON.parse(await readFile(new URL('manifest.webmanifest', ROOT), 'utf8'));
+  for (const icon of manifest.icons) assert.ok(shellFiles.includes(icon.src), icon.src);
+  const html = await readFile(new URL('index.html', ROOT), 'utf8');
+  for (const [, href] of html.matchAll(/<link [^>]*href="([^"]+)"/g)) {
+    assert.ok(shellFiles.includes(new URL(href, `${ORIGIN}/`).pathname), href);
+  }
+  for (const path of shellFiles) await readFile(new URL(`.${path}`, ROOT));
+});
@@ -0,0 +1,189 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { loadConfig, DEFAULT_CSP } from '../server/config.js';
+import { createApp } from '../server/app.js';
+import { runHandler } from '../server/adapter.js';
+import { publicFile } from '../server/static.js';
+
+let app;
+let base;
+let dir;
+
+before(async () => {
+  process.env.LOG_LEVEL = 'silent';
+  process.env.GEMINI_API_KEY = 'test-key';
+  dir = await mkdtemp(join(tmpdir(), 'celebra-server-'));
+  app = await createApp({ ...(await loadConfig([], {})), bodyLimit: 1024, shutdownTimeout: 5 });
+  await new Promise(resolve => app.server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${app.server.address().port}`;
+});
+
+after(async () => {
+  await app.close();
+  await rm(dir, { recursive: true, force: true });
+});
+
+test('loadConfig uses the defaults without a config file', async () => {
+  const config = await loadConfig([], {});
+  assert.deepEqual(config, {
+    file: null, port: 3000, host: null, bodyLimit: 5 * 1024 * 1024, shutdownTimeout: 10, staticMaxAge: 0, hsts: false, contentSecurityPolicy: DEFAULT_CSP
+  });
+});
+
+test('loadConfig reads the file, and the environment wins over it', async () => {
+  const path = join(dir, 'config.json');
+  await writeFile(path, JSON.stringify({ port: 8080, hsts: true, staticMaxAge: 60, env: { GEMINI_API_KEY: 'from-file', AUTH_SECRET: 'file-secret' } }));
+  const env = { PORT: '9090', GEMINI_API_KEY: 'from-env' };
+  const config = await loadConfig(['--config', path], env);
+  assert.equal(config.file, path);
+  assert.equal(config.port, 9090);
+  assert.equal(config.hsts, true);
+  assert.equal(config.staticMaxAge, 60);
+  assert.equal(env.GEMINI_API_KEY, 'from-env');
+  assert.equal(env.AUTH_SECRET, 'file-secret');
+  assert.equal((await loadConfig([], { CELEBRA_CONFIG: path })).port, 8080);
+});
+
+test('loadConfig refuses invalid settings and missing files', async () => {
+  await assert.rejects(loadConfig([], { PORT: 'eighty' }), /Invalid port setting/);
+  await assert.rejects(loadConfig([], { HSTS: 'yes' }), /Invalid hsts setting/);
+  await assert.rejects(loadConfig(['--config', join(dir, 'missing.json')], {}), /Cannot read config file/);
+  const bad = join(dir, 'bad.json');
+  await writeFile(bad, '{ nope');
+  await assert.rejects(loadConfig(['--config', bad], {}), /not valid JSON/);
+});
+
+test('the app is served with security and caching headers', async () => {
+  const r = await fetch(`${base}/`);
+  assert.equal(r.status, 200);
+  assert.match(r.headers.get('content-type'), /^text\/html/);
+  assert.equal(r.headers.get('cache-control'), 'no-cache');
+  assert.equal(r.headers.get('content-security-policy'), DEFAULT_CSP);
+  assert.equal(r.headers.get('x-content-type-options'), 'nosniff');
+  assert.equal(r.headers.get('x-frame-options'), 'DENY');
+  assert.equal(r.headers.get('strict-transport-security'), null);
+  assert.match(await r.text(), /<script type="module" src="script.js">/);
+
+  const etag = r.headers.get('etag');
+  const again = await fetch(`${base}/index.html`, { headers: { 'If-None-Match': etag } });
+  assert.equal(again.status, 304);
+
+  for (const path of ['/script.js', '/style.css', '/js/text.js', '/shared/limits.js', '/share.html', '/sw.js', '/manifest.webmanifest', '/icons/icon-192.png']) {
+    assert.equal((await fetch(`${base}${path}`)).status, 200, path);
+  }
+  assert.match((await fetch(`${base}/script.js`)).headers.get('content-type'), /^text\/javascript/);
+  assert.equal((await fetch(`${base}/manifest.webmanifest`)).headers.get('content-type'), 'application/manifest+json');
+});
+
+test('nothing outside the app is served', async () => {
+  for (const path of ['/package.json', '/server/app.js', '/test/server.test.js', '/.gitignore', '/.data/shares.sqlite', '/README.md', '/js/../server/app.js', '/js/%2e%2e/server/app.js', '/js/%00.js', '/node_modules/jsdom/package.json']) {
+    assert.equal((await fetch(`${base}${path}`)).status, 404, path);
+  }
+  assert.equal(publicFile('/app', '/js/..%2f..%2fetc/passwd'), null);
+  assert.equal(publicFile('/app', '/'), join('/app', 'index.html'));
+  assert.equal((await fetch(`${base}/`, { method: 'POST' })).status, 405);
+});
+
+test('API routes are mounted from api/ with the error contract', async () => {
+  const models = await fetch(`${base}/api/models`);
+  assert.equal(models.status, 200);
+  assert.ok(Array.isArray((await models.json()).models));
+
+  for (const path of ['/api/nope', '/api/_lib/log', '/api/chat.js']) {
+    const r = await fetch(`${base}${path}`);
+    assert.equal(r.status, 404, path);
+    const body = await r.json();
+    assert.equal(body.code, 'NOT_FOUND');
+    assert.match(r.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+    assert.equal(body.requestId, r.headers.get('x-request-id'));
+  }
+  assert.ok(app.routes['/api/chat']);
+  assert.ok(!Object.keys(app.routes).some(route => route.includes('_lib')));
+});
+
+test('bad and oversized bodies are refused before the route runs', async () => {
+  const bad = await fetch(`${base}/api/chat`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{ nope' });
+  assert.equal(bad.status, 400);
+  const badBody = await bad.json();
+  assert.equal(badBody.error, 'Bad request: invalid JSON body');
+  assert.equal(badBody.requestId, bad.headers.get('x-request-id'));
+  const big = await fetch(`${base}/api/chat`, { method: 'POST', headers: { 'Content-Type': 'application/json', 'X-Request-Id': 'trace-413' }, body: JSON.stringify({ text: 'x'.repeat(2000) }) });
+  assert.equal(big.status, 413);
+  assert.equal(big.headers.get('x-request-id'), 'trace-413');
+  const bigBody = await big.json();
+  assert.equal(bigBody.code, 'PAYLOAD_TOO_LARGE');
+  assert.equal(bigBody.requestId, 'trace-413');
+});
+
+test('the adapter gives handlers Vercel\'s req.query, req.body and res helpers', async () => {
+  const seen = [];
+  const handler = async (req, res) => {
+    seen.push({ query: req.query, body: req.body });
+    if (req.query.fail) throw new Error('boom');
+    return res.status(201).send({ ok: true });
+  };
+  const server = http.createServer((req, res) => runHandler(handler, req, res, new URL(req.url, 'http://x'), { bodyLimit: 1024 }));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/`;
+  try {
+    const r = await fetch(`${url}?tag=a&tag=b&one=1`, { method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body: 'name=Ada' });
+    assert.equal(r.status, 201);
+    assert.deepEqual(await r.json(), { ok: true });
+    await fetch(url, { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: 'hello' });
+    await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/octet-stream' }, body: 'raw' });
+    await fetch(url);
+    assert.deepEqual(seen.slice(0, 2), [
+      { query: { tag: ['a', 'b'], one: '1' }, body: { name: 'Ada' } },
+      { query: {}, body: 'hello' }
+    ]);
+    assert.ok(Buffer.isBuffer(seen[2].body));
+    assert.equal(seen[3].body, undefined);
+
+    const failed = await fetch(`${url}?fail=1`);
+    assert.equal(failed.status, 500);
+    assert.equal((await failed.json()).code, 'INTERNAL');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('a client that disconnects while sending a body does not take the server down', async () => {
+  const { port } = app.server.address();
+  await new Promise((resolve) => {
+    const req = http.request({ port, host: '127.0.0.1', method: 'POST', path: '/api/chat', headers: { 'Content-Type': 'application/json', 'Content-Length': 1000 } });
+    req.on('error', () => {});
+    req.on('close', resolve);
+    req.write('{"messages":[', () => setTimeout(() => req.destroy(), 50));
+  });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const res = await fetch(`${base}/api/chat`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{' });
+  assert.equal(res.status, 400);
+});
+
+test('closing lets a request in flight finish and refuses new ones', async () => {
+  const second = await createApp({ ...(await loadConfig([], {})), shutdownTimeout: 5 });
+  await new Promise(resolve => second.server.listen(0, '127.0.0.1', resolve));
+  const { port } = second.server.address();
+  const body = JSON.stringify({ messages: [] });
+  const response = new Promise((resolve, reject) => {
+    const req = http.request({ port, host: '127.0.0.1', method: 'POST', path: '/api/share', headers: { 'Content-Type': 'application/json', 'Content-Length': body.length } }, (res) => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, connection: res.headers.connection, text }));
+    });
+    req.on('error', reject);
+    req.write(body.slice(0, 5));
+    setTimeout(() => req.end(body.slice(5)), 200);
+  });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const closed = second.close();
+  await assert.rejects(fetch(`http://127.0.0.1:${port}/`));
+  const r = await response;
+  assert.equal(r.status, 400);
+  assert.equal(r.connection, 'close');
+  await closed;
+});
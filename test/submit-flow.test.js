@@ -0,0 +1,286 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import chat from '../api/chat.js';
+import models from '../api/models.js';
+import auth from '../api/auth.js';
+import picks from '../api/picks.js';
+import embed from '../api/embed.js';
+import { usageReport } from '../api/_lib/usage/index.js';
+import { startMockGemini, ok, functionCalls, rateLimited, serverError, safetyBlocked } from './helpers/mock-gemini.js';
+import { startServer } from './helpers/server.js';
+import { loadApp, waitFor } from './helpers/page.js';
+
+// The whole path of a message: the composer in jsdom, script.js, the real
+// /api/chat route and a mock Gemini behind it. Main falls back to Backup;
+// titles go to Lite, the fast model, so they never take a reply queued for
+// the other two. The tests run in order against one page.
+
+let mock;
+let server;
+let document;
+
+before(async () => {
+  mock = await startMockGemini();
+  process.env.GEMINI_API_KEY = 'test-key';
+  process.env.GEMINI_API_BASE = `${mock.url}/v1beta`;
+  process.env.LOG_LEVEL = 'silent';
+  process.env.RATE_LIMIT_MAX = '1000';
+  process.env.MODEL_CATALOG = JSON.stringify({
+    default: 'gemini-main',
+    retry: { maxRetries: 0, baseDelayMs: 0, cooldownMs: 0 },
+    models: [
+      { id: 'gemini-main', label: 'Main', fallbacks: ['gemini-backup'] },
+      { id: 'gemini-backup', label: 'Backup', fallbacks: [] },
+      { id: 'gemini-lite', label: 'Lite', speed: 'fast', fallbacks: [] }
+    ]
+  });
+  server = await startServer({ '/api/chat': chat, '/api/models': models, '/api/auth': auth, '/api/picks': picks, '/api/embed': embed });
+  ({ document } = await loadApp(server.url));
+});
+
+after(async () => {
+  await server.close();
+  await mock.close();
+});
+
+function replies() {
+  return [...document.querySelectorAll('#messages .bubble.bot')];
+}
+
+function submit(text) {
+  document.getElementById('input').value = text;
+  document.getElementById('composer').dispatchEvent(new document.defaultView.Event('submit', { cancelable: true }));
+}
+
+// Sends `text` from the composer and resolves to the reply bubble once the
+// reply has finished.
+async function send(text) {
+  const before = replies().length;
+  submit(text);
+  return waitFor(() => {
+    const bubble = replies()[before];
+    const busy = document.getElementById('sendBtn').classList.contains('sending');
+    return bubble && !busy && !bubble.querySelector('.typing-dots') ? bubble : null;
+  });
+}
+
+function streamedTo(model) {
+  return mock.requests.filter(r => r.model === model && r.method === 'streamGenerateContent');
+}
+
+function notes(bubble) {
+  return [...bubble.querySelectorAll('.bubble-note')].map(n => n.textContent);
+}
+
+test('a message is sent, streamed back and rendered as Markdown', async () => {
+  mock.replyFor('gemini-main', ok('**Hello** from Main.'));
+  const bubble = await send('Hi there');
+  assert.equal(bubble.querySelector('strong').textContent, 'Hello');
+  assert.match(bubble.textContent, /Hello from Main\./);
+  assert.deepEqual(notes(bubble), []);
+  assert.equal(bubble.querySelector('.msg-model').textContent, 'Main');
+  const [request] = streamedTo('gemini-main');
+  assert.equal(request.body.contents.at(-1).parts[0].text, 'Hi there');
+  assert.ok(document.querySelector('#messages .bubble.user').textContent.includes('Hi there'));
+});
+
+test('a server error on the chosen model falls back to the next one', async () => {
+  mock.reset();
+  mock.replyFor('gemini-main', serverError(500));
+  mock.replyFor('gemini-backup', ok('Backup answered.'));
+  const bubble = await send('Still there?');
+  assert.match(bubble.textContent, /Backup answered\./);
+  assert.deepEqual(notes(bubble), ['↪ Main is not responding — switched to Backup.']);
+  assert.equal(bubble.querySelector('.msg-model').textContent, 'Backup');
+  assert.equal(streamedTo('gemini-main').length, 1);
+  assert.equal(streamedTo('gemini-backup').length, 1);
+  // The reply follows the whole conversation, not just the last message.
+  assert.equal(streamedTo('gemini-backup')[0].body.contents.length, 3);
+});
+
+test('a safety block is shown without falling back', async () => {
+  mock.reset();
+  mock.replyFor('gemini-main', safetyBlocked());
+  const bubble = await send('Something risky');
+  assert.ok(bubble.classList.contains('blocked'));
+  assert.match(bubble.textContent, /dangerous content/);
+  assert.equal(streamedTo('gemini-backup').length, 0);
+});
+
+test('a tool call is run and its result sent back before the answer', async () => {
+  mock.reset();
+  mock.replyFor('gemini-main', functionCalls([{ name: 'calculate', args: { expression: '6*7' } }]), ok('6 × 7 is 42.'));
+  const bubble = await send('What is 6*7?');
+  assert.match(bubble.textContent, /6 × 7 is 42\./);
+  const step = bubble.querySelector('.tool-step');
+  assert.equal(step.dataset.status, 'done');
+  assert.match(step.querySelector('summary').textContent, /Calculator.*done · 42/);
+
+  const [first, second] = streamedTo('gemini-main');
+  assert.ok(first.body.tools[0].functionDeclarations.some(d => d.name === 'calculate'));
+  assert.deepEqual(second.body.contents.slice(-2), [
+    { role: 'model', parts: [{ functionCall: { name: 'calculate', args: { expression: '6*7' } } }] },
+    { role: 'user', parts: [{ functionResponse: { name: 'calculate', response: { result: { expression: '6*7', result: 42 } } } }] }
+  ]);
+});
+
+test('a tool that asks first waits for the user, who can skip it', async () => {
+  mock.reset();
+  mock.replyFor('gemini-main', functionCalls([{ name: 'search_conversations', args: { query: 'sourdough' } }]), ok('I found nothing.'));
+  const before = replies().length;
+  submit('Did we talk about sourdough?');
+  const skip = await waitFor(() => {
+    const buttons = replies()[before] && replies()[before].querySelectorAll('.tool-step-approval button');
+    return buttons && buttons.length ? buttons[1] : null;
+  });
+  assert.equal(streamedTo('gemini-main').length, 1);
+  skip.click();
+  const bubble = await waitFor(() => !document.getElementById('sendBtn').classList.contains('sending') && replies()[before]);
+  assert.match(bubble.textContent, /I found nothing\./);
+  assert.equal(bubble.querySelector('.tool-step').dataset.status, 'skipped');
+  const response = streamedTo('gemini-main')[1].body.contents.at(-1).parts[0].functionResponse.response;
+  assert.deepEqual(response, { error: 'The user did not allow this tool call.' });
+});
+
+test('a rate-limited model is skipped until its retry delay is over', async () => {
+  mock.reset();
+  mock.replyFor('gemini-main', rateLimited(30));
+  mock.replyFor('gemini-backup', ok('First from Backup.'), ok('Second from Backup.'));
+  const first = await send('One');
+  assert.match(first.textContent, /First from Backup\./);
+  assert.deepEqual(notes(first), ['↪ Main hit its rate limit (ready again in 30 s) — switched to Backup.']);
+
+  const second = await send('Two');
+  assert.match(second.textContent, /Second from Backup\./);
+  assert.equal(notes(second).length, 1);
+  assert.match(notes(second)[0], /^↪ Main is cooling down for \d+ s — switched to Backup\.$/);
+  assert.equal(streamedTo('gemini-main').length, 1);
+});
+
+test('the user is told when every model in the chain fails', async () => {
+  mock.reset();
+  mock.replyFor('gemini-backup', serverError(503));
+  const bubble = await send('Anyone?');
+  assert.match(bubble.textContent, /All models in the fallback chain are unavailable right now/);
+  assert.equal(streamedTo('gemini-main').length, 0);
+  assert.equal(streamedTo('gemini-backup').length, 1);
+});
+
+test('a message written offline waits in the outbox and is sent once back online', async () => {
+  mock.reset();
+  mock.replyFor('gemini-main', serverError(503));
+  mock.replyFor('gemini-backup', serverError(503));
+  const window = document.defaultView;
+  const lastUserBubble = () => [...document.querySelectorAll('#messages .bubble.user')].at(-1);
+  const before = replies().length;
+  Object.defineProperty(window.navigator, 'onLine', { get: () => false, configurable: true });
+  try {
+    submit('Written offline');
+    const queued = await waitFor(() => lastUserBubble().classList.contains('pending') && lastUserBubble());
+    assert.match(queued.querySelector('.bubble-status').textContent, /Waiting for a connection/);
+    assert.equal(replies().length, before);
+    submit('And another');
+    assert.equal(document.getElementById('input').value, 'And another');
+  } finally {
+    delete window.navigator.onLine;
+  }
+
+  window.dispatchEvent(new window.Event('online'));
+  const failed = await waitFor(() => lastUserBubble().classList.contains('failed') && lastUserBubble());
+  assert.match(failed.querySelector('.bubble-status').textContent, /Not sent/);
+
+  mock.reset();
+  mock.reply(ok('Sent at last.'));
+  failed.querySelector('.bubble-status button').click();
+  const bubble = await waitFor(() => {
+    const reply = replies().at(-1);
+    const busy = document.getElementById('sendBtn').classList.contains('sending');
+    return reply && !busy && /Sent at last/.test(reply.textContent) ? reply : null;
+  });
+  assert.ok(bubble);
+  assert.ok(!lastUserBubble().classList.contains('failed'));
+  assert.equal(lastUserBubble().querySelector('.bubble-status'), null);
+  assert.equal(mock.requests.filter(r => r.stream).at(-1).body.contents.at(-1).parts[0].text, 'Written offline');
+});
+
+test('compare mode streams two models side by side and continues from the pick', async () => {
+  mock.reset();
+  mock.replyFor('gemini-main', ok('Main says hi.'));
+  mock.replyFor('gemini-backup', ok('Backup says hi.'));
+  const click = (selector) => document.querySelector(selector).click();
+  click('#compareBtn');
+  for (const label of document.querySelectorAll('#compareList label')) {
+    if (/^\s*(Main|Backup)$/.test(label.textContent)) label.querySelector('input').click();
+  }
+  click('#compareOn');
+  assert.equal(document.getElementById('compareBtn').textContent, 'Compare ×2');
+  assert.equal(document.getElementById('modelSelect').disabled, true);
+
+  submit('Write a haiku about rain');
+  const board = await waitFor(() => document.querySelectorAll('#messages .compare .compare-pick').length === 2 && document.querySelector('#messages .compare'));
+  const columns = [...board.querySelectorAll('.compare-column')];
+  assert.deepEqual(columns.map(c => c.querySelector('strong').textContent), ['Main', 'Backup']);
+  assert.match(columns[1].querySelector('.compare-content').textContent, /Backup says hi\./);
+  assert.match(columns[0].querySelector('.compare-stats').textContent, /^\d+ ms · 12 in \/ 8 out tokens$/);
+  assert.equal(board.querySelector('.compare-task').value, 'writing');
+  assert.equal(streamedTo('gemini-main').at(-1).body.contents.at(-1).parts[0].text, 'Write a haiku about rain');
+
+  submit('Too soon');
+  assert.equal(document.getElementById('input').value, 'Too soon');
+  document.getElementById('input').value = '';
+
+  columns[1].querySelector('.compare-pick').click();
+  const reply = await waitFor(() => !document.querySelector('#messages .compare') && replies().at(-1));
+  assert.match(reply.textContent, /Backup says hi\./);
+  assert.equal(reply.querySelector('.branch-nav span').textContent, '2/2');
+  const picked = await waitFor(async () => {
+    const report = await usageReport({ days: 1 });
+    return report.picks.length && report.picks;
+  });
+  assert.deepEqual(picked.map(p => [p.task, p.model, p.wins]), [['writing', 'gemini-backup', 1], ['writing', 'gemini-main', 0]]);
+
+  click('#compareBtn');
+  click('#compareOff');
+  assert.equal(document.getElementById('modelSelect').disabled, false);
+});
+
+test('documents added to the knowledge base are cited in the reply', async () => {
+  mock.reset();
+  const { File, Event } = document.defaultView;
+  document.getElementById('knowledgeBtn').click();
+  const picker = document.getElementById('knowledgeFileInput');
+  const handbook = '# Expenses\n\n## Travel\n\nFlights need a manager\'s approval before booking.\n\n## Meals\n\nDinners are paid up to 40 euros.';
+  Object.defineProperty(picker, 'files', {
+    configurable: true,
+    value: [new File([handbook], 'handbook.md', { type: 'text/markdown' }), new File(['x'], 'logo.png', { type: 'image/png' })]
+  });
+  picker.dispatchEvent(new Event('change'));
+  await waitFor(() => /^Added 1 of 1 document\./.test(document.getElementById('knowledgeStatus').textContent));
+  assert.match(document.getElementById('knowledgeStatus').textContent, /Skipped 1 other file\./);
+  assert.match(document.querySelector('#knowledgeList li').textContent, /handbook\.md2 passages · keyword and meaning search/);
+  assert.ok(mock.requests.some(r => r.method === 'batchEmbedContents'));
+  document.getElementById('knowledgeClose').click();
+
+  // A new chat on Backup: Main is still cooling down from an earlier test.
+  document.getElementById('newChatBtn').click();
+  const select = document.getElementById('modelSelect');
+  select.value = 'gemini:gemini-backup';
+  select.dispatchEvent(new Event('change'));
+  mock.replyFor('gemini-backup', ok('Yes, a manager approves them first [1].'));
+  const bubble = await send('Do flights need approval?');
+  const parts = streamedTo('gemini-backup').at(-1).body.contents.at(-1).parts;
+  assert.match(parts[0].text, /\[1\] handbook\.md › Expenses › Travel\nFlights need a manager's approval/);
+  assert.equal(parts[1].text, 'Do flights need approval?');
+  assert.deepEqual([...bubble.querySelectorAll('.bubble-sources li')].map(li => li.textContent), ['handbook.md › Expenses › Travel']);
+
+  bubble.querySelector('a.source-cite').click();
+  assert.equal(document.getElementById('sourceModal').getAttribute('aria-hidden'), 'false');
+  assert.equal(document.getElementById('sourceTitle').textContent, '[1] handbook.md › Expenses › Travel');
+  assert.match(document.getElementById('sourceText').textContent, /before booking/);
+  document.getElementById('sourceClose').click();
+
+  document.getElementById('knowledgeEnabled').click();
+  mock.replyFor('gemini-backup', ok('No idea.'));
+  await send('Do flights need approval again?');
+  assert.deepEqual(streamedTo('gemini-backup').at(-1).body.contents.at(-1).parts, [{ text: 'Do flights need approval again?' }]);
+});
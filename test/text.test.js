@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeAIText, organizeTextIntoNumberedSections } from '../js/text.js';
+
+test('sanitizeAIText returns an empty string for nothing', () => {
+  assert.equal(sanitizeAIText(''), '');
+  assert.equal(sanitizeAIText(null), '');
+  assert.equal(sanitizeAIText(undefined), '');
+});
+
+test('sanitizeAIText normalises line endings and strips control characters', () => {
+  assert.equal(sanitizeAIText('one\r\ntwo\rthree\u0007\u0000'), 'one\ntwo\nthree');
+});
+
+test('sanitizeAIText keeps tabs and newlines', () => {
+  assert.equal(sanitizeAIText('a\tb\nc'), 'a\tb\nc');
+});
+
+test('sanitizeAIText trims trailing spaces and collapses blank lines', () => {
+  assert.equal(sanitizeAIText('\n\nfirst   \n\n\n\nsecond\t\n\n'), 'first\n\nsecond');
+});
+
+test('sanitizeAIText leaves fenced code blocks untouched', () => {
+  const code = '```js\nconst a = 1;   \n\n\n\nreturn a;  \n```';
+  assert.equal(sanitizeAIText(`Intro  \n\n\n${code}\n\n\nAfter  `), `Intro\n\n${code}\n\nAfter`);
+});
+
+test('sanitizeAIText only closes a fence with the same marker', () => {
+  const text = '~~~\n```\n\n\nstill code  \n~~~\n\n\ntext';
+  assert.equal(sanitizeAIText(text), '~~~\n```\n\n\nstill code  \n~~~\n\ntext');
+});
+
+test('sanitizeAIText keeps an unclosed fence to the end', () => {
+  assert.equal(sanitizeAIText('```\na  \n\n\nb'), '```\na  \n\n\nb');
+});
+
+test('organizeTextIntoNumberedSections numbers paragraphs and their sentences', () => {
+  const text = 'First point. More detail! Last bit?\n\nSecond point';
+  assert.equal(organizeTextIntoNumberedSections(text), '1. First point.\n1.1 More detail!\n1.2 Last bit?\n\n2. Second point');
+});
+
+test('organizeTextIntoNumberedSections leaves numbered text alone', () => {
+  const text = '1. Already\n2) numbered';
+  assert.equal(organizeTextIntoNumberedSections(text), text);
+  assert.equal(organizeTextIntoNumberedSections('Intro\n\n2.1 Sub'), 'Intro\n\n2.1 Sub');
+});
+
+test('organizeTextIntoNumberedSections returns an empty string for nothing', () => {
+  assert.equal(organizeTextIntoNumberedSections(''), '');
+  assert.equal(organizeTextIntoNumberedSections(null), '');
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  evaluateExpression, convertUnits, describeTime, searchConversations, createToolRegistry, loadToolSettings, withToolTurns
+} from '../js/tools.js';
+import { MAX_CONTENTS } from '../shared/limits.js';
+
+test('evaluateExpression follows precedence and associativity', () => {
+  assert.equal(evaluateExpression('1 + 2 * 3'), 7);
+  assert.equal(evaluateExpression('(1 + 2) * 3'), 9);
+  assert.equal(evaluateExpression('2 ^ 3 ^ 2'), 512);
+  assert.equal(evaluateExpression('-2 ** 2'), -4);
+  assert.equal(evaluateExpression('2 ^ -1'), 0.5);
+  assert.equal(evaluateExpression('10 % 4 - 8 / 4'), 0);
+  assert.equal(evaluateExpression('1.5e3 + .5'), 1500.5);
+});
+
+test('evaluateExpression knows constants and functions', () => {
+  assert.equal(evaluateExpression('sqrt(16) + abs(-2)'), 6);
+  assert.equal(evaluateExpression('max(1, 7, 3) * min(2, 5)'), 14);
+  assert.equal(evaluateExpression('round(PI * 100)'), 314);
+  assert.equal(evaluateExpression('log(1000)'), 3);
+  assert.equal(evaluateExpression('ln(e)'), 1);
+  assert.equal(evaluateExpression('pow(2, 10) + max(4)'), 1028);
+});
+
+test('evaluateExpression rejects anything that is not arithmetic', () => {
+  assert.throws(() => evaluateExpression(''), /empty/);
+  assert.throws(() => evaluateExpression('alert(1)'), /Unknown name "alert"/);
+  assert.throws(() => evaluateExpression('constructor'), /Unknown name/);
+  assert.throws(() => evaluateExpression('1 +'), /ends too early/);
+  assert.throws(() => evaluateExpression('abs(1, 2)'), /abs\(\) takes 1 argument, not 2/);
+  assert.throws(() => evaluateExpression('sqrt(4, 9)'), /sqrt\(\) takes 1 argument, not 2/);
+  assert.throws(() => evaluateExpression('pow(2)'), /pow\(\) takes 2 arguments, not 1/);
+  assert.throws(() => evaluateExpression('(1 + 2'), /Expected "\)"/);
+  assert.throws(() => evaluateExpression('2 3'), /Unexpected "3"/);
+  assert.throws(() => evaluateExpression('1; 2'), /Unexpected character ";"/);
+  assert.throws(() => evaluateExpression('1 / 0'), /not a finite number/);
+  assert.throws(() => evaluateExpression('1+'.repeat(300) + '1'), /longer than/);
+});
+
+test('convertUnits converts within a dimension, by symbol or name', () => {
+  assert.equal(convertUnits(1, 'mi', 'km'), 1.609344);
+  assert.equal(convertUnits(2, 'pounds', 'kg'), 0.90718474);
+  assert.equal(convertUnits(1, 'GiB', 'MiB'), 1024);
+  assert.equal(convertUnits(100, 'km/h', 'm/s'), 27.7777777778);
+  assert.equal(convertUnits(100, 'C', 'F'), 212);
+  assert.equal(convertUnits(0, 'kelvin', 'celsius'), -273.15);
+});
+
+test('convertUnits rejects unknown units, mixed dimensions and non-numbers', () => {
+  assert.throws(() => convertUnits(1, 'furlong', 'm'), /Unknown unit "furlong"/);
+  assert.throws(() => convertUnits(1, 'kg', 'm'), /Cannot convert mass to length/);
+  assert.throws(() => convertUnits('lots', 'kg', 'g'), /must be a number/);
+});
+
+test('describeTime gives the time in the requested zone', () => {
+  const now = new Date('2026-03-01T12:00:00Z');
+  const time = describeTime(now, 'Asia/Tokyo');
+  assert.equal(time.iso, '2026-03-01T12:00:00.000Z');
+  assert.equal(time.timeZone, 'Asia/Tokyo');
+  assert.match(time.local, /^Sunday, March 1, 2026 at 9:00:00\sPM/);
+  assert.throws(() => describeTime(now, 'Mars/Olympus'), /Unknown time zone/);
+});
+
+test('searchConversations leaves out the current chat and clips excerpts', () => {
+  const conversation = (id, title, texts) => ({
+    id, title, updatedAt: Date.UTC(2026, 0, 2), nodes: texts.map(text => ({ role: 'user', text }))
+  });
+  const all = [
+    conversation('a', 'Sourdough', ['My sourdough starter smells odd', 'x'.repeat(1000) + ' sourdough']),
+    conversation('b', 'Current', ['sourdough again?'])
+  ];
+  const search = () => all.map(c => ({ conversation: c, snippet: '' }));
+  const found = searchConversations({ query: 'Sourdough' }, { search, conversationId: 'b' });
+  assert.equal(found.count, 1);
+  assert.equal(found.results[0].title, 'Sourdough');
+  assert.equal(found.results[0].updated, '2026-01-02');
+  assert.equal(found.results[0].excerpts[0], 'user: My sourdough starter smells odd');
+  assert.ok(found.results[0].excerpts[1].length <= 406);
+  assert.throws(() => searchConversations({ query: ' ' }, { search, conversationId: 'b' }), /empty/);
+});
+
+test('the registry declares and runs tools, reporting failures to the model', async () => {
+  const registry = createToolRegistry();
+  assert.deepEqual(registry.list().map(t => t.name), ['calculate', 'get_current_time', 'convert_units', 'search_conversations']);
+  const [declaration] = registry.declarations(['calculate', 'missing']);
+  assert.deepEqual(Object.keys(declaration), ['name', 'description', 'parameters']);
+
+  assert.deepEqual(await registry.execute({ name: 'calculate', args: { expression: '6*7' } }, {}), { result: { expression: '6*7', result: 42 } });
+  assert.deepEqual(await registry.execute({ name: 'calculate', args: { expression: '6*' } }, {}), { error: 'The expression ends too early' });
+  assert.deepEqual(await registry.execute({ name: 'calculate', args: { expression: 'abs(1, 2)' } }, {}), { error: 'abs() takes 1 argument, not 2' });
+  assert.deepEqual(await registry.execute({ name: 'nope', args: {} }, {}), { error: 'There is no tool named "nope"' });
+
+  registry.register({ name: 'big', description: 'Too much.', run: () => 'x'.repeat(10000) });
+  assert.equal(registry.get('big').ask, true);
+  assert.deepEqual(await registry.execute({ name: 'big', args: {} }, {}), { error: 'The result is too large to send back' });
+  assert.throws(() => registry.register({ name: 'broken' }), TypeError);
+});
+
+test('tools are on by default and ask first only when they say so', () => {
+  const settings = loadToolSettings(createToolRegistry().list());
+  assert.deepEqual(settings.calculate, { enabled: true, ask: false });
+  assert.deepEqual(settings.search_conversations, { enabled: true, ask: true });
+});
+
+test('withToolTurns drops the oldest history to make room for tool rounds', () => {
+  const history = Array.from({ length: MAX_CONTENTS - 1 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', parts: [{ text: String(i) }] }));
+  const question = { role: 'user', parts: [{ text: 'question' }] };
+  const messages = [...history, question];
+  assert.equal(withToolTurns(messages, []), messages);
+  const turns = [{ role: 'assistant', parts: [] }, { role: 'user', parts: [] }, { role: 'assistant', parts: [] }, { role: 'user', parts: [] }];
+  const next = withToolTurns(messages, turns);
+  assert.ok(next.length <= MAX_CONTENTS);
+  assert.equal(next[0].role, 'user');
+  assert.deepEqual(next.slice(-5), [question, ...turns]);
+});
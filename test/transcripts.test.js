@@ -0,0 +1,88 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import share from '../api/share.js';
+import { toJSON, toMarkdown, toHTML, parseExport } from '../js/transcripts.js';
+import { setRateLimitStore } from '../api/_lib/ratelimit/index.js';
+import { createMemoryStore } from '../api/_lib/ratelimit/memory.js';
+import { startServer, postJSON } from './helpers/server.js';
+
+let server;
+
+before(async () => {
+  globalThis.document = new JSDOM('').window.document;
+  process.env.LOG_LEVEL = 'silent';
+  process.env.SHARE_STORE = 'memory';
+  server = await startServer({ '/api/share': share });
+});
+
+after(async () => {
+  await server.close();
+  delete process.env.SHARE_STORE;
+});
+
+const toolCall = { name: 'calculate', label: 'Calculator', args: { expression: '25 * 8' }, response: { result: { result: 200 } }, status: 'done' };
+const source = { n: 1, documentId: 'doc-1', chunkId: 'doc-1:3', title: 'handbook.md › Holidays', text: 'Everyone gets 25 days of paid holiday a year.' };
+
+const question = { id: 'm1', parentId: null, role: 'user', text: 'How many holiday hours is that?', ts: 0, model: null, finishReason: null, citations: [], toolCalls: [], sources: [], attachments: [] };
+const reply = { ...question, id: 'm2', parentId: 'm1', role: 'assistant', text: 'That is 200 hours [1].', ts: 1000, model: { provider: 'gemini', id: 'gemini-main' }, finishReason: 'stop', toolCalls: [toolCall], sources: [source] };
+const conv = { id: 'c1', title: 'Holidays', titleSource: 'user', pinned: false, createdAt: 0, updatedAt: 1000, presetId: null, summary: null, branches: {}, nodes: [question, reply], messages: [question, reply] };
+const names = { presetName: () => null, modelLabel: (m) => m.id };
+
+test('JSON exports keep the tool calls and document excerpts of a reply', () => {
+  const { conversations, skipped } = parseExport(toJSON([conv], names));
+  assert.equal(skipped, 0);
+  const [, imported] = conversations[0].messages;
+  assert.deepEqual(imported.toolCalls, [toolCall]);
+  assert.deepEqual(imported.sources, [source]);
+
+  const broken = JSON.parse(toJSON([conv], names));
+  broken.conversations[0].messages[1].sources = 'handbook.md';
+  assert.equal(parseExport(JSON.stringify(broken)).skipped, 1);
+});
+
+test('Markdown and HTML transcripts list the tools used and the excerpts cited', () => {
+  const md = toMarkdown([conv], names, 0);
+  assert.match(md, /Tools used:\n- Calculator \(done\): \{"expression":"25 \* 8"\}\n\nThat is 200 hours \[1\]\.\n\nFrom your documents:\n1\. handbook\.md › Holidays\n/);
+
+  const html = new JSDOM(toHTML([conv], names, 0)).window.document;
+  assert.match(html.querySelector('.message.assistant ul.sources').textContent, /Calculator \(done\)/);
+  const item = html.querySelector('.message.assistant ol.sources li');
+  assert.equal(item.value, 1);
+  assert.equal(item.querySelector('summary').textContent, 'handbook.md › Holidays');
+  assert.equal(item.querySelector('.excerpt').textContent, source.text);
+});
+
+test('shares keep valid tool calls and excerpts and drop the rest', async () => {
+  const shared = {
+    role: 'assistant',
+    text: reply.text,
+    toolCalls: [toolCall, { name: 'calculate', status: 'running' }, { label: 'no name', status: 'done' }],
+    sources: [source, { n: 0, title: 'zero', text: 'x' }, { n: 2, title: 'no text' }]
+  };
+  const created = await postJSON(`${server.url}/api/share`, { title: 'Holidays', messages: [question, shared] });
+  assert.equal(created.status, 201);
+  const got = await (await fetch(`${server.url}/api/share?id=${created.body.id}`)).json();
+  const [asked, answered] = got.messages;
+  assert.deepEqual(asked.toolCalls, []);
+  assert.deepEqual(answered.toolCalls, [toolCall]);
+  assert.deepEqual(answered.sources, [{ n: 1, title: source.title, text: source.text }]);
+});
+
+test('creating and revoking shares counts against the rate limit', async () => {
+  setRateLimitStore(createMemoryStore());
+  process.env.RATE_LIMIT_MAX = '2';
+  try {
+    const created = await postJSON(`${server.url}/api/share`, { title: 'Holidays', messages: [question] });
+    assert.equal(created.status, 201);
+    const revoked = await fetch(`${server.url}/api/share?id=${created.body.id}`, { method: 'DELETE', headers: { 'X-Share-Token': created.body.revokeToken } });
+    assert.equal(revoked.status, 200);
+    const limited = await postJSON(`${server.url}/api/share`, { title: 'Holidays', messages: [question] });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'QUOTA_EXCEEDED');
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  } finally {
+    delete process.env.RATE_LIMIT_MAX;
+    setRateLimitStore(null);
+  }
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePart, normalizeContents, normalizeTools, checkMessages, checkTools, checkSystemText } from '../api/_lib/validate.js';
+import {
+  MAX_CONTENTS, MAX_PART_CHARS, MAX_SYSTEM_INSTRUCTION_CHARS, MAX_INLINE_PARTS, MAX_INLINE_DATA_BYTES, MAX_TOOLS
+} from '../shared/limits.js';
+
+const PNG = 'iVBORw0KGgo=';
+
+test('normalizePart keeps text, inline data and function parts and drops anything else', () => {
+  assert.deepEqual(normalizePart({ text: 'hi', extra: 1 }), { text: 'hi' });
+  assert.deepEqual(normalizePart('plain'), { text: 'plain' });
+  assert.deepEqual(normalizePart({ inlineData: { mimeType: 'image/png', data: PNG, other: true } }), { inlineData: { mimeType: 'image/png', data: PNG } });
+  assert.deepEqual(normalizePart({ functionCall: { name: 'calculate', args: { expression: '1+1' }, id: 'x' }, thoughtSignature: 'sig' }),
+    { functionCall: { name: 'calculate', args: { expression: '1+1' } }, thoughtSignature: 'sig' });
+  assert.deepEqual(normalizePart({ functionResponse: { name: 'calculate', response: [1] } }), { functionResponse: { name: 'calculate', response: {} } });
+  assert.equal(normalizePart(null), null);
+  assert.equal(normalizePart({ executableCode: {} }), null);
+});
+
+test('normalizeContents maps roles and drops empty entries', () => {
+  const contents = normalizeContents({
+    contents: [
+      { role: 'MODEL', parts: [{ text: 'a' }] },
+      { role: 'system', parts: [{ text: 'b' }, { bogus: true }] },
+      { role: 'user', parts: [{ bogus: true }] },
+      null,
+      'loose',
+      { role: 'user', text: 'c' },
+      { role: 'user', text: '   ' }
+    ]
+  });
+  assert.deepEqual(contents, [
+    { role: 'model', parts: [{ text: 'a' }] },
+    { role: 'user', parts: [{ text: 'b' }] },
+    { role: 'user', parts: [{ text: 'c' }] }
+  ]);
+});
+
+test('normalizeContents falls back to prompt, then to loose string fields', () => {
+  assert.deepEqual(normalizeContents({ prompt: 'hello' }), [{ role: 'user', parts: [{ text: 'hello' }] }]);
+  assert.deepEqual(normalizeContents({ contents: [], prompt: 'hello' }), [{ role: 'user', parts: [{ text: 'hello' }] }]);
+  assert.deepEqual(normalizeContents({ contents: [null], question: ' one ', context: 'two', n: 3 }), [{ role: 'user', parts: [{ text: 'one\n\ntwo' }] }]);
+});
+
+test('normalizeContents returns unusable contents as they came', () => {
+  assert.deepEqual(normalizeContents({ contents: [null] }), [null]);
+  assert.equal(normalizeContents({}), undefined);
+  assert.equal(normalizeContents({ contents: 'text', prompt: ' ' }), 'text');
+});
+
+test('checkMessages accepts text and supported attachments', () => {
+  assert.equal(checkMessages([{ role: 'user', parts: [{ text: 'hi' }, { inlineData: { mimeType: 'image/png', data: PNG } }] }]), null);
+});
+
+test('checkMessages rejects empty, missing and too many contents', () => {
+  assert.equal(checkMessages([]).status, 400);
+  assert.equal(checkMessages(undefined).status, 400);
+  assert.equal(checkMessages(Array.from({ length: MAX_CONTENTS + 1 }, () => ({ role: 'user', parts: [{ text: 'x' }] }))).status, 400);
+});
+
+test('checkMessages skips entries it cannot read instead of throwing', () => {
+  assert.equal(checkMessages([null, { role: 'user' }, { role: 'user', parts: [{ text: 'ok' }] }]), null);
+});
+
+test('checkMessages rejects over-long text', () => {
+  const invalid = checkMessages([{ role: 'user', parts: [{ text: 'x'.repeat(MAX_PART_CHARS + 1) }] }]);
+  assert.deepEqual(invalid, { status: 400, error: 'Bad request: message too long' });
+});
+
+test('checkMessages rejects unsupported or malformed attachments', () => {
+  assert.equal(checkMessages([{ role: 'user', parts: [{ inlineData: { mimeType: 'application/x-msdownload', data: PNG } }] }]).status, 415);
+  assert.equal(checkMessages([{ role: 'user', parts: [{ inlineData: { mimeType: 'image/png', data: 'not base64!' } }] }]).status, 400);
+  assert.equal(checkMessages([{ role: 'user', parts: [{ inlineData: { mimeType: 'image/png', data: '' } }] }]).status, 400);
+});
+
+test('checkMessages limits attachments per request by count and size', () => {
+  const part = { inlineData: { mimeType: 'image/png', data: PNG } };
+  const many = [{ role: 'user', parts: Array.from({ length: MAX_INLINE_PARTS + 1 }, () => part) }];
+  assert.equal(checkMessages(many).status, 400);
+  const big = 'A'.repeat(Math.ceil((MAX_INLINE_DATA_BYTES + 3) / 3) * 4);
+  assert.equal(checkMessages([{ role: 'user', parts: [{ inlineData: { mimeType: 'image/png', data: big } }] }]).status, 413);
+});
+
+test('checkMessages checks the names and sizes of function parts', () => {
+  const call = (name, args) => [{ role: 'assistant', parts: [{ functionCall: { name, args } }] }];
+  assert.equal(checkMessages(call('calculate', { expression: '1+1' })), null);
+  assert.deepEqual(checkMessages(call('no spaces', {})), { status: 400, error: 'Bad request: invalid function name' });
+  assert.equal(checkMessages(call('calculate', { expression: 'x'.repeat(MAX_PART_CHARS) })).status, 400);
+  const response = [{ role: 'user', parts: [{ functionResponse: { name: 'calculate', response: { result: 2 } } }] }];
+  assert.equal(checkMessages(response), null);
+});
+
+test('checkTools accepts function declarations with unique names', () => {
+  const tool = { name: 'calculate', description: 'Does sums.', parameters: { type: 'object' } };
+  assert.equal(checkTools([]), null);
+  assert.equal(checkTools(normalizeTools([{ ...tool, run: 'ignored' }])), null);
+  assert.deepEqual(normalizeTools([{ ...tool, extra: 1 }]), [tool]);
+  assert.equal(checkTools([tool, tool]).status, 400);
+  assert.equal(checkTools([{ ...tool, name: '1st' }]).status, 400);
+  assert.equal(checkTools([{ ...tool, description: ' ' }]).status, 400);
+  assert.equal(checkTools([{ ...tool, parameters: [] }]).status, 400);
+  assert.equal(checkTools({ tools: [tool] }).status, 400);
+  assert.equal(checkTools(Array.from({ length: MAX_TOOLS + 1 }, (_, i) => ({ ...tool, name: `t${i}` }))).status, 400);
+  assert.equal(checkTools([{ ...tool, description: 'x'.repeat(20000) }]).status, 400);
+});
+
+test('checkSystemText limits the system instruction', () => {
+  assert.equal(checkSystemText('Be brief.'), null);
+  assert.equal(checkSystemText('x'.repeat(MAX_SYSTEM_INSTRUCTION_CHARS + 1)).status, 400);
+});